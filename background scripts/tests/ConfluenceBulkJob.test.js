@@ -0,0 +1,162 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceBulkJob, ConfluenceClient, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for processing pages in batches with {@link ConfluenceBulkJob}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceBulkJob.test");
+
+	//answers searches with the requested slice of five pages and rejects updates of page 3, searches fail from the given offset on
+	var stubConfluence = function(intFailAt) {
+		return objRunner.stubRequests(function(objRequest) {
+			if (objRequest.method === "put") {
+				return /content\/3$/.test(objRequest.endpoint) ?
+					{status: 403, body: {statusCode: 403, message: "Not permitted"}} :
+					{status: 200, body: {version: {number: 2}}};
+			}
+
+			var intStart = parseInt(objRequest.endpoint.match(/start=(\d+)/).pop(), 10);
+			var intLimit = parseInt(objRequest.endpoint.match(/limit=(\d+)/).pop(), 10);
+			var arrPages = [];
+
+			if (intStart >= intFailAt) {
+				return {status: 500, body: "Internal Server Error"};
+			}
+
+			for (var i = intStart; i < Math.min(intStart + intLimit, 5); i++) {
+				arrPages.push(ConfluenceTestRunner.createPageJson({id: String(i + 1), title: "Page " + (i + 1), ancestors: ["99"]}));
+			}
+
+			return {status: 200, body: {results: arrPages}};
+		});
+	};
+
+	var createJob = function(objOptions) {
+		objOptions.cql = objOptions.cql || "space = tst";
+
+		//all pages except page 5 are changed
+		objOptions.transform = objOptions.transform || function(objPage) {
+			if (objPage.getId() === "5") {
+				return false;
+			}
+
+			objPage.setTitle("[Archived] " + objPage.getTitle());
+
+			return true;
+		};
+
+		return new ConfluenceBulkJob(new ConfluenceClient(ConfluenceTestRunner.URL), objOptions);
+	};
+
+	var countUpdates = function(arrRequests) {
+		return arrRequests.filter(function(objRequest) {
+			return objRequest.method === "put";
+		}).length;
+	};
+
+	objRunner.test("Pages are processed batch by batch", function() {
+		var arrRequests = stubConfluence(99);
+		var arrOffsets  = [];
+
+		var objJob = createJob({batchSize: 2, onProgress: function(objProgress) {
+			arrOffsets.push(objProgress.offset);
+		}});
+
+		var objSummary = objJob.run();
+
+		objRunner.assertEqual(objSummary.completed, true, "Job is not completed");
+		objRunner.assertEqual(objSummary.processed, 5, "Wrong number of processed pages");
+		objRunner.assertEqual(objSummary.updated, 3, "Wrong number of updated pages");
+		objRunner.assertEqual(objSummary.unchanged, 1, "Wrong number of unchanged pages");
+		objRunner.assertEqual(objSummary.failed, 1, "Wrong number of failed pages");
+		objRunner.assertEqual(countUpdates(arrRequests), 4, "Wrong number of updates");
+		objRunner.assertEqual(arrOffsets.join(), "1,2,3,4,5", "Wrong progress");
+		objRunner.assertTrue(arrRequests.shift().endpoint.indexOf("order by id") != -1, "Pages are not ordered by ID");
+	});
+
+	objRunner.test("Failures are collected with their error details", function() {
+		stubConfluence(99);
+
+		var objFailure = createJob({}).run().failures.shift();
+
+		objRunner.assertEqual(objFailure.pageId, "3", "Wrong failed page");
+		objRunner.assertEqual(objFailure.status, "failed", "Wrong status");
+		objRunner.assertEqual(objFailure.error.getStatusCode(), 403, "Wrong status code");
+		objRunner.assertTrue(objFailure.message.indexOf("Not permitted") != -1, "Wrong message");
+	});
+
+	objRunner.test("Dry runs do not write back changes", function() {
+		var arrRequests = stubConfluence(99);
+		var objJob      = createJob({dryRun: true});
+		var objSummary  = objJob.run();
+
+		objRunner.assertTrue(objJob.isDryRun(), "Job is not in dry-run mode");
+		objRunner.assertEqual(objSummary.simulated, 4, "Wrong number of simulated pages");
+		objRunner.assertEqual(countUpdates(arrRequests), 0, "Changes were written back");
+	});
+
+	objRunner.test("Interrupted runs are resumed at the checkpoint", function() {
+		stubConfluence(99);
+
+		var strCheckpoint = null;
+		var objOptions    = {maxPages: 2, onCheckpoint: function(objCheckpoint) {
+			strCheckpoint = JSON.stringify(objCheckpoint);
+		}};
+
+		var objSummary = createJob(objOptions).run();
+
+		objRunner.assertEqual(objSummary.stopReason, "maxPages", "Wrong stop reason");
+		objRunner.assertEqual(objSummary.completed, false, "Interrupted job is completed");
+		objRunner.assertEqual(JSON.parse(strCheckpoint).lastId, "2", "Wrong last page of the checkpoint");
+
+		var arrRequests = stubConfluence(99);
+
+		objSummary = createJob({checkpoint: strCheckpoint}).run();
+
+		objRunner.assertEqual(objSummary.completed, true, "Resumed job is not completed");
+		objRunner.assertEqual(objSummary.processed, 5, "Wrong number of processed pages of all runs");
+		objRunner.assertEqual(countUpdates(arrRequests), 2, "Processed pages were updated again");
+	});
+
+	objRunner.test("Failed batches stop the run", function() {
+		stubConfluence(2);
+
+		var objSummary = createJob({batchSize: 2}).run();
+
+		objRunner.assertEqual(objSummary.stopReason, "loadFailed", "Wrong stop reason");
+		objRunner.assertEqual(objSummary.error.getStatusCode(), 500, "Wrong status code");
+		objRunner.assertEqual(objSummary.processed, 2, "Wrong number of processed pages");
+	});
+
+	objRunner.test("Invalid options and checkpoints of other jobs are rejected", function() {
+		objRunner.assertThrows(function() {
+			createJob({cql: "space = tst order by title"});
+		}, "Query with order by clause was accepted");
+		objRunner.assertThrows(function() {
+			createJob({maxPages: -1});
+		}, "Invalid maximum number of pages was accepted");
+		objRunner.assertThrows(function() {
+			createJob({checkpoint: {cql: "space = dev", dryRun: false, offset: 0}});
+		}, "Checkpoint of another job was accepted");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -0,0 +1,176 @@
+/*eslint-disable multiline-comment-style*/
+/*global gs, GlideRecord, GlideSysAttachment, GlideStringUtil, ConfluenceClient, ConfluenceAttachment, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for loading, uploading, downloading and removing attachments with {@link ConfluenceClient}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceClient.attachments.test");
+	var objPage   = null;
+
+	var createAttachmentJson = function(strId, strTitle) {
+		return {
+			id:         strId,
+			status:     "current",
+			title:      strTitle,
+			version:    {number: 1},
+			container:  {id: "1"},
+			extensions: {mediaType: "text/plain", fileSize: 11},
+			_links:     {download: "/download/attachments/1/" + strTitle},
+		};
+	};
+
+	var loadPage = function() {
+		objRunner.stubRequests(function() {
+			return {status: 200, body: ConfluenceTestRunner.createPageJson()};
+		});
+
+		return new ConfluenceClient(ConfluenceTestRunner.URL).loadPageDataById("1");
+	};
+
+	//reads the staged request body while the request is sent, as it is removed again afterwards
+	var readStagedBody = function(strSysId) {
+		var grAttachment = new GlideRecord("sys_attachment");
+
+		if (!grAttachment.get(strSysId)) {
+			return null;
+		}
+
+		return GlideStringUtil.base64Decode(new GlideSysAttachment().getContentBase64(grAttachment));
+	};
+
+	objRunner.test("Attachments are loaded page by page", function() {
+		objPage = loadPage();
+
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			if (objRequest.endpoint.indexOf("start=0") != -1) {
+				var arrResults = [
+					createAttachmentJson("att1", "a.txt"),
+					createAttachmentJson("att2", "b.txt"),
+				];
+
+				return {status: 200, body: {results: arrResults}};
+			}
+
+			return {status: 200, body: {results: []}};
+		});
+
+		var arrAttachments = new ConfluenceClient(ConfluenceTestRunner.URL).loadAttachments(objPage);
+
+		objRunner.assertEqual(arrAttachments.length, 2, "Wrong number of attachments");
+		objRunner.assertEqual(arrAttachments[1].getTitle(), "b.txt", "Wrong title");
+		objRunner.assertEqual(arrAttachments[1].getPageId(), "1", "Wrong page ID");
+		objRunner.assertEqual(arrRequests.length, 2, "Wrong number of requests");
+		objRunner.assertTrue(arrRequests.pop().endpoint.indexOf("/rest/api/content/1/child/attachment?") != -1, "Wrong endpoint");
+	});
+
+	objRunner.test("Uploaded files are sent as multipart request body", function() {
+		var strBody = null;
+
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			strBody = readStagedBody(objRequest.attachmentSysId);
+
+			return {status: 200, body: {results: [createAttachmentJson("att3", "hello.txt")]}};
+		});
+
+		var objAttachment = new ConfluenceClient(ConfluenceTestRunner.URL).uploadAttachment(objPage, {
+			fileName:      "hello.txt",
+			contentType:   "text/plain",
+			base64Content: "SGVsbG8gV29ybGQ=",
+			comment:       "Greeting",
+		});
+
+		var objRequest  = arrRequests.shift();
+		var strBoundary = objRequest.headers["Content-Type"].replace(/^multipart\/form-data; boundary=/, "");
+
+		objRunner.assertEqual(objAttachment.getId(), "att3", "Wrong attachment ID");
+		objRunner.assertEqual(objRequest.method, "post", "Wrong HTTP method");
+		objRunner.assertEqual(objRequest.headers["X-Atlassian-Token"], "no-check", "Missing XSRF header");
+		objRunner.assertEqual(
+			strBody,
+			"--" + strBoundary + "\r\n" +
+			"Content-Disposition: form-data; name=\"file\"; filename=\"hello.txt\"\r\n" +
+			"Content-Type: text/plain\r\n\r\n" +
+			"Hello World\r\n" +
+			"--" + strBoundary + "\r\n" +
+			"Content-Disposition: form-data; name=\"comment\"\r\n\r\n" +
+			"Greeting\r\n" +
+			"--" + strBoundary + "--\r\n",
+			"Wrong multipart request body"
+		);
+	});
+
+	objRunner.test("Invalid file descriptions are rejected", function() {
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objRunner.assertThrows(function() {
+			objClient.uploadAttachment(objPage, {fileName: "a.txt", contentType: "text", base64Content: ""});
+		}, "Invalid MIME type was accepted");
+
+		objRunner.assertThrows(function() {
+			objClient.uploadAttachment(objPage, {fileName: "a.txt", contentType: "text/plain", base64Content: "no base64!"});
+		}, "Invalid Base64 content was accepted");
+	});
+
+	objRunner.test("Downloads do not change the requests sent afterwards", function() {
+		var grTarget = new GlideRecord("sys_user");
+
+		grTarget.get(gs.getUserID());
+
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			if (objRequest.responseAttachment) {
+				return {status: 200, body: "", attachmentSysId: "sys123"};
+			}
+
+			return {status: 200, body: {results: []}};
+		});
+
+		var objClient     = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var objAttachment = new ConfluenceAttachment(objClient, createAttachmentJson("att1", "a.txt"));
+
+		objRunner.assertEqual(objClient.downloadAttachment(objAttachment, grTarget), "sys123", "Wrong attachment sys_id");
+
+		objClient.loadAttachments(objPage);
+
+		var objDownload = arrRequests.shift();
+
+		objRunner.assertEqual(objDownload.endpoint, ConfluenceTestRunner.URL + "/download/attachments/1/a.txt", "Wrong endpoint");
+		objRunner.assertEqual(objDownload.responseAttachment.fileName, "a.txt", "Wrong file name");
+		objRunner.assertEqual(arrRequests.shift().responseAttachment, undefined, "Response of later request is saved as attachment");
+	});
+
+	objRunner.test("Removed attachments are trashed", function() {
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 204, body: ""};
+		});
+
+		var objClient     = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var objAttachment = new ConfluenceAttachment(objClient, createAttachmentJson("att1", "a.txt"));
+
+		objRunner.assertTrue(objClient.removeAttachment(objAttachment), "Attachment was not removed");
+		objRunner.assertEqual(objAttachment.getStatus(), "trashed", "Wrong status");
+		objRunner.assertEqual(arrRequests.shift().method, "delete", "Wrong HTTP method");
+		objRunner.assertThrows(function() {
+			objClient.removeAttachment(objAttachment);
+		}, "Trashed attachment was removed again");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
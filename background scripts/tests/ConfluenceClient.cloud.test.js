@@ -0,0 +1,139 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluencePage, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for the Confluence Cloud compatibility mode of {@link ConfluenceClient} (option `deploymentType`).
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceClient.cloud.test");
+
+	var createCloudClient = function() {
+		return new ConfluenceClient(ConfluenceTestRunner.URL, {deploymentType: "cloud"});
+	};
+
+	objRunner.test("Cloud clients use the context path /wiki", function() {
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 200, body: ConfluenceTestRunner.createPageJson()};
+		});
+
+		var objClient = createCloudClient();
+
+		objClient.loadPageDataById("1");
+
+		objRunner.assertEqual(objClient.getDeploymentType(), "cloud", "Wrong deployment type");
+		objRunner.assertEqual(
+			new ConfluenceClient(ConfluenceTestRunner.URL).getDeploymentType(), "server", "Wrong default deployment type"
+		);
+
+		objRunner.assertEqual(
+			arrRequests.shift().endpoint.indexOf(ConfluenceTestRunner.URL + "/wiki/rest/api/content/1?"), 0, "Wrong endpoint"
+		);
+	});
+
+	objRunner.test("Unsupported deployment types are rejected", function() {
+		objRunner.assertThrows(function() {
+			return new ConfluenceClient(ConfluenceTestRunner.URL, {deploymentType: "datacenter"});
+		}, "Unsupported deployment type was accepted");
+	});
+
+	objRunner.test("Modifiers are identified by their account ID", function() {
+		var jsonPage = ConfluenceTestRunner.createPageJson();
+
+		jsonPage.history.lastUpdated.by = {accountId: "5b10a2844c20165700ede21g", displayName: "Jane Doe"};
+
+		var objPage = new ConfluencePage(createCloudClient(), jsonPage);
+
+		objRunner.assertEqual(objPage.getModifierUserName(), "5b10a2844c20165700ede21g", "Wrong user name of the modifier");
+		objRunner.assertEqual(objPage.getModifierDisplayName(), "Jane Doe", "Wrong display name of the modifier");
+	});
+
+	objRunner.test("Pages are created via the REST API v2 with the space ID", function() {
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			if (objRequest.method === "get") {
+				return {status: 200, body: {results: [{id: 42, key: "tst"}]}};
+			}
+
+			return {status: 200, body: {id: "7", version: {number: 1}}};
+		});
+
+		var objClient = createCloudClient();
+		var objPage   = new ConfluencePage(objClient);
+
+		objPage.setTitle("New");
+		objPage.setSpaceKey("tst");
+		objPage.setParentPageId("1");
+
+		objRunner.assertTrue(objPage.create(), "Page was not created");
+		objRunner.assertEqual(arrRequests[0].endpoint, ConfluenceTestRunner.URL + "/wiki/api/v2/spaces?keys=tst", "Wrong endpoint");
+		objRunner.assertEqual(arrRequests[1].endpoint, ConfluenceTestRunner.URL + "/wiki/api/v2/pages", "Wrong endpoint");
+
+		var jsonPayload = JSON.parse(arrRequests[1].body);
+
+		objRunner.assertEqual(jsonPayload.spaceId, "42", "Wrong space ID");
+		objRunner.assertEqual(jsonPayload.parentId, "1", "Wrong parent page");
+		objRunner.assertEqual(jsonPayload.body.representation, "storage", "Wrong body representation");
+		objRunner.assertEqual(objPage.getId(), "7", "Page ID was not applied");
+	});
+
+	objRunner.test("Pages are updated via the REST API v2", function() {
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 200, body: {id: "5", version: {number: 3}}};
+		});
+
+		var objPage = new ConfluencePage(
+			createCloudClient(),
+			ConfluenceTestRunner.createPageJson({id: "5", version: 2, ancestors: ["1"]})
+		);
+
+		objPage.setTitle("Changed");
+
+		objRunner.assertTrue(objPage.update(), "Page was not updated");
+		objRunner.assertEqual(arrRequests[0].method, "put", "Wrong HTTP method");
+		objRunner.assertEqual(arrRequests[0].endpoint, ConfluenceTestRunner.URL + "/wiki/api/v2/pages/5", "Wrong endpoint");
+		objRunner.assertEqual(JSON.parse(arrRequests[0].body).version.number, 3, "Wrong version number");
+		objRunner.assertEqual(objPage.getVersionNumber(), 3, "Wrong version number of the page");
+	});
+
+	objRunner.test("Searches follow the cursor links", function() {
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			var isFirstBatch = objRequest.endpoint.indexOf("cursor=") == -1;
+
+			return {status: 200, body: {
+				results: [ConfluenceTestRunner.createPageJson({id: isFirstBatch ? "1" : "2"})],
+				_links:  isFirstBatch ? {next: "/rest/api/content/search?cql=type%3Dpage&cursor=abc"} : {},
+			}};
+		});
+
+		var arrIds = [];
+
+		createCloudClient().forEachPage("space=tst", function(objPage) {
+			arrIds.push(objPage.getId());
+		}, {batchSize: 1000});
+
+		objRunner.assertEqual(arrIds.join(), "1,2", "Wrong pages");
+		objRunner.assertEqual(arrRequests.length, 2, "Wrong number of requests");
+		objRunner.assertTrue(arrRequests[0].endpoint.indexOf("&limit=250&") != -1, "Batch size was not capped");
+		objRunner.assertEqual(
+			arrRequests[1].endpoint, ConfluenceTestRunner.URL + "/wiki/rest/api/content/search?cql=type=page&cursor=abc", "Wrong cursor link"
+		);
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -0,0 +1,130 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluenceComment, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for loading, adding, updating and removing page comments with {@link ConfluenceClient}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceClient.comments.test");
+
+	var createCommentJson = function(strId, strParentId) {
+		var objComment = {
+			id:         strId,
+			type:       "comment",
+			status:     "current",
+			version:    {number: 1},
+			body:       {storage: {value: "<p>Comment " + strId + "</p>"}},
+			container:  {id: "1"},
+			extensions: {location: "footer"},
+			ancestors:  [],
+		};
+
+		if (strParentId) {
+			objComment.ancestors.push({id: strParentId});
+		}
+
+		return objComment;
+	};
+
+	var loadPage = function(strType) {
+		objRunner.stubRequests(function() {
+			return {status: 200, body: ConfluenceTestRunner.createPageJson({type: strType})};
+		});
+
+		return new ConfluenceClient(ConfluenceTestRunner.URL).loadPageDataById("1");
+	};
+
+	objRunner.test("Comments and replies are loaded page by page", function() {
+		var objPage = loadPage("page");
+
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			if (objRequest.endpoint.indexOf("start=0") != -1) {
+				var arrResults = [
+					createCommentJson("11"),
+					createCommentJson("12", "11"),
+				];
+
+				return {status: 200, body: {results: arrResults}};
+			}
+
+			return {status: 200, body: {results: []}};
+		});
+
+		var arrComments = objPage.loadComments("footer");
+
+		objRunner.assertEqual(arrComments.length, 2, "Wrong number of comments");
+		objRunner.assertEqual(arrComments[0].getParentCommentId(), undefined, "Top level comment has a parent");
+		objRunner.assertEqual(arrComments[1].getParentCommentId(), "11", "Wrong parent comment");
+		objRunner.assertEqual(arrComments[1].getBody(), "<p>Comment 12</p>", "Wrong body");
+		objRunner.assertTrue(arrRequests.shift().endpoint.indexOf("depth=all&location=footer") != -1, "Wrong endpoint");
+	});
+
+	objRunner.test("Invalid comment locations are rejected", function() {
+		var objPage = loadPage("page");
+
+		objRunner.assertThrows(function() {
+			objPage.loadComments("sidebar");
+		}, "Invalid location was accepted");
+	});
+
+	objRunner.test("Replies are created with the parent comment as ancestor", function() {
+		var objPage = loadPage("blogpost");
+
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 200, body: createCommentJson("13", "11")};
+		});
+
+		var objComment = objPage.getConfluenceClient().addComment(objPage, "<p>Reply</p>", "11");
+		var objPayload = JSON.parse(arrRequests.shift().body);
+
+		objRunner.assertEqual(objComment.getId(), "13", "Wrong comment ID");
+		objRunner.assertEqual(objPayload.container.type, "blogpost", "Wrong container type");
+		objRunner.assertEqual(objPayload.ancestors.shift().id, "11", "Wrong ancestor");
+		objRunner.assertEqual(objPayload.body.storage.value, "<p>Reply</p>", "Wrong body");
+	});
+
+	objRunner.test("Updated comments get the next version number", function() {
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			return {status: 200, body: {id: "11", version: {number: JSON.parse(objRequest.body).version.number}}};
+		});
+
+		var objComment = new ConfluenceComment(new ConfluenceClient(ConfluenceTestRunner.URL), createCommentJson("11"));
+
+		objComment.setBody("<p>Changed</p>");
+
+		objRunner.assertTrue(objComment.getConfluenceClient().updateComment(objComment), "Comment was not updated");
+		objRunner.assertEqual(objComment.getVersionNumber(), 2, "Wrong version number");
+		objRunner.assertEqual(JSON.parse(arrRequests.shift().body).body.storage.value, "<p>Changed</p>", "Wrong body");
+	});
+
+	objRunner.test("Removed comments are trashed", function() {
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 204, body: ""};
+		});
+
+		var objComment = new ConfluenceComment(new ConfluenceClient(ConfluenceTestRunner.URL), createCommentJson("11"));
+
+		objRunner.assertTrue(objComment.getConfluenceClient().removeComment(objComment), "Comment was not removed");
+		objRunner.assertEqual(objComment.getStatus(), "trashed", "Wrong status");
+		objRunner.assertEqual(arrRequests.shift().endpoint, ConfluenceTestRunner.URL + "/rest/api/content/11", "Wrong endpoint");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
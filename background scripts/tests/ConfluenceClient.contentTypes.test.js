@@ -0,0 +1,117 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluencePage, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for searching and creating pages and blog posts with {@link ConfluenceClient}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceClient.contentTypes.test");
+
+	//returns the CQL query of the first search request
+	var searchCQL = function(strCQL, objOptions) {
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 200, body: {results: []}};
+		});
+
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		if (objOptions === null) {
+			objClient.searchPages(strCQL);
+		}
+		else {
+			objClient.searchContent(strCQL, objOptions);
+		}
+
+		return arrRequests.shift().endpoint.match(/cql=([^&]*)/)[1];
+	};
+
+	objRunner.test("Searches are restricted to the requested content types", function() {
+		objRunner.assertEqual(
+			searchCQL("space=tst ORDER BY title"),
+			"(space=tst) AND type in (page,blogpost) ORDER BY title",
+			"Wrong CQL query for all types"
+		);
+		objRunner.assertEqual(
+			searchCQL("space=tst", {types: ["blogpost"]}),
+			"(space=tst) AND type=blogpost",
+			"Wrong CQL query for blog posts"
+		);
+	});
+
+	objRunner.test("Type clauses of the query are kept", function() {
+		objRunner.assertEqual(searchCQL("space=tst AND type=blogpost", {}), "space=tst AND type=blogpost", "Wrong CQL query");
+	});
+
+	objRunner.test("Quoted values are not taken as type clauses", function() {
+		objRunner.assertEqual(
+			searchCQL("title ~ \"type=page order by\"", {types: ["page"]}),
+			"(title ~ \"type=page order by\") AND type=page",
+			"Wrong CQL query"
+		);
+	});
+
+	objRunner.test("Page searches return pages only", function() {
+		objRunner.assertEqual(
+			searchCQL("space=tst AND type=blogpost", null),
+			"(space=tst AND type=blogpost) AND type=page",
+			"Wrong CQL query"
+		);
+	});
+
+	objRunner.test("Unsupported content types are rejected", function() {
+		objRunner.assertThrows(function() {
+			new ConfluenceClient(ConfluenceTestRunner.URL).searchContent("space=tst", {types: ["comment"]});
+		}, "Unsupported content type was accepted");
+	});
+
+	objRunner.test("Blog posts are created without parent page", function() {
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 200, body: ConfluenceTestRunner.createPageJson({id: "5", type: "blogpost"})};
+		});
+
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var objPost   = new ConfluencePage(objClient);
+
+		objPost.setTitle("News");
+		objPost.setSpaceKey("tst");
+
+		objRunner.assertTrue(objClient.createBlogPost(objPost), "Blog post was not created");
+		objRunner.assertEqual(objPost.getId(), "5", "Wrong ID");
+
+		var objPayload = JSON.parse(arrRequests.shift().body);
+
+		objRunner.assertEqual(objPayload.type, "blogpost", "Wrong content type");
+		objRunner.assertEqual(objPayload.ancestors, undefined, "Blog post has ancestors");
+	});
+
+	objRunner.test("Pages without parent page are rejected", function() {
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var objPage   = new ConfluencePage(objClient);
+
+		objPage.setTitle("Page");
+		objPage.setSpaceKey("tst");
+
+		objRunner.assertThrows(function() {
+			objClient.createPage(objPage);
+		}, "Page without parent page was accepted");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -0,0 +1,149 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for copying single pages and page trees on the client side with {@link ConfluenceClient}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceClient.copyPage.test");
+
+	//answers the requests of a copy with an in-memory page tree, title lookups can be made to fail
+	var stubConfluence = function(hasFailingLookups) {
+		var mapPages  = {};
+		var intNextId = 100;
+
+		var arrChapterAncestors = [
+			"1",
+			"2",
+		];
+
+		var addPage = function(objValues) {
+			mapPages[objValues.id] = ConfluenceTestRunner.createPageJson(objValues);
+		};
+
+		addPage({id: "1", title: "Home", spaceKey: "tst"});
+		addPage({id: "2", title: "Guide", spaceKey: "tst", labels: ["doc"], ancestors: ["1"]});
+		addPage({id: "3", title: "Chapter", spaceKey: "tst", ancestors: arrChapterAncestors});
+		addPage({id: "10", title: "Target", spaceKey: "dev"});
+
+		var findPages = function(fnFilter) {
+			var arrPages = Object.keys(mapPages).map(function(strId) {
+				return mapPages[strId];
+			});
+
+			return arrPages.filter(fnFilter);
+		};
+
+		objRunner.stubRequests(function(objRequest) {
+			var arrLookup   = objRequest.endpoint.match(/\?spaceKey=([^&]*)&title=([^&]*)&/);
+			var arrChildren = objRequest.endpoint.match(/content\/(\d+)\/child\/page\?.*start=(\d+)/);
+			var arrPage     = objRequest.endpoint.match(/content\/(\d+)\?/);
+
+			if (objRequest.method === "post" && /\/label$/.test(objRequest.endpoint)) {
+				return {status: 200, body: {results: []}};
+			}
+
+			if (objRequest.method === "post") {
+				var objPayload = JSON.parse(objRequest.body);
+				var strId      = String(intNextId);
+
+				intNextId += 1;
+
+				addPage({id: strId, title: objPayload.title, spaceKey: objPayload.space.key, ancestors: [objPayload.ancestors.shift().id]});
+
+				return {status: 200, body: mapPages[strId]};
+			}
+
+			if (arrLookup && hasFailingLookups) {
+				return {status: 500, body: "Internal Server Error"};
+			}
+
+			if (arrLookup) {
+				return {status: 200, body: {results: findPages(function(jsonPage) {
+					return jsonPage.space.key === arrLookup[1] && jsonPage.title === arrLookup[2];
+				})}};
+			}
+
+			if (arrChildren) {
+				return {status: 200, body: {results: arrChildren[2] === "0" ? findPages(function(jsonPage) {
+					return jsonPage.ancestors.length > 0 && jsonPage.ancestors[jsonPage.ancestors.length - 1].id === arrChildren[1];
+				}) : []}};
+			}
+
+			return arrPage && mapPages[arrPage[1]] ? {status: 200, body: mapPages[arrPage[1]]} : null;
+		});
+
+		return mapPages;
+	};
+
+	var loadPage = function(strId) {
+		return new ConfluenceClient(ConfluenceTestRunner.URL).loadPageDataById(strId);
+	};
+
+	objRunner.test("Single pages are copied with title prefix and labels", function() {
+		stubConfluence(false);
+
+		var arrCopies = loadPage("2").copy({targetParentId: "10", titlePrefix: "Copy of ", includeLabels: true});
+
+		objRunner.assertEqual(arrCopies.length, 1, "Wrong number of copies");
+		objRunner.assertEqual(arrCopies[0].getTitle(), "Copy of Guide", "Wrong title");
+		objRunner.assertEqual(arrCopies[0].getSpaceKey(), "dev", "Wrong space key");
+		objRunner.assertEqual(arrCopies[0].getParentPageId(), "10", "Wrong parent page");
+		objRunner.assertEqual(arrCopies[0].getLabels().join(), "doc", "Wrong labels");
+	});
+
+	objRunner.test("Title collisions are resolved with a suffix", function() {
+		var mapPages = stubConfluence(false);
+
+		mapPages["11"] = ConfluenceTestRunner.createPageJson({id: "11", title: "Guide", spaceKey: "dev", ancestors: ["10"]});
+
+		var arrCopies = loadPage("2").copy({targetParentId: "10", includeDescendants: true, collisionStrategy: "suffix"});
+
+		objRunner.assertEqual(arrCopies.length, 2, "Wrong number of copies");
+		objRunner.assertEqual(arrCopies[0].getTitle(), "Guide (2)", "Wrong title");
+		objRunner.assertEqual(arrCopies[1].getTitle(), "Chapter", "Wrong title of the child page");
+		objRunner.assertEqual(arrCopies[1].getParentPageId(), arrCopies[0].getId(), "Wrong parent of the child page");
+	});
+
+	objRunner.test("Title collisions abort the copy by default", function() {
+		var mapPages = stubConfluence(false);
+
+		mapPages["11"] = ConfluenceTestRunner.createPageJson({id: "11", title: "Guide", spaceKey: "dev", ancestors: ["10"]});
+
+		objRunner.assertEqual(loadPage("2").copy({targetParentId: "10"}), null, "Copy has not failed");
+		objRunner.assertEqual(mapPages["100"], undefined, "Page was created");
+	});
+
+	objRunner.test("Failed title lookups abort the copy", function() {
+		var mapPages = stubConfluence(true);
+
+		objRunner.assertEqual(loadPage("2").copy({targetParentId: "10"}), null, "Copy has not failed");
+		objRunner.assertEqual(mapPages["100"], undefined, "Page was created");
+	});
+
+	objRunner.test("Page trees cannot be copied below themselves", function() {
+		var mapPages = stubConfluence(false);
+
+		objRunner.assertEqual(loadPage("2").copy({targetParentId: "3", includeDescendants: true}), null, "Copy has not failed");
+		objRunner.assertEqual(mapPages["100"], undefined, "Page was created");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
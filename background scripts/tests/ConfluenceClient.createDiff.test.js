@@ -0,0 +1,81 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for creating line based diffs with {@link ConfluenceClient.createDiff}, which are used by the dry-run mode.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceClient.createDiff.test");
+
+	objRunner.test("Identical texts result in an empty diff", function() {
+		objRunner.assertEqual(ConfluenceClient.createDiff("a\nb", "a\nb"), "", "Diff of identical texts is not empty");
+		objRunner.assertEqual(ConfluenceClient.createDiff("", null), "", "Diff of empty texts is not empty");
+	});
+
+	objRunner.test("Changed lines are shown with two unchanged lines around them", function() {
+		objRunner.assertEqual(
+			ConfluenceClient.createDiff("1\n2\n3\n4\n5\n6\n7\n8", "1\n2\n3\n4\nX\n6\n7\n8"),
+			"@@ -3 +3 @@\n 3\n 4\n-5\n+X\n 6\n 7",
+			"Wrong diff of a changed line"
+		);
+	});
+
+	objRunner.test("Distant changes result in separate hunks", function() {
+		objRunner.assertEqual(
+			ConfluenceClient.createDiff("1\n2\n3\n4\n5\n6\n7\n8\n9\n10", "X\n2\n3\n4\n5\n6\n7\n8\n9\nY"),
+			"@@ -1 +1 @@\n-1\n+X\n 2\n 3\n@@ -8 +8 @@\n 8\n 9\n-10\n+Y",
+			"Wrong hunks"
+		);
+	});
+
+	objRunner.test("Inserted and removed lines are detected", function() {
+		objRunner.assertEqual(ConfluenceClient.createDiff("a\nb", "a\nx\nb"), "@@ -1 +1 @@\n a\n+x\n b", "Wrong diff of an inserted line");
+		objRunner.assertEqual(ConfluenceClient.createDiff("a\nx\nb", "a\nb"), "@@ -1 +1 @@\n a\n-x\n b", "Wrong diff of a removed line");
+		objRunner.assertEqual(ConfluenceClient.createDiff("", "a"), "@@ -1 +1 @@\n+a", "Wrong diff of a new text");
+		objRunner.assertEqual(ConfluenceClient.createDiff("a\nb", ""), "@@ -1 +1 @@\n-a\n-b", "Wrong diff of a removed text");
+	});
+
+	objRunner.test("Tags of storage format are placed on separate lines", function() {
+		objRunner.assertEqual(
+			ConfluenceClient.createDiff("<p>a</p><p>b</p>", "<p>a</p>\n<p>c</p>"),
+			"@@ -1 +1 @@\n <p>a</p>\n-<p>b</p>\n+<p>c</p>",
+			"Wrong diff of storage format"
+		);
+	});
+
+	objRunner.test("Huge changes are shown as complete replacement", function() {
+		var intMaxCells = ConfluenceClient.MAX_DIFF_CELLS;
+
+		ConfluenceClient.MAX_DIFF_CELLS = 0;
+
+		try {
+			objRunner.assertEqual(
+				ConfluenceClient.createDiff("a\nb\nc\nd", "a\nx\nc\ny"),
+				"@@ -1 +1 @@\n a\n-b\n-c\n-d\n+x\n+c\n+y",
+				"Wrong diff of a huge change"
+			);
+		}
+		finally {
+			ConfluenceClient.MAX_DIFF_CELLS = intMaxCells;
+		}
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
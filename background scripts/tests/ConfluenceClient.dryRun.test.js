@@ -0,0 +1,122 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluencePage, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for previewing changes with the dry-run mode of {@link ConfluenceClient}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceClient.dryRun.test");
+
+	//answers reading requests with the page and all other requests with an error, as they must not be sent
+	var stubReadOnly = function() {
+		return objRunner.stubRequests(function(objRequest) {
+			if (objRequest.method === "get") {
+				return {status: 200, body: ConfluenceTestRunner.createPageJson({id: "5", version: 2, body: "<p>a</p>", ancestors: ["1"]})};
+			}
+
+			return {status: 500, body: "Request must not be sent in dry-run mode"};
+		});
+	};
+
+	var createDryRunClient = function() {
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objClient.enableDryRun();
+
+		return objClient;
+	};
+
+	var countMutations = function(arrRequests) {
+		return arrRequests.filter(function(objRequest) {
+			return objRequest.method !== "get";
+		}).length;
+	};
+
+	objRunner.test("Page updates are recorded together with a diff of the body", function() {
+		var arrRequests = stubReadOnly();
+		var objClient   = createDryRunClient();
+		var objPage     = objClient.loadPageDataById("5");
+
+		objPage.setBody("<p>b</p>");
+
+		objRunner.assertTrue(objPage.updatePageData(), "Update was not simulated");
+		objRunner.assertEqual(countMutations(arrRequests), 0, "Mutating request was sent");
+
+		var objEntry = objClient.getDryRunJournal().pop();
+
+		objRunner.assertEqual(objEntry.methodName, "ConfluenceClient.updatePageData", "Wrong method name");
+		objRunner.assertEqual(objEntry.httpMethod, "put", "Wrong HTTP method");
+		objRunner.assertEqual(objEntry.pageId, "5", "Wrong page ID");
+		objRunner.assertEqual(objEntry.diff, "@@ -1 +1 @@\n-<p>a</p>\n+<p>b</p>", "Wrong diff");
+		objRunner.assertEqual(JSON.parse(objEntry.payload).body.storage.value, "<p>b</p>", "Wrong payload");
+	});
+
+	objRunner.test("Complete page updates are simulated inclusive labels and restrictions", function() {
+		var arrRequests = stubReadOnly();
+		var objClient   = createDryRunClient();
+		var objPage     = objClient.loadPageDataById("5");
+
+		objPage.setTitle("Changed");
+		objPage.addLabel("draft");
+		objPage.addUserReadingRestriction("jdoe");
+
+		objRunner.assertTrue(objPage.update(), "Update was not simulated");
+		objRunner.assertEqual(countMutations(arrRequests), 0, "Mutating request was sent");
+
+		var arrMethods = objClient.getDryRunJournal().map(function(objEntry) {
+			return objEntry.methodName;
+		});
+
+		objRunner.assertEqual(
+			arrMethods.join(),
+			"ConfluenceClient.updatePageData,ConfluenceClient.addPageLabels,ConfluenceClient.updatePageRestrictions",
+			"Wrong recorded requests"
+		);
+	});
+
+	objRunner.test("Unsupported mutations are recorded but fail", function() {
+		var arrRequests = stubReadOnly();
+		var objClient   = createDryRunClient();
+		var objPage     = objClient.loadPageDataById("5");
+
+		objRunner.assertEqual(objPage.move("8", "after"), false, "Unsupported mutation has not failed");
+		objRunner.assertEqual(countMutations(arrRequests), 0, "Mutating request was sent");
+		objRunner.assertEqual(objClient.getDryRunJournal().length, 1, "Mutation was not recorded");
+	});
+
+	objRunner.test("Requests are sent again after disabling the dry-run mode", function() {
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 200, body: {version: {number: 3}}};
+		});
+
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var objPage   = new ConfluencePage(objClient, ConfluenceTestRunner.createPageJson({id: "5", version: 2, ancestors: ["1"]}));
+
+		objClient.enableDryRun();
+		objClient.disableDryRun();
+		objPage.setTitle("Changed");
+
+		objRunner.assertEqual(objClient.isDryRun(), false, "Dry-run mode is still active");
+		objRunner.assertTrue(objPage.updatePageData(), "Page was not updated");
+		objRunner.assertEqual(countMutations(arrRequests), 1, "Update was not sent");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -0,0 +1,126 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluenceError, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for structured errors with {@link ConfluenceError}, {@link ConfluenceClient#getLastError} and
+ * {@link ConfluenceClient#setThrowOnError}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceClient.errors.test");
+
+	//answers the requests with the passed responses in the given order and repeats the last one
+	var stubResponses = function(arrResponses) {
+		return objRunner.stubRequests(function() {
+			return arrResponses.length > 1 ? arrResponses.shift() : arrResponses[0];
+		});
+	};
+
+	var createClient = function(throwOnError) {
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objClient.setThrowOnError(throwOnError);
+		objClient.setRetryPolicy({baseDelay: 0});
+
+		return objClient;
+	};
+
+	objRunner.test("Failed requests are described by the last error", function() {
+		stubResponses([{status: 404, body: {statusCode: 404, message: "No content found with id 7", reason: "Not Found"}}]);
+
+		var objClient = createClient(false);
+
+		objRunner.assertEqual(objClient.loadPageDataById("7"), null, "Missing page was loaded");
+
+		var objError = objClient.getLastError();
+
+		objRunner.assertTrue(objError instanceof ConfluenceError, "Wrong type of error");
+		objRunner.assertEqual(objError.getStatusCode(), 404, "Wrong status code");
+		objRunner.assertEqual(objError.getErrorCode(), "Not Found", "Wrong error code");
+		objRunner.assertEqual(objError.getHttpMethod(), "get", "Wrong HTTP method");
+		objRunner.assertEqual(objError.getMethodName(), "ConfluenceClient.loadPageDataById", "Wrong method name");
+		objRunner.assertTrue(objError.getEndpoint().indexOf("/rest/api/content/7") != -1, "Wrong endpoint");
+		objRunner.assertTrue(objError.getMessage().indexOf("No content found with id 7") != -1, "Wrong message");
+		objRunner.assertTrue(objError.isNotFound(), "Error is not classified as missing page");
+		objRunner.assertEqual(objError.isRetryable(), false, "Error is classified as retryable");
+	});
+
+	objRunner.test("Authentication failures are thrown if errors are thrown", function() {
+		stubResponses([{status: 401, body: "Unauthorized"}]);
+
+		var objError = objRunner.assertThrows(function() {
+			createClient(true).loadPageDataById("7");
+		}, "Error was not thrown");
+
+		objRunner.assertTrue(objError instanceof ConfluenceError, "Wrong type of error");
+		objRunner.assertTrue(objError.isAuthenticationError(), "Error is not classified as authentication failure");
+		objRunner.assertEqual(objError.getResponseBody(), "Unauthorized", "Wrong response body");
+	});
+
+	objRunner.test("Throttled requests are retryable", function() {
+		stubResponses([{status: 429, body: ""}]);
+
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objClient.loadPageDataById("7");
+
+		objRunner.assertTrue(objClient.getLastError().isRetryable(), "Error is not classified as retryable");
+	});
+
+	objRunner.test("Successful retries reset the last error", function() {
+		stubResponses([
+			{status: 503, body: ""},
+			{status: 200, body: ConfluenceTestRunner.createPageJson({id: "7"})},
+		]);
+
+		var objClient = createClient(false);
+
+		objRunner.assertEqual(objClient.loadPageDataById("7").getId(), "7", "Page was not loaded");
+		objRunner.assertEqual(objClient.getLastError(), null, "Error of the failed attempt was kept");
+	});
+
+	objRunner.test("Successful retries are not thrown if errors are thrown", function() {
+		stubResponses([
+			{status: 503, body: ""},
+			{status: 200, body: ConfluenceTestRunner.createPageJson({id: "7"})},
+		]);
+
+		var objClient = createClient(true);
+
+		objRunner.assertEqual(objClient.loadPageDataById("7").getId(), "7", "Page was not loaded");
+		objRunner.assertEqual(objClient.getLastError(), null, "Error of the failed attempt was kept");
+	});
+
+	objRunner.test("Successful requests reset the last error", function() {
+		stubResponses([
+			{status: 500, body: ""},
+			{status: 200, body: ConfluenceTestRunner.createPageJson({id: "7"})},
+		]);
+
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objClient.loadPageDataById("7");
+
+		objRunner.assertEqual(objClient.getLastError().getStatusCode(), 500, "Wrong status code");
+		objRunner.assertTrue(objClient.loadPageDataById("7") !== null, "Page was not loaded");
+		objRunner.assertEqual(objClient.getLastError(), null, "Error of the previous request was kept");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -0,0 +1,162 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for writing the mutation journal of {@link ConfluenceClient#enableJournal} and for restoring removed pages
+ * with {@link ConfluenceClient#rollbackJournal}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceClient.journal.test");
+
+	//answers requests for page 5, whose version is increased with each update unless the update is ignored
+	var stubPage = function(isIgnoringUpdates) {
+		var objStored = {version: 2, title: "Old", body: "<p>a</p>"};
+
+		return objRunner.stubRequests(function(objRequest) {
+			if (objRequest.method === "put") {
+				var jsonPage = JSON.parse(objRequest.body);
+
+				if (!isIgnoringUpdates) {
+					objStored.version += 1;
+					objStored.title    = jsonPage.title;
+					objStored.body     = jsonPage.body.storage.value;
+				}
+
+				return {status: 200, body: {version: {number: objStored.version}}};
+			}
+
+			return {status: 200, body: ConfluenceTestRunner.createPageJson({
+				id:        "5",
+				version:   objStored.version,
+				title:     objStored.title,
+				body:      objStored.body,
+				labels:    ["draft"],
+				ancestors: ["1"],
+			})};
+		});
+	};
+
+	var countUpdates = function(arrRequests) {
+		return arrRequests.filter(function(objRequest) {
+			return objRequest.method === "put";
+		}).length;
+	};
+
+	var updatePage = function(objClient) {
+		var objPage = objClient.loadPageDataById("5");
+
+		objPage.setTitle("New");
+		objPage.setBody("<p>b</p>");
+
+		return objClient.updatePageData(objPage);
+	};
+
+	objRunner.test("Updates are journaled with the state before and after the change", function() {
+		stubPage(false);
+
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objRunner.assertEqual(objClient.enableJournal({runId: "run1"}), "run1", "Wrong run ID");
+		objRunner.assertTrue(updatePage(objClient), "Page was not updated");
+
+		var objEntry = objClient.getJournal().pop();
+
+		objRunner.assertEqual(objEntry.runId, "run1", "Wrong run ID of the entry");
+		objRunner.assertEqual(objEntry.methodName, "ConfluenceClient.updatePageData", "Wrong method name");
+		objRunner.assertEqual(objEntry.pageId, "5", "Wrong page ID");
+		objRunner.assertEqual(objEntry.versionBefore, 2, "Wrong version before");
+		objRunner.assertEqual(objEntry.versionAfter, 3, "Wrong version after");
+		objRunner.assertEqual(objEntry.before.title, "Old", "Wrong title before");
+		objRunner.assertEqual(objEntry.after.body, "<p>b</p>", "Wrong body after");
+		objRunner.assertEqual(objEntry.before.labels.join(), "draft", "Wrong labels before");
+		objRunner.assertEqual(JSON.parse(objClient.exportJournal()).pop().after.title, "New", "Wrong exported journal");
+	});
+
+	objRunner.test("Unchanged pages and dry runs are not journaled", function() {
+		var arrRequests = stubPage(true);
+		var objClient   = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objClient.enableJournal();
+
+		objRunner.assertTrue(updatePage(objClient), "Unchanged page was not updated");
+
+		objClient.enableDryRun();
+
+		objRunner.assertTrue(updatePage(objClient), "Update was not simulated");
+		objRunner.assertEqual(countUpdates(arrRequests), 1, "Wrong number of updates");
+		objRunner.assertEqual(objClient.getJournal().length, 0, "Entries were written");
+	});
+
+	objRunner.test("Entries can be passed to a function instead of being kept", function() {
+		stubPage(false);
+
+		var objClient  = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var arrEntries = [];
+
+		objClient.enableJournal({keepEntries: false, onEntry: function(objEntry) {
+			arrEntries.push(objEntry);
+		}});
+
+		updatePage(objClient);
+		objClient.disableJournal();
+		updatePage(objClient);
+
+		objRunner.assertEqual(arrEntries.length, 1, "Wrong number of passed entries");
+		objRunner.assertEqual(objClient.getJournal().length, 0, "Entries were kept");
+	});
+
+	objRunner.test("Removed pages are restored from the recycle bin", function() {
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			if (objRequest.method === "delete") {
+				return {status: 204};
+			}
+
+			return {status: 200, body: ConfluenceTestRunner.createPageJson({id: "5", version: 2, title: "Old", ancestors: ["1"]})};
+		});
+
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objClient.enableJournal();
+
+		objRunner.assertTrue(objClient.removePage(objClient.loadPageDataById("5")), "Page was not removed");
+
+		var strJournal = objClient.exportJournal();
+		var objReport  = objClient.rollbackJournal(strJournal);
+		var objRestore = JSON.parse(arrRequests.pop().body);
+
+		objRunner.assertEqual(objReport.reverted.length, 1, "Entry has not been reverted");
+		objRunner.assertEqual(objRestore.status, "current", "Page was not restored");
+		objRunner.assertEqual(objRestore.version.number, 3, "Wrong version of the restored page");
+		objRunner.assertEqual(objClient.getJournal().length, 1, "Rollback has been journaled");
+	});
+
+	objRunner.test("Invalid options are rejected", function() {
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objRunner.assertThrows(function() {
+			objClient.enableJournal({runId: 1});
+		}, "Invalid run ID was accepted");
+		objRunner.assertThrows(function() {
+			objClient.enableJournal({onEntry: "log"});
+		}, "Invalid function was accepted");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
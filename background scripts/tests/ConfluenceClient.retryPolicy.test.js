@@ -0,0 +1,172 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluencePage, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for retrying throttled and failed requests with {@link ConfluenceClient#setRetryPolicy}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceClient.retryPolicy.test");
+
+	//answers the requests with the passed responses in the given order and repeats the last one
+	var stubResponses = function(arrResponses) {
+		return objRunner.stubRequests(function() {
+			return arrResponses.length > 1 ? arrResponses.shift() : arrResponses[0];
+		});
+	};
+
+	//creates a client with the passed retry policy, which records the computed waiting times at the passed Array
+	var createClient = function(objPolicy, arrDelays) {
+		var objClient       = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var fnGetRetryDelay = objClient._getRetryDelay;
+
+		objClient.setRetryPolicy(objPolicy);
+
+		objClient._getRetryDelay = function(intAttempt) {
+			var intDelay = fnGetRetryDelay.call(objClient, intAttempt);
+
+			arrDelays.push(intDelay);
+
+			return intDelay;
+		};
+
+		return objClient;
+	};
+
+	var createNewPage = function(objClient) {
+		var objPage = new ConfluencePage(objClient);
+
+		objPage.setTitle("New");
+		objPage.setSpaceKey("tst");
+		objPage.setParentPageId("1");
+
+		return objPage;
+	};
+
+	objRunner.test("Unavailable responses are retried until success", function() {
+		var arrDelays   = [];
+		var arrRequests = stubResponses([
+			{status: 503, body: ""},
+			{status: 502, body: ""},
+			{status: 200, body: ConfluenceTestRunner.createPageJson()},
+		]);
+
+		var objPage = createClient({baseDelay: 0, jitter: 0}, arrDelays).loadPageDataById("1");
+
+		objRunner.assertEqual(objPage.getId(), "1", "Page was not loaded");
+		objRunner.assertEqual(arrRequests.length, 3, "Wrong number of requests");
+		objRunner.assertEqual(arrDelays.join(), "0,0,-1", "Wrong waiting times");
+	});
+
+	objRunner.test("Requests are sent at most maxAttempts times", function() {
+		var arrDelays   = [];
+		var arrRequests = stubResponses([{status: 429, body: ""}]);
+		var objClient   = createClient({maxAttempts: 2, baseDelay: 0}, arrDelays);
+
+		objRunner.assertEqual(objClient.loadPageDataById("1"), null, "Page was loaded");
+		objRunner.assertEqual(arrRequests.length, 2, "Wrong number of requests");
+		objRunner.assertEqual(objClient.getLastError().getStatusCode(), 429, "Wrong status code of the last error");
+	});
+
+	objRunner.test("Waiting times grow exponentially", function() {
+		var arrDelays = [];
+
+		stubResponses([{status: 504, body: ""}]);
+
+		createClient({maxAttempts: 4, baseDelay: 3, jitter: 0}, arrDelays).loadPageDataById("1");
+
+		objRunner.assertEqual(arrDelays.join(), "3,6,12,-1", "Wrong waiting times");
+	});
+
+	objRunner.test("Retry-After headers in seconds are limited by maxDelay", function() {
+		var arrDelays = [];
+
+		stubResponses([
+			{status: 429, body: "", headers: {"Retry-After": "120"}},
+			{status: 429, body: "", headers: {"Retry-After": "0"}},
+			{status: 200, body: ConfluenceTestRunner.createPageJson()},
+		]);
+
+		createClient({maxDelay: 5}, arrDelays).loadPageDataById("1");
+
+		objRunner.assertEqual(arrDelays.join(), "5,0,-1", "Wrong waiting times");
+	});
+
+	objRunner.test("Retry-After headers with a past date mean no waiting", function() {
+		var arrDelays = [];
+
+		stubResponses([
+			{status: 503, body: "", headers: {"Retry-After": "Wed, 21 Oct 2015 07:28:00 GMT"}},
+			{status: 200, body: ConfluenceTestRunner.createPageJson()},
+		]);
+
+		createClient({maxDelay: 5}, arrDelays).loadPageDataById("1");
+
+		objRunner.assertEqual(arrDelays.join(), "0,-1", "Wrong waiting times");
+	});
+
+	objRunner.test("Retry-After headers can be ignored", function() {
+		var arrDelays = [];
+
+		stubResponses([
+			{status: 503, body: "", headers: {"Retry-After": "120"}},
+			{status: 200, body: ConfluenceTestRunner.createPageJson()},
+		]);
+
+		createClient({baseDelay: 2, jitter: 0, honorRetryAfter: false}, arrDelays).loadPageDataById("1");
+
+		objRunner.assertEqual(arrDelays.join(), "2,-1", "Wrong waiting times");
+	});
+
+	objRunner.test("POST requests are only retried on request", function() {
+		var arrRequests = stubResponses([{status: 503, body: ""}]);
+		var objClient   = createClient({baseDelay: 0}, []);
+
+		objRunner.assertEqual(objClient.createPage(createNewPage(objClient)), false, "Page was created");
+		objRunner.assertEqual(arrRequests.length, 1, "POST request was retried");
+
+		arrRequests = stubResponses([{status: 503, body: ""}]);
+		objClient   = createClient({baseDelay: 0, retryPost: true}, []);
+
+		objClient.createPage(createNewPage(objClient));
+
+		objRunner.assertEqual(arrRequests.length, 3, "POST request was not retried");
+	});
+
+	objRunner.test("Other status codes are not retried", function() {
+		var arrRequests = stubResponses([{status: 404, body: ""}]);
+
+		createClient({baseDelay: 0}, []).loadPageDataById("1");
+
+		objRunner.assertEqual(arrRequests.length, 1, "Wrong number of requests");
+	});
+
+	objRunner.test("Invalid policies are rejected", function() {
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objRunner.assertThrows(function() {
+			objClient.setRetryPolicy({jitter: 2});
+		}, "Invalid jitter was accepted");
+		objRunner.assertThrows(function() {
+			objClient.setRetryPolicy({maxAttempts: 0.5});
+		}, "Invalid maximum number of attempts was accepted");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
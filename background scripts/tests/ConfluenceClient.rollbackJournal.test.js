@@ -0,0 +1,196 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluencePage, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for reverting a mutation journal with {@link ConfluenceClient#rollbackJournal}. The client works on pages held 
+ * in memory instead of a Confluence instance, so that the rollback logic can be tested without any requests. The 
+ * restoring of removed pages, which is done with a separate request, is covered by `ConfluenceClient.journal.test`.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceClient.rollbackJournal.test");
+
+	var createClient = function(mapPages) {
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		var storePage = function(objPage) {
+			var objStored = mapPages[objPage.getId()];
+
+			objStored.version += 1;
+			objStored.title    = objPage.getTitle();
+			objStored.body     = objPage.getBody();
+
+			objPage.setVersionNumber(objStored.version);
+
+			return true;
+		};
+
+		//all methods requesting Confluence during a rollback are replaced by their in-memory counterparts
+		objClient.loadPageDataById = function(strPageId) {
+			var objStored = mapPages[strPageId];
+
+			if (!objStored) {
+				return null;
+			}
+
+			return new ConfluencePage(objClient, {
+				id:           strPageId,
+				type:         "page",
+				status:       "current",
+				title:        objStored.title,
+				space:        {key: "tst"},
+				version:      {number: objStored.version},
+				body:         {storage: {value: objStored.body}, styled_view: {value: ""}},
+				restrictions: {
+					read:   {restrictions: {user: {results: []}, group: {results: []}}},
+					update: {restrictions: {user: {results: []}, group: {results: []}}},
+				},
+				history:      {lastUpdated: {}},
+				metadata:     {labels: {results: objStored.labels.map(function(strLabel) {
+					return {name: strLabel};
+				})}},
+			});
+		};
+
+		objClient.updatePageData = storePage;
+
+		objClient.updatePageLabels = function(objPage) {
+			mapPages[objPage.getId()].labels = objPage.getLabels().slice();
+
+			return true;
+		};
+
+		objClient.removePage = function(objPage) {
+			delete mapPages[objPage.getId()];
+
+			return true;
+		};
+
+		return objClient;
+	};
+
+	var createEntry = function(strMethod, intVersionBefore, objChange) {
+		return {
+			runId:         "test",
+			timestamp:     "2020-01-01 00:00:00",
+			methodName:    "ConfluenceClient." + strMethod,
+			pageId:        "1",
+			type:          "page",
+			spaceKey:      "tst",
+			versionBefore: intVersionBefore,
+			versionAfter:  objChange.after ? intVersionBefore + 1 : null,
+			before:        objChange.before,
+			after:         objChange.after,
+		};
+	};
+
+	var createState = function(strTitle, strBody, arrLabels) {
+		return {title: strTitle, body: strBody, labels: arrLabels || [], scaffolding: null};
+	};
+
+	objRunner.test("Invalid journals are rejected", function() {
+		var objClient = createClient({});
+		var objEntry  = createEntry("updatePageData", 1, {before: null, after: createState("A", "")});
+
+		objRunner.assertThrows(function() {
+			objClient.rollbackJournal("no JSON");
+		}, "Invalid JSON has been accepted");
+		objRunner.assertThrows(function() {
+			objClient.rollbackJournal([objEntry]);
+		}, "Update without former state has been accepted");
+	});
+
+	objRunner.test("Updates are reverted in reverse order", function() {
+		var mapPages  = {1: {version: 3, title: "C", body: "<p>C</p>", labels: []}};
+		var objFirst  = createEntry("updatePageData", 1, {before: createState("A", "<p>A</p>"), after: createState("B", "<p>B</p>")});
+		var objSecond = createEntry("updatePageData", 2, {before: createState("B", "<p>B</p>"), after: createState("C", "<p>C</p>")});
+		var objReport = createClient(mapPages).rollbackJournal([
+			objFirst,
+			objSecond,
+		]);
+
+		objRunner.assertEqual(objReport.reverted.length, 2, "Wrong number of reverted entries");
+		objRunner.assertEqual(objReport.reverted[0], objSecond, "Latest entry has not been reverted first");
+		objRunner.assertEqual(mapPages[1].title, "A", "Title has not been reverted");
+		objRunner.assertEqual(mapPages[1].body, "<p>A</p>", "Body has not been reverted");
+		objRunner.assertEqual(mapPages[1].version, 5, "Wrong version after rollback");
+	});
+
+	objRunner.test("JSON representations of journals are accepted", function() {
+		var mapPages  = {1: {version: 2, title: "B", body: "", labels: []}};
+		var objEntry  = createEntry("updatePageData", 1, {before: createState("A", ""), after: createState("B", "")});
+		var objReport = createClient(mapPages).rollbackJournal(JSON.stringify([objEntry]));
+
+		objRunner.assertEqual(objReport.reverted.length, 1, "Entry has not been reverted");
+		objRunner.assertEqual(mapPages[1].title, "A", "Title has not been reverted");
+	});
+
+	objRunner.test("Pages edited since are reported as conflicts", function() {
+		var mapPages  = {1: {version: 4, title: "Edited", body: "", labels: []}};
+		var objEntry  = createEntry("updatePageData", 2, {before: createState("A", ""), after: createState("B", "")});
+		var objReport = createClient(mapPages).rollbackJournal([objEntry]);
+
+		objRunner.assertEqual(objReport.conflicts.length, 1, "Conflict has not been detected");
+		objRunner.assertEqual(objReport.conflicts[0].message.indexOf("Expected version: 3") != -1, true, "Wrong conflict message");
+		objRunner.assertEqual(mapPages[1].title, "Edited", "Page has been changed despite a conflict");
+	});
+
+	objRunner.test("Created pages are removed", function() {
+		var mapPages  = {1: {version: 1, title: "New", body: "", labels: []}};
+		var objEntry  = createEntry("createPage", 0, {before: null, after: createState("New", "")});
+		var objReport = createClient(mapPages).rollbackJournal([objEntry]);
+
+		objRunner.assertEqual(objReport.reverted.length, 1, "Entry has not been reverted");
+		objRunner.assertEqual(1 in mapPages, false, "Created page has not been removed");
+	});
+
+	objRunner.test("Labels are reverted unless they have been changed since", function() {
+		var arrLabelsBefore = ["a"];
+		var arrLabelsAfter  = [
+			"a",
+			"b",
+		];
+		var arrLabelsNow    = [
+			"b",
+			"a",
+		];
+		var mapPages        = {1: {version: 1, title: "A", body: "", labels: arrLabelsNow}};
+		var objEntry        = createEntry("updatePageLabels", 1, {
+			before: createState("A", "", arrLabelsBefore),
+			after:  createState("A", "", arrLabelsAfter),
+		});
+
+		objRunner.assertEqual(createClient(mapPages).rollbackJournal([objEntry]).reverted.length, 1, "Entry has not been reverted");
+		objRunner.assertEqual(mapPages[1].labels.join(","), "a", "Labels have not been reverted");
+
+		mapPages[1].labels = ["c"];
+
+		objRunner.assertEqual(createClient(mapPages).rollbackJournal([objEntry]).conflicts.length, 1, "Changed labels have been overwritten");
+	});
+
+	objRunner.test("Pages which cannot be loaded are reported as failed", function() {
+		var objEntry  = createEntry("updatePageData", 1, {before: createState("A", ""), after: createState("B", "")});
+		var objReport = createClient({}).rollbackJournal([objEntry]);
+
+		objRunner.assertEqual(objReport.failed.length, 1, "Missing page has not been reported");
+		objRunner.assertEqual(objReport.failed[0].message.indexOf("Page could not be loaded") === 0, true, "Wrong failure message");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -0,0 +1,171 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for querying pages by their Scaffolding values with {@link ConfluenceClient#searchByScaffolding} and for
+ * exporting these values with {@link ConfluenceClient#exportScaffoldingValues}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceClient.searchByScaffolding.test");
+
+	//Scaffolding data by page ID, the data of page 4 cannot be loaded
+	var mapForms = {
+		1: [
+			{name: "Status", value: ["Open"]},
+			{name: "Owner", value: ""},
+			{name: "Count", value: 3},
+			{name: "Due", value: "2020-05-12T00:00:00.000+0200"},
+		],
+		2: [
+			{name: "Status", value: ["Closed"]},
+			{name: "Owner", value: "Jane"},
+		],
+		3: [
+			{name: "Status", value: ["Open"]},
+			{name: "Owner", value: "Jane, \"JD\" Doe"},
+			{name: "Count", value: 12},
+		],
+	};
+
+	//answers searches with the requested slice of four pages and Scaffolding requests with the data of the page
+	var stubConfluence = function() {
+		return objRunner.stubRequests(function(objRequest) {
+			var arrForm = objRequest.endpoint.match(/\/api\/form\/(\d+)$/);
+
+			if (arrForm !== null) {
+				var strPageId = arrForm.pop();
+
+				return strPageId in mapForms ? {status: 200, body: mapForms[strPageId]} : {status: 500, body: "Internal Server Error"};
+			}
+
+			var intStart = parseInt(objRequest.endpoint.match(/start=(\d+)/).pop(), 10);
+			var intLimit = parseInt(objRequest.endpoint.match(/limit=(\d+)/).pop(), 10);
+			var arrPages = [];
+
+			for (var i = intStart; i < Math.min(intStart + intLimit, 4); i++) {
+				arrPages.push(ConfluenceTestRunner.createPageJson({id: String(i + 1), title: "Page " + (i + 1), ancestors: ["99"]}));
+			}
+
+			return {status: 200, body: {results: arrPages}};
+		});
+	};
+
+	var getIds = function(arrPages) {
+		return arrPages.map(function(objPage) {
+			return objPage.getId();
+		}).join();
+	};
+
+	objRunner.test("Pages are matched by field values", function() {
+		stubConfluence();
+
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objRunner.assertEqual(getIds(objClient.searchByScaffolding("space = tst", {Status: "Open", Owner: null})), "1", "Wrong empty match");
+		objRunner.assertEqual(getIds(objClient.searchByScaffolding("space = tst", {Count: "3"})), "1", "Wrong number match");
+		objRunner.assertEqual(getIds(objClient.searchByScaffolding("space = tst", {Due: "2020-05-11T22:00:00.000Z"})), "1", "Wrong date match");
+
+		var arrStatus = [
+			"Closed",
+			"Open",
+		];
+
+		objRunner.assertEqual(getIds(objClient.searchByScaffolding("space = tst", {Status: arrStatus})), "1,2,3", "Wrong match of alternative values");
+	});
+
+	objRunner.test("Matching pages have their Scaffolding data attached", function() {
+		stubConfluence();
+
+		var arrPages = new ConfluenceClient(ConfluenceTestRunner.URL).searchByScaffolding("space = tst", function(objForm) {
+			return objForm.getValue("Count") > 10;
+		});
+
+		objRunner.assertEqual(getIds(arrPages), "3", "Wrong matching pages");
+		objRunner.assertEqual(arrPages[0].getScaffoldingForm().getValue("Owner"), "Jane, \"JD\" Doe", "Scaffolding data is not attached");
+	});
+
+	objRunner.test("Progress is reported per batch", function() {
+		var arrRequests = stubConfluence();
+		var arrProgress = [];
+
+		new ConfluenceClient(ConfluenceTestRunner.URL).searchByScaffolding("space = tst", {Status: "Open"}, {
+			batchSize:  2,
+			onProgress: function(objProgress) {
+				arrProgress.push(objProgress.processed + ":" + objProgress.matched);
+			},
+		});
+
+		objRunner.assertEqual(arrProgress.join(), "2:1,4:2", "Wrong progress");
+		objRunner.assertTrue(arrRequests.shift().endpoint.indexOf("limit=2") != -1, "Batch size is not used for the search");
+	});
+
+	objRunner.test("Failed searches return NULL", function() {
+		objRunner.stubRequests(function() {
+			return {status: 500, body: "Internal Server Error"};
+		});
+
+		objRunner.assertEqual(
+			new ConfluenceClient(ConfluenceTestRunner.URL).searchByScaffolding("space = tst", {Status: "Open"}),
+			null,
+			"Failed search has not returned NULL"
+		);
+	});
+
+	objRunner.test("Values are exported as CSV and JSON", function() {
+		stubConfluence();
+
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var arrPages  = objClient.searchByScaffolding("space = tst", {Status: "Open"});
+		var arrFields = [
+			"Owner",
+			"Count",
+		];
+
+		var arrExpected = [
+			"pageId,title,Owner,Count",
+			"1,Page 1,,3",
+			"3,Page 3,\"Jane, \"\"JD\"\" Doe\",12",
+		];
+
+		objRunner.assertEqual(objClient.exportScaffoldingValues(arrPages, {fields: arrFields}), arrExpected.join("\r\n"), "Wrong CSV");
+
+		var objTable = JSON.parse(objClient.exportScaffoldingValues(arrPages, {format: "json"}));
+
+		objRunner.assertEqual(objTable.columns.join(), "pageId,title,Status,Owner,Count,Due", "Wrong columns");
+		objRunner.assertEqual(objTable.rows[0][5], "2020-05-11 22:00:00", "Wrong date value");
+		objRunner.assertEqual(objTable.rows[1][5], null, "Wrong missing value");
+	});
+
+	objRunner.test("Invalid criteria and options are rejected", function() {
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objRunner.assertThrows(function() {
+			objClient.searchByScaffolding("space = tst", "Status = Open");
+		}, "Invalid criteria were accepted");
+		objRunner.assertThrows(function() {
+			objClient.searchByScaffolding("space = tst", {}, {batchSize: -1});
+		}, "Invalid batch size was accepted");
+		objRunner.assertThrows(function() {
+			objClient.exportScaffoldingValues([], {format: "xml"});
+		}, "Invalid format was accepted");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -0,0 +1,137 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for listing, loading, creating and archiving spaces with {@link ConfluenceClient}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceClient.spaces.test");
+
+	var createSpaceJson = function(strKey) {
+		return {
+			id:          "100",
+			key:         strKey,
+			name:        "Space " + strKey,
+			type:        "global",
+			status:      "current",
+			description: {plain: {value: "Description"}},
+			homepage:    {id: "1"},
+			metadata:    {labels: {results: [{name: "team"}]}},
+		};
+	};
+
+	objRunner.test("Spaces are loaded page by page with the filter criteria", function() {
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			if (objRequest.endpoint.indexOf("start=0") != -1) {
+				var arrResults = [
+					createSpaceJson("tst"),
+					createSpaceJson("dev"),
+				];
+
+				return {status: 200, body: {results: arrResults}};
+			}
+
+			return {status: 200, body: {results: []}};
+		});
+
+		var arrSpaces = new ConfluenceClient(ConfluenceTestRunner.URL).loadSpaces({type: "global", label: "team"});
+
+		objRunner.assertEqual(arrSpaces.length, 2, "Wrong number of spaces");
+		objRunner.assertEqual(arrSpaces[1].getKey(), "dev", "Wrong space key");
+		objRunner.assertEqual(arrSpaces[1].getLabels().join(), "team", "Wrong labels");
+		objRunner.assertTrue(arrRequests.shift().endpoint.indexOf("&type=global&label=team&") != -1, "Wrong filter");
+	});
+
+	objRunner.test("Invalid filter criteria are rejected", function() {
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objRunner.assertThrows(function() {
+			objClient.loadSpaces({status: "deleted"});
+		}, "Invalid status was accepted");
+	});
+
+	objRunner.test("The homepage is loaded once", function() {
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			if (objRequest.endpoint.indexOf("/rest/api/space/tst?") != -1) {
+				return {status: 200, body: createSpaceJson("tst")};
+			}
+
+			return {status: 200, body: ConfluenceTestRunner.createPageJson({title: "Home"})};
+		});
+
+		var objSpace = new ConfluenceClient(ConfluenceTestRunner.URL).loadSpace("tst");
+
+		objRunner.assertEqual(objSpace.getDescription(), "Description", "Wrong description");
+		objRunner.assertEqual(objSpace.getHomepage().getTitle(), "Home", "Wrong homepage");
+		objRunner.assertEqual(objSpace.getHomepage().getTitle(), "Home", "Wrong cached homepage");
+		objRunner.assertEqual(arrRequests.length, 2, "Wrong number of requests");
+	});
+
+	objRunner.test("Root pages are loaded with depth root", function() {
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			if (objRequest.endpoint.indexOf("/rest/api/space/tst?") != -1) {
+				return {status: 200, body: createSpaceJson("tst")};
+			}
+
+			if (objRequest.endpoint.indexOf("start=0") != -1) {
+				return {status: 200, body: {results: [ConfluenceTestRunner.createPageJson()]}};
+			}
+
+			return {status: 200, body: {results: []}};
+		});
+
+		var objSpace = new ConfluenceClient(ConfluenceTestRunner.URL).loadSpace("tst");
+		var arrPages = objSpace.loadRootPages();
+
+		objRunner.assertEqual(arrPages.length, 1, "Wrong number of root pages");
+		objRunner.assertTrue(arrRequests[1].endpoint.indexOf("/rest/api/space/tst/content/page?depth=root") != -1, "Wrong endpoint");
+	});
+
+	objRunner.test("Created spaces get a plain text description", function() {
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			var objPayload = JSON.parse(objRequest.body);
+
+			return {status: 200, body: createSpaceJson(objPayload.key)};
+		});
+
+		var objSpace   = new ConfluenceClient(ConfluenceTestRunner.URL).createSpace("new", "New space", "Text");
+		var objPayload = JSON.parse(arrRequests.shift().body);
+
+		objRunner.assertEqual(objSpace.getKey(), "new", "Wrong space key");
+		objRunner.assertEqual(objPayload.description.plain.value, "Text", "Wrong description");
+	});
+
+	objRunner.test("Archived spaces cannot be archived again", function() {
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			return {status: 200, body: objRequest.method === "get" ? createSpaceJson("tst") : {}};
+		});
+
+		var objSpace = new ConfluenceClient(ConfluenceTestRunner.URL).loadSpace("tst");
+
+		objRunner.assertTrue(objSpace.archive(), "Space was not archived");
+		objRunner.assertEqual(objSpace.getStatus(), "archived", "Wrong status");
+		objRunner.assertEqual(JSON.parse(arrRequests.pop().body).status, "archived", "Wrong payload");
+		objRunner.assertThrows(function() {
+			objSpace.archive();
+		}, "Archived space was archived again");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
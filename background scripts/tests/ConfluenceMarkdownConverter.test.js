@@ -0,0 +1,141 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluenceMarkdownConverter, ConfluencePage, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for converting Markdown into storage format with {@link ConfluenceMarkdownConverter} and {@link ConfluencePage}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceMarkdownConverter.test");
+
+	var convert = function(arrLines) {
+		return new ConfluenceMarkdownConverter().convert(arrLines.join("\n"));
+	};
+
+	objRunner.test("Headings and inline formats are converted", function() {
+		var arrMarkdown = [
+			"# Title & more",
+			"",
+			"Some *important* and **bold** text with `code` and ~~old~~.",
+		];
+
+		objRunner.assertEqual(
+			convert(arrMarkdown),
+			"<h1>Title &amp; more</h1>" +
+			"<p>Some <em>important</em> and <strong>bold</strong> text with <code>code</code> and " +
+			"<span style=\"text-decoration: line-through;\">old</span>.</p>",
+			"Wrong storage format"
+		);
+	});
+
+	objRunner.test("Nested lists are converted", function() {
+		var arrMarkdown = [
+			"- a",
+			"- b",
+			"  1. c",
+		];
+
+		objRunner.assertEqual(convert(arrMarkdown), "<ul><li>a</li><li>b<ol><li>c</li></ol></li></ul>", "Wrong storage format");
+	});
+
+	objRunner.test("Fenced code blocks are converted to the code macro", function() {
+		var arrMarkdown = [
+			"```js",
+			"if (a < b) {}",
+			"```",
+		];
+
+		objRunner.assertEqual(
+			convert(arrMarkdown),
+			"<ac:structured-macro ac:name=\"code\" ac:schema-version=\"1\">" +
+			"<ac:parameter ac:name=\"language\">javascript</ac:parameter>" +
+			"<ac:plain-text-body><![CDATA[if (a < b) {}]]></ac:plain-text-body>" +
+			"</ac:structured-macro>",
+			"Wrong storage format"
+		);
+	});
+
+	objRunner.test("Links are converted inclusive reference definitions", function() {
+		var arrMarkdown = [
+			"[Link](https://example.com/?a=1&b=2) and [docs][1].",
+			"",
+			"[1]: https://example.com/docs",
+		];
+
+		objRunner.assertEqual(
+			convert(arrMarkdown),
+			"<p><a href=\"https://example.com/?a=1&amp;b=2\">Link</a> and <a href=\"https://example.com/docs\">docs</a>.</p>",
+			"Wrong storage format"
+		);
+	});
+
+	objRunner.test("Relative images are converted to attachments", function() {
+		objRunner.assertEqual(
+			convert(["![Logo](my%20logo.png)"]),
+			"<p><ac:image ac:alt=\"Logo\"><ri:attachment ri:filename=\"my logo.png\" /></ac:image></p>",
+			"Wrong storage format"
+		);
+	});
+
+	objRunner.test("Undecodable image sources are used as file name", function() {
+		var objConverter = new ConfluenceMarkdownConverter();
+
+		objRunner.assertEqual(
+			objConverter.convert("![Chart](100%.png)"),
+			"<p><ac:image ac:alt=\"Chart\"><ri:attachment ri:filename=\"100%.png\" /></ac:image></p>",
+			"Wrong storage format"
+		);
+		objRunner.assertEqual(objConverter.getWarnings().length, 1, "Missing warning");
+	});
+
+	objRunner.test("Unsupported constructs are escaped and reported", function() {
+		var objConverter = new ConfluenceMarkdownConverter();
+		var arrMarkdown  = [
+			"<div>html</div>",
+			"",
+			"Text[^1]",
+			"",
+			"- [ ] task",
+		];
+
+		objRunner.assertEqual(
+			objConverter.convert(arrMarkdown.join("\n")),
+			"<p>&lt;div&gt;html&lt;/div&gt;</p><p>Text[^1]</p><ul><li>[ ] task</li></ul>",
+			"Wrong storage format"
+		);
+
+		var arrWarnings = objConverter.getWarnings();
+
+		objRunner.assertEqual(arrWarnings.length, 4, "Wrong number of warnings");
+		objRunner.assertEqual(arrWarnings.pop().indexOf("Line 5: "), 0, "Wrong line number");
+	});
+
+	objRunner.test("Page bodies are set from Markdown", function() {
+		var objPage     = new ConfluencePage(new ConfluenceClient(ConfluenceTestRunner.URL));
+		var arrWarnings = objPage.setBodyFromMarkdown("Hello **world**");
+
+		objRunner.assertEqual(objPage.getBody(), "<p>Hello <strong>world</strong></p>", "Wrong body");
+		objRunner.assertEqual(arrWarnings.length, 0, "Unexpected warnings");
+		objRunner.assertThrows(function() {
+			objPage.setBodyFromMarkdown(null);
+		}, "Invalid Markdown was accepted");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
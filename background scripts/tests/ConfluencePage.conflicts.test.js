@@ -0,0 +1,139 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluenceError, ConfluencePage, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for handling version conflicts when updating pages with {@link ConfluencePage} and {@link ConfluenceClient}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluencePage.conflicts.test");
+
+	//rejects the passed number of updates as conflicting, the remote page has been changed to version 5
+	var stubConflicts = function(intConflicts) {
+		var intRejected = 0;
+
+		return objRunner.stubRequests(function(objRequest) {
+			if (objRequest.method === "put" && intRejected < intConflicts) {
+				intRejected += 1;
+
+				return {status: 409, body: "Version must be incremented on update."};
+			}
+
+			if (objRequest.method === "put") {
+				return {status: 200, body: {version: {number: JSON.parse(objRequest.body).version.number}}};
+			}
+
+			return {status: 200, body: ConfluenceTestRunner.createPageJson({id: "5", version: 5, body: "<p>Remote</p>", ancestors: ["1"]})};
+		});
+	};
+
+	var createChangedPage = function(objClient) {
+		var jsonPage = ConfluenceTestRunner.createPageJson({id: "5", version: 2, body: "<p>Local</p>", ancestors: ["1"]});
+		var objPage  = new ConfluencePage(objClient || new ConfluenceClient(ConfluenceTestRunner.URL), jsonPage);
+
+		objPage.setTitle("Changed");
+
+		return objPage;
+	};
+
+	objRunner.test("Conflicts abort the update by default", function() {
+		var arrRequests = stubConflicts(1);
+		var objClient   = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var objPage     = createChangedPage(objClient);
+
+		objRunner.assertEqual(objPage.update(), false, "Conflicting page was updated");
+		objRunner.assertEqual(arrRequests.length, 1, "Wrong number of requests");
+		objRunner.assertEqual(objPage.getAppliedConflictStrategy(), "fail", "Wrong applied strategy");
+		objRunner.assertEqual(objClient.getLastError().getStatusCode(), 409, "Wrong status code of the last error");
+	});
+
+	objRunner.test("Conflicts are thrown if errors are thrown", function() {
+		stubConflicts(1);
+
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var objPage   = createChangedPage(objClient);
+
+		objClient.setThrowOnError(true);
+
+		var objError = objRunner.assertThrows(function() {
+			objPage.update();
+		}, "Conflict was not thrown");
+
+		objRunner.assertTrue(objError instanceof ConfluenceError, "Wrong type of error");
+		objRunner.assertEqual(objError.getStatusCode(), 409, "Wrong status code");
+	});
+
+	objRunner.test("Conflicts are resolved by overwriting the remote page", function() {
+		var arrRequests = stubConflicts(1);
+		var objPage     = createChangedPage();
+
+		objRunner.assertTrue(objPage.update(false, {strategy: "overwrite"}), "Page was not updated");
+
+		var jsonPayload = JSON.parse(arrRequests.pop().body);
+
+		objRunner.assertEqual(jsonPayload.version.number, 6, "Wrong version number");
+		objRunner.assertEqual(jsonPayload.body.storage.value, "<p>Local</p>", "Wrong body");
+		objRunner.assertEqual(objPage.getVersionNumber(), 6, "Wrong version number of the page");
+		objRunner.assertEqual(objPage.getAppliedConflictStrategy(), "overwrite", "Wrong applied strategy");
+	});
+
+	objRunner.test("Conflicts are resolved by rebasing the local changes", function() {
+		var arrRequests = stubConflicts(1);
+		var objPage     = createChangedPage();
+
+		var isUpdated = objPage.update(false, {strategy: "rebase", transform: function(strRemoteBody) {
+			return strRemoteBody + "<p>Local</p>";
+		}});
+
+		var jsonPayload = JSON.parse(arrRequests.pop().body);
+
+		objRunner.assertTrue(isUpdated, "Page was not updated");
+		objRunner.assertEqual(jsonPayload.body.storage.value, "<p>Remote</p><p>Local</p>", "Wrong body");
+		objRunner.assertEqual(jsonPayload.title, "Changed", "Local title was not kept");
+	});
+
+	objRunner.test("Unresolved conflicts are thrown after the last attempt", function() {
+		var arrRequests = stubConflicts(99);
+		var objClient   = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var objPage     = createChangedPage(objClient);
+
+		objRunner.assertEqual(objPage.update(false, {strategy: "overwrite", maxAttempts: 2}), false, "Page was updated");
+		objRunner.assertEqual(arrRequests.length, 4, "Wrong number of requests");
+		objRunner.assertEqual(objClient.getLastError().getStatusCode(), 409, "Wrong status code of the last error");
+
+		objClient.setThrowOnError(true);
+
+		objRunner.assertThrows(function() {
+			objPage.update(false, {strategy: "overwrite", maxAttempts: 2});
+		}, "Conflict was not thrown");
+	});
+
+	objRunner.test("Invalid conflict options are rejected", function() {
+		var objPage = createChangedPage();
+
+		objRunner.assertThrows(function() {
+			objPage.update(false, {strategy: "merge"});
+		}, "Invalid strategy was accepted");
+		objRunner.assertThrows(function() {
+			objPage.update(false, {strategy: "rebase"});
+		}, "Missing transform function was accepted");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -0,0 +1,153 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluencePage, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for extracting links with {@link ConfluencePage#getLinks} and checking them with {@link ConfluenceClient#checkLinks}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluencePage.links.test");
+
+	var strBody =
+		"<h1>Intro</h1>" +
+		"<p>" +
+		"<a href=\"https://ok.example.com\">ok</a>" +
+		"<a href=\"https://dead.example.com\">dead</a>" +
+		"<a href=\"mailto:jane@example.com\">mail</a>" +
+		"</p>" +
+		"<p>" +
+		"<ac:link><ri:page ri:content-title=\"Other\" ri:space-key=\"tst\" /></ac:link>" +
+		"<ac:link><ri:page ri:content-title=\"Missing\" /></ac:link>" +
+		"<ac:link ac:anchor=\"Intro\" />" +
+		"<ac:link ac:anchor=\"Nowhere\" />" +
+		"<ac:link><ri:user ri:userkey=\"ff808\" /></ac:link>" +
+		"<ac:link><ri:attachment ri:filename=\"doc.pdf\" /><ac:plain-text-link-body><![CDATA[Doc]]></ac:plain-text-link-body></ac:link>" +
+		"</p>";
+
+	//answers title lookups for the page 'Other' and attachment requests with the file 'doc.pdf'
+	var stubTargets = function() {
+		return objRunner.stubRequests(function(objRequest) {
+			if (objRequest.endpoint.indexOf("/child/attachment?limit=1000&start=0&") != -1) {
+				return {status: 200, body: {results: [{id: "att1", title: "doc.pdf", version: {number: 1}, container: {id: "5"}}]}};
+			}
+
+			if (objRequest.endpoint.indexOf("/child/attachment") != -1) {
+				return {status: 200, body: {results: []}};
+			}
+
+			var isOther = objRequest.endpoint.indexOf("&title=Other&") != -1;
+
+			return {status: 200, body: {results: isOther ? [ConfluenceTestRunner.createPageJson({id: "6", title: "Other"})] : []}};
+		});
+	};
+
+	var createPage = function(objClient) {
+		var jsonPage = ConfluenceTestRunner.createPageJson({id: "5", body: strBody});
+
+		return new ConfluencePage(objClient || new ConfluenceClient(ConfluenceTestRunner.URL), jsonPage);
+	};
+
+	//checks the links of the test page and returns the states by URL, title, anchor, file name or type of the links
+	var checkLinks = function(objOptions) {
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var objReport = objClient.checkLinks([createPage(objClient)], objOptions).shift();
+		var objStates = {};
+
+		objReport.links.forEach(function(objResult) {
+			var objLink = objResult.link;
+
+			objStates[objLink.url || objLink.title || objLink.anchor || objLink.fileName || objLink.type] = objResult.status;
+		});
+
+		return objStates;
+	};
+
+	objRunner.test("All kinds of links are extracted", function() {
+		var arrLinks = createPage().getLinks();
+		var arrTypes = arrLinks.map(function(objLink) {
+			return objLink.type;
+		});
+
+		objRunner.assertEqual(arrTypes.join(), "external,external,external,page,page,anchor,anchor,user,attachment", "Wrong link types");
+		objRunner.assertEqual(arrLinks[3].spaceKey, "tst", "Wrong space key");
+		objRunner.assertEqual(arrLinks[7].userKey, "ff808", "Wrong user key");
+		objRunner.assertEqual(arrLinks[8].fileName, "doc.pdf", "Wrong file name");
+		objRunner.assertEqual(arrLinks[8].text, "Doc", "Wrong link text");
+	});
+
+	objRunner.test("Internal links are checked against Confluence", function() {
+		stubTargets();
+
+		var arrTypes = [
+			"page",
+			"anchor",
+			"attachment",
+		];
+
+		var objStates = checkLinks({types: arrTypes});
+
+		objRunner.assertEqual(objStates.Other, "ok", "Existing page is not ok");
+		objRunner.assertEqual(objStates.Missing, "broken", "Missing page is not broken");
+		objRunner.assertEqual(objStates.Intro, "ok", "Existing anchor is not ok");
+		objRunner.assertEqual(objStates.Nowhere, "broken", "Missing anchor is not broken");
+		objRunner.assertEqual(objStates["doc.pdf"], "ok", "Existing attachment is not ok");
+		objRunner.assertEqual(objStates.user, "skipped", "User link was checked");
+		objRunner.assertEqual(objStates["https://ok.example.com"], "skipped", "External link was checked");
+	});
+
+	objRunner.test("External links are checked with the custom checker", function() {
+		var arrUrls = [];
+
+		var objStates = checkLinks({types: ["external"], httpChecker: function(strUrl) {
+			arrUrls.push(strUrl);
+
+			return strUrl.indexOf("dead") == -1 ? 200 : 404;
+		}});
+
+		objRunner.assertEqual(objStates["https://ok.example.com"], "ok", "Reachable URL is not ok");
+		objRunner.assertEqual(objStates["https://dead.example.com"], "broken", "Unreachable URL is not broken");
+		objRunner.assertEqual(objStates["mailto:jane@example.com"], "skipped", "Mail address was checked");
+		objRunner.assertEqual(arrUrls.length, 2, "Wrong number of checked URLs");
+	});
+
+	objRunner.test("Failed lookups are distinguished from missing targets", function() {
+		objRunner.stubRequests(function() {
+			return {status: 500, body: "Internal Server Error"};
+		});
+
+		objRunner.assertEqual(checkLinks({types: ["page"]}).Other, "failed", "Failed lookup is not reported as failed");
+	});
+
+	objRunner.test("Invalid options are rejected", function() {
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var objPage   = createPage(objClient);
+
+		objRunner.assertThrows(function() {
+			objClient.checkLinks([objPage], {types: ["mail"]});
+		}, "Invalid link type was accepted");
+		objRunner.assertThrows(function() {
+			objClient.checkLinks([objPage], {httpChecker: "checker"});
+		}, "Invalid checker was accepted");
+		objRunner.assertThrows(function() {
+			objClient.checkLinks([{}]);
+		}, "Invalid page was accepted");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -0,0 +1,95 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluencePage, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for moving pages within the page tree and across spaces with {@link ConfluencePage} and {@link ConfluenceClient}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluencePage.move.test");
+
+	var createPage = function() {
+		var jsonPage = ConfluenceTestRunner.createPageJson({id: "5", version: 2, ancestors: ["1"]});
+
+		return new ConfluencePage(new ConfluenceClient(ConfluenceTestRunner.URL), jsonPage);
+	};
+
+	//answers the move request and returns the moved page with the passed values afterwards
+	var stubMove = function(objMovedPage) {
+		return objRunner.stubRequests(function(objRequest) {
+			if (objRequest.method === "put") {
+				return {status: 200, body: {}};
+			}
+
+			if (objRequest.endpoint.indexOf("/rest/api/space/") != -1) {
+				return {status: 200, body: {key: "dev", homepage: {id: "20"}}};
+			}
+
+			var strId = objRequest.endpoint.match(/content\/(\d+)/).pop();
+
+			return {status: 200, body: ConfluenceTestRunner.createPageJson(strId == "5" ? objMovedPage : {id: strId, spaceKey: "tst"})};
+		});
+	};
+
+	objRunner.test("Moved pages get the new location and version", function() {
+		var arrAncestors = [
+			"1",
+			"7",
+		];
+
+		var arrRequests = stubMove({id: "5", version: 3, ancestors: arrAncestors});
+		var objPage     = createPage();
+
+		objRunner.assertTrue(objPage.move("8", "after"), "Page was not moved");
+		objRunner.assertEqual(arrRequests.shift().endpoint, ConfluenceTestRunner.URL + "/rest/api/content/5/move/after/8", "Wrong endpoint");
+		objRunner.assertEqual(objPage.getParentPageId(), "7", "Wrong parent page");
+		objRunner.assertEqual(objPage.getAncestors().length, 2, "Wrong ancestors");
+		objRunner.assertEqual(objPage.getVersionNumber(), 3, "Wrong version number");
+		objRunner.assertEqual(objPage.hasChanges(), false, "Moved page has changes");
+	});
+
+	objRunner.test("Invalid move targets are rejected", function() {
+		var objPage = createPage();
+
+		objRunner.assertThrows(function() {
+			objPage.move("5");
+		}, "Page was moved relative to itself");
+		objRunner.assertThrows(function() {
+			objPage.move("8", "below");
+		}, "Invalid position was accepted");
+	});
+
+	objRunner.test("Pages are moved to the homepage of another space", function() {
+		var arrRequests = stubMove({id: "5", version: 3, spaceKey: "dev", ancestors: ["20"]});
+		var objPage     = createPage();
+
+		objRunner.assertTrue(objPage.moveToSpace("dev"), "Page was not moved");
+		objRunner.assertEqual(arrRequests[1].endpoint, ConfluenceTestRunner.URL + "/rest/api/content/5/move/append/20", "Wrong endpoint");
+		objRunner.assertEqual(objPage.getSpaceKey(), "dev", "Wrong space key");
+	});
+
+	objRunner.test("Parent pages of other spaces are rejected", function() {
+		var arrRequests = stubMove({id: "5"});
+
+		objRunner.assertEqual(createPage().moveToSpace("dev", "9"), false, "Page was moved below a page of another space");
+		objRunner.assertEqual(arrRequests.length, 1, "Page was moved");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -0,0 +1,121 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluencePage, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for changing page restrictions with {@link ConfluencePage} and writing them back with {@link ConfluenceClient}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluencePage.restrictions.test");
+
+	var createPage = function(objOptions) {
+		var jsonPage = ConfluenceTestRunner.createPageJson();
+
+		jsonPage.restrictions.read.restrictions.user.results.push({type: "known", username: "alice"});
+		jsonPage.restrictions.update.restrictions.user.results.push({type: "known", username: "alice"});
+
+		return new ConfluencePage(new ConfluenceClient(ConfluenceTestRunner.URL, objOptions), jsonPage);
+	};
+
+	var getNames = function(arrRestrictions) {
+		return arrRestrictions.map(function(objRestriction) {
+			return objRestriction.username || objRestriction.accountId || objRestriction.name;
+		}).join();
+	};
+
+	objRunner.test("Unchanged restrictions are not written back", function() {
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 200, body: {}};
+		});
+
+		objRunner.assertTrue(createPage().updatePageRestrictions(), "Unchanged restrictions have failed");
+		objRunner.assertEqual(arrRequests.length, 0, "Request was sent");
+	});
+
+	objRunner.test("Added restrictions are written back once", function() {
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 200, body: {}};
+		});
+
+		var objPage = createPage();
+
+		objPage.addUserReadingRestriction("bob");
+		objPage.addUserReadingRestriction("bob");
+		objPage.addGroupUpdatingRestriction("admins");
+
+		objRunner.assertTrue(objPage.updatePageRestrictions(), "Restrictions were not updated");
+		objRunner.assertTrue(objPage.updatePageRestrictions(), "Unchanged restrictions have failed");
+		objRunner.assertEqual(arrRequests.length, 1, "Wrong number of requests");
+
+		var objRequest = arrRequests.shift();
+		var arrPayload = JSON.parse(objRequest.body);
+
+		objRunner.assertEqual(objRequest.method, "put", "Wrong HTTP method");
+		objRunner.assertEqual(objRequest.endpoint, ConfluenceTestRunner.URL + "/rest/experimental/content/1/restriction", "Wrong endpoint");
+		objRunner.assertEqual(getNames(arrPayload[0].restrictions.user), "alice,bob", "Wrong reading users");
+		objRunner.assertEqual(getNames(arrPayload[1].restrictions.group), "admins", "Wrong updating groups");
+	});
+
+	objRunner.test("Restrictions are removed for the given operation only", function() {
+		var objPage = createPage();
+
+		objPage.removeUserRestriction("alice", "read");
+
+		objRunner.assertEqual(getNames(objPage.getUserReadingRestrictions()), "", "User was not removed");
+		objRunner.assertEqual(getNames(objPage.getUserUpdatingRestrictions()), "alice", "User was removed from both lists");
+		objRunner.assertTrue(objPage.hasChanges(), "Removed restriction is not a change");
+		objRunner.assertThrows(function() {
+			objPage.removeUserRestriction("alice", "delete");
+		}, "Invalid operation was accepted");
+	});
+
+	objRunner.test("Replaced restrictions are validated", function() {
+		var objPage   = createPage();
+		var arrGroups = [
+			"staff",
+			"admins",
+		];
+
+		objPage.setGroupReadingRestrictions(arrGroups);
+
+		objRunner.assertEqual(getNames(objPage.getGroupReadingRestrictions()), "staff,admins", "Wrong groups");
+		objRunner.assertThrows(function() {
+			objPage.setUserReadingRestrictions([""]);
+		}, "Empty user name was accepted");
+	});
+
+	objRunner.test("Confluence Cloud restrictions are written with account IDs", function() {
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 200, body: {}};
+		});
+
+		var objPage = createPage({deploymentType: "cloud"});
+
+		objPage.setUserUpdatingRestrictions(["5b10a2844c20165700ede21g"]);
+		objPage.updatePageRestrictions();
+
+		var objRequest = arrRequests.shift();
+		var arrPayload = JSON.parse(objRequest.body);
+
+		objRunner.assertEqual(objRequest.endpoint, ConfluenceTestRunner.URL + "/wiki/rest/api/content/1/restriction", "Wrong endpoint");
+		objRunner.assertEqual(arrPayload[1].restrictions.user[0].accountId, "5b10a2844c20165700ede21g", "Wrong account ID");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
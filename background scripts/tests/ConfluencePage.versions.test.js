@@ -0,0 +1,114 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluencePage, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for listing, loading and restoring page versions with {@link ConfluencePage} and {@link ConfluenceClient}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluencePage.versions.test");
+
+	var createPage = function(intVersion) {
+		var jsonPage = ConfluenceTestRunner.createPageJson({version: intVersion, body: "<p>Version " + intVersion + "</p>"});
+
+		return new ConfluencePage(new ConfluenceClient(ConfluenceTestRunner.URL), jsonPage);
+	};
+
+	objRunner.test("Versions are loaded page by page", function() {
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			if (objRequest.endpoint.indexOf("start=0") != -1) {
+				var arrResults = [
+					{number: 2, when: "2020-05-02T10:00:00.000Z", by: {username: "bob"}, message: "Fix", minorEdit: true},
+					{number: 1, when: "2020-05-01T10:00:00.000Z", by: {username: "alice"}},
+				];
+
+				return {status: 200, body: {results: arrResults}};
+			}
+
+			return {status: 200, body: {results: []}};
+		});
+
+		var arrVersions = createPage(2).loadVersions();
+
+		objRunner.assertEqual(arrVersions.length, 2, "Wrong number of versions");
+		objRunner.assertEqual(arrVersions[0].authorUserName, "bob", "Wrong author");
+		objRunner.assertEqual(arrVersions[0].minorEdit, true, "Wrong minor edit flag");
+		objRunner.assertEqual(arrVersions[1].message, "", "Wrong default message");
+		objRunner.assertTrue(arrRequests.shift().endpoint.indexOf("/rest/experimental/content/1/version?") != -1, "Wrong endpoint");
+	});
+
+	objRunner.test("Historical versions are loaded with their body", function() {
+		var arrRequests = objRunner.stubRequests(function() {
+			var jsonPage = ConfluenceTestRunner.createPageJson({status: "historical", body: "<p>Old</p>"});
+
+			return {status: 200, body: jsonPage};
+		});
+
+		var objVersion = createPage(2).loadVersion(1);
+
+		objRunner.assertEqual(objVersion.getBody(), "<p>Old</p>", "Wrong body");
+		objRunner.assertTrue(arrRequests.shift().endpoint.indexOf("?status=historical&version=1&") != -1, "Wrong endpoint");
+	});
+
+	objRunner.test("Historical versions cannot be updated", function() {
+		objRunner.stubRequests(function() {
+			return {status: 200, body: ConfluenceTestRunner.createPageJson({status: "historical"})};
+		});
+
+		var objVersion = createPage(2).loadVersion(1);
+
+		objVersion.setTitle("Changed");
+
+		objRunner.assertThrows(function() {
+			objVersion.update();
+		}, "Historical version was updated");
+	});
+
+	objRunner.test("Restored versions are reloaded", function() {
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			if (objRequest.method === "post") {
+				return {status: 200, body: {}};
+			}
+
+			return {status: 200, body: ConfluenceTestRunner.createPageJson({version: 3, body: "<p>Version 1</p>"})};
+		});
+
+		var objPage = createPage(2);
+
+		objRunner.assertTrue(objPage.restoreVersion(1), "Version was not restored");
+		objRunner.assertEqual(objPage.getVersionNumber(), 3, "Wrong version number");
+		objRunner.assertEqual(objPage.getBody(), "<p>Version 1</p>", "Wrong body");
+		objRunner.assertEqual(objPage.hasChanges(), false, "Restored page has changes");
+
+		var objPayload = JSON.parse(arrRequests.shift().body);
+
+		objRunner.assertEqual(objPayload.params.versionNumber, 1, "Wrong version number in payload");
+		objRunner.assertEqual(objPayload.params.message, "Restored version 1", "Wrong default message");
+	});
+
+	objRunner.test("Invalid version numbers are rejected", function() {
+		var objPage = createPage(2);
+
+		objRunner.assertThrows(function() {
+			objPage.loadVersion("first");
+		}, "Invalid version number was accepted");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
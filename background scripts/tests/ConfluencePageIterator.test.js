@@ -0,0 +1,130 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for iterating search results and child pages batch by batch with {@link ConfluencePageIterator} and {@link ConfluenceClient}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluencePageIterator.test");
+
+	//answers each request with the requested slice of five pages, or with an error from the given offset on
+	var stubPages = function(intFailAt) {
+		return objRunner.stubRequests(function(objRequest) {
+			var intStart = parseInt(objRequest.endpoint.match(/start=(\d+)/).pop(), 10);
+			var intLimit = parseInt(objRequest.endpoint.match(/limit=(\d+)/).pop(), 10);
+			var arrPages = [];
+
+			if (intStart >= intFailAt) {
+				return {status: 500, body: "Internal Server Error"};
+			}
+
+			for (var i = intStart; i < Math.min(intStart + intLimit, 5); i++) {
+				arrPages.push(ConfluenceTestRunner.createPageJson({id: String(i + 1), title: "Page " + (i + 1)}));
+			}
+
+			return {status: 200, body: {results: arrPages}};
+		});
+	};
+
+	var collectIds = function(objClient, objOptions) {
+		var arrIds = [];
+
+		objClient.forEachChildPage("1", function(objPage, intOffset) {
+			arrIds.push(objPage.getId() + "@" + intOffset);
+		}, objOptions);
+
+		return arrIds.join();
+	};
+
+	objRunner.test("Child pages are loaded batch by batch", function() {
+		var arrRequests = stubPages(99);
+		var objClient   = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objRunner.assertEqual(collectIds(objClient, {batchSize: 2}), "1@0,2@1,3@2,4@3,5@4", "Wrong pages");
+		objRunner.assertEqual(arrRequests.length, 4, "Wrong number of requests");
+	});
+
+	objRunner.test("Iterations are stopped by the callback", function() {
+		var arrRequests = stubPages(99);
+		var objClient   = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		var intCount = objClient.forEachChildPage("1", function(objPage) {
+			return objPage.getId() !== "3";
+		}, {batchSize: 2});
+
+		objRunner.assertEqual(intCount, 3, "Wrong number of pages");
+		objRunner.assertEqual(arrRequests.length, 2, "Wrong number of requests");
+	});
+
+	objRunner.test("Iterations are resumed at the given offset", function() {
+		var arrRequests = stubPages(99);
+		var objClient   = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objRunner.assertEqual(collectIds(objClient, {startAt: 3}), "4@3,5@4", "Wrong pages");
+		objRunner.assertTrue(arrRequests.shift().endpoint.indexOf("&start=3") != -1, "Wrong start offset");
+	});
+
+	objRunner.test("Failed batches end the iteration", function() {
+		stubPages(2);
+
+		var objIterator = new ConfluenceClient(ConfluenceTestRunner.URL).getChildPageIterator("1", {batchSize: 2});
+		var intCount    = 0;
+
+		while (objIterator.hasNext()) {
+			objIterator.next();
+			intCount += 1;
+		}
+
+		objRunner.assertEqual(intCount, 2, "Wrong number of pages");
+		objRunner.assertTrue(objIterator.hasFailed(), "Iteration has not failed");
+		objRunner.assertEqual(objIterator.getOffset(), 2, "Wrong offset for resuming");
+		objRunner.assertThrows(function() {
+			objIterator.next();
+		}, "Exhausted iterator returned a page");
+	});
+
+	objRunner.test("Failed searches return no count", function() {
+		stubPages(0);
+
+		var intCount = new ConfluenceClient(ConfluenceTestRunner.URL).forEachPage("space=tst", function() {
+			return true;
+		});
+
+		objRunner.assertEqual(intCount, null, "Failed search returned a count");
+	});
+
+	objRunner.test("Page searches are restricted to pages by default", function() {
+		var arrRequests = stubPages(99);
+
+		new ConfluenceClient(ConfluenceTestRunner.URL).forEachPage("space=tst", function() {
+			return false;
+		});
+
+		objRunner.assertTrue(arrRequests.shift().endpoint.indexOf("cql=(space=tst) AND type=page&") != -1, "Wrong CQL query");
+	});
+
+	objRunner.test("Callbacks are validated", function() {
+		objRunner.assertThrows(function() {
+			new ConfluenceClient(ConfluenceTestRunner.URL).forEachChildPage("1", "callback");
+		}, "Invalid callback was accepted");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -0,0 +1,159 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluencePage, ConfluenceScaffoldingForm, ConfluenceTestRunner, GlideDateTime */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for typed access to Scaffolding data with {@link ConfluenceScaffoldingForm}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceScaffoldingForm.test");
+
+	var createData = function() {
+		return [
+			{name: "Title", value: "Release"},
+			{name: "Count", value: 3},
+			{name: "Done", value: false},
+			{name: "Due", value: "2020-05-12T00:00:00.000+0200"},
+			{name: "Tags", value: [
+				"a",
+				"b",
+			]},
+			{name: "Tasks", value: [
+				[
+					{name: "Name", value: "Build"},
+					{name: "Prio", value: 1},
+				],
+			]},
+			{name: "Owner", value: [{name: "Team", value: "Core"}]},
+		];
+	};
+
+	objRunner.test("Types are derived from the stored values", function() {
+		var objForm  = new ConfluenceScaffoldingForm(createData());
+		var arrTypes = objForm.getFieldNames().map(objForm.getFieldType, objForm);
+
+		objRunner.assertEqual(arrTypes.join(","), "text,number,boolean,date,list,table,group", "Wrong field types");
+		objRunner.assertEqual(objForm.getFieldType("Missing"), undefined, "Missing field has a type");
+	});
+
+	objRunner.test("Values are returned typed", function() {
+		var objForm = new ConfluenceScaffoldingForm(createData());
+
+		objRunner.assertEqual(objForm.getValue("Count"), 3, "Wrong number");
+		objRunner.assertEqual(objForm.getValue("Done"), false, "Wrong boolean");
+		objRunner.assertEqual(objForm.getValue("Due").getNumericValue(), Date.UTC(2020, 4, 11, 22), "Wrong date");
+		objRunner.assertEqual(objForm.getValue("Tags").join(","), "a,b", "Wrong list");
+		objRunner.assertEqual(objForm.getValue("Owner").getValue("Team"), "Core", "Wrong group value");
+		objRunner.assertEqual(objForm.getValue("Missing"), undefined, "Missing field has a value");
+	});
+
+	objRunner.test("Values are stored in the format of Scaffolding", function() {
+		var arrData = createData();
+		var objForm = new ConfluenceScaffoldingForm(arrData);
+		var gdtDue  = new GlideDateTime();
+
+		gdtDue.setNumericValue(Date.UTC(2021, 0, 31, 8, 30));
+
+		objForm.setValue("Due", gdtDue);
+		objForm.setValue("Count", 0);
+		objForm.setValue("Title", null);
+		objForm.setValue("Comment", "new");
+
+		objRunner.assertEqual(arrData[3].value, "2021-01-31T08:30:00.000+0000", "Wrong date value");
+		objRunner.assertEqual(arrData[1].value, 0, "Wrong number value");
+		objRunner.assertEqual(arrData[0].value, "", "Wrong empty value");
+		objRunner.assertEqual(arrData[7].name + "=" + arrData[7].value, "Comment=new", "New field has not been added");
+	});
+
+	objRunner.test("Rows change the Scaffolding data directly", function() {
+		var arrData = createData();
+		var objForm = new ConfluenceScaffoldingForm(arrData);
+
+		objForm.getRows("Tasks")[0].setValue("Prio", 2);
+		objForm.addRow("Tasks", {Name: "Test"});
+
+		var arrRows = arrData[5].value;
+
+		objRunner.assertEqual(arrRows.length, 2, "Row has not been added");
+		objRunner.assertEqual(arrRows[0][1].value, 2, "Changed value has not been stored");
+		objRunner.assertEqual(arrRows[1][0].name + "=" + arrRows[1][0].value, "Name=Test", "Wrong value of the new row");
+		objRunner.assertEqual(arrRows[1][1].name + "=" + arrRows[1][1].value, "Prio=", "New row has not the fields of the existing row");
+		objRunner.assertEqual(objForm.removeRow("Tasks", 5), false, "Missing row has been removed");
+		objRunner.assertEqual(objForm.removeRow("Tasks", 0), true, "Row has not been removed");
+		objRunner.assertEqual(objForm.getRows("Tasks")[0].getValue("Name"), "Test", "Wrong remaining row");
+	});
+
+	objRunner.test("Rows of other fields than tables are rejected", function() {
+		var objForm = new ConfluenceScaffoldingForm(createData());
+
+		objRunner.assertThrows(function() {
+			objForm.getRows("Title");
+		}, "Rows of a text field have been returned");
+		objRunner.assertThrows(function() {
+			objForm.addRow("Tags");
+		}, "Row has been added to a list field");
+	});
+
+	objRunner.test("Each change is reported", function() {
+		var intChanges = 0;
+		var objForm    = new ConfluenceScaffoldingForm(createData(), function() {
+			intChanges += 1;
+		});
+
+		objForm.setValue("Title", "Changed");
+		objForm.getRows("Tasks")[0].setValue("Name", "Changed");
+		objForm.getValue("Owner").setValue("Team", "Changed");
+		objForm.addRow("Tasks");
+		objForm.removeRow("Tasks", 0);
+
+		objRunner.assertEqual(intChanges, 5, "Wrong number of reported changes");
+	});
+
+	objRunner.test("Forms are converted into plain objects", function() {
+		var objResult = new ConfluenceScaffoldingForm(createData()).toObject();
+
+		objRunner.assertEqual(objResult.Tasks[0].Name, "Build", "Wrong row value");
+		objRunner.assertEqual(objResult.Owner.Team, "Core", "Wrong group value");
+		objRunner.assertEqual(objResult.Title, "Release", "Wrong text value");
+	});
+
+	objRunner.test("Pages write back the changed Scaffolding data in its structure", function() {
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 200, body: createData()};
+		});
+
+		var objPage = new ConfluencePage(new ConfluenceClient(ConfluenceTestRunner.URL), ConfluenceTestRunner.createPageJson({id: "5"}));
+
+		objRunner.assertTrue(objPage.loadScaffoldingData(), "Scaffolding data was not loaded");
+
+		objPage.setScaffoldingValue("Done", true);
+		objPage.getScaffoldingForm().getRows("Tasks")[0].setValue("Prio", 0);
+
+		objRunner.assertTrue(objPage.updateScaffoldingData(), "Scaffolding data was not written back");
+
+		var arrExpected = createData();
+
+		arrExpected[2].value       = true;
+		arrExpected[5].value[0][1] = {name: "Prio", value: 0};
+
+		objRunner.assertEqual(arrRequests.pop().body, JSON.stringify(arrExpected), "Wrong Scaffolding data");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -0,0 +1,151 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluencePage, ConfluenceScaffoldingForm, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for parsing field definitions from Scaffolding macros and for validating Scaffolding data against them with 
+ * {@link ConfluenceScaffoldingForm} and {@link ConfluenceClient#loadScaffoldingSchema}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceScaffoldingSchema.test");
+
+	var strSchemaStorage =
+		"<p><ac:structured-macro ac:name=\"text-data\">" +
+		"<ac:parameter ac:name=\"name\">Title</ac:parameter><ac:parameter ac:name=\"required\">true</ac:parameter>" +
+		"</ac:structured-macro>" +
+		"<ac:structured-macro ac:name=\"number-data\"><ac:parameter ac:name=\"name\">Count</ac:parameter></ac:structured-macro>" +
+		"<ac:structured-macro ac:name=\"list-data\"><ac:parameter ac:name=\"name\">Status</ac:parameter><ac:rich-text-body>" +
+		"<ac:structured-macro ac:name=\"list-option\"><ac:rich-text-body>Open</ac:rich-text-body></ac:structured-macro>" +
+		"<ac:structured-macro ac:name=\"list-option\"><ac:rich-text-body>Closed</ac:rich-text-body></ac:structured-macro>" +
+		"</ac:rich-text-body></ac:structured-macro></p>" +
+		"<ac:structured-macro ac:name=\"table-data\"><ac:parameter ac:name=\"name\">Tasks</ac:parameter><ac:rich-text-body>" +
+		"<table><tr>" +
+		"<td><ac:structured-macro ac:name=\"text-data\"><ac:parameter ac:name=\"name\">Name</ac:parameter></ac:structured-macro></td>" +
+		"<td><ac:structured-macro ac:name=\"date-data\"><ac:parameter ac:name=\"name\">Due</ac:parameter></ac:structured-macro></td>" +
+		"</tr></table>" +
+		"</ac:rich-text-body></ac:structured-macro>";
+
+	var createSchemaData = function() {
+		return [
+			{name: "Title", value: "Release"},
+			{name: "Count", value: ""},
+			{name: "Status", value: ""},
+			{name: "Tasks", value: ""},
+		];
+	};
+
+	objRunner.test("Field definitions are parsed from Scaffolding macros", function() {
+		var arrSchema = ConfluenceScaffoldingForm.parseSchema(strSchemaStorage);
+		var arrNames  = arrSchema.map(function(objDefinition) {
+			return objDefinition.name + ":" + objDefinition.type;
+		});
+
+		objRunner.assertEqual(arrNames.join(","), "Title:text,Count:number,Status:list,Tasks:table", "Wrong field definitions");
+		objRunner.assertEqual(arrSchema[0].required, true, "Required field is not marked");
+		objRunner.assertEqual(arrSchema[2].options.join(","), "Open,Closed", "Wrong list options");
+		objRunner.assertEqual(arrSchema[3].fields.length, 2, "Wrong number of nested fields");
+		objRunner.assertEqual(arrSchema[3].fields[1].type, "date", "Wrong type of a nested field");
+	});
+
+	objRunner.test("Empty values are returned typed according to the schema", function() {
+		var arrSchema = ConfluenceScaffoldingForm.parseSchema(strSchemaStorage);
+		var objForm   = new ConfluenceScaffoldingForm(createSchemaData(), null, arrSchema);
+
+		objRunner.assertEqual(objForm.getFieldType("Tasks"), "table", "Wrong field type");
+		objRunner.assertEqual(objForm.getValue("Count"), null, "Wrong empty number");
+		objRunner.assertEqual(objForm.getValue("Status").length, 0, "Wrong empty list");
+		objRunner.assertEqual(objForm.getValue("Tasks").length, 0, "Wrong empty table");
+	});
+
+	objRunner.test("Values are validated against the schema", function() {
+		var arrSchema = ConfluenceScaffoldingForm.parseSchema(strSchemaStorage);
+		var objForm   = new ConfluenceScaffoldingForm(createSchemaData(), null, arrSchema);
+
+		objForm.setValue("Count", "5");
+		objForm.setValue("Status", "Closed");
+
+		objRunner.assertEqual(objForm.getValue("Count"), 5, "Numeric String has not been converted");
+		objRunner.assertEqual(objForm.getValue("Status").join(","), "Closed", "Wrong list value");
+
+		objRunner.assertThrows(function() {
+			objForm.setValue("Count", "many");
+		}, "Invalid number has been accepted");
+		objRunner.assertThrows(function() {
+			objForm.setValue("Status", "Unknown");
+		}, "Unknown list option has been accepted");
+		objRunner.assertThrows(function() {
+			objForm.setValue("Status", [
+				"Open",
+				"Closed",
+			]);
+		}, "Several options have been accepted for a single selection list");
+		objRunner.assertThrows(function() {
+			objForm.setValue("Title", "");
+		}, "Required field has been emptied");
+		objRunner.assertThrows(function() {
+			objForm.setValue("Titel", "Typo");
+		}, "Undefined field has been added");
+	});
+
+	objRunner.test("Rows are added to empty table fields", function() {
+		var arrData   = createSchemaData();
+		var arrSchema = ConfluenceScaffoldingForm.parseSchema(strSchemaStorage);
+		var objForm   = new ConfluenceScaffoldingForm(arrData, null, arrSchema);
+
+		objForm.addRow("Tasks", {Name: "Build"});
+
+		objRunner.assertEqual(arrData[3].value.length, 1, "Row has not been added");
+		objRunner.assertEqual(arrData[3].value[0][0].value, "Build", "Wrong value of the new row");
+		objRunner.assertEqual(arrData[3].value[0][1].name, "Due", "New row has not the fields of the schema");
+	});
+
+	objRunner.test("Invalid rows do not change the Scaffolding data", function() {
+		var arrData   = createSchemaData();
+		var arrSchema = ConfluenceScaffoldingForm.parseSchema(strSchemaStorage);
+		var objForm   = new ConfluenceScaffoldingForm(arrData.slice(0, 3), null, arrSchema);
+
+		objRunner.assertThrows(function() {
+			objForm.addRow("Tasks", {Due: "tomorrow"});
+		}, "Invalid date has been accepted");
+		objRunner.assertEqual(objForm.hasField("Tasks"), false, "Field has been added despite an invalid row");
+	});
+
+	objRunner.test("Schemas are loaded with the body of pages", function() {
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 200, body: ConfluenceTestRunner.createPageJson({id: "5", body: strSchemaStorage})};
+		});
+
+		var objPage = new ConfluencePage(new ConfluenceClient(ConfluenceTestRunner.URL));
+
+		objPage.setId("5");
+		objPage.setScaffoldingData(createSchemaData());
+
+		objRunner.assertTrue(objPage.loadScaffoldingSchema(), "Schema was not loaded");
+		objRunner.assertEqual(arrRequests.length, 1, "Page body was not loaded");
+		objRunner.assertEqual(objPage.getScaffoldingSchema().length, 4, "Wrong number of field definitions");
+		objRunner.assertThrows(function() {
+			objPage.setScaffoldingValue("Status", "Unknown");
+		}, "Unknown list option has been accepted");
+		objRunner.assertThrows(function() {
+			objPage.setScaffoldingValue("Titel", "Typo");
+		}, "Undefined field has been added");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
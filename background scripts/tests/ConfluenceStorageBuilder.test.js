@@ -0,0 +1,227 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceStorageBuilder, ConfluenceStorageDocument, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for creating storage format with {@link ConfluenceStorageBuilder}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceStorageBuilder.test");
+
+	//invokes the passed function with a new builder and returns the created storage format
+	var build = function(fnBuild, objOptions) {
+		var objBuilder = new ConfluenceStorageBuilder(objOptions);
+
+		fnBuild(objBuilder);
+
+		return objBuilder.toString();
+	};
+
+	objRunner.test("Texts and attribute values are escaped", function() {
+		var strStorage = build(function(objBuilder) {
+			objBuilder.heading(2, "Tom & Jerry <3");
+			objBuilder.link("https://example.com/?a=1&b=\"2\"", "Example");
+		});
+
+		objRunner.assertEqual(
+			strStorage,
+			"<h2>Tom &amp; Jerry &lt;3</h2>" +
+			"<a href=\"https://example.com/?a=1&amp;b=&quot;2&quot;\">Example</a>",
+			"Wrong storage format"
+		);
+	});
+
+	objRunner.test("Nested content is created with builders, documents and Arrays", function() {
+		var objDocument = new ConfluenceStorageDocument("<em>done</em>");
+		var arrContent  = [
+			"State: ",
+			objDocument,
+			" ",
+			function(objBuilder) {
+				objBuilder.strong("now");
+			},
+		];
+
+		var arrItems = [
+			"a",
+			"b",
+		];
+
+		var strStorage = build(function(objBuilder) {
+			objBuilder.paragraph(arrContent);
+			objBuilder.list(arrItems, true);
+		});
+
+		objRunner.assertEqual(
+			strStorage,
+			"<p>State: <em>done</em> <strong>now</strong></p><ol><li>a</li><li>b</li></ol>",
+			"Wrong storage format"
+		);
+	});
+
+	objRunner.test("Tables are created with optional header row", function() {
+		var arrHeaders = [
+			"Number",
+			"State",
+		];
+
+		var arrRow = [
+			"INC0010001",
+			"Closed",
+		];
+
+		objRunner.assertEqual(
+			build(function(objBuilder) {
+				objBuilder.table(arrHeaders, [arrRow], {fullWidth: true});
+			}),
+			"<table data-layout=\"full-width\"><tbody>" +
+			"<tr><th>Number</th><th>State</th></tr><tr><td>INC0010001</td><td>Closed</td></tr>" +
+			"</tbody></table>",
+			"Wrong table with header row"
+		);
+		objRunner.assertEqual(
+			build(function(objBuilder) {
+				objBuilder.table(null, [arrRow]);
+			}),
+			"<table><tbody><tr><td>INC0010001</td><td>Closed</td></tr></tbody></table>",
+			"Wrong table without header row"
+		);
+	});
+
+	objRunner.test("Panels wrap plain text into paragraphs and skip missing parameters", function() {
+		objRunner.assertEqual(
+			build(function(objBuilder) {
+				objBuilder.panel("warning", "Be careful", {title: "A & B"});
+			}),
+			"<ac:structured-macro ac:name=\"warning\" ac:schema-version=\"1\">" +
+			"<ac:parameter ac:name=\"title\">A &amp; B</ac:parameter>" +
+			"<ac:rich-text-body><p>Be careful</p></ac:rich-text-body>" +
+			"</ac:structured-macro>",
+			"Wrong panel"
+		);
+	});
+
+	objRunner.test("Code blocks are wrapped into CDATA sections", function() {
+		var objBuilder = new ConfluenceStorageBuilder();
+
+		objBuilder.code("if (a[b[0]]>1 && c) {}", {language: "javascript"});
+
+		var objDocument = objBuilder.toDocument();
+		var objMacro    = objDocument.findMacros("code").shift();
+
+		objRunner.assertEqual(objMacro.getParameter("language"), "javascript", "Wrong language");
+		objRunner.assertEqual(objMacro.getPlainTextBody(), "if (a[b[0]]>1 && c) {}", "Wrong code");
+	});
+
+	objRunner.test("Inline macros are created with their parameters", function() {
+		var objDocument = new ConfluenceStorageDocument(build(function(objBuilder) {
+			objBuilder.status("Done", {colour: "Green"});
+			objBuilder.jiraIssue("PRJ-123", {server: "Jira"});
+			objBuilder.jiraIssues("project = PRJ", {maximumIssues: 10});
+			objBuilder.toc({maxLevel: 2});
+			objBuilder.expand("Details", "Hidden");
+		}));
+
+		var arrJira   = objDocument.findMacros("jira");
+		var objStatus = objDocument.findMacros("status").shift();
+		var objToc    = objDocument.findMacros("toc").shift();
+		var objExpand = objDocument.findMacros("expand").shift();
+
+		objRunner.assertEqual(objStatus.getParameter("colour"), "Green", "Wrong colour");
+		objRunner.assertEqual(arrJira[0].getParameter("key"), "PRJ-123", "Wrong issue key");
+		objRunner.assertEqual(arrJira[1].getParameter("jqlQuery"), "project = PRJ", "Wrong JQL query");
+		objRunner.assertEqual(objToc.getParameter("maxLevel"), "2", "Wrong maximum level");
+		objRunner.assertEqual(objExpand.getRichTextBody(), "<p>Hidden</p>", "Wrong expand body");
+	});
+
+	objRunner.test("Users are mentioned depending on the deployment type", function() {
+		objRunner.assertEqual(
+			build(function(objBuilder) {
+				objBuilder.mention("ff80808");
+			}),
+			"<ac:link><ri:user ri:userkey=\"ff80808\" /></ac:link>",
+			"Wrong mention for Confluence Server"
+		);
+		objRunner.assertEqual(
+			build(function(objBuilder) {
+				objBuilder.mention("5b10a28");
+			}, {deploymentType: "cloud"}),
+			"<ac:link><ri:user ri:account-id=\"5b10a28\" /></ac:link>",
+			"Wrong mention for Confluence Cloud"
+		);
+	});
+
+	objRunner.test("Page links and images reference other pages", function() {
+		var strStorage = build(function(objBuilder) {
+			objBuilder.pageLink("Q&A", {spaceKey: "tst", text: "FAQ"});
+			objBuilder.image("logo.png", {pageTitle: "Home", width: 100});
+		});
+
+		objRunner.assertEqual(
+			strStorage,
+			"<ac:link><ri:page ri:space-key=\"tst\" ri:content-title=\"Q&amp;A\" />" +
+			"<ac:plain-text-link-body><![CDATA[FAQ]]></ac:plain-text-link-body></ac:link>" +
+			"<ac:image ac:width=\"100\"><ri:attachment ri:filename=\"logo.png\">" +
+			"<ri:page ri:content-title=\"Home\" /></ri:attachment></ac:image>",
+			"Wrong storage format"
+		);
+	});
+
+	objRunner.test("Layouts contain the given number of cells", function() {
+		var arrCells = [
+			"Left",
+			"Right",
+		];
+
+		objRunner.assertEqual(
+			build(function(objBuilder) {
+				objBuilder.layout([{type: "two_equal", cells: arrCells}]);
+			}),
+			"<ac:layout><ac:layout-section ac:type=\"two_equal\">" +
+			"<ac:layout-cell><p>Left</p></ac:layout-cell><ac:layout-cell><p>Right</p></ac:layout-cell>" +
+			"</ac:layout-section></ac:layout>",
+			"Wrong layout"
+		);
+		objRunner.assertThrows(function() {
+			new ConfluenceStorageBuilder().layout([{type: "three_equal", cells: arrCells}]);
+		}, "Layout with missing cells was accepted");
+	});
+
+	objRunner.test("Invalid values are rejected", function() {
+		var objBuilder = new ConfluenceStorageBuilder();
+
+		objRunner.assertThrows(function() {
+			objBuilder.heading(7, "Heading");
+		}, "Invalid heading level was accepted");
+		objRunner.assertThrows(function() {
+			objBuilder.panel("error", "Text");
+		}, "Invalid panel type was accepted");
+		objRunner.assertThrows(function() {
+			objBuilder.status("Done", {colour: "Orange"});
+		}, "Invalid colour was accepted");
+		objRunner.assertThrows(function() {
+			objBuilder.jiraIssue("prj-1");
+		}, "Invalid issue key was accepted");
+		objRunner.assertThrows(function() {
+			return new ConfluenceStorageBuilder({deploymentType: "datacenter"});
+		}, "Invalid deployment type was accepted");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
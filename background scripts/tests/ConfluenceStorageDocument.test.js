@@ -0,0 +1,123 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceStorageDocument, ConfluenceStorageNode, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for parsing and serializing storage format with {@link ConfluenceStorageDocument} and {@link ConfluenceStorageNode}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceStorageDocument.test");
+
+	var strStorage =
+		"<p>Text with&nbsp;entities &auml; and <strong>markup</strong><br/><img src='logo.png' /></p>" +
+		"<!-- comment -->" +
+		"<ac:structured-macro ac:name=\"info\" ac:schema-version=\"1\">" +
+		"<ac:parameter ac:name=\"title\">Hint</ac:parameter>" +
+		"<ac:rich-text-body><p>Body</p></ac:rich-text-body>" +
+		"</ac:structured-macro>" +
+		"<ac:structured-macro ac:name=\"code\">" +
+		"<ac:plain-text-body><![CDATA[if (a < b && c) {}]]></ac:plain-text-body>" +
+		"</ac:structured-macro>" +
+		"<ac:link><ri:page ri:content-title=\"Other &amp; page\" ri:space-key=\"tst\" /></ac:link>";
+
+	objRunner.test("Unchanged documents are serialized exactly as parsed", function() {
+		objRunner.assertEqual(new ConfluenceStorageDocument(strStorage).serialize(), strStorage, "Round trip has changed the content");
+	});
+
+	objRunner.test("Malformed content is kept as it is", function() {
+		var strMalformed = "<p>unclosed <em>tags</p></div><ac:emoticon ac:name=\"smile\"/>text & more";
+
+		objRunner.assertEqual(new ConfluenceStorageDocument(strMalformed).serialize(), strMalformed, "Round trip has changed the content");
+	});
+
+	objRunner.test("Macro parameters and bodies are parsed", function() {
+		var objDocument = new ConfluenceStorageDocument(strStorage);
+		var objInfo     = objDocument.findMacros("info").shift();
+
+		objRunner.assertEqual(objDocument.findMacros().length, 2, "Wrong number of macros");
+		objRunner.assertEqual(objInfo.getParameter("title"), "Hint", "Wrong parameter value");
+		objRunner.assertEqual(objInfo.getRichTextBody(), "<p>Body</p>", "Wrong rich text body");
+		objRunner.assertEqual(objDocument.findMacros("code")[0].getPlainTextBody(), "if (a < b && c) {}", "Wrong plain text body");
+	});
+
+	objRunner.test("Changing a parameter only changes the parameter", function() {
+		var objDocument = new ConfluenceStorageDocument(strStorage);
+
+		objDocument.findMacros("info")[0].setParameter("title", "Tips & Tricks");
+
+		objRunner.assertEqual(
+			objDocument.serialize(),
+			strStorage.replace(">Hint<", ">Tips &amp; Tricks<"),
+			"Unexpected serialization after changing a parameter"
+		);
+	});
+
+	objRunner.test("Plain text bodies survive the CDATA end sequence", function() {
+		var objDocument = new ConfluenceStorageDocument(strStorage);
+
+		objDocument.findMacros("code")[0].setPlainTextBody("var x = a[b[0]]>1;");
+
+		var objReparsed = new ConfluenceStorageDocument(objDocument.serialize());
+
+		objRunner.assertEqual(objReparsed.findMacros("code")[0].getPlainTextBody(), "var x = a[b[0]]>1;", "Plain text body has been changed");
+	});
+
+	objRunner.test("References are resolved with decoded values", function() {
+		var objDocument  = new ConfluenceStorageDocument(strStorage);
+		var objNode      = objDocument.findReferences("page").shift();
+		var objReference = objNode.getReference();
+
+		objRunner.assertEqual(objReference.title, "Other & page", "Wrong page title");
+		objRunner.assertEqual(objReference.spaceKey, "tst", "Wrong space key");
+	});
+
+	objRunner.test("Texts of elements are decoded", function() {
+		var objDocument  = new ConfluenceStorageDocument(strStorage);
+		var objParagraph = objDocument.findElements("p").shift();
+
+		objRunner.assertEqual(objParagraph.getText(), "Text with\u00a0entities \u00e4 and markup", "Wrong text");
+	});
+
+	objRunner.test("Named and numeric character references are decoded", function() {
+		objRunner.assertEqual(
+			ConfluenceStorageDocument.decode("&auml;&#228;&#xE4;&hellip;&euro;&unknown;"),
+			"\u00e4\u00e4\u00e4\u2026\u20ac&unknown;",
+			"Wrong decoded text"
+		);
+	});
+
+	objRunner.test("Character references beyond the Basic Multilingual Plane are decoded to surrogate pairs", function() {
+		objRunner.assertEqual(ConfluenceStorageDocument.decode("&#128512;&#x1F600;"), "\ud83d\ude00\ud83d\ude00", "Wrong decoded text");
+		objRunner.assertEqual(ConfluenceStorageDocument.decode("&#x10FFFF;"), "\udbff\udfff", "Wrong decoded text");
+	});
+
+	objRunner.test("Character references to invalid code points are kept", function() {
+		objRunner.assertEqual(ConfluenceStorageDocument.decode("&#0;&#x110000;"), "&#0;&#x110000;", "Invalid references were decoded");
+	});
+
+	objRunner.test("Created nodes are escaped", function() {
+		var objParagraph = ConfluenceStorageNode.createElement("p", {title: "\"quoted\""});
+
+		objParagraph.appendChild(ConfluenceStorageNode.createText("a < b & c"));
+
+		objRunner.assertEqual(objParagraph.serialize(), "<p title=\"&quot;quoted&quot;\">a &lt; b &amp; c</p>", "Wrong serialization");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -0,0 +1,127 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluencePage, ConfluenceStorageExporter, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for exporting storage format as Markdown and plain text with {@link ConfluenceStorageExporter} and {@link ConfluencePage}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceStorageExporter.test");
+
+	var strStorage =
+		"<h2>Title &amp; more</h2>" +
+		"<p>Some <strong>bold</strong> and <em>it</em> <a href=\"https://x.com\">link</a></p>" +
+		"<ul><li>a</li><li>b</li></ul>" +
+		"<table><tbody><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></tbody></table>" +
+		"<ac:structured-macro ac:name=\"code\">" +
+		"<ac:parameter ac:name=\"language\">sql</ac:parameter>" +
+		"<ac:plain-text-body><![CDATA[select 1]]></ac:plain-text-body>" +
+		"</ac:structured-macro>" +
+		"<ac:structured-macro ac:name=\"info\">" +
+		"<ac:parameter ac:name=\"title\">Note</ac:parameter>" +
+		"<ac:rich-text-body><p>Hint</p></ac:rich-text-body>" +
+		"</ac:structured-macro>" +
+		"<p>" +
+		"<ac:structured-macro ac:name=\"jira\"><ac:parameter ac:name=\"key\">PRJ-1</ac:parameter></ac:structured-macro> " +
+		"<ac:structured-macro ac:name=\"gadget\"></ac:structured-macro>" +
+		"</p>";
+
+	objRunner.test("Blocks and macros are exported as Markdown", function() {
+		var arrExpected = [
+			"## Title & more",
+			"",
+			"Some **bold** and *it* [link](https://x.com)",
+			"",
+			"- a",
+			"- b",
+			"",
+			"| A | B |",
+			"| --- | --- |",
+			"| 1 | 2 |",
+			"",
+			"```sql",
+			"select 1",
+			"```",
+			"",
+			"> **Info: Note**",
+			">",
+			"> Hint",
+			"",
+			"PRJ-1 [gadget]",
+		];
+
+		objRunner.assertEqual(new ConfluenceStorageExporter().toMarkdown(strStorage), arrExpected.join("\n"), "Wrong Markdown");
+	});
+
+	objRunner.test("Blocks and macros are exported as plain text", function() {
+		var arrExpected = [
+			"Title & more",
+			"",
+			"Some bold and it link (https://x.com)",
+			"",
+			"- a",
+			"- b",
+			"",
+			"A | B",
+			"1 | 2",
+			"",
+			"select 1",
+			"",
+			"Info: Note",
+			"",
+			"Hint",
+			"",
+			"PRJ-1 [gadget]",
+		];
+
+		objRunner.assertEqual(new ConfluenceStorageExporter().toPlainText(strStorage), arrExpected.join("\n"), "Wrong plain text");
+	});
+
+	objRunner.test("Placeholders for unknown macros are configurable", function() {
+		var objExporter = new ConfluenceStorageExporter({macroPlaceholder: function(objMacro) {
+			return "<" + objMacro.getMacroName() + ">";
+		}});
+
+		var strStorageWithMacro = "<p>See <ac:structured-macro ac:name=\"gadget\"></ac:structured-macro></p>";
+
+		objRunner.assertEqual(objExporter.toPlainText(strStorageWithMacro), "See <gadget>", "Wrong function placeholder");
+		objRunner.assertEqual(
+			new ConfluenceStorageExporter({macroPlaceholder: "({name} omitted)"}).toPlainText(strStorageWithMacro),
+			"See (gadget omitted)",
+			"Wrong String placeholder"
+		);
+		objRunner.assertThrows(function() {
+			return new ConfluenceStorageExporter({macroPlaceholder: 1});
+		}, "Invalid placeholder was accepted");
+	});
+
+	objRunner.test("Markdown characters in texts are escaped", function() {
+		objRunner.assertEqual(new ConfluenceStorageExporter().toMarkdown("<p>a*b_c</p>"), "a\\*b\\_c", "Wrong Markdown");
+	});
+
+	objRunner.test("Pages export their body", function() {
+		var jsonPage = ConfluenceTestRunner.createPageJson({body: "<p>Hello <strong>world</strong></p>"});
+		var objPage  = new ConfluencePage(new ConfluenceClient(ConfluenceTestRunner.URL), jsonPage);
+
+		objRunner.assertEqual(objPage.toMarkdown(), "Hello **world**", "Wrong Markdown");
+		objRunner.assertEqual(objPage.toPlainText(), "Hello world", "Wrong plain text");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
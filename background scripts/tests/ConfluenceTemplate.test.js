@@ -0,0 +1,167 @@
+/*eslint-disable multiline-comment-style*/
+/*global ConfluenceClient, ConfluenceTemplate, ConfluenceTestRunner */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+/**
+ * Tests for loading templates and rendering them with {@link ConfluenceTemplate} and for creating pages from templates
+ * with {@link ConfluenceClient#createPageFromTemplate}.
+ * Run this file as background script in the scope of the Script Include. No Confluence instance is required.
+ */
+(function() {
+	var objRunner = new ConfluenceTestRunner("ConfluenceTemplate.test");
+
+	var strBody =
+		"<at:declarations>" +
+		"<at:string at:name=\"topic\" />" +
+		"<at:list at:name=\"status\"><at:option at:value=\"open\" /><at:option at:value=\"done\" /></at:list>" +
+		"</at:declarations>" +
+		"<h1><at:var at:name=\"topic\" /></h1>" +
+		"<p>Status: <at:var at:name=\"status\" /></p>" +
+		"<at:var at:name=\"notes\" at:rawxhtml=\"true\" />";
+
+	var jsonTemplate = {
+		templateId: "98765",
+		name:       "Meeting",
+		space:      {key: "tst"},
+		body:       {storage: {value: strBody}},
+		labels:     [{name: "meeting"}],
+	};
+
+	var createTemplate = function() {
+		return new ConfluenceTemplate(new ConfluenceClient(ConfluenceTestRunner.URL), jsonTemplate);
+	};
+
+	var objValues = {topic: "Q&A", status: "open", notes: "<p><strong>None</strong></p>"};
+
+	objRunner.test("Content templates and blueprints of a space are loaded", function() {
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			if (objRequest.endpoint.indexOf("start=0") == -1) {
+				return {status: 200, body: {results: []}};
+			}
+
+			var isBlueprint = objRequest.endpoint.indexOf("/template/blueprint") != -1;
+			var objTemplate = isBlueprint ? {templateId: "2", name: "Decision", referencingBlueprint: "x"} : jsonTemplate;
+
+			return {status: 200, body: {results: [objTemplate]}};
+		});
+
+		var arrTemplates = new ConfluenceClient(ConfluenceTestRunner.URL).loadTemplates("tst");
+		var arrTypes     = arrTemplates.map(function(objTemplate) {
+			return objTemplate.getType();
+		});
+
+		objRunner.assertEqual(arrTypes.join(), "page,blueprint", "Wrong template types");
+		objRunner.assertEqual(arrTemplates[0].getSpaceKey(), "tst", "Wrong space key");
+		objRunner.assertEqual(arrTemplates[0].getLabels().join(), "meeting", "Wrong labels");
+		objRunner.assertTrue(arrRequests.shift().endpoint.indexOf("spaceKey=tst") != -1, "Templates are not loaded for the space");
+	});
+
+	objRunner.test("Variables are collected from declarations and placeholders", function() {
+		var arrVariables = createTemplate().getVariables();
+		var arrNames     = arrVariables.map(function(objVariable) {
+			return objVariable.name + ":" + objVariable.type;
+		});
+
+		objRunner.assertEqual(arrNames.join(), "topic:string,status:list,notes:string", "Wrong variables");
+		objRunner.assertEqual(arrVariables[1].options.join(), "open,done", "Wrong list options");
+	});
+
+	objRunner.test("Variables are filled as text or as storage format", function() {
+		objRunner.assertEqual(
+			createTemplate().render(objValues),
+			"<h1>Q&amp;A</h1><p>Status: open</p><p><strong>None</strong></p>",
+			"Wrong page body"
+		);
+	});
+
+	objRunner.test("Values are taken from the display values of records", function() {
+		var grRecord = {
+			getUniqueValue: function() {
+				return "abc";
+			},
+			isValidField: function(strFieldName) {
+				return strFieldName in objValues;
+			},
+			getDisplayValue: function(strFieldName) {
+				return objValues[strFieldName];
+			},
+		};
+
+		var strRendered = createTemplate().render(grRecord);
+
+		objRunner.assertEqual(strRendered.indexOf("<h1>Q&amp;A</h1>"), 0, "Record value was not used");
+	});
+
+	objRunner.test("Missing, empty and invalid values are rejected", function() {
+		var objTemplate = createTemplate();
+
+		var objError = objRunner.assertThrows(function() {
+			objTemplate.render({topic: "", status: "open"});
+		}, "Missing values were accepted");
+
+		objRunner.assertTrue(objError.message.indexOf("Missing variables: topic, notes") != -1, "Wrong missing variables");
+		objRunner.assertThrows(function() {
+			objTemplate.render({topic: "A", status: "closed", notes: ""}, {allowEmpty: true});
+		}, "Invalid list option was accepted");
+		objRunner.assertEqual(
+			objTemplate.render({topic: "A", status: "done", notes: ""}, {allowEmpty: true}),
+			"<h1>A</h1><p>Status: done</p>",
+			"Empty value was not accepted"
+		);
+	});
+
+	objRunner.test("Pages are created from templates below the parent page", function() {
+		var arrRequests = objRunner.stubRequests(function(objRequest) {
+			if (objRequest.endpoint.indexOf("/template/") != -1) {
+				return {status: 200, body: jsonTemplate};
+			}
+
+			if (objRequest.method === "post") {
+				return {status: 200, body: ConfluenceTestRunner.createPageJson({id: "7", title: "Meeting", ancestors: ["1"]})};
+			}
+
+			return {status: 200, body: ConfluenceTestRunner.createPageJson({id: "1", spaceKey: "dev"})};
+		});
+
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+		var objPage   = objClient.createPageFromTemplate("98765", {parentId: "1", title: "Meeting", variables: objValues});
+		var jsonPage  = JSON.parse(arrRequests.filter(function(objRequest) {
+			return objRequest.method === "post";
+		}).shift().body);
+
+		objRunner.assertEqual(objPage.getId(), "7", "Page was not created");
+		objRunner.assertEqual(jsonPage.space.key, "dev", "Page was not created in the space of the parent page");
+		objRunner.assertEqual(jsonPage.ancestors[0].id, "1", "Wrong parent page");
+		objRunner.assertEqual(jsonPage.body.storage.value.indexOf("<h1>Q&amp;A</h1>"), 0, "Wrong page body");
+	});
+
+	objRunner.test("No page is created if variables are missing", function() {
+		var arrRequests = objRunner.stubRequests(function() {
+			return {status: 200, body: jsonTemplate};
+		});
+
+		var objClient = new ConfluenceClient(ConfluenceTestRunner.URL);
+
+		objRunner.assertThrows(function() {
+			objClient.createPageFromTemplate("98765", {parentId: "1", title: "Meeting", variables: {topic: "A"}});
+		}, "Missing variables were accepted");
+		objRunner.assertEqual(arrRequests.length, 1, "Further requests were sent");
+	});
+
+	objRunner.finish();
+}());
\ No newline at end of file
@@ -1,5 +1,5 @@
 /*eslint-disable multiline-comment-style*/
-/*global Class, gs, sn_ws, GlideDateTime */
+/*global Class, gs, sn_ws, GlideDateTime, GlideRecord, GlideSysAttachment */
 
 /**************************************************************************
  * Copyright 2020 Maik Skoddow
@@ -17,34 +17,76 @@
  * limitations under the License. 
  *****************************************************************************/
 
-var ConfluenceClient = Class.create();
-var ConfluencePage   = Class.create();
+var ConfluenceClient            = Class.create();
+var ConfluencePage              = Class.create();
+var ConfluenceAttachment        = Class.create();
+var ConfluenceComment           = Class.create();
+var ConfluenceSpace             = Class.create();
+var ConfluencePageIterator      = Class.create();
+var ConfluenceError             = Class.create();
+var ConfluenceStorageDocument   = Class.create();
+var ConfluenceStorageNode       = Class.create();
+var ConfluenceStorageBuilder    = Class.create();
+var ConfluenceMarkdownConverter = Class.create();
+var ConfluenceStorageExporter   = Class.create();
+var ConfluenceBulkJob           = Class.create();
+var ConfluenceTemplate          = Class.create();
+var ConfluenceScaffoldingForm   = Class.create();
 
 /**
  * Initializes a new ConfluenceClient object.
  * 
  * @class ConfluenceClient
  * @author Maik Skoddow
- * @version 0.6
+ * @version 0.7
  * @param {String} strConfluenceURL The complete base URL to your Confluence instance.
+ * @param {Object} [objOptions] Further client options.
+ * @param {String} [objOptions.deploymentType] Either `server` (default) for Confluence Server and Data Center or `cloud` 
+ * for Confluence Cloud. In mode `cloud` the context path `/wiki` is appended to the URL if missing, pages are created, 
+ * updated and deleted via the REST API v2, searches are paginated with cursors and all user names are account IDs.
  * @throws {Error} If parameter `strConfluenceURL` does not represent a valid URL.
+ * @throws {Error} If option `deploymentType` has an unsupported value.
  */
 ConfluenceClient.prototype = {
-    initialize: function(strConfluenceURL) {		
+    initialize: function(strConfluenceURL, objOptions) {		
 		if (!ConfluenceClient.isValidURL(strConfluenceURL)) {
 			throw new Error(
 				"[ConfluenceClient.initialize] Please pass a valid Confluence URL at parameter {strConfluenceURL}!" +
 				" Invalid value: " + strConfluenceURL
 			);
 		}
+
+		var strDeploymentType = (objOptions || {}).deploymentType || "server";
+
+		if (!/^(server|cloud)$/.test(strDeploymentType)) {
+			throw new Error(
+				"[ConfluenceClient.initialize] Please pass 'server' or 'cloud' at option {deploymentType}!" +
+				" Invalid value: " + strDeploymentType
+			);
+		}
+
+		//Confluence Cloud serves all REST APIs below the context path '/wiki'
+		if (strDeploymentType === "cloud" && !/\/wiki\/?$/.test(strConfluenceURL)) {
+			strConfluenceURL = strConfluenceURL.replace(/\/$/, "") + "/wiki";
+		}
 		
-		this._strConfluenceURL = strConfluenceURL;
+		this._strConfluenceURL = strConfluenceURL.replace(/\/$/, "");
+		this._strDeployment    = strDeploymentType;
+		this._mapSpaceIds      = {};
 		this._strErrorMsg      = "";
+		this._objLastError     = null;
+		this._throwOnError     = false;
 		this._strInternalId    = gs.nowGlideDateTime().getNumericValue() + gs.getSessionID();
 		this._logDebugMessages = false;
+		this._objRetryPolicy   = null;
+		this._isDryRun         = false;
+		this._arrDryRunJournal = [];
+		this._objJournal       = null;
+		this._arrJournal       = [];
+		this._fnConfigureRest  = null;
 
 		try {
-			this._objRestMessage = new sn_ws.RESTMessageV2();
+			this._objRestMessage = ConfluenceClient.createRestMessage();
 		}
 		catch (e) {
 			throw new Error(
@@ -59,6 +101,16 @@ ConfluenceClient.prototype = {
     },
 	
 
+	/**
+	 * Getter for the type of the Confluence deployment the client was configured for.
+	 * 
+	 * @returns {String} `server` or `cloud`.
+	 */
+	getDeploymentType: function() {
+		return this._strDeployment;
+	},
+
+
 	/**
 	 * Activates the debugging mode for getting more detailed information at the system log.
 	 */
@@ -67,6 +119,211 @@ ConfluenceClient.prototype = {
 	},
 	
 
+	/**
+	 * Activates the dry-run mode for previewing changes without applying them. Reading requests are still sent, so 
+	 * that all loaded data reflect the real state. The methods {@link ConfluenceClient#updatePageData}, 
+	 * {@link ConfluenceClient#createPage}, {@link ConfluenceClient#addPageLabels}, {@link ConfluenceClient#removePageLabel}, 
+	 * {@link ConfluenceClient#updatePageRestrictions}, {@link ConfluenceClient#updateScaffoldingData} and 
+	 * {@link ConfluenceClient#removePage} do not send their requests but record them in a journal 
+	 * (see {@link ConfluenceClient#getDryRunJournal}) and report success, so that {@link ConfluencePage#update} can be 
+	 * previewed as a whole. All other mutating requests are recorded as well, but fail.
+	 */
+	enableDryRun: function() {
+		this._isDryRun = true;
+	},
+
+	/**
+	 * Deactivates the dry-run mode. The journal of recorded requests is kept.
+	 */
+	disableDryRun: function() {
+		this._isDryRun = false;
+	},
+
+	/**
+	 * Tests whether the dry-run mode is active, see {@link ConfluenceClient#enableDryRun}.
+	 * 
+	 * @returns {Boolean} `true` if mutating requests are recorded instead of being sent, otherwise `false`.
+	 */
+	isDryRun: function() {
+		return this._isDryRun;
+	},
+
+	/**
+	 * Getter for all requests which have been recorded in dry-run mode.
+	 * 
+	 * @returns {Array<Object>} Recorded requests in chronological order. Each entry is an object with the properties 
+	 * `methodName`, `httpMethod`, `endpoint`, `payload` (request body or `NULL`), `pageId`, `title` and `diff`. For 
+	 * updated and created pages `diff` contains the changes of the body compared to the loaded page content 
+	 * (see {@link ConfluenceClient.createDiff}), otherwise it is `NULL`.
+	 */
+	getDryRunJournal: function() {
+		return this._arrDryRunJournal.slice();
+	},
+
+	/**
+	 * Removes all recorded requests from the dry-run journal.
+	 */
+	clearDryRunJournal: function() {
+		this._arrDryRunJournal = [];
+	},
+
+
+	/**
+	 * Activates the mutation journal. Each successful call of {@link ConfluenceClient#updatePageData},
+	 * {@link ConfluenceClient#updatePageLabels}, {@link ConfluenceClient#updateScaffoldingData},
+	 * {@link ConfluenceClient#createPage} and {@link ConfluenceClient#removePage} then writes an entry with the page
+	 * state before and after the change. For that purpose the current state of a page is loaded before it is changed.
+	 * The journal can be exported with {@link ConfluenceClient#exportJournal} and reverted with
+	 * {@link ConfluenceClient#rollbackJournal}. In dry-run mode no entries are written.
+	 *
+	 * @param {Object} [objOptions] Journal options.
+	 * @param {String} [objOptions.runId] ID which is stored at all entries for identifying the run. Default is a generated GUID.
+	 * @param {Function} [objOptions.onEntry] Function which is invoked with each new entry, e.g. for persisting it.
+	 * @param {Boolean} [objOptions.keepEntries] If `false` the entries are not kept in memory, which is recommended for
+	 * large runs in combination with option `onEntry`. Default is `true`.
+	 * @throws {Error} If passed parameter `objOptions` contains invalid values.
+	 * @returns {String} The ID of the run.
+	 */
+	enableJournal: function(objOptions) {
+		var objJournal = {
+			runId:       (objOptions || {}).runId || gs.generateGUID(),
+			onEntry:     (objOptions || {}).onEntry,
+			keepEntries: (objOptions || {}).keepEntries !== false,
+		};
+
+		if (typeof objJournal.runId !== "string") {
+			throw new Error(
+				"[ConfluenceClient.enableJournal] Please pass a String at option {runId}!" +
+				" Invalid value: " + objJournal.runId
+			);
+		}
+
+		if (objJournal.onEntry !== undefined && typeof objJournal.onEntry !== "function") {
+			throw new Error(
+				"[ConfluenceClient.enableJournal] Please pass a function at option {onEntry}!"
+			);
+		}
+
+		this._objJournal = objJournal;
+
+		return objJournal.runId;
+	},
+
+	/**
+	 * Deactivates the mutation journal. All written entries are kept.
+	 */
+	disableJournal: function() {
+		this._objJournal = null;
+	},
+
+	/**
+	 * Getter for all entries of the mutation journal, see {@link ConfluenceClient#enableJournal}.
+	 *
+	 * @returns {Array<Object>} Entries in chronological order. Each entry is an object with the properties `runId`,
+	 * `timestamp`, `methodName`, `pageId`, `type`, `spaceKey`, `versionBefore`, `versionAfter`, `before` and `after`.
+	 * The latter two hold the `title`, `body`, `labels` and `scaffolding` data of the page or are `NULL` for a
+	 * created or removed page.
+	 */
+	getJournal: function() {
+		return this._arrJournal.slice();
+	},
+
+	/**
+	 * Exports all entries of the mutation journal.
+	 *
+	 * @returns {String} JSON representation of the journal, which can be passed to {@link ConfluenceClient#rollbackJournal}.
+	 */
+	exportJournal: function() {
+		return JSON.stringify(this._arrJournal);
+	},
+
+	/**
+	 * Removes all entries from the mutation journal.
+	 */
+	clearJournal: function() {
+		this._arrJournal = [];
+	},
+	
+
+	/**
+	 * Configures the automatic retry of requests that failed with a transient error like throttling (status code 429) 
+	 * or an unavailable backend (status codes 502, 503 and 504). Between two attempts the client waits with an 
+	 * exponential backoff (`baseDelay`, `2 * baseDelay`, `4 * baseDelay`, ...) plus a random jitter, unless the response
+	 * specifies the waiting time with a `Retry-After` header. By default, POST requests are never retried, as they are 
+	 * not idempotent and could create duplicate contents.
+	 *
+	 * @param {null|Object} objPolicy Retry policy or `NULL` for disabling retries (default).
+	 * @param {Integer} [objPolicy.maxAttempts] Maximum number of attempts per request inclusive the first one. Default is 3.
+	 * @param {Integer} [objPolicy.baseDelay] Waiting time in milliseconds before the first retry. Default is 1000.
+	 * @param {Integer} [objPolicy.maxDelay] Upper limit for a single waiting time in milliseconds. Default is 60000.
+	 * @param {Number} [objPolicy.jitter] Random fraction between 0 and 1 of the waiting time which is added to it. Default is 0.2.
+	 * @param {Array<Integer>} [objPolicy.statusCodes] HTTP status codes to be retried. Default is `[429, 502, 503, 504]`.
+	 * @param {Boolean} [objPolicy.honorRetryAfter] If `false` a `Retry-After` response header is ignored. Default is `true`.
+	 * @param {Boolean} [objPolicy.retryPost] If `true` also POST requests are retried. Default is `false`.
+	 * @throws {Error} If passed parameter `objPolicy` contains invalid values.
+	 */
+	setRetryPolicy: function(objPolicy) {
+		if (objPolicy === null) {
+			this._objRetryPolicy = null;
+
+			return;
+		}
+
+		if (!(objPolicy && typeof objPolicy === "object")) {
+			throw new Error(
+				"[ConfluenceClient.setRetryPolicy] Please pass an object or NULL at parameter {objPolicy}!"
+			);
+		}
+
+		var objFinalPolicy = {
+			maxAttempts:     objPolicy.maxAttempts || 3,
+			baseDelay:       typeof objPolicy.baseDelay === "undefined" ? 1000 : objPolicy.baseDelay,
+			maxDelay:        objPolicy.maxDelay || 60000,
+			jitter:          typeof objPolicy.jitter === "undefined" ? 0.2 : objPolicy.jitter,
+			statusCodes:     objPolicy.statusCodes || ConfluenceClient.RETRYABLE_STATUS_CODES,
+			honorRetryAfter: objPolicy.honorRetryAfter !== false,
+			retryPost:       objPolicy.retryPost === true,
+		};
+
+		if (!(ConfluenceClient.isValidInteger(objFinalPolicy.maxAttempts) && objFinalPolicy.maxAttempts >= 1)) {
+			throw new Error(
+				"[ConfluenceClient.setRetryPolicy] Please pass a positive Integer at option {maxAttempts}!" +
+				" Invalid value: " + objFinalPolicy.maxAttempts
+			);
+		}
+
+		if (!(ConfluenceClient.isValidInteger(objFinalPolicy.baseDelay) && ConfluenceClient.isValidInteger(objFinalPolicy.maxDelay))) {
+			throw new Error(
+				"[ConfluenceClient.setRetryPolicy] Please pass Integer values at options {baseDelay} and {maxDelay}!"
+			);
+		}
+
+		if (!(typeof objFinalPolicy.jitter === "number" && objFinalPolicy.jitter >= 0 && objFinalPolicy.jitter <= 1)) {
+			throw new Error(
+				"[ConfluenceClient.setRetryPolicy] Please pass a number between 0 and 1 at option {jitter}!" +
+				" Invalid value: " + objFinalPolicy.jitter
+			);
+		}
+
+		if (!(Array.isArray(objFinalPolicy.statusCodes) && objFinalPolicy.statusCodes.every(ConfluenceClient.isValidInteger))) {
+			throw new Error(
+				"[ConfluenceClient.setRetryPolicy] Please pass an Array of HTTP status codes at option {statusCodes}!"
+			);
+		}
+
+		this._objRetryPolicy = objFinalPolicy;
+	},
+
+	/**
+	 * Getter for the currently active retry policy, see {@link ConfluenceClient#setRetryPolicy}.
+	 *
+	 * @returns {null|Object} The retry policy inclusive all default values or `NULL` if retries are disabled.
+	 */
+	getRetryPolicy: function() {
+		return this._objRetryPolicy;
+	},
+	
+
 	/**
 	 * Returns a reference to the underlying and preconfigured [sn_ws.RESTMessageV2]{@link https://developer.servicenow.com/dev.do#!/reference/api/orlando/server/sn_ws-namespace/c_RESTMessageV2API} object.
 	 *
@@ -75,6 +332,29 @@ ConfluenceClient.prototype = {
 	getRestMessageObject: function() {
 		return this._objRestMessage;
 	},
+
+	/**
+	 * Registers a function for configuring all [sn_ws.RESTMessageV2]{@link https://developer.servicenow.com/dev.do#!/reference/api/orlando/server/sn_ws-namespace/c_RESTMessageV2API} 
+	 * objects of the client, e.g. with authentication or a MID server. Downloads and uploads of attachments are sent 
+	 * with separate objects, as their attachment settings cannot be reset afterwards. These objects only inherit the 
+	 * request headers of the object returned by {@link ConfluenceClient#getRestMessageObject} and are therefore 
+	 * passed to the registered function as well. The function is applied to the shared object immediately.
+	 *
+	 * @param {Function} fnConfigure Function which is called with a [sn_ws.RESTMessageV2]{@link https://developer.servicenow.com/dev.do#!/reference/api/orlando/server/sn_ws-namespace/c_RESTMessageV2API} object.
+	 * @throws {Error} If passed parameter `fnConfigure` is not a function.
+	 */
+	setRestMessageConfigurator: function(fnConfigure) {
+		if (typeof fnConfigure !== "function") {
+			throw new Error(
+				"[ConfluenceClient.setRestMessageConfigurator] Please pass a function at parameter {fnConfigure}!" +
+				" Invalid value: " + fnConfigure
+			);
+		}
+
+		this._fnConfigureRest = fnConfigure;
+
+		fnConfigure(this._objRestMessage);
+	},
 	
 
 	/**
@@ -85,11 +365,33 @@ ConfluenceClient.prototype = {
 	getLastErrorMessage: function() {
 		return this._strErrorMsg;
 	},
+
+	/**
+	 * Getter for the structured error of the last failed function. In contrast to {@link ConfluenceClient#getLastErrorMessage}
+	 * the returned object allows distinguishing the reasons of a failure, e.g. a missing page from an authentication failure.
+	 * The error is reset with each new request sent to Confluence.
+	 * 
+	 * @returns {null|ConfluenceError} The error of the last failed function or `NULL` if the last request was successful.
+	 */
+	getLastError: function() {
+		return this._objLastError;
+	},
+
+	/**
+	 * Enables or disables the throwing of errors. If enabled, failed Confluence requests and unexpected exceptions are 
+	 * thrown as {@link ConfluenceError} instead of returning `NULL` or `false`.
+	 * 
+	 * @param {Boolean} throwOnError If `true` errors are thrown, otherwise (default) they are only logged.
+	 */
+	setThrowOnError: function(throwOnError) {
+		this._throwOnError = throwOnError === true;
+	},
 	
 
 	/**
 	 * Sends a GET request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/search-search}. 
 	 * The search syntax has to follow the [(C)onfluence (Q)uery (L)anguage]{@link https://developer.atlassian.com/server/confluence/advanced-searching-using-cql}.
+	 * Only pages are returned, even if the CQL query contains a `type` clause.
 	 *
 	 * @param {String} strCQL CQL based query 
 	 * @param {Boolean} [includeContent] If set to `true` page body contents will be included.
@@ -103,61 +405,104 @@ ConfluenceClient.prototype = {
 			);
 			
 		}
-		
-		var strFinalCQL = strCQL.trim();
-		var arrPages    = [];
-		var intStartAt  = 0;
 
-		//restrict search results to pages
-		if (strCQL.toLowerCase().indexOf("type=page") == -1) {
-			strFinalCQL += " AND type=page";
+		//in contrast to searchContent() blog posts are excluded even if the CQL query contains a type clause
+		var objIterator = new ConfluencePageIterator(this, {
+			scope:     "ConfluenceClient.searchPages",
+			endpoint:  this._buildSearchEndpoint("ConfluenceClient.searchPages", strCQL, {
+				types:          ["page"],
+				includeContent: includeContent,
+				forceTypes:     true,
+			}),
+			batchSize: 1000,
+		});
+
+		var arrPages = [];
+
+		while (objIterator.hasNext()) {
+			arrPages.push(objIterator.next());
 		}
 
-		try {
-			while (true) {
-				//configure request
-				this._setHttpMethod("get");
-				this._setEndpoint(
-					"/rest/api/content/search" +
-					"?limit=1000" +
-					"&start=" + intStartAt + 
-					"&cql=" + encodeURIComponent(strFinalCQL) + 
-					"&expand=" + this._getCommonExpansions(includeContent)					
-				);
+		return objIterator.hasFailed() ? null : arrPages;
+	},
 
-				//send request
-				var objResponse = this._executeRequest("ConfluenceClient.searchPages");
-				
-				//test whether response is successful
-				if (objResponse.getStatusCode() == 200) {
-					var jsonResponse = JSON.parse(objResponse.getBody());
-					var intSize      = jsonResponse.results.length || 0;				
-					
-					this._logDebug(
-						"[ConfluenceClient.searchPages] " + intSize + " results for CQL = '" + strFinalCQL + "' loaded."
-					);
+	/**
+	 * Sends a GET request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/search-search}
+	 * for retrieving pages and/or blog posts.
+	 * The search syntax has to follow the [(C)onfluence (Q)uery (L)anguage]{@link https://developer.atlassian.com/server/confluence/advanced-searching-using-cql}.
+	 * If the CQL query does not contain a `type` clause, the search results are restricted to the requested content types.
+	 *
+	 * @param {String} strCQL CQL based query 
+	 * @param {Object} [objOptions] Additional search options.
+	 * @param {Array<String>} [objOptions.types] Content types to search for: `page` and/or `blogpost`. Default is both.
+	 * @param {Boolean} [objOptions.includeContent] If set to `true` body contents will be included.
+	 * @returns {null|Array<ConfluencePage>} `NULL` if Confluence request has failed or an Array with objects of type {@link ConfluencePage} representing the corresponding Confluence contents.
+	 * @throws {Error} If passed parameter `strCQL` does not represent a value of type `String` or if it is empty.
+	 * @throws {Error} If passed option `types` contains an unsupported content type.
+	 */
+	searchContent: function(strCQL, objOptions) {
+		var _objOptions = objOptions || {};
+		var objIterator = new ConfluencePageIterator(this, {
+			scope:     "ConfluenceClient.searchContent",
+			endpoint:  this._buildSearchEndpoint("ConfluenceClient.searchContent", strCQL, _objOptions),
+			batchSize: 1000,
+		});
+
+		var arrPages = [];
+
+		while (objIterator.hasNext()) {
+			arrPages.push(objIterator.next());
+		}
 
-					if (intSize == 0) {
-						break;
-					}
-					
-					for (var i = 0; i < intSize; i++) {				
-						arrPages.push(new ConfluencePage(this, jsonResponse.results[i]));
-					}
+		return objIterator.hasFailed() ? null : arrPages;
+	},
 
-					intStartAt += intSize;
-				}
-				else {
-					return null;
-				}
-			}
-		}
-		catch (e) {
-			this._logCaughtError("ConfluenceClient.searchPages", e);
-			return null;
-		}
+	/**
+	 * Creates an iterator over the results of a CQL based search, see {@link ConfluenceClient#searchContent}. In contrast 
+	 * to the search methods, the results are not collected in one Array, but are loaded batch by batch while iterating.
+	 *
+	 * @param {String} strCQL CQL based query 
+	 * @param {Object} [objOptions] Additional search options.
+	 * @param {Array<String>} [objOptions.types] Content types to search for: `page` and/or `blogpost`. Default is both.
+	 * @param {Boolean} [objOptions.includeContent] If set to `true` body contents will be included.
+	 * @param {Integer} [objOptions.batchSize] Number of results to be loaded per request. Default is 100.
+	 * @param {Integer} [objOptions.startAt] Offset of the first result, e.g. for resuming a previously interrupted iteration. Default is 0.
+	 * @returns {ConfluencePageIterator} Iterator over the search results.
+	 * @throws {Error} If passed parameter `strCQL` does not represent a value of type `String` or if it is empty.
+	 * @throws {Error} If passed parameter `objOptions` contains invalid values.
+	 */
+	getContentIterator: function(strCQL, objOptions) {
+		var _objOptions = objOptions || {};
+
+		return new ConfluencePageIterator(this, {
+			scope:     "ConfluenceClient.getContentIterator",
+			endpoint:  this._buildSearchEndpoint("ConfluenceClient.getContentIterator", strCQL, _objOptions),
+			batchSize: _objOptions.batchSize,
+			startAt:   _objOptions.startAt,
+		});
+	},
 
-		return arrPages;
+	/**
+	 * Invokes a callback function for each page matching a CQL based search. Results are loaded batch by batch with the 
+	 * help of a {@link ConfluencePageIterator}, so that even huge result sets do not have to be kept in memory.
+	 * Returning `false` from the callback function stops the iteration.
+	 *
+	 * @param {String} strCQL CQL based query 
+	 * @param {Function} fnCallback Function which is invoked with the {@link ConfluencePage} object and its offset within the result set.
+	 * @param {Object} [objOptions] Additional options, see {@link ConfluenceClient#getContentIterator}. Default for option `types` is `page` only.
+	 * @returns {null|Integer} `NULL` if a Confluence request has failed, otherwise the number of pages passed to the callback function.
+	 * @throws {Error} If passed parameter `fnCallback` is not a function.
+	 */
+	forEachPage: function(strCQL, fnCallback, objOptions) {
+		var _objOptions = objOptions || {};
+		var objIterator = this.getContentIterator(strCQL, {
+			types:          _objOptions.types || ["page"],
+			includeContent: _objOptions.includeContent,
+			batchSize:      _objOptions.batchSize,
+			startAt:        _objOptions.startAt,
+		});
+
+		return this._iterate("ConfluenceClient.forEachPage", objIterator, fnCallback);
 	},
 	
 
@@ -176,52 +521,65 @@ ConfluenceClient.prototype = {
 				" Invalid value: " + strParentId
 			);
 		}
-		
-		var arrPages   = [];
-		var intStartAt = 0;
-		
-		try {
-			while (true) {
-				//configure request
-				this._setHttpMethod("get");
-				this._setEndpoint(
-					"/rest/api/content/" + strParentId + "/child/page" +
-					"?limit=1000" +
-					"&start=" + intStartAt + 
-					"&expand=" + this._getCommonExpansions(includeContent)				
-				);
 
-				//send request
-				var objResponse = this._executeRequest("ConfluenceClient.loadPageChildren");
-				
-				//test whether response is successful
-				if (objResponse.getStatusCode() == 200) {
-					var jsonResponse = JSON.parse(objResponse.getBody());
-					var intSize      = jsonResponse.results.length || 0;
-					
-					this._logDebug("[ConfluenceClient.loadPageChildren] " + intSize + " results loaded");
+		var objIterator = new ConfluencePageIterator(this, {
+			scope:     "ConfluenceClient.loadPageChildren",
+			endpoint:  "/rest/api/content/" + strParentId + "/child/page?expand=" + this._getCommonExpansions(includeContent),
+			batchSize: 1000,
+		});
 
-					if (intSize == 0) {
-						break;
-					}
-	
-					for (var i = 0; i < intSize; i++) {				
-						arrPages.push(new ConfluencePage(this, jsonResponse.results[i]));
-					}
+		var arrPages = [];
 
-					intStartAt += intSize;
-				}
-				else {
-					return null;
-				}
-			}
+		while (objIterator.hasNext()) {
+			arrPages.push(objIterator.next());
 		}
-		catch (e) {
-			this._logCaughtError("ConfluenceClient.loadPageChildren", e);
-			return null;
+
+		return objIterator.hasFailed() ? null : arrPages;
+	},
+
+	/**
+	 * Creates an iterator over all child pages below a given parent page, see {@link ConfluenceClient#loadPageChildren}. 
+	 * In contrast to that method, the pages are not collected in one Array, but are loaded batch by batch while iterating.
+	 * 
+	 * @param {String} strParentId ID of the Confluence page whose children are to be loaded.
+	 * @param {Object} [objOptions] Additional options.
+	 * @param {Boolean} [objOptions.includeContent] If set to `true` also the page content will be loaded.
+	 * @param {Integer} [objOptions.batchSize] Number of pages to be loaded per request. Default is 100.
+	 * @param {Integer} [objOptions.startAt] Offset of the first page, e.g. for resuming a previously interrupted iteration. Default is 0.
+	 * @throws {Error} If passed parameter `strParentId` does not contain a valid Integer value.
+	 * @throws {Error} If passed parameter `objOptions` contains invalid values.
+	 * @returns {ConfluencePageIterator} Iterator over the child pages.
+	 */
+	getChildPageIterator: function(strParentId, objOptions) {
+		if (!ConfluenceClient.isValidInteger(strParentId)) {
+			throw new Error(
+				"[ConfluenceClient.getChildPageIterator] Please pass a valid Confluence page ID at parameter {strParentId}!" +
+				" Invalid value: " + strParentId
+			);
 		}
 
-		return arrPages;				
+		var _objOptions = objOptions || {};
+
+		return new ConfluencePageIterator(this, {
+			scope:     "ConfluenceClient.getChildPageIterator",
+			endpoint:  "/rest/api/content/" + strParentId + "/child/page?expand=" + this._getCommonExpansions(_objOptions.includeContent),
+			batchSize: _objOptions.batchSize,
+			startAt:   _objOptions.startAt,
+		});
+	},
+
+	/**
+	 * Invokes a callback function for each child page below a given parent page. Pages are loaded batch by batch with 
+	 * the help of a {@link ConfluencePageIterator}. Returning `false` from the callback function stops the iteration.
+	 * 
+	 * @param {String} strParentId ID of the Confluence page whose children are to be iterated.
+	 * @param {Function} fnCallback Function which is invoked with the {@link ConfluencePage} object and its offset.
+	 * @param {Object} [objOptions] Additional options, see {@link ConfluenceClient#getChildPageIterator}.
+	 * @returns {null|Integer} `NULL` if a Confluence request has failed, otherwise the number of pages passed to the callback function.
+	 * @throws {Error} If passed parameter `fnCallback` is not a function.
+	 */
+	forEachChildPage: function(strParentId, fnCallback, objOptions) {
+		return this._iterate("ConfluenceClient.forEachChildPage", this.getChildPageIterator(strParentId, objOptions), fnCallback);
 	},
 	
 	
@@ -381,47 +739,350 @@ ConfluenceClient.prototype = {
 	},
 
 	/**
-	 * Sends a PUT request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/content-update} for writing back page data to Confluence. 
+	 * Parses the Scaffolding macros of a page body into field definitions (see {@link ConfluenceScaffoldingForm.parseSchema}) 
+	 * and stores them at the page. From then on all values set with {@link ConfluencePage#setScaffoldingValue} or 
+	 * {@link ConfluencePage#getScaffoldingForm} are validated against these definitions. If the page body has not 
+	 * been loaded yet, the page is loaded again.
 	 * 
-	 * @param {ConfluencePage} objPage A valid {@link ConfluencePage} object.
-	 * @param {Boolean} [suppressNotifications] If `true` no email notifications will be sent to watchers.
-	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage}.
-	 * @throws {Error} If passed parameter `objPage` does not hold the minimum field values for updating a Confluence page.
-	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` has neither a body nor a page ID stored.
+	 * @returns {null|Array<Object>} `NULL` if loading the page body has failed or an Array with the field definitions.
 	 */
-	updatePageData: function(objPage, suppressNotifications) {
+	loadScaffoldingSchema: function(objPage) {
 		if (!this._isValidPageObj(objPage)) {
 			throw new Error(
-				"[ConfluenceClient.updatePageData] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
-			);			
+				"[ConfluenceClient.loadScaffoldingSchema] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);
 		}
-		
-		if (!(objPage.getId() && objPage.getVersionNumber() && objPage.getParentPageId() && 
-			objPage.getTitle() && objPage.getSpaceKey())) {
-			throw new Error(
-				"[ConfluenceClient.updatePageData] {objPage} has not the minimum values for updating the Confluence page!"
-			);			
+
+		var strBody = objPage.getBody();
+
+		if (typeof strBody !== "string") {
+			if (!objPage.getId()) {
+				throw new Error("[ConfluenceClient.loadScaffoldingSchema] {objPage} has neither a body nor a page ID stored!");
+			}
+
+			var objFullPage = this.loadPageDataById(objPage.getId());
+
+			if (objFullPage === null) {
+				return null;
+			}
+
+			strBody = objFullPage.getBody() || "";
 		}
-		
-		try {
-			//configure request
-			this._setEndpoint("/rest/api/content/" + objPage.getId());
-			this._setHttpMethod("put");
-			this._setRequestBody(objPage.stringify(false, suppressNotifications));
 
-			//send request
-			var objResponse = this._executeRequest("ConfluenceClient.updatePageData");
-			
-			//test whether response is successful
-			if (objResponse.getStatusCode() == 200) {
-				var objReturnedPage = new ConfluencePage(this, JSON.parse(objResponse.getBody()));
-				
-				//if nothing has changed Confluence will not create a new page version and therefore the retrieved 
-				//page version is written back to page object to be sure that the next update call has the correct one.
-				objPage.setVersionNumber(objReturnedPage.getVersionNumber());
+		var arrSchema = ConfluenceScaffoldingForm.parseSchema(strBody);
+
+		objPage._applyScaffoldingSchema(arrSchema);
+
+		return arrSchema;
+	},
+
+	/**
+	 * Searches pages by the values of their Scaffolding fields. The pages are pre-filtered by a CQL query, which is 
+	 * iterated batch by batch with {@link ConfluenceClient#forEachPage}, so that only the matching pages are kept in 
+	 * memory. The Scaffolding data of each page is loaded and tested against the passed criteria. Pages whose 
+	 * Scaffolding data could not be loaded are skipped with a warning.
+	 * 
+	 * Criteria passed as object are matched against the typed values (see {@link ConfluenceScaffoldingForm#getValue}):
+	 * - `NULL` or an empty String match missing and empty fields.
+	 * - Other values match list fields containing them and all other fields with an equal value. Dates are compared 
+	 *   as point in time, numbers numerically and everything else as String.
+	 * - Arrays match if one of their values matches.
+	 * 
+	 * @example
+	 * var arrPages = confluenceClient.searchByScaffolding("space = tst and label = form", {Status: "Open", Owner: null});
+	 * 
+	 * gs.info(confluenceClient.exportScaffoldingValues(arrPages, {fields: ["Status", "Due"], format: "csv"}));
+	 * 
+	 * @param {String} strCQL CQL based query for pre-filtering the pages.
+	 * @param {Function|Object} criteria Either a function which is invoked with the {@link ConfluenceScaffoldingForm} 
+	 * and the {@link ConfluencePage} and returns `true` for matching pages, or an object with field names as keys 
+	 * and expected values as values, which all have to match.
+	 * @param {Object} [objOptions] Search options.
+	 * @param {Integer} [objOptions.batchSize] Number of pages loaded per search request. Default is 50.
+	 * @param {Function} [objOptions.onProgress] Function which is invoked after each batch with an object containing 
+	 * the properties `processed` and `matched`.
+	 * @throws {Error} If passed parameter `strCQL` does not represent a valid CQL query.
+	 * @throws {Error} If passed parameter `criteria` is neither a function nor an object.
+	 * @throws {Error} If passed parameter `objOptions` contains invalid values.
+	 * @returns {null|Array<ConfluencePage>} `NULL` if a CQL search request has failed or the matching pages with their 
+	 * Scaffolding data attached (see {@link ConfluencePage#getScaffoldingForm}).
+	 */
+	searchByScaffolding: function(strCQL, criteria, objOptions) {
+		var fnPredicate = this._createScaffoldingPredicate(criteria);
+		var _objOptions = objOptions || {};
+		var intBatch    = _objOptions.batchSize || 50;
+
+		if (!(ConfluenceClient.isValidInteger(intBatch) && intBatch > 0)) {
+			throw new Error(
+				"[ConfluenceClient.searchByScaffolding] Please pass a positive Integer at option {batchSize}!" +
+				" Invalid value: " + intBatch
+			);
+		}
+
+		if (_objOptions.onProgress && typeof _objOptions.onProgress !== "function") {
+			throw new Error("[ConfluenceClient.searchByScaffolding] Please pass a Function at option {onProgress}!");
+		}
+
+		var that           = this;
+		var arrMatches     = [];
+		var intProcessed   = 0;
+		var reportProgress = function() {
+			var objProgress = {processed: intProcessed, matched: arrMatches.length};
+
+			that._logDebug(
+				"[ConfluenceClient.searchByScaffolding] " + objProgress.processed + " pages processed, " + 
+				objProgress.matched + " matches"
+			);
+
+			if (_objOptions.onProgress) {
+				_objOptions.onProgress(objProgress);
+			}
+		};
+
+		var intCount = this.forEachPage(strCQL, function(objPage) {
+			var arrScaffoldingData = that.loadScaffoldingData(objPage.getId());
+
+			intProcessed += 1;
+
+			if (arrScaffoldingData === null) {
+				that._logWarning(
+					"[ConfluenceClient.searchByScaffolding] Scaffolding data of page '" + objPage.getTitle() + 
+					"' could not be loaded and the page has been skipped!"
+				);
+			}
+			else {
+				objPage._applyScaffoldingData(arrScaffoldingData);
+
+				if (fnPredicate(objPage.getScaffoldingForm(), objPage)) {
+					arrMatches.push(objPage);
+				}
+			}
+
+			if (intProcessed % intBatch == 0) {
+				reportProgress();
+			}
+		}, {batchSize: intBatch});
+
+		if (intCount === null) {
+			return null;
+		}
+
+		//the last batch is reported unless it has been complete
+		if (intProcessed % intBatch != 0 || intProcessed == 0) {
+			reportProgress();
+		}
+
+		return arrMatches;
+	},
+
+	/**
+	 * Exports the Scaffolding values of pages as table for reporting, e.g. the result of {@link ConfluenceClient#searchByScaffolding}. 
+	 * Besides the field columns, the table contains the columns `pageId` and `title`. Dates are exported as UTC 
+	 * value of the GlideDateTime, selected list options are separated by commas and rows of tables as JSON.
+	 * 
+	 * @param {Array<ConfluencePage>} arrPages Pages with Scaffolding data attached.
+	 * @param {Object} [objOptions] Export options.
+	 * @param {Array<String>} [objOptions.fields] Names of the fields to be exported. Default are all fields of all pages.
+	 * @param {String} [objOptions.format] Either `csv` (default) for a CSV text with a header line or `json` for a 
+	 * JSON object with the properties `columns` (column names) and `rows` (one Array of values per page).
+	 * @throws {Error} If passed parameter `arrPages` is not an Array of valid {@link ConfluencePage} objects.
+	 * @throws {Error} If passed parameter `objOptions` contains invalid values.
+	 * @returns {String} Table as CSV or JSON.
+	 */
+	exportScaffoldingValues: function(arrPages, objOptions) {
+		if (!(Array.isArray(arrPages) && arrPages.every(this._isValidPageObj))) {
+			throw new Error(
+				"[ConfluenceClient.exportScaffoldingValues] Please pass an Array of valid {ConfluencePage} objects at parameter {arrPages}!"
+			);
+		}
+
+		var _objOptions = objOptions || {};
+		var strFormat   = _objOptions.format || "csv";
+		var arrFields   = _objOptions.fields;
+
+		if (!/^(csv|json)$/.test(strFormat)) {
+			throw new Error(
+				"[ConfluenceClient.exportScaffoldingValues] Please pass 'csv' or 'json' at option {format}!" +
+				" Invalid value: " + strFormat
+			);
+		}
+
+		if (arrFields !== undefined && !Array.isArray(arrFields)) {
+			throw new Error("[ConfluenceClient.exportScaffoldingValues] Please pass an Array at option {fields}!");
+		}
+
+		var arrForms = arrPages.map(function(objPage) {
+			return objPage.getScaffoldingForm() || new ConfluenceScaffoldingForm([]);
+		});
+
+		//by default the columns are made up of all fields in order of their first occurrence
+		if (arrFields === undefined) {
+			arrFields = [];
+
+			arrForms.forEach(function(objForm) {
+				objForm.getFieldNames().forEach(function(strFieldName) {
+					if (arrFields.indexOf(strFieldName) == -1) {
+						arrFields.push(strFieldName);
+					}
+				});
+			});
+		}
+
+		var arrColumns = arrFields.slice();
+		var arrRows    = arrPages.map(function(objPage, intIndex) {
+			var arrValues = arrFields.map(function(strFieldName) {
+				return this._exportScaffoldingValue(arrForms[intIndex].getValue(strFieldName));
+			}, this);
+
+			arrValues.unshift(objPage.getId(), objPage.getTitle());
+
+			return arrValues;
+		}, this);
+
+		arrColumns.unshift("pageId", "title");
+
+		if (strFormat === "json") {
+			return JSON.stringify({columns: arrColumns, rows: arrRows});
+		}
+
+		var arrLines = [arrColumns].concat(arrRows).map(function(arrLine) {
+			return arrLine.map(ConfluenceClient.escapeCsvValue).join(",");
+		});
+
+		return arrLines.join("\r\n");
+	},
+
+	/**
+	 * Sends a PUT request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/content-update} for writing back page data to Confluence. 
+	 * 
+	 * If the page has been changed by someone else in the meantime, Confluence rejects the update with status code 409. 
+	 * How such a version conflict is handled can be controlled with option `strategy`:
+	 * - `fail` (default): The update is aborted and `false` is returned.
+	 * - `overwrite`: The current version number is loaded and the update is sent again, overwriting the remote changes.
+	 * - `rebase`: The remote page is loaded and its body is passed to the `transform` function. The returned body is 
+	 *   sent as update instead of the local body. All other local changes like the title are kept.
+	 * 
+	 * The applied strategy can be retrieved afterwards with {@link ConfluencePage#getAppliedConflictStrategy}. A conflict 
+	 * that could not be resolved is available via {@link ConfluenceClient#getLastError} or is thrown if 
+	 * {@link ConfluenceClient#setThrowOnError} is enabled.
+	 * 
+	 * @param {ConfluencePage} objPage A valid {@link ConfluencePage} object.
+	 * @param {Boolean} [suppressNotifications] If `true` no email notifications will be sent to watchers.
+	 * @param {Object} [objConflictOptions] Options for handling version conflicts.
+	 * @param {String} [objConflictOptions.strategy] One of the values `fail`, `overwrite` or `rebase`. Default is `fail`.
+	 * @param {Function} [objConflictOptions.transform] Mandatory for strategy `rebase`. Is invoked with the remote body 
+	 * and the remote {@link ConfluencePage} and has to return the new body as String.
+	 * @param {Integer} [objConflictOptions.maxAttempts] Maximum number of update attempts. Default is 3.
+	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage}.
+	 * @throws {Error} If passed parameter `objPage` does not hold the minimum field values for updating a Confluence page.
+	 * @throws {Error} If passed parameter `objPage` is not in status `current`, e.g. a version loaded with {@link ConfluenceClient#loadPageVersion}.
+	 * @throws {Error} If passed parameter `objConflictOptions` contains invalid values.
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	updatePageData: function(objPage, suppressNotifications, objConflictOptions) {
+		if (!this._isValidPageObj(objPage)) {
+			throw new Error(
+				"[ConfluenceClient.updatePageData] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);			
+		}
+		
+		if (!(objPage.getId() && objPage.getVersionNumber() && (objPage.getParentPageId() || objPage.getType() === "blogpost") && 
+			objPage.getTitle() && objPage.getSpaceKey())) {
+			throw new Error(
+				"[ConfluenceClient.updatePageData] {objPage} has not the minimum values for updating the Confluence page!"
+			);			
+		}
+
+		//historical versions would overwrite the current version of the page
+		if (objPage.getStatus() && objPage.getStatus() !== "current") {
+			throw new Error(
+				"[ConfluenceClient.updatePageData] {objPage} is in status '" + objPage.getStatus() + "' and cannot be updated!"
+			);
+		}
+
+		var objConflict      = this._validateConflictOptions(objConflictOptions || {});
+		var objConflictError = null;
+
+		objPage._applyConflictStrategy(null);
+		
+		try {
+			for (var intAttempt = 1; intAttempt <= objConflict.maxAttempts; intAttempt++) {
+				objConflictError = null;
+
+				//the remote state is needed for a later rollback and has to be loaded before configuring the request
+				var objBefore = this._isJournaling() ? this._loadJournalSnapshot(objPage.getId(), false) : null;
+
+				if (this._isJournaling() && objBefore === null) {
+					break;
+				}
+
+				//configure request
+				this._setHttpMethod("put");
+
+				if (this._isCloud()) {
+					this._setEndpoint(this._getV2ContentPath(objPage) + "/" + objPage.getId());
+					this._setRequestBody(this._stringifyV2Page(objPage, null));
+				}
+				else {
+					this._setEndpoint("/rest/api/content/" + objPage.getId());
+					this._setRequestBody(objPage.stringify(false, suppressNotifications));
+				}
+
+				//in dry-run mode the request is only recorded
+				if (this._isDryRun) {
+					return this._recordDryRun("ConfluenceClient.updatePageData", objPage);
+				}
+
+				//send request (a version conflict must not be thrown as it might be resolved afterwards)
+				var objResponse = this._executeRequest("ConfluenceClient.updatePageData", [409]);
 				
-				return true;
-			}		
+				//test whether response is successful
+				if (objResponse.getStatusCode() == 200) {
+					var jsonReturnedPage = JSON.parse(objResponse.getBody());
+					
+					//if nothing has changed Confluence will not create a new page version and therefore the retrieved 
+					//page version is written back to page object to be sure that the next update call has the correct one.
+					objPage.setVersionNumber(jsonReturnedPage.version.number);
+
+					objPage._applyLoadedBody();
+
+					//an unchanged version number indicates that nothing has been changed
+					if (objBefore !== null && objBefore.version !== objPage.getVersionNumber()) {
+						this._writeJournal("ConfluenceClient.updatePageData", objPage, {
+							before: objBefore,
+							after:  this._createJournalSnapshot(objPage, objBefore.scaffolding),
+						});
+					}
+
+					return true;
+				}
+
+				//status code 409 indicates that a newer page version exists on the server
+				if (objResponse.getStatusCode() != 409) {
+					break;
+				}
+
+				//resolving the conflict sends further requests, which reset the last error
+				objConflictError = this._objLastError;
+
+				objPage._applyConflictStrategy(objConflict.strategy);
+
+				if (objConflict.strategy === "fail" || !this._resolveVersionConflict(objPage, objConflict)) {
+					break;
+				}
+			}
+
+			//version conflicts are only accepted by the request as long as they might be resolved
+			if (objConflictError !== null) {
+				this._objLastError = objConflictError;
+
+				if (this._throwOnError) {
+					throw objConflictError;
+				}
+			}
 		}
 		catch (e) {
 			this._logCaughtError("ConfluenceClient.updatePageData", e);
@@ -461,11 +1122,23 @@ ConfluenceClient.prototype = {
 		}
 		
 		try {
+			//the remote state is needed for a later rollback and has to be loaded before configuring the request
+			var objBefore = this._isJournaling() ? this._loadJournalSnapshot(objPage.getId(), true) : null;
+
+			if (this._isJournaling() && objBefore === null) {
+				return false;
+			}
+
 			//configure request
 			this._setEndpoint("/rest/scaffolding/1.0/api/form/" + objPage.getId());
 			this._setHttpMethod("put");
 			this._setRequestBody(JSON.stringify(objPage.getScaffoldingData()));
 
+			//in dry-run mode the request is only recorded
+			if (this._isDryRun) {
+				return this._recordDryRun("ConfluenceClient.updateScaffoldingData", objPage);
+			}
+
 			//send request
 			var objResponse = this._executeRequest("ConfluenceClient.updateScaffoldingData");
 			
@@ -473,7 +1146,17 @@ ConfluenceClient.prototype = {
 			if (objResponse.getStatusCode() == 200) {
 				//in case of later call of 'updatePageData()' internal version number has to be increased 
 				objPage.increaseVersionNumber();
-								
+
+				if (objBefore !== null) {
+					this._writeJournal("ConfluenceClient.updateScaffoldingData", objPage, {
+						before: objBefore,
+						after:  this._copyJournalSnapshot(objBefore, {
+							version:     objBefore.version + 1,
+							scaffolding: objPage.getScaffoldingData(),
+						}),
+					});
+				}
+
 				return true;
 			}
 
@@ -505,33 +1188,62 @@ ConfluenceClient.prototype = {
 			);			
 		}
 		
-		if (!(objPage.getParentPageId() && objPage.getTitle() && objPage.getSpaceKey())) {
+		//blog posts are not part of the page tree and therefore do not have a parent page
+		if (!((objPage.getParentPageId() || objPage.getType() === "blogpost") && objPage.getTitle() && objPage.getSpaceKey())) {
 			throw new Error(
 				"[ConfluenceClient.createPage] {objPage} has not the minimum values for creating a new page!"
 			);			
 		}
 
 		try {
+			//REST API v2 of Confluence Cloud expects the ID instead of the key of the space
+			var strSpaceId = this._isCloud() ? this._resolveSpaceId(objPage.getSpaceKey()) : null;
+
+			if (this._isCloud() && strSpaceId === null) {
+				return false;
+			}
+
 			//configure request
-			this._setEndpoint("/rest/api/content");
 			this._setHttpMethod("post");
-			this._setRequestBody(objPage.stringify(true));
+
+			if (this._isCloud()) {
+				this._setEndpoint(this._getV2ContentPath(objPage));
+				this._setRequestBody(this._stringifyV2Page(objPage, strSpaceId));
+			}
+			else {
+				this._setEndpoint("/rest/api/content");
+				this._setRequestBody(objPage.stringify(true));
+			}
+
+			//in dry-run mode the request is only recorded
+			if (this._isDryRun) {
+				return this._recordDryRun("ConfluenceClient.createPage", objPage);
+			}
 
 			//send request
 			var objResponse = this._executeRequest("ConfluenceClient.createPage");
 			
 			//test whether response is successful
 			if (objResponse.getStatusCode() == 200) {
-				var objReturnedPage = new ConfluencePage(this, JSON.parse(objResponse.getBody()));
+				var jsonReturnedPage = JSON.parse(objResponse.getBody());
 				
-				objPage.setId(objReturnedPage.getId());
+				objPage.setId(jsonReturnedPage.id);
 				objPage.setStatus("current");
-				objPage.setVersionNumber(objReturnedPage.getVersionNumber());
+				objPage.setVersionNumber(jsonReturnedPage.version.number);
+
+				objPage._applyLoadedBody();
 
 				if (objPage.getLabels()) {
 					this.addPageLabels(objPage, objPage.getLabels());
 				}
-				
+
+				if (this._isJournaling()) {
+					this._writeJournal("ConfluenceClient.createPage", objPage, {
+						before: null,
+						after:  this._createJournalSnapshot(objPage, null),
+					});
+				}
+
 				return true;
 			}
 		}
@@ -542,6 +1254,38 @@ ConfluenceClient.prototype = {
 		return false;
 	},
 	
+	/**
+	 * Creates a new blog post by invoking method {@link ConfluenceClient#createPage} with a {@link ConfluencePage}
+	 * object of type `blogpost`. The posting date of a blog post is set by Confluence at the time of creation.
+	 * 
+	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` already has a page ID stored.
+	 * @throws {Error} If passed parameter `objPage` does not have a title and a space key.
+	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object.
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	createBlogPost: function(objPage) {
+		if (!this._isValidPageObj(objPage)) {
+			throw new Error(
+				"[ConfluenceClient.createBlogPost] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);
+		}
+
+		if (objPage.getId()) {
+			throw new Error("[ConfluenceClient.createBlogPost] {objPage} has already a page ID stored!");
+		}
+
+		if (!(objPage.getTitle() && objPage.getSpaceKey())) {
+			throw new Error(
+				"[ConfluenceClient.createBlogPost] {objPage} has not the minimum values for creating a new blog post!"
+			);
+		}
+
+		objPage.setType("blogpost");
+
+		return this.createPage(objPage);
+	},
+
 	/**
 	 * Adds a list of labels to an existing page.
 	 * 
@@ -596,6 +1340,11 @@ ConfluenceClient.prototype = {
 			this._setHttpMethod("post");
 			this._setRequestBody(JSON.stringify(arrLabelObjects));
 
+			//in dry-run mode the request is only recorded
+			if (this._isDryRun) {
+				return this._recordDryRun("ConfluenceClient.addPageLabels", objPage);
+			}
+
 			//send request
 			var objResponse = this._executeRequest("ConfluenceClient.addPageLabels");
 
@@ -650,6 +1399,11 @@ ConfluenceClient.prototype = {
 			this._setHttpMethod("delete");
 			this._setRequestBody("x");
 
+			//in dry-run mode the request is only recorded
+			if (this._isDryRun) {
+				return this._recordDryRun("ConfluenceClient.removePageLabel", objPage);
+			}
+
 			//send request
 			var objResponse = this._executeRequest("ConfluenceClient.removePageLabel");
 
@@ -689,6 +1443,13 @@ ConfluenceClient.prototype = {
 		}
 
 		try {
+			//the remote state is needed for a later rollback and has to be loaded before configuring the request
+			var objBefore = this._isJournaling() ? this._loadJournalSnapshot(objPage.getId(), false) : null;
+
+			if (this._isJournaling() && objBefore === null) {
+				return false;
+			}
+
 			//configure request for getting all page labes
 			this._setEndpoint("/rest/api/content/" + objPage.getId() + "/label");
 			this._setHttpMethod("get");
@@ -707,6 +1468,7 @@ ConfluenceClient.prototype = {
 			var arrLocalLabels  = objPage.getLabels() || [];
 			var result1         = true;
 			var result2         = true;
+			var hasChanged      = false;
 
 			for (var a = 0; a < arrRemoteLabels.length; a++) {
 				var existsLocally = false;
@@ -720,6 +1482,8 @@ ConfluenceClient.prototype = {
 
 				//if label does not exists locally it has to be removed on the server side
 				if (!existsLocally) {
+					hasChanged = true;
+
 					if (!this.removePageLabel(objPage, arrRemoteLabels[a].name)) {
 						result1 = false;
 					}
@@ -738,12 +1502,21 @@ ConfluenceClient.prototype = {
 
 				//if label does not exists on server side it has to be created there
 				if (!existsRemote) {
+					hasChanged = true;
+
 					if (!this.addPageLabels(objPage, [arrLocalLabels[c]])) {
 						result2 = false;
 					}
 				}
 			}
 
+			if (objBefore !== null && hasChanged) {
+				this._writeJournal("ConfluenceClient.updatePageLabels", objPage, {
+					before: objBefore,
+					after:  this._copyJournalSnapshot(objBefore, {labels: arrLocalLabels.slice()}),
+				});
+			}
+
 			return result1 && result2;
 		}
 		catch (e) {
@@ -753,900 +1526,9973 @@ ConfluenceClient.prototype = {
 	},
 
 	/**
-	 * Deletes a Confluence page by moving to the recycle bin of the corresponding space.
+	 * Sends a PUT request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/content/{id}/restriction-updateRestrictions}
+	 * to replace all reading and updating restrictions on the server side with the ones the {@link ConfluencePage} object has.
 	 * 
 	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object.
 	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage} object.
 	 * @throws {Error} If passed parameter `objPage` does not have a page ID stored.
-	 * @throws {Error} If passed paremeter `objPage` has status 'trashed'.
-	 * @returns {Booelan} `true` if page could be moved to the recycle bin or `false`if not.
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
 	 */
-	removePage: function(objPage) {
+	updatePageRestrictions: function(objPage) {
 		if (!this._isValidPageObj(objPage)) {
 			throw new Error(
-				"[ConfluenceClient.removePage] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
-			);			
+				"[ConfluenceClient.updatePageRestrictions] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);
 		}
 
 		if (!objPage.getId()) {
-			throw new Error("[ConfluenceClient.removePage] {objPage} has no page ID stored!");			
+			throw new Error("[ConfluenceClient.updatePageRestrictions] {objPage} has no page ID stored!");
 		}
 
-		if (objPage.getStatus() === "trashed") {
-			throw new Error("[ConfluenceClient.removePage] Given {objPage} is already in status 'trashed'!");			
-		}
+		var strUserKey = this._getUserKey();
+		var mapUsers   = function(arrRestrictions) {
+			return (arrRestrictions || []).map(function(objUser) {
+				var objRestriction = {type: "known"};
+
+				objRestriction[strUserKey] = objUser[strUserKey];
+
+				return objRestriction;
+			});
+		};
+
+		var mapGroups = function(arrRestrictions) {
+			return (arrRestrictions || []).map(function(objGroup) {
+				return {type: "group", name: objGroup.name};
+			});
+		};
+
+		var arrPayload = [
+			{
+				operation:    "read",
+				restrictions: {
+					user:  mapUsers(objPage.getUserReadingRestrictions()),
+					group: mapGroups(objPage.getGroupReadingRestrictions()),
+				},
+			},
+			{
+				operation:    "update",
+				restrictions: {
+					user:  mapUsers(objPage.getUserUpdatingRestrictions()),
+					group: mapGroups(objPage.getGroupUpdatingRestrictions()),
+				},
+			},
+		];
 
 		try {
 			//configure request
-			this._setEndpoint("/rest/api/content/" + objPage.getId());
-			this._setHttpMethod("delete");
+			this._setEndpoint(this._getExperimentalApiPath() + "/content/" + objPage.getId() + "/restriction");
+			this._setHttpMethod("put");
+			this._setRequestBody(JSON.stringify(arrPayload));
+
+			//in dry-run mode the request is only recorded
+			if (this._isDryRun) {
+				return this._recordDryRun("ConfluenceClient.updatePageRestrictions", objPage);
+			}
 
-			//tough it is not necessary ServiceNow would throw an error in case of empty request body
-			this._setRequestBody("x");
-			
 			//send request
-			var objResponse = this._executeRequest("ConfluenceClient.removePage");
-			
+			var objResponse = this._executeRequest("ConfluenceClient.updatePageRestrictions");
+
 			//test whether response is successful
-			if (objResponse.getStatusCode() == 200 || objResponse.getStatusCode() == 204) {
-				objPage.setStatus("trashed");
+			if (objResponse.getStatusCode() == 200) {
+				objPage._applySavedRestrictions();
 
 				return true;
-			} 
+			}
 		}
 		catch (e) {
-			this._logCaughtError("ConfluenceClient.removePage", e);
+			this._logCaughtError("ConfluenceClient.updatePageRestrictions", e);
 		}
 
 		return false;
 	},
-	
-	_getCommonExpansions: function(includeContent) {
-		var strExpand = "version," + 
-						"space," +
-						"metadata.labels," +
-						"history.lastUpdated," +
-						"restrictions.read.restrictions.group," +
-						"restrictions.update.restrictions.group," +
-						"restrictions.read.restrictions.user," +
-						"restrictions.update.restrictions.user," + 
-						"ancestors," +
-						"ancestors.version," + 
-						"ancestors.space," +
-						"ancestors.metadata.labels," +
-						"ancestors.history.lastUpdated," +
-						"ancestors.restrictions.read.restrictions.group," +
-						"ancestors.restrictions.update.restrictions.group," +
-						"ancestors.restrictions.read.restrictions.user," +
-						"ancestors.restrictions.update.restrictions.user";
 
-		if (typeof includeContent === "boolean" && includeContent == true) {
-			strExpand = strExpand + ",body.storage,body.styled_view";
-		}						
+	/**
+	 * Sends a PUT request to the [Confluence REST API]{@link https://developer.atlassian.com/cloud/confluence/rest/api-group-content---children-and-descendants/#api-wiki-rest-api-content-pageid-move-position-targetid-put}
+	 * for moving a page relative to a target page. All descendants of the moved page are moved along, 
+	 * even if the target page resides in another space. Afterwards ancestors, parent page ID and space key of the 
+	 * passed {@link ConfluencePage} object are refreshed.
+	 * 
+	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object.
+	 * @param {String} strTargetPageId ID of the page the moved page is positioned relative to.
+	 * @param {String} [strPosition] `append` (default) moves the page to the end of the children of the target page, 
+	 * `before` and `after` make the page a sibling directly before or after the target page.
+	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not have a page ID stored or is a blog post.
+	 * @throws {Error} If passed parameter `strTargetPageId` does not contain a valid Integer value or equals the page ID.
+	 * @throws {Error} If passed parameter `strPosition` is not one of the allowed values.
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	movePage: function(objPage, strTargetPageId, strPosition) {
+		if (!this._isValidPageObj(objPage)) {
+			throw new Error(
+				"[ConfluenceClient.movePage] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);
+		}
 
-		return strExpand;
-	},
+		if (!objPage.getId()) {
+			throw new Error("[ConfluenceClient.movePage] {objPage} has no page ID stored!");
+		}
 
-	_isValidPageObj: function(objPage) {
-		return typeof objPage === "object" && objPage instanceof ConfluencePage && objPage.isValid();
-	},
-		
-	_setEndpoint: function(strSuffix) {
-		this._endpoint = this._strConfluenceURL + strSuffix;
+		if (objPage.getType() === "blogpost") {
+			throw new Error("[ConfluenceClient.movePage] Blog posts cannot be moved within the page tree!");
+		}
 
-		this._objRestMessage.setEndpoint(this._endpoint);
-	},
+		if (!ConfluenceClient.isValidInteger(strTargetPageId) || strTargetPageId == objPage.getId()) {
+			throw new Error(
+				"[ConfluenceClient.movePage] Please pass a valid target page ID at parameter {strTargetPageId}!" +
+				" Invalid value: " + strTargetPageId
+			);
+		}
+
+		var _strPosition = strPosition || "append";
+
+		if (!/^(append|before|after)$/.test(_strPosition)) {
+			throw new Error(
+				"[ConfluenceClient.movePage] Please pass a valid position at parameter {strPosition}!" +
+				" Invalid value: " + strPosition
+			);
+		}
+
+		try {
+			//configure request
+			this._setEndpoint("/rest/api/content/" + objPage.getId() + "/move/" + _strPosition + "/" + strTargetPageId);
+			this._setHttpMethod("put");
+
+			//tough it is not necessary ServiceNow would throw an error in case of empty request body
+			this._setRequestBody("x");
+
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient.movePage");
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				var objMovedPage = this.loadPageDataById(objPage.getId());
+
+				if (objMovedPage == null) {
+					return false;
+				}
+
+				objPage._applyMovedPage(objMovedPage);
+
+				return true;
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.movePage", e);
+		}
+
+		return false;
+	},
+
+	/**
+	 * Moves a page inclusive all of its descendants to another space by invoking method {@link ConfluenceClient#movePage}.
+	 * 
+	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object.
+	 * @param {String} strSpaceKey Key of the target space.
+	 * @param {String} [strTargetParentId] ID of the new parent page in the target space. If not specified, the page is appended to the homepage of the target space.
+	 * @throws {Error} If passed parameter `strSpaceKey` does not contain a valid space key.
+	 * @throws {Error} If passed parameter `strTargetParentId` does not contain a valid Integer value.
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`, e.g. if the new parent page is not located in the target space.
+	 */
+	movePageToSpace: function(objPage, strSpaceKey, strTargetParentId) {
+		if (!ConfluenceClient.isValidSpaceKey(strSpaceKey)) {
+			throw new Error(
+				"[ConfluenceClient.movePageToSpace] Please pass a valid Confluence space key at parameter {strSpaceKey}!" +
+				" Invalid value: " + strSpaceKey
+			);
+		}
+
+		if (strTargetParentId) {
+			if (!ConfluenceClient.isValidInteger(strTargetParentId)) {
+				throw new Error(
+					"[ConfluenceClient.movePageToSpace] Please pass a valid page ID at parameter {strTargetParentId}!" +
+					" Invalid value: " + strTargetParentId
+				);
+			}
+
+			var objTargetParent = this.loadPageDataById(strTargetParentId);
+
+			if (objTargetParent == null) {
+				return false;
+			}
+
+			if (String(objTargetParent.getSpaceKey()).toUpperCase() !== strSpaceKey.toUpperCase()) {
+				this._logError(
+					"[ConfluenceClient.movePageToSpace] Page " + strTargetParentId + " is not located in space '" + strSpaceKey + "'" +
+					" but in space '" + objTargetParent.getSpaceKey() + "'!"
+				);
+
+				return false;
+			}
+
+			return this.movePage(objPage, strTargetParentId, "append");
+		}
+
+		var objSpace = this.loadSpace(strSpaceKey);
+
+		if (objSpace == null) {
+			return false;
+		}
+
+		if (!objSpace.getHomepageId()) {
+			this._logWarning("[ConfluenceClient.movePageToSpace] Space '" + strSpaceKey + "' has no homepage to move the page to!");
+
+			return false;
+		}
+
+		return this.movePage(objPage, objSpace.getHomepageId(), "append");
+	},
+
+	/**
+	 * Copies a single page or a whole page tree to a new location.
+	 * 
+	 * By default, the copy is done on the client side: each page is loaded, created at the target location and 
+	 * then labels, attachments and restrictions are transferred as requested. This allows handling title collisions 
+	 * with the configured strategy. With option `serverSide` the copy is delegated to the [Confluence REST API]{@link https://developer.atlassian.com/cloud/confluence/rest/api-group-content---children-and-descendants/#api-wiki-rest-api-content-id-pagehierarchy-copy-post}
+	 * instead. Copying a page tree then runs as long-running task at Confluence which is polled until it has finished.
+	 * 
+	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object representing the page to be copied.
+	 * @param {Object} [objOptions] Copy options.
+	 * @param {String} [objOptions.targetParentId] ID of the new parent page. Default is the homepage of the target space or the parent of the copied page.
+	 * @param {String} [objOptions.targetSpaceKey] Key of the target space. Default is the space of the target parent page.
+	 * @param {String} [objOptions.titlePrefix] Text to be prepended to all titles.
+	 * @param {Object} [objOptions.titleReplace] Object with the keys `search` and `replace` for replacing all occurrences of a text in the titles.
+	 * @param {Boolean} [objOptions.includeLabels] If `true` page labels are copied.
+	 * @param {Boolean} [objOptions.includeAttachments] If `true` attachments are copied.
+	 * @param {Boolean} [objOptions.includeRestrictions] If `true` reading and updating restrictions are copied.
+	 * @param {Boolean} [objOptions.includeDescendants] If `true` all descendants are copied too. The target parent page must not be the copied page or one of its descendants then.
+	 * @param {String} [objOptions.collisionStrategy] What happens if a page with the new title already exists in the target space:
+	 * `fail` (default) aborts the copy, `skip` omits the page including its descendants and `suffix` appends a counter like ` (2)` to the title.
+	 * @param {Boolean} [objOptions.serverSide] If `true` the copy is done by Confluence. Only collision strategy `fail` is supported then.
+	 * @param {Integer} [objOptions.timeout] Maximum number of seconds to wait for a long-running copy task. Default is 300.
+	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not have a page ID stored.
+	 * @throws {Error} If passed parameter `objOptions` contains invalid values.
+	 * @returns {null|Array<ConfluencePage>} `NULL` if the copy has failed or an Array with objects of type {@link ConfluencePage} 
+	 * representing the created pages, starting with the copy of the passed page.
+	 */
+	copyPage: function(objPage, objOptions) {
+		if (!this._isValidPageObj(objPage)) {
+			throw new Error(
+				"[ConfluenceClient.copyPage] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);
+		}
+
+		if (!objPage.getId()) {
+			throw new Error("[ConfluenceClient.copyPage] {objPage} has no page ID stored!");
+		}
+
+		var objContext = this._validateCopyOptions(objOptions || {});
+
+		if (!this._resolveCopyTarget(objPage, objContext)) {
+			return null;
+		}
+
+		try {
+			if (objContext.serverSide) {
+				return this._copyPageOnServer(objPage, objContext);
+			}
+
+			if (!this._copyPageTree(objPage, objContext.targetParentId, objContext)) {
+				if (objContext.copies.length > 0) {
+					this._logWarning(
+						"[ConfluenceClient.copyPage] Copy has been aborted. The following pages have already been created: " +
+						objContext.copies.map(function(objCopy) {
+							return objCopy.getId();
+						}).join(", ")
+					);
+				}
+
+				return null;
+			}
+
+			return objContext.copies;
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.copyPage", e);
+		}
+
+		return null;
+	},
+
+	/**
+	 * Sends GET requests to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/content/{id}/version-getContentHistory}
+	 * for retrieving the version history of a Confluence page.
+	 * 
+	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not have a page ID stored.
+	 * @returns {null|Array<Object>} `NULL` if Confluence request has failed or an Array of objects with the keys `number`, `authorUserName`, 
+	 * `authorDisplayName`, `dateTime` (as [GlideDateTime]{@link https://developer.servicenow.com/dev.do#!/reference/api/orlando/server/c_APIRef}), `message` and `minorEdit`, sorted descending by version number.
+	 */
+	loadPageVersions: function(objPage) {
+		if (!this._isValidPageObj(objPage)) {
+			throw new Error(
+				"[ConfluenceClient.loadPageVersions] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);
+		}
+
+		if (!objPage.getId()) {
+			throw new Error("[ConfluenceClient.loadPageVersions] {objPage} has no page ID stored!");
+		}
+
+		var arrVersions = [];
+		var intStartAt  = 0;
+
+		try {
+			while (true) {
+				//configure request
+				this._setHttpMethod("get");
+				this._setEndpoint(
+					this._getExperimentalApiPath() + "/content/" + objPage.getId() + "/version" +
+					"?limit=" + this._getMaxResults() +
+					"&start=" + intStartAt
+				);
+
+				//send request
+				var objResponse = this._executeRequest("ConfluenceClient.loadPageVersions");
+
+				//test whether response is successful
+				if (objResponse.getStatusCode() == 200) {
+					var jsonResponse = JSON.parse(objResponse.getBody());
+					var intSize      = jsonResponse.results.length || 0;
+
+					this._logDebug("[ConfluenceClient.loadPageVersions] " + intSize + " results loaded");
+
+					if (intSize == 0) {
+						break;
+					}
+
+					for (var i = 0; i < intSize; i++) {
+						var jsonVersion = jsonResponse.results[i];
+						var gdtVersion  = new GlideDateTime();
+						var objAuthor   = jsonVersion.by || {};
+
+						gdtVersion.setDisplayValue(jsonVersion.when, "yyyy-MM-dd'T'HH:mm:ss");
+
+						arrVersions.push({
+							number:            jsonVersion.number,
+							authorUserName:    objAuthor[this._getUserKey()],
+							authorDisplayName: objAuthor.displayName,
+							dateTime:          gdtVersion,
+							message:           jsonVersion.message || "",
+							minorEdit:         jsonVersion.minorEdit == true,
+						});
+					}
+
+					intStartAt += intSize;
+				}
+				else {
+					return null;
+				}
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.loadPageVersions", e);
+			return null;
+		}
+
+		return arrVersions;
+	},
+
+	/**
+	 * Sends a GET request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/content-getContentById}
+	 * for retrieving a Confluence page inclusive body content as it was at the given version.
+	 * 
+	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object.
+	 * @param {Integer} intVersionNumber Number of the version to be loaded.
+	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not have a page ID stored.
+	 * @throws {Error} If passed parameter `intVersionNumber` is not a valid `Integer` value.
+	 * @returns {null|ConfluencePage} `NULL` if Confluence request has failed or a {@link ConfluencePage} object in status `historical` representing the requested version, which is read-only.
+	 */
+	loadPageVersion: function(objPage, intVersionNumber) {
+		if (!this._isValidPageObj(objPage)) {
+			throw new Error(
+				"[ConfluenceClient.loadPageVersion] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);
+		}
+
+		if (!objPage.getId()) {
+			throw new Error("[ConfluenceClient.loadPageVersion] {objPage} has no page ID stored!");
+		}
+
+		if (!ConfluenceClient.isValidInteger(intVersionNumber)) {
+			throw new Error(
+				"[ConfluenceClient.loadPageVersion] Please pass a valid version number at parameter {intVersionNumber}!" +
+				" Invalid value: " + intVersionNumber
+			);
+		}
+
+		try {
+			//configure request
+			this._setHttpMethod("get");
+			this._setEndpoint(
+				"/rest/api/content/" + objPage.getId() +
+				"?status=historical" +
+				"&version=" + intVersionNumber +
+				"&expand=" + this._getCommonExpansions(true)
+			);
+
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient.loadPageVersion");
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				return new ConfluencePage(this, JSON.parse(objResponse.getBody()));
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.loadPageVersion", e);
+		}
+
+		return null;
+	},
+
+	/**
+	 * Sends a POST request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/content/{id}/version-restoreHistoricalVersion}
+	 * for restoring a historical version of a Confluence page. The restored content becomes the new current version 
+	 * and the passed {@link ConfluencePage} object is reloaded afterwards.
+	 * 
+	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object.
+	 * @param {Integer} intVersionNumber Number of the version to be restored.
+	 * @param {String} [strMessage] Version message of the new version.
+	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not have a page ID stored.
+	 * @throws {Error} If passed parameter `intVersionNumber` is not a valid `Integer` value.
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	restorePageVersion: function(objPage, intVersionNumber, strMessage) {
+		if (!this._isValidPageObj(objPage)) {
+			throw new Error(
+				"[ConfluenceClient.restorePageVersion] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);
+		}
+
+		if (!objPage.getId()) {
+			throw new Error("[ConfluenceClient.restorePageVersion] {objPage} has no page ID stored!");
+		}
+
+		if (!ConfluenceClient.isValidInteger(intVersionNumber)) {
+			throw new Error(
+				"[ConfluenceClient.restorePageVersion] Please pass a valid version number at parameter {intVersionNumber}!" +
+				" Invalid value: " + intVersionNumber
+			);
+		}
+
+		try {
+			//configure request
+			this._setEndpoint(this._getExperimentalApiPath() + "/content/" + objPage.getId() + "/version");
+			this._setHttpMethod("post");
+			this._setRequestBody(JSON.stringify({
+				operationKey: "restore",
+				params:       {
+					versionNumber: parseInt(intVersionNumber, 10),
+					message:       strMessage || "Restored version " + intVersionNumber,
+				},
+			}));
+
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient.restorePageVersion");
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				var objRestoredPage = this.loadPageDataById(objPage.getId());
+
+				if (objRestoredPage == null) {
+					return false;
+				}
+
+				objPage.setTitle(objRestoredPage.getTitle());
+				objPage.setBody(objRestoredPage.getBody() || "");
+
+				//setting the version number resets all change markers
+				objPage.setVersionNumber(objRestoredPage.getVersionNumber());
+
+				return true;
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.restorePageVersion", e);
+		}
+
+		return false;
+	},
+
+	/**
+	 * Deletes a Confluence page by moving to the recycle bin of the corresponding space.
+	 * 
+	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not have a page ID stored.
+	 * @throws {Error} If passed paremeter `objPage` has status 'trashed'.
+	 * @returns {Booelan} `true` if page could be moved to the recycle bin or `false`if not.
+	 */
+	removePage: function(objPage) {
+		if (!this._isValidPageObj(objPage)) {
+			throw new Error(
+				"[ConfluenceClient.removePage] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);			
+		}
+
+		if (!objPage.getId()) {
+			throw new Error("[ConfluenceClient.removePage] {objPage} has no page ID stored!");			
+		}
+
+		if (objPage.getStatus() === "trashed") {
+			throw new Error("[ConfluenceClient.removePage] Given {objPage} is already in status 'trashed'!");			
+		}
+
+		try {
+			//the remote state is needed for a later rollback and has to be loaded before configuring the request
+			var objBefore = this._isJournaling() ? this._loadJournalSnapshot(objPage.getId(), false) : null;
+
+			if (this._isJournaling() && objBefore === null) {
+				return false;
+			}
+
+			//configure request
+			this._setEndpoint(
+				this._isCloud() ? 
+					this._getV2ContentPath(objPage) + "/" + objPage.getId() : 
+					"/rest/api/content/" + objPage.getId()
+			);
+			this._setHttpMethod("delete");
+
+			//tough it is not necessary ServiceNow would throw an error in case of empty request body
+			this._setRequestBody("x");
+
+			//in dry-run mode the request is only recorded
+			if (this._isDryRun) {
+				return this._recordDryRun("ConfluenceClient.removePage", objPage);
+			}
+			
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient.removePage");
+			
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200 || objResponse.getStatusCode() == 204) {
+				objPage.setStatus("trashed");
+
+				if (objBefore !== null) {
+					this._writeJournal("ConfluenceClient.removePage", objPage, {before: objBefore, after: null});
+				}
+
+				return true;
+			} 
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.removePage", e);
+		}
+
+		return false;
+	},
+
+	/**
+	 * Sends GET requests to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/content/{id}/child/attachment-getAttachments}
+	 * for retrieving all attachments of a Confluence page.
+	 *
+	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not have a page ID stored.
+	 * @returns {null|Array<ConfluenceAttachment>} `NULL` if Confluence request has failed or an Array with objects of type {@link ConfluenceAttachment} representing the attachments of that page.
+	 */
+	loadAttachments: function(objPage) {
+		if (!this._isValidPageObj(objPage)) {
+			throw new Error(
+				"[ConfluenceClient.loadAttachments] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);
+		}
+
+		if (!objPage.getId()) {
+			throw new Error("[ConfluenceClient.loadAttachments] {objPage} has no page ID stored!");
+		}
+
+		var arrAttachments = [];
+		var intStartAt     = 0;
+
+		try {
+			while (true) {
+				//configure request
+				this._setHttpMethod("get");
+				this._setEndpoint(
+					"/rest/api/content/" + objPage.getId() + "/child/attachment" +
+					"?limit=" + this._getMaxResults() +
+					"&start=" + intStartAt +
+					"&expand=" + this._getAttachmentExpansions()
+				);
+
+				//send request
+				var objResponse = this._executeRequest("ConfluenceClient.loadAttachments");
+
+				//test whether response is successful
+				if (objResponse.getStatusCode() == 200) {
+					var jsonResponse = JSON.parse(objResponse.getBody());
+					var intSize      = jsonResponse.results.length || 0;
+
+					this._logDebug("[ConfluenceClient.loadAttachments] " + intSize + " results loaded");
+
+					if (intSize == 0) {
+						break;
+					}
+
+					for (var i = 0; i < intSize; i++) {
+						arrAttachments.push(new ConfluenceAttachment(this, jsonResponse.results[i]));
+					}
+
+					intStartAt += intSize;
+				}
+				else {
+					return null;
+				}
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.loadAttachments", e);
+			return null;
+		}
+
+		return arrAttachments;
+	},
+
+	/**
+	 * Sends a multipart POST request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/content/{id}/child/attachment-createAttachments}
+	 * for uploading a new file as attachment to an existing Confluence page.
+	 *
+	 * The file can either be specified by its name, content type and Base64 encoded content or by the sys_id of an
+	 * existing ServiceNow attachment. For the upload the complete multipart request body is temporarily stored as
+	 * attachment at the ServiceNow record the source attachment belongs to (or at the record of the current user) and
+	 * is removed again afterwards.
+	 *
+	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object.
+	 * @param {Object} objFile Description of the file to be uploaded.
+	 * @param {String} [objFile.fileName] Name of the file at Confluence side.
+	 * @param {String} [objFile.contentType] MIME type of the file, e.g. `application/pdf`.
+	 * @param {String} [objFile.base64Content] Base64 encoded file content.
+	 * @param {String} [objFile.sysAttachmentId] Sys ID of a ServiceNow attachment to be used instead of the three values above.
+	 * @param {String} [objFile.comment] Optional comment for the attachment.
+	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not have a page ID stored.
+	 * @throws {Error} If passed parameter `objFile` does not describe a valid file.
+	 * @returns {null|ConfluenceAttachment} `NULL` if Confluence request has failed or a {@link ConfluenceAttachment} object representing the uploaded attachment.
+	 */
+	uploadAttachment: function(objPage, objFile) {
+		if (!this._isValidPageObj(objPage)) {
+			throw new Error(
+				"[ConfluenceClient.uploadAttachment] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);
+		}
+
+		if (!objPage.getId()) {
+			throw new Error("[ConfluenceClient.uploadAttachment] {objPage} has no page ID stored!");
+		}
+
+		var objResolvedFile = this._resolveAttachmentFile("ConfluenceClient.uploadAttachment", objFile);
+
+		try {
+			//configure request
+			this._setEndpoint("/rest/api/content/" + objPage.getId() + "/child/attachment?expand=" + this._getAttachmentExpansions());
+			this._setHttpMethod("post");
+
+			//send request
+			var objResponse = this._executeMultipartRequest("ConfluenceClient.uploadAttachment", objResolvedFile);
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				var jsonResponse = JSON.parse(objResponse.getBody());
+
+				if (Array.isArray(jsonResponse.results) && jsonResponse.results.length > 0) {
+					return new ConfluenceAttachment(this, jsonResponse.results[0]);
+				}
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.uploadAttachment", e);
+		}
+
+		return null;
+	},
+
+	/**
+	 * Sends a multipart POST request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/content/{id}/child/attachment-updateData}
+	 * for uploading a new version of an existing attachment. See {@link ConfluenceClient#uploadAttachment} for the
+	 * supported file descriptions.
+	 *
+	 * @param {ConfluenceAttachment} objAttachment A reference to a valid {@link ConfluenceAttachment} object.
+	 * @param {Object} objFile Description of the file to be uploaded.
+	 * @throws {Error} If passed parameter `objAttachment` does not represent a valid {@link ConfluenceAttachment} object.
+	 * @throws {Error} If passed parameter `objFile` does not describe a valid file.
+	 * @returns {null|ConfluenceAttachment} `NULL` if Confluence request has failed or a {@link ConfluenceAttachment} object representing the new attachment version.
+	 */
+	updateAttachment: function(objAttachment, objFile) {
+		if (!this._isValidAttachmentObj(objAttachment)) {
+			throw new Error(
+				"[ConfluenceClient.updateAttachment] Please pass a valid {ConfluenceAttachment} object at parameter {objAttachment}!"
+			);
+		}
+
+		var objResolvedFile = this._resolveAttachmentFile("ConfluenceClient.updateAttachment", objFile);
+
+		try {
+			//configure request
+			this._setEndpoint(
+				"/rest/api/content/" + objAttachment.getPageId() + "/child/attachment/" + objAttachment.getId() + "/data" +
+				"?expand=" + this._getAttachmentExpansions()
+			);
+			this._setHttpMethod("post");
+
+			//send request
+			var objResponse = this._executeMultipartRequest("ConfluenceClient.updateAttachment", objResolvedFile);
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				return new ConfluenceAttachment(this, JSON.parse(objResponse.getBody()));
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.updateAttachment", e);
+		}
+
+		return null;
+	},
+
+	/**
+	 * Downloads the file of a Confluence attachment and stores it as attachment at the given ServiceNow record.
+	 *
+	 * @param {ConfluenceAttachment} objAttachment A reference to a valid {@link ConfluenceAttachment} object.
+	 * @param {GlideRecord} grTarget ServiceNow record the downloaded file is attached to.
+	 * @throws {Error} If passed parameter `objAttachment` does not represent a valid {@link ConfluenceAttachment} object.
+	 * @throws {Error} If passed parameter `grTarget` does not represent a valid and existing record.
+	 * @returns {null|String} `NULL` if Confluence request has failed or the sys_id of the created ServiceNow attachment.
+	 */
+	downloadAttachment: function(objAttachment, grTarget) {
+		if (!this._isValidAttachmentObj(objAttachment)) {
+			throw new Error(
+				"[ConfluenceClient.downloadAttachment] Please pass a valid {ConfluenceAttachment} object at parameter {objAttachment}!"
+			);
+		}
+
+		if (!(grTarget && typeof grTarget.getUniqueValue === "function" && grTarget.isValidRecord())) {
+			throw new Error(
+				"[ConfluenceClient.downloadAttachment] Please pass a valid and existing {GlideRecord} at parameter {grTarget}!"
+			);
+		}
+
+		if (!objAttachment.getDownloadLink()) {
+			throw new Error("[ConfluenceClient.downloadAttachment] {objAttachment} has no download link stored!");
+		}
+
+		try {
+			//configure request
+			this._setEndpoint(objAttachment.getDownloadLink());
+			this._setHttpMethod("get");
+
+			//send request
+			var objResponse = this._executeSeparateRequest("ConfluenceClient.downloadAttachment", function(objRestMessage) {
+				objRestMessage.saveResponseBodyAsAttachment(
+					grTarget.getTableName(), grTarget.getUniqueValue(), objAttachment.getTitle()
+				);
+			});
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				return objResponse.getResponseAttachmentSysid();
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.downloadAttachment", e);
+		}
+
+		return null;
+	},
+
+	/**
+	 * Deletes a Confluence attachment by moving it to the recycle bin of the corresponding space.
+	 *
+	 * @param {ConfluenceAttachment} objAttachment A reference to a valid {@link ConfluenceAttachment} object.
+	 * @throws {Error} If passed parameter `objAttachment` does not represent a valid {@link ConfluenceAttachment} object.
+	 * @throws {Error} If passed paremeter `objAttachment` has status 'trashed'.
+	 * @returns {Boolean} `true` if attachment could be moved to the recycle bin or `false`if not.
+	 */
+	removeAttachment: function(objAttachment) {
+		if (!this._isValidAttachmentObj(objAttachment)) {
+			throw new Error(
+				"[ConfluenceClient.removeAttachment] Please pass a valid {ConfluenceAttachment} object at parameter {objAttachment}!"
+			);
+		}
+
+		if (objAttachment.getStatus() === "trashed") {
+			throw new Error("[ConfluenceClient.removeAttachment] Given {objAttachment} is already in status 'trashed'!");
+		}
+
+		try {
+			//configure request
+			this._setEndpoint("/rest/api/content/" + objAttachment.getId());
+			this._setHttpMethod("delete");
+
+			//tough it is not necessary ServiceNow would throw an error in case of empty request body
+			this._setRequestBody("x");
+
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient.removeAttachment");
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200 || objResponse.getStatusCode() == 204) {
+				objAttachment.setStatus("trashed");
+
+				return true;
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.removeAttachment", e);
+		}
+
+		return false;
+	},
+
+	/**
+	 * Sends GET requests to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/content/{id}/child/comment-commentsOfContent}
+	 * for retrieving the comments of a Confluence page including all replies.
+	 *
+	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object.
+	 * @param {String} [strLocation] Restricts the result to comments at the given location: `footer`, `inline` or `resolved`.
+	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not have a page ID stored.
+	 * @throws {Error} If passed parameter `strLocation` does not represent a valid comment location.
+	 * @returns {null|Array<ConfluenceComment>} `NULL` if Confluence request has failed or an Array with objects of type {@link ConfluenceComment}.
+	 */
+	loadPageComments: function(objPage, strLocation) {
+		if (!this._isValidPageObj(objPage)) {
+			throw new Error(
+				"[ConfluenceClient.loadPageComments] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);
+		}
+
+		if (!objPage.getId()) {
+			throw new Error("[ConfluenceClient.loadPageComments] {objPage} has no page ID stored!");
+		}
+
+		if (strLocation && !/^(footer|inline|resolved)$/.test(strLocation)) {
+			throw new Error(
+				"[ConfluenceClient.loadPageComments] Please pass a valid comment location at parameter {strLocation}!" +
+				" Invalid value: " + strLocation
+			);
+		}
+
+		var arrComments = [];
+		var intStartAt  = 0;
+
+		try {
+			while (true) {
+				//configure request
+				this._setHttpMethod("get");
+				this._setEndpoint(
+					"/rest/api/content/" + objPage.getId() + "/child/comment" +
+					"?limit=" + this._getMaxResults() +
+					"&start=" + intStartAt +
+					"&depth=all" +
+					(strLocation ? "&location=" + strLocation : "") +
+					"&expand=" + this._getCommentExpansions()
+				);
+
+				//send request
+				var objResponse = this._executeRequest("ConfluenceClient.loadPageComments");
+
+				//test whether response is successful
+				if (objResponse.getStatusCode() == 200) {
+					var jsonResponse = JSON.parse(objResponse.getBody());
+					var intSize      = jsonResponse.results.length || 0;
+
+					this._logDebug("[ConfluenceClient.loadPageComments] " + intSize + " results loaded");
+
+					if (intSize == 0) {
+						break;
+					}
+
+					for (var i = 0; i < intSize; i++) {
+						arrComments.push(new ConfluenceComment(this, jsonResponse.results[i]));
+					}
+
+					intStartAt += intSize;
+				}
+				else {
+					return null;
+				}
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.loadPageComments", e);
+			return null;
+		}
+
+		return arrComments;
+	},
+
+	/**
+	 * Sends a POST request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/content-createContent}
+	 * for creating a new footer comment at a Confluence page or a reply to an existing comment.
+	 *
+	 * @param {ConfluencePage} objPage A reference to a valid {@link ConfluencePage} object.
+	 * @param {String} strBody Content of the comment in storage format.
+	 * @param {String} [strParentCommentId] ID of the comment to reply to.
+	 * @throws {Error} If passed parameter `objPage` does not represent a valid {@link ConfluencePage} object.
+	 * @throws {Error} If passed parameter `objPage` does not have a page ID stored.
+	 * @throws {Error} If passed parameter `strBody` is empty or not of type `String`.
+	 * @throws {Error} If passed parameter `strParentCommentId` does not contain a valid Integer value.
+	 * @returns {null|ConfluenceComment} `NULL` if Confluence request has failed or a {@link ConfluenceComment} object representing the created comment.
+	 */
+	addComment: function(objPage, strBody, strParentCommentId) {
+		if (!this._isValidPageObj(objPage)) {
+			throw new Error(
+				"[ConfluenceClient.addComment] Please pass a valid {ConfluencePage} object at parameter {objPage}!"
+			);
+		}
+
+		if (!objPage.getId()) {
+			throw new Error("[ConfluenceClient.addComment] {objPage} has no page ID stored!");
+		}
+
+		if (!(typeof strBody === "string" && strBody.length > 0)) {
+			throw new Error(
+				"[ConfluenceClient.addComment] Please pass a valid comment content at parameter {strBody}!"
+			);
+		}
+
+		if (strParentCommentId && !ConfluenceClient.isValidInteger(strParentCommentId)) {
+			throw new Error(
+				"[ConfluenceClient.addComment] Please pass a valid comment ID at parameter {strParentCommentId}!" +
+				" Invalid value: " + strParentCommentId
+			);
+		}
+
+		var objPayload = {
+			type:      "comment",
+			container: {id: objPage.getId(), type: objPage.getType()},
+			body:      {storage: {value: strBody, representation: "storage"}},
+		};
+
+		if (strParentCommentId) {
+			objPayload.ancestors = [{id: strParentCommentId}];
+		}
+
+		try {
+			//configure request
+			this._setEndpoint("/rest/api/content?expand=" + this._getCommentExpansions());
+			this._setHttpMethod("post");
+			this._setRequestBody(JSON.stringify(objPayload));
+
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient.addComment");
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				return new ConfluenceComment(this, JSON.parse(objResponse.getBody()));
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.addComment", e);
+		}
+
+		return null;
+	},
+
+	/**
+	 * Sends a PUT request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/content-update}
+	 * for writing back the content of a comment to Confluence.
+	 *
+	 * @param {ConfluenceComment} objComment A reference to a valid {@link ConfluenceComment} object.
+	 * @throws {Error} If passed parameter `objComment` does not represent a valid {@link ConfluenceComment} object.
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	updateComment: function(objComment) {
+		if (!this._isValidCommentObj(objComment)) {
+			throw new Error(
+				"[ConfluenceClient.updateComment] Please pass a valid {ConfluenceComment} object at parameter {objComment}!"
+			);
+		}
+
+		try {
+			//configure request
+			this._setEndpoint("/rest/api/content/" + objComment.getId());
+			this._setHttpMethod("put");
+			this._setRequestBody(JSON.stringify({
+				id:      objComment.getId(),
+				type:    "comment",
+				version: {number: objComment.getVersionNumber() + 1},
+				body:    {storage: {value: objComment.getBody(), representation: "storage"}},
+			}));
+
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient.updateComment");
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				objComment.setVersionNumber(JSON.parse(objResponse.getBody()).version.number);
+
+				return true;
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.updateComment", e);
+		}
+
+		return false;
+	},
+
+	/**
+	 * Deletes a comment by moving it to the recycle bin of the corresponding space.
+	 *
+	 * @param {ConfluenceComment} objComment A reference to a valid {@link ConfluenceComment} object.
+	 * @throws {Error} If passed parameter `objComment` does not represent a valid {@link ConfluenceComment} object.
+	 * @throws {Error} If passed paremeter `objComment` has status 'trashed'.
+	 * @returns {Boolean} `true` if comment could be moved to the recycle bin or `false`if not.
+	 */
+	removeComment: function(objComment) {
+		if (!this._isValidCommentObj(objComment)) {
+			throw new Error(
+				"[ConfluenceClient.removeComment] Please pass a valid {ConfluenceComment} object at parameter {objComment}!"
+			);
+		}
+
+		if (objComment.getStatus() === "trashed") {
+			throw new Error("[ConfluenceClient.removeComment] Given {objComment} is already in status 'trashed'!");
+		}
+
+		try {
+			//configure request
+			this._setEndpoint("/rest/api/content/" + objComment.getId());
+			this._setHttpMethod("delete");
+
+			//tough it is not necessary ServiceNow would throw an error in case of empty request body
+			this._setRequestBody("x");
+
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient.removeComment");
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200 || objResponse.getStatusCode() == 204) {
+				objComment.setStatus("trashed");
+
+				return true;
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.removeComment", e);
+		}
+
+		return false;
+	},
+
+	/**
+	 * Sends GET requests to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/space-spaces}
+	 * for retrieving all spaces matching the given filter criteria.
+	 *
+	 * @param {Object} [objFilter] Optional filter criteria.
+	 * @param {String} [objFilter.type] Space type: `global` or `personal`.
+	 * @param {String} [objFilter.status] Space status: `current` or `archived`.
+	 * @param {String} [objFilter.label] Name of a label the spaces have to be tagged with.
+	 * @throws {Error} If passed filter criteria contain invalid values.
+	 * @returns {null|Array<ConfluenceSpace>} `NULL` if Confluence request has failed or an Array with objects of type {@link ConfluenceSpace}.
+	 */
+	loadSpaces: function(objFilter) {
+		var _objFilter = objFilter || {};
+		var strFilter  = "";
+
+		if (_objFilter.type) {
+			if (!/^(global|personal)$/.test(_objFilter.type)) {
+				throw new Error(
+					"[ConfluenceClient.loadSpaces] Please pass a valid space type at filter {type}!" +
+					" Invalid value: " + _objFilter.type
+				);
+			}
+
+			strFilter += "&type=" + _objFilter.type;
+		}
+
+		if (_objFilter.status) {
+			if (!/^(current|archived)$/.test(_objFilter.status)) {
+				throw new Error(
+					"[ConfluenceClient.loadSpaces] Please pass a valid space status at filter {status}!" +
+					" Invalid value: " + _objFilter.status
+				);
+			}
+
+			strFilter += "&status=" + _objFilter.status;
+		}
+
+		if (_objFilter.label) {
+			if (!ConfluenceClient.isValidLabelName(_objFilter.label)) {
+				throw new Error(
+					"[ConfluenceClient.loadSpaces] Please pass a valid label name at filter {label}!" +
+					" Invalid value: " + _objFilter.label
+				);
+			}
+
+			strFilter += "&label=" + encodeURIComponent(_objFilter.label);
+		}
+
+		var arrSpaces  = [];
+		var intStartAt = 0;
+
+		try {
+			while (true) {
+				//configure request
+				this._setHttpMethod("get");
+				this._setEndpoint(
+					"/rest/api/space" +
+					"?limit=" + this._getMaxResults() +
+					"&start=" + intStartAt +
+					strFilter +
+					"&expand=" + this._getSpaceExpansions()
+				);
+
+				//send request
+				var objResponse = this._executeRequest("ConfluenceClient.loadSpaces");
+
+				//test whether response is successful
+				if (objResponse.getStatusCode() == 200) {
+					var jsonResponse = JSON.parse(objResponse.getBody());
+					var intSize      = jsonResponse.results.length || 0;
+
+					this._logDebug("[ConfluenceClient.loadSpaces] " + intSize + " results loaded");
+
+					if (intSize == 0) {
+						break;
+					}
+
+					for (var i = 0; i < intSize; i++) {
+						arrSpaces.push(new ConfluenceSpace(this, jsonResponse.results[i]));
+					}
+
+					intStartAt += intSize;
+				}
+				else {
+					return null;
+				}
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.loadSpaces", e);
+			return null;
+		}
+
+		return arrSpaces;
+	},
+
+	/**
+	 * Sends a GET request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/space-space} for retrieving a single space.
+	 *
+	 * @param {String} strSpaceKey Key of the Confluence space to be loaded.
+	 * @throws {Error} If passed parameter `strSpaceKey` does not contain a valid space key.
+	 * @returns {null|ConfluenceSpace} `NULL` if Confluence request has failed or a {@link ConfluenceSpace} object representing the corresponding Confluence space.
+	 */
+	loadSpace: function(strSpaceKey) {
+		if (!ConfluenceClient.isValidSpaceKey(strSpaceKey)) {
+			throw new Error(
+				"[ConfluenceClient.loadSpace] Please pass a valid Confluence space key at parameter {strSpaceKey}!" +
+				" Invalid value: " + strSpaceKey
+			);
+		}
+
+		try {
+			//configure request
+			this._setHttpMethod("get");
+			this._setEndpoint("/rest/api/space/" + encodeURIComponent(strSpaceKey) + "?expand=" + this._getSpaceExpansions());
+
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient.loadSpace");
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				return new ConfluenceSpace(this, JSON.parse(objResponse.getBody()));
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.loadSpace", e);
+		}
+
+		return null;
+	},
+
+	/**
+	 * Invokes the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/space-contentsWithType}
+	 * for retrieving all pages at the top level of a space.
+	 *
+	 * @param {ConfluenceSpace} objSpace A reference to a valid {@link ConfluenceSpace} object.
+	 * @param {Boolean} [includeContent] If set to `true` also the page content will be loaded.
+	 * @throws {Error} If passed parameter `objSpace` does not represent a valid {@link ConfluenceSpace} object.
+	 * @returns {null|Array<ConfluencePage>} `NULL` if Confluence request has failed or an Array with objects of type {@link ConfluencePage} representing the root pages.
+	 */
+	loadSpaceRootPages: function(objSpace, includeContent) {
+		if (!this._isValidSpaceObj(objSpace)) {
+			throw new Error(
+				"[ConfluenceClient.loadSpaceRootPages] Please pass a valid {ConfluenceSpace} object at parameter {objSpace}!"
+			);
+		}
+
+		var arrPages   = [];
+		var intStartAt = 0;
+
+		try {
+			while (true) {
+				//configure request
+				this._setHttpMethod("get");
+				this._setEndpoint(
+					"/rest/api/space/" + encodeURIComponent(objSpace.getKey()) + "/content/page" +
+					"?depth=root" +
+					"&limit=" + this._getMaxResults() +
+					"&start=" + intStartAt +
+					"&expand=" + this._getCommonExpansions(includeContent)
+				);
+
+				//send request
+				var objResponse = this._executeRequest("ConfluenceClient.loadSpaceRootPages");
+
+				//test whether response is successful
+				if (objResponse.getStatusCode() == 200) {
+					var jsonResponse = JSON.parse(objResponse.getBody());
+					var intSize      = jsonResponse.results.length || 0;
+
+					this._logDebug("[ConfluenceClient.loadSpaceRootPages] " + intSize + " results loaded");
+
+					if (intSize == 0) {
+						break;
+					}
+
+					for (var i = 0; i < intSize; i++) {
+						arrPages.push(new ConfluencePage(this, jsonResponse.results[i]));
+					}
+
+					intStartAt += intSize;
+				}
+				else {
+					return null;
+				}
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.loadSpaceRootPages", e);
+			return null;
+		}
+
+		return arrPages;
+	},
+
+	/**
+	 * Sends a POST request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/space-createSpace} for creating a new global space.
+	 *
+	 * @param {String} strSpaceKey Key of the new space.
+	 * @param {String} strName Name of the new space.
+	 * @param {String} [strDescription] Plain text description of the new space.
+	 * @throws {Error} If passed parameter `strSpaceKey` does not contain a valid space key.
+	 * @throws {Error} If passed parameter `strName` is empty or not of type `String`.
+	 * @returns {null|ConfluenceSpace} `NULL` if Confluence request has failed or a {@link ConfluenceSpace} object representing the created space.
+	 */
+	createSpace: function(strSpaceKey, strName, strDescription) {
+		if (!ConfluenceClient.isValidSpaceKey(strSpaceKey)) {
+			throw new Error(
+				"[ConfluenceClient.createSpace] Please pass a valid Confluence space key at parameter {strSpaceKey}!" +
+				" Invalid value: " + strSpaceKey
+			);
+		}
+
+		if (!(typeof strName === "string" && strName.length > 0)) {
+			throw new Error(
+				"[ConfluenceClient.createSpace] Please pass a valid space name at parameter {strName}!" +
+				" Invalid value: " + strName
+			);
+		}
+
+		var objPayload = {key: strSpaceKey, name: strName};
+
+		if (typeof strDescription === "string" && strDescription.length > 0) {
+			objPayload.description = {plain: {value: strDescription, representation: "plain"}};
+		}
+
+		try {
+			//configure request
+			this._setEndpoint("/rest/api/space?expand=" + this._getSpaceExpansions());
+			this._setHttpMethod("post");
+			this._setRequestBody(JSON.stringify(objPayload));
+
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient.createSpace");
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				return new ConfluenceSpace(this, JSON.parse(objResponse.getBody()));
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.createSpace", e);
+		}
+
+		return null;
+	},
+
+	/**
+	 * Sends a PUT request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/space-update} for archiving a space.
+	 *
+	 * @param {ConfluenceSpace} objSpace A reference to a valid {@link ConfluenceSpace} object.
+	 * @throws {Error} If passed parameter `objSpace` does not represent a valid {@link ConfluenceSpace} object.
+	 * @throws {Error} If passed parameter `objSpace` is already archived.
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	archiveSpace: function(objSpace) {
+		if (!this._isValidSpaceObj(objSpace)) {
+			throw new Error(
+				"[ConfluenceClient.archiveSpace] Please pass a valid {ConfluenceSpace} object at parameter {objSpace}!"
+			);
+		}
+
+		if (objSpace.getStatus() === "archived") {
+			throw new Error("[ConfluenceClient.archiveSpace] Given {objSpace} is already in status 'archived'!");
+		}
+
+		try {
+			//configure request
+			this._setEndpoint("/rest/api/space/" + encodeURIComponent(objSpace.getKey()));
+			this._setHttpMethod("put");
+			this._setRequestBody(JSON.stringify({key: objSpace.getKey(), name: objSpace.getName(), status: "archived"}));
+
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient.archiveSpace");
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				objSpace.setStatus("archived");
+
+				return true;
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.archiveSpace", e);
+		}
+
+		return false;
+	},
+
+	/**
+	 * Sends GET requests to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/template}
+	 * for retrieving all content templates and blueprint templates of a space or all global templates.
+	 *
+	 * @param {String} [strSpaceKey] Key of the space whose templates are to be loaded. If omitted the global templates are loaded.
+	 * @throws {Error} If passed parameter `strSpaceKey` does not contain a valid space key.
+	 * @returns {null|Array<ConfluenceTemplate>} `NULL` if Confluence request has failed or an Array with objects of
+	 * type {@link ConfluenceTemplate}, first the content templates and then the blueprint templates.
+	 */
+	loadTemplates: function(strSpaceKey) {
+		if (strSpaceKey && !ConfluenceClient.isValidSpaceKey(strSpaceKey)) {
+			throw new Error(
+				"[ConfluenceClient.loadTemplates] Please pass a valid Confluence space key at parameter {strSpaceKey}!" +
+				" Invalid value: " + strSpaceKey
+			);
+		}
+
+		var arrPageTemplates = this._loadTemplateList("/rest/api/template/page", strSpaceKey);
+
+		if (arrPageTemplates === null) {
+			return null;
+		}
+
+		var arrBlueprints = this._loadTemplateList("/rest/api/template/blueprint", strSpaceKey);
+
+		return arrBlueprints === null ? null : arrPageTemplates.concat(arrBlueprints);
+	},
+
+	/**
+	 * Sends a GET request to the [Confluence REST API]{@link https://docs.atlassian.com/ConfluenceServer/rest/latest/#api/template-getContentTemplate}
+	 * for retrieving a content template or blueprint template inclusive body.
+	 *
+	 * @param {String} strTemplateId ID of the template to be loaded.
+	 * @throws {Error} If passed parameter `strTemplateId` does not contain a valid template ID.
+	 * @returns {null|ConfluenceTemplate} `NULL` if Confluence request has failed or an {@link ConfluenceTemplate} object.
+	 */
+	loadTemplate: function(strTemplateId) {
+		if (!(typeof strTemplateId === "string" && /^[\w-]+$/.test(strTemplateId))) {
+			throw new Error(
+				"[ConfluenceClient.loadTemplate] Please pass a valid template ID at parameter {strTemplateId}!" +
+				" Invalid value: " + strTemplateId
+			);
+		}
+
+		try {
+			//configure request
+			this._setHttpMethod("get");
+			this._setEndpoint("/rest/api/template/" + strTemplateId + "?expand=body");
+
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient.loadTemplate");
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				return new ConfluenceTemplate(this, JSON.parse(objResponse.getBody()));
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.loadTemplate", e);
+		}
+
+		return null;
+	},
+
+	/**
+	 * Creates a new page from a content template or blueprint template. All variables of the template are filled with
+	 * the passed values (see {@link ConfluenceTemplate#render}) before the page is created below the given parent page
+	 * and in its space. The labels of the template are added to the page.
+	 *
+	 * @example
+	 * var grMeeting = new GlideRecord("x_meeting");
+	 *
+	 * grMeeting.get(strMeetingSysId);
+	 *
+	 * var objPage = confluenceClient.createPageFromTemplate("98765", {
+	 *   parentId:  "12345",
+	 *   title:     "Meeting " + grMeeting.getDisplayValue("start"),
+	 *   variables: grMeeting,
+	 * });
+	 *
+	 * @param {String} strTemplateId ID of the template.
+	 * @param {Object} objOptions Page options.
+	 * @param {String} objOptions.parentId ID of the parent page.
+	 * @param {String} objOptions.title Title of the new page.
+	 * @param {Object|GlideRecord} [objOptions.variables] Values of the template variables as plain object or GlideRecord.
+	 * @param {Boolean} [objOptions.allowEmpty] If `true` empty Strings are accepted as variable values, see {@link ConfluenceTemplate#render}.
+	 * @throws {Error} If passed parameter `strTemplateId` does not contain a valid template ID.
+	 * @throws {Error} If passed parameter `objOptions` contains invalid values.
+	 * @throws {Error} If a value is missing for at least one template variable or does not match the options of a list variable.
+	 * @returns {null|ConfluencePage} `NULL` if a Confluence request has failed or the created {@link ConfluencePage}.
+	 */
+	createPageFromTemplate: function(strTemplateId, objOptions) {
+		var _objOptions = objOptions || {};
+
+		if (!(_objOptions.parentId && ConfluenceClient.isValidInteger(_objOptions.parentId))) {
+			throw new Error(
+				"[ConfluenceClient.createPageFromTemplate] Please pass a valid Confluence page ID at option {parentId}!" +
+				" Invalid value: " + _objOptions.parentId
+			);
+		}
+
+		if (!(typeof _objOptions.title === "string" && _objOptions.title.length > 0)) {
+			throw new Error(
+				"[ConfluenceClient.createPageFromTemplate] Please pass a valid page title at option {title}!" +
+				" Invalid value: " + _objOptions.title
+			);
+		}
+
+		var objTemplate = this.loadTemplate(strTemplateId);
+
+		if (objTemplate === null) {
+			return null;
+		}
+
+		//the body is rendered before any change is made, so that missing variables do not lead to half-filled pages
+		var strBody   = objTemplate.render(_objOptions.variables, {allowEmpty: _objOptions.allowEmpty});
+		var objParent = this.loadPageDataById(_objOptions.parentId);
+
+		if (objParent === null) {
+			return null;
+		}
+
+		var objPage = new ConfluencePage(this);
+
+		objPage.setTitle(_objOptions.title);
+		objPage.setSpaceKey(objParent.getSpaceKey());
+		objPage.setParentPageId(objParent.getId());
+		objPage.setBody(strBody);
+
+		objTemplate.getLabels().forEach(function(strLabelName) {
+			objPage.addLabel(strLabelName);
+		});
+
+		return this.createPage(objPage) ? objPage : null;
+	},
+
+	/**
+	 * Checks all links of the passed pages (see {@link ConfluencePage#getLinks}) and reports the broken ones.
+	 * 
+	 * Internal pages are resolved with {@link ConfluenceClient#loadPageDataByTitle}, blog posts and attachments with 
+	 * {@link ConfluencePage#resolveReference} and spaces with {@link ConfluenceClient#loadSpace}. Anchors have to exist 
+	 * as anchor macro or heading on the referenced page. External URLs are requested with a GET request, which can be 
+	 * replaced by a custom checker, e.g. for using a MID server. Each target is checked only once per invocation.
+	 * 
+	 * @example
+	 * var arrReports = confluenceClient.checkLinks(arrPages, {types: ["page", "attachment"]});
+	 * 
+	 * arrReports.forEach(function(objReport) {
+	 *   objReport.broken.forEach(function(objResult) {
+	 *     gs.warn(objReport.page.getTitle() + ": " + objResult.message);
+	 *   });
+	 * });
+	 * 
+	 * @param {Array<ConfluencePage>} arrPages Pages whose links are to be checked. Pages without loaded body are loaded again.
+	 * @param {Object} [objOptions] Check options.
+	 * @param {Array<String>} [objOptions.types] Link types to be checked. Default are all types except `user`, which cannot be checked.
+	 * External links are only requested for `http(s)` and relative URLs, links with other schemes like `mailto:` or `tel:` 
+	 * are reported as `skipped`.
+	 * @param {Function} [objOptions.httpChecker] Function which is invoked with an external URL and returns either a Boolean or 
+	 * an HTTP status code. Status codes from 200 to 399 are considered as reachable.
+	 * @param {Integer} [objOptions.timeout] Timeout in milliseconds for requesting external URLs with the built-in checker. Default is 10000.
+	 * @throws {Error} If passed parameter `arrPages` is not an Array of valid {@link ConfluencePage} objects.
+	 * @throws {Error} If passed parameter `objOptions` contains invalid values.
+	 * @returns {Array<Object>} One report per page with the properties `page` (the checked {@link ConfluencePage}), 
+	 * `links` (results of all links) and `broken` (results of the broken links only). Each result is an object with 
+	 * the properties `link` (see {@link ConfluencePage#getLinks}), `status` (`ok`, `broken`, `skipped` or `failed` 
+	 * if the target could not be checked) and `message`.
+	 */
+	checkLinks: function(arrPages, objOptions) {
+		if (!(Array.isArray(arrPages) && arrPages.every(this._isValidPageObj))) {
+			throw new Error(
+				"[ConfluenceClient.checkLinks] Please pass an Array of valid {ConfluencePage} objects at parameter {arrPages}!"
+			);
+		}
+
+		var objContext = this._validateLinkCheckOptions(objOptions || {});
+
+		return arrPages.map(function(objPage) {
+			//make sure the body of the page is available
+			var objFullPage = objPage.getBody() === undefined ? this.loadPageDataById(objPage.getId()) : objPage;
+			var arrResults  = [];
+
+			if (objFullPage == null) {
+				this._logWarning(
+					"[ConfluenceClient.checkLinks] Page '" + objPage.getTitle() + "' could not be loaded and has been skipped!"
+				);
+			}
+			else {
+				arrResults = objFullPage.getLinks().map(function(objLink) {
+					return this._checkLink(objFullPage, objLink, objContext);
+				}, this);
+			}
+
+			return {
+				page:   objFullPage || objPage,
+				links:  arrResults,
+				broken: arrResults.filter(function(objResult) {
+					return objResult.status === "broken";
+				}),
+			};
+		}, this);
+	},
+
+	/**
+	 * Reverts all changes of a mutation journal (see {@link ConfluenceClient#enableJournal}) in reverse order:
+	 * Updated pages get back their former title, body, labels or Scaffolding data, created pages are removed and
+	 * removed pages are restored from the recycle bin. An entry is not reverted if the page has been edited since, that
+	 * is if its version (or its labels for entries of {@link ConfluenceClient#updatePageLabels}) differs from the state
+	 * after the journaled change. Changes made by the rollback itself are not journaled.
+	 *
+	 * @param {Array<Object>|String} journal Journal entries as returned by {@link ConfluenceClient#getJournal} or their
+	 * JSON representation as returned by {@link ConfluenceClient#exportJournal}.
+	 * @throws {Error} If passed parameter `journal` does not represent a valid journal.
+	 * @returns {Object} Report with the properties `reverted` (reverted entries), `conflicts` (entries of pages which
+	 * have been edited since) and `failed` (entries whose rollback has failed). The items of `conflicts` and `failed`
+	 * are objects with the properties `entry` and `message`.
+	 */
+	rollbackJournal: function(journal) {
+		var arrEntries = journal;
+
+		if (typeof journal === "string") {
+			try {
+				arrEntries = JSON.parse(journal);
+			}
+			catch (e) {
+				arrEntries = null;
+			}
+		}
+
+		if (!(Array.isArray(arrEntries) && arrEntries.every(this._isValidJournalEntry))) {
+			throw new Error(
+				"[ConfluenceClient.rollbackJournal] Please pass a valid journal at parameter {journal}!"
+			);
+		}
+
+		var objReport  = {reverted: [], conflicts: [], failed: []};
+		var objJournal = this._objJournal;
+		var mapStates  = {};
+
+		//changes made by the rollback must not be journaled
+		this._objJournal = null;
+
+		try {
+			for (var i = arrEntries.length - 1; i >= 0; i--) {
+				var objResult = this._rollbackJournalEntry(arrEntries[i], mapStates);
+
+				if (objResult.status === "reverted") {
+					objReport.reverted.push(arrEntries[i]);
+				}
+				else {
+					objReport[objResult.status].push({entry: arrEntries[i], message: objResult.message});
+				}
+			}
+		}
+		finally {
+			this._objJournal = objJournal;
+		}
+
+		return objReport;
+	},
+
+	_validateConflictOptions: function(objOptions) {
+		var objConflict = {
+			strategy:    objOptions.strategy || "fail",
+			transform:   objOptions.transform,
+			maxAttempts: objOptions.maxAttempts || 3,
+		};
+
+		if (!/^(fail|overwrite|rebase)$/.test(objConflict.strategy)) {
+			throw new Error(
+				"[ConfluenceClient.updatePageData] Please pass a valid strategy at option {strategy}!" +
+				" Invalid value: " + objConflict.strategy
+			);
+		}
+
+		if (objConflict.strategy === "rebase" && typeof objConflict.transform !== "function") {
+			throw new Error(
+				"[ConfluenceClient.updatePageData] Please pass a function at option {transform} for strategy 'rebase'!"
+			);
+		}
+
+		if (!(ConfluenceClient.isValidInteger(objConflict.maxAttempts) && objConflict.maxAttempts >= 1)) {
+			throw new Error(
+				"[ConfluenceClient.updatePageData] Please pass a positive Integer at option {maxAttempts}!" +
+				" Invalid value: " + objConflict.maxAttempts
+			);
+		}
+
+		return objConflict;
+	},
+
+	_resolveVersionConflict: function(objPage, objConflict) {
+		var objRemotePage = this.loadPageDataById(objPage.getId());
+
+		if (objRemotePage === null) {
+			return false;
+		}
+
+		this._logWarning(
+			"[ConfluenceClient.updatePageData] Page " + objPage.getId() + " has been changed to version " + 
+			objRemotePage.getVersionNumber() + " in the meantime. Resolving conflict with strategy '" + 
+			objConflict.strategy + "'."
+		);
+
+		var strRebasedBody = null;
+
+		if (objConflict.strategy === "rebase") {
+			strRebasedBody = objConflict.transform(objRemotePage.getBody(), objRemotePage);
+
+			if (typeof strRebasedBody !== "string") {
+				this._logError(
+					"[ConfluenceClient.updatePageData] Transform function for page " + objPage.getId() + 
+					" did not return a String!"
+				);
+
+				return false;
+			}
+		}
+
+		objPage._applyRemoteVersion(objRemotePage, strRebasedBody);
+
+		return true;
+	},
+
+	_validateCopyOptions: function(objOptions) {
+		var objContext = {
+			targetParentId:      objOptions.targetParentId,
+			targetSpaceKey:      objOptions.targetSpaceKey,
+			titlePrefix:         objOptions.titlePrefix || "",
+			titleReplace:        objOptions.titleReplace,
+			includeLabels:       objOptions.includeLabels == true,
+			includeAttachments:  objOptions.includeAttachments == true,
+			includeRestrictions: objOptions.includeRestrictions == true,
+			includeDescendants:  objOptions.includeDescendants == true,
+			collisionStrategy:   objOptions.collisionStrategy || "fail",
+			serverSide:          objOptions.serverSide == true,
+			timeout:             objOptions.timeout || 300,
+			copies:              [],
+		};
+
+		if (objContext.targetParentId && !ConfluenceClient.isValidInteger(objContext.targetParentId)) {
+			throw new Error(
+				"[ConfluenceClient.copyPage] Please pass a valid page ID at option {targetParentId}!" +
+				" Invalid value: " + objContext.targetParentId
+			);
+		}
+
+		if (objContext.targetSpaceKey && !ConfluenceClient.isValidSpaceKey(objContext.targetSpaceKey)) {
+			throw new Error(
+				"[ConfluenceClient.copyPage] Please pass a valid space key at option {targetSpaceKey}!" +
+				" Invalid value: " + objContext.targetSpaceKey
+			);
+		}
+
+		if (typeof objContext.titlePrefix !== "string") {
+			throw new Error("[ConfluenceClient.copyPage] Please pass a String at option {titlePrefix}!");
+		}
+
+		if (objContext.titleReplace && 
+			!(typeof objContext.titleReplace.search === "string" && objContext.titleReplace.search.length > 0 && 
+			typeof objContext.titleReplace.replace === "string")) {
+			throw new Error(
+				"[ConfluenceClient.copyPage] Please pass an object with the String values {search} and {replace} at option {titleReplace}!"
+			);
+		}
+
+		if (!/^(fail|skip|suffix)$/.test(objContext.collisionStrategy)) {
+			throw new Error(
+				"[ConfluenceClient.copyPage] Please pass a valid strategy at option {collisionStrategy}!" +
+				" Invalid value: " + objContext.collisionStrategy
+			);
+		}
+
+		if (objContext.serverSide && objContext.collisionStrategy !== "fail") {
+			throw new Error(
+				"[ConfluenceClient.copyPage] Server side copies only support the collision strategy 'fail'!"
+			);
+		}
+
+		if (!ConfluenceClient.isValidInteger(objContext.timeout)) {
+			throw new Error(
+				"[ConfluenceClient.copyPage] Please pass a valid number of seconds at option {timeout}!" +
+				" Invalid value: " + objContext.timeout
+			);
+		}
+
+		return objContext;
+	},
+
+	_resolveCopyTarget: function(objPage, objContext) {
+		if (!objContext.targetParentId) {
+			if (objContext.targetSpaceKey) {
+				var objSpace = this.loadSpace(objContext.targetSpaceKey);
+
+				if (objSpace == null) {
+					return false;
+				}
+
+				objContext.targetParentId = objSpace.getHomepageId();
+			}
+			else {
+				objContext.targetParentId = objPage.getParentPageId();
+				objContext.targetSpaceKey = objPage.getSpaceKey();
+			}
+
+			if (!objContext.targetParentId) {
+				this._logError("[ConfluenceClient.copyPage] No parent page could be determined for the copy!");
+
+				return false;
+			}
+		}
+
+		if (objContext.targetSpaceKey && !objContext.includeDescendants) {
+			return true;
+		}
+
+		var objTargetParent = this.loadPageDataById(objContext.targetParentId);
+
+		if (objTargetParent == null) {
+			return false;
+		}
+
+		objContext.targetSpaceKey = objContext.targetSpaceKey || objTargetParent.getSpaceKey();
+
+		//a page tree copied below itself would contain its own copy and never end
+		var strSourceId  = String(objPage.getId());
+		var isInsideTree = [objTargetParent].concat(objTargetParent.getAncestors() || []).some(function(objAncestor) {
+			return String(objAncestor.getId()) === strSourceId;
+		});
+
+		if (objContext.includeDescendants && isInsideTree) {
+			this._logError(
+				"[ConfluenceClient.copyPage] Page tree cannot be copied below the copied page or one of its descendants! " +
+				"Target parent ID: " + objContext.targetParentId
+			);
+
+			return false;
+		}
+
+		return true;
+	},
+
+	_buildCopyTitle: function(strTitle, objContext) {
+		var strResult = strTitle;
+
+		if (objContext.titleReplace) {
+			strResult = strResult.split(objContext.titleReplace.search).join(objContext.titleReplace.replace);
+		}
+
+		return objContext.titlePrefix + strResult;
+	},
+
+	_copyPageTree: function(objSource, strTargetParentId, objContext) {
+		//make sure the body of the source page is available
+		var objFullSource = objSource.getBody() === undefined ? this.loadPageDataById(objSource.getId()) : objSource;
+
+		if (objFullSource == null) {
+			return false;
+		}
+
+		var strTitle     = this._buildCopyTitle(objFullSource.getTitle(), objContext);
+		var strFreeTitle = strTitle;
+		var intSuffix    = 1;
+
+		//handle title collisions in the target space
+		while (true) {
+			var objExistingPage = this.loadPageDataByTitle(objContext.targetSpaceKey, strFreeTitle);
+
+			//a failed lookup must not be taken for a free title
+			if (objExistingPage == null) {
+				if (this.getLastError() !== null) {
+					return false;
+				}
+
+				break;
+			}
+
+			if (objContext.collisionStrategy === "skip") {
+				this._logWarning("[ConfluenceClient.copyPage] Page '" + strFreeTitle + "' already exists and is skipped!");
+
+				return true;
+			}
+
+			if (objContext.collisionStrategy === "fail" || intSuffix >= 100) {
+				this._logError("[ConfluenceClient.copyPage] Page '" + strFreeTitle + "' already exists in space '" + objContext.targetSpaceKey + "'!");
+
+				return false;
+			}
+
+			intSuffix += 1;
+			strFreeTitle = strTitle + " (" + intSuffix + ")";
+		}
+
+		var objCopy = new ConfluencePage(this);
+
+		objCopy.setTitle(strFreeTitle);
+		objCopy.setSpaceKey(objContext.targetSpaceKey);
+		objCopy.setParentPageId(strTargetParentId);
+		objCopy.setBody(objFullSource.getBody() || "");
+
+		if (objContext.includeLabels && objFullSource.getLabels()) {
+			objFullSource.getLabels().forEach(function(strLabelName) {
+				objCopy.addLabel(strLabelName);
+			});
+		}
+
+		if (!this.createPage(objCopy)) {
+			return false;
+		}
+
+		objContext.copies.push(objCopy);
+
+		if (objContext.includeAttachments && !this._copyAttachments(objFullSource, objCopy)) {
+			return false;
+		}
+
+		if (objContext.includeRestrictions && !this._copyRestrictions(objFullSource, objCopy)) {
+			return false;
+		}
+
+		if (objContext.includeDescendants) {
+			var arrChildren = this.loadPageChildren(objFullSource.getId(), true);
+
+			if (arrChildren == null) {
+				return false;
+			}
+
+			for (var i = 0; i < arrChildren.length; i++) {
+				if (!this._copyPageTree(arrChildren[i], objCopy.getId(), objContext)) {
+					return false;
+				}
+			}
+		}
+
+		return true;
+	},
+
+	_copyAttachments: function(objSource, objTarget) {
+		var arrAttachments = this.loadAttachments(objSource);
+
+		if (arrAttachments == null) {
+			return false;
+		}
+
+		var grStage        = this._createStageRecord();
+		var objAttachments = new GlideSysAttachment();
+
+		if (grStage == null) {
+			this._logError("[ConfluenceClient.copyPage] No record could be created for staging the attachments!");
+
+			return false;
+		}
+
+		try {
+			for (var i = 0; i < arrAttachments.length; i++) {
+				var strStagedSysId = this.downloadAttachment(arrAttachments[i], grStage);
+
+				if (strStagedSysId == null) {
+					return false;
+				}
+
+				var objUploaded = this.uploadAttachment(objTarget, {
+					sysAttachmentId: strStagedSysId,
+					comment:         arrAttachments[i].getComment(),
+				});
+
+				objAttachments.deleteAttachment(strStagedSysId);
+
+				if (objUploaded == null) {
+					return false;
+				}
+			}
+		}
+		finally {
+			grStage.deleteRecord();
+		}
+
+		return true;
+	},
+
+	_createStageRecord: function() {
+		//downloaded files are staged at a temporary user preference, as every user may create and delete own preferences
+		var grStage = new GlideRecord("sys_user_preference");
+
+		grStage.initialize();
+		grStage.setValue("user", gs.getUserID());
+		grStage.setValue("name", "ConfluenceClient.stage." + gs.generateGUID());
+		grStage.setValue("type", "string");
+
+		return grStage.insert() ? grStage : null;
+	},
+
+	_copyRestrictions: function(objSource, objTarget) {
+		var strUserKey   = this._getUserKey();
+		var getUserNames = function(arrRestrictions) {
+			return (arrRestrictions || []).map(function(objUser) {
+				return objUser[strUserKey];
+			});
+		};
+
+		var getGroupNames = function(arrRestrictions) {
+			return (arrRestrictions || []).map(function(objGroup) {
+				return objGroup.name;
+			});
+		};
+
+		objTarget.setUserReadingRestrictions(getUserNames(objSource.getUserReadingRestrictions()));
+		objTarget.setUserUpdatingRestrictions(getUserNames(objSource.getUserUpdatingRestrictions()));
+		objTarget.setGroupReadingRestrictions(getGroupNames(objSource.getGroupReadingRestrictions()));
+		objTarget.setGroupUpdatingRestrictions(getGroupNames(objSource.getGroupUpdatingRestrictions()));
+
+		return this.updatePageRestrictions(objTarget);
+	},
+
+	_copyPageOnServer: function(objPage, objContext) {
+		var strTitle   = this._buildCopyTitle(objPage.getTitle(), objContext);
+		var objPayload = {
+			copyAttachments:    objContext.includeAttachments,
+			copyPermissions:    objContext.includeRestrictions,
+			copyLabels:         objContext.includeLabels,
+			copyProperties:     true,
+			copyCustomContents: true,
+		};
+
+		if (objContext.includeDescendants) {
+			objPayload.destinationPageId = objContext.targetParentId;
+			objPayload.titleOptions      = {prefix: objContext.titlePrefix};
+
+			if (objContext.titleReplace) {
+				objPayload.titleOptions.search  = objContext.titleReplace.search;
+				objPayload.titleOptions.replace = objContext.titleReplace.replace;
+			}
+
+			//configure request
+			this._setEndpoint("/rest/api/content/" + objPage.getId() + "/pagehierarchy/copy");
+		}
+		else {
+			objPayload.destination = {type: "parent_page", value: objContext.targetParentId};
+			objPayload.pageTitle   = strTitle;
+
+			//configure request
+			this._setEndpoint("/rest/api/content/" + objPage.getId() + "/copy");
+		}
+
+		this._setHttpMethod("post");
+		this._setRequestBody(JSON.stringify(objPayload));
+
+		//send request
+		var objResponse = this._executeRequest("ConfluenceClient.copyPage");
+
+		//copying a page tree is answered with a reference to a long-running task
+		if (objResponse.getStatusCode() == 202) {
+			if (!this._waitForLongTask("ConfluenceClient.copyPage", JSON.parse(objResponse.getBody()).id, objContext.timeout)) {
+				return null;
+			}
+		}
+		else if (objResponse.getStatusCode() != 200) {
+			return null;
+		}
+
+		var objCopy = this.loadPageDataByTitle(objContext.targetSpaceKey, strTitle);
+
+		if (objCopy == null) {
+			return null;
+		}
+
+		if (!objContext.includeDescendants) {
+			return [objCopy];
+		}
+
+		var arrDescendants = this.loadPageDescendants(objCopy.getId(), true);
+
+		return arrDescendants == null ? null : [objCopy].concat(arrDescendants);
+	},
+
+	_waitForLongTask: function(strScope, strTaskId, intTimeout) {
+		var intInterval = 2000;
+		var intWaited   = 0;
+
+		while (intWaited <= intTimeout * 1000) {
+			//configure request
+			this._setHttpMethod("get");
+			this._setEndpoint("/rest/api/longtask/" + strTaskId);
+
+			//send request
+			var objResponse = this._executeRequest(strScope);
+
+			if (objResponse.getStatusCode() != 200) {
+				return false;
+			}
+
+			var jsonTask = JSON.parse(objResponse.getBody());
+
+			this._logDebug("[" + strScope + "] Long-running task '" + strTaskId + "' at " + jsonTask.percentageComplete + "%");
+
+			if (jsonTask.finished === true || jsonTask.percentageComplete >= 100) {
+				if (jsonTask.successful === false) {
+					this._logError(
+						"[" + strScope + "] Long-running task '" + strTaskId + "' has failed: " + JSON.stringify(jsonTask.messages)
+					);
+
+					return false;
+				}
+
+				return true;
+			}
+
+			gs.sleep(intInterval);
+
+			intWaited += intInterval;
+		}
+
+		this._logError("[" + strScope + "] Long-running task '" + strTaskId + "' has not finished within " + intTimeout + " seconds!");
+
+		return false;
+	},
+
+	_validateLinkCheckOptions: function(objOptions) {
+		var objContext = {
+			types:       objOptions.types || ConfluenceClient.CHECKABLE_LINK_TYPES,
+			httpChecker: objOptions.httpChecker || null,
+			timeout:     objOptions.timeout || 10000,
+			targets:     {},
+		};
+
+		if (!(Array.isArray(objContext.types) && objContext.types.every(function(strType) {
+			return /^(external|page|blogpost|attachment|user|space|anchor)$/.test(strType);
+		}))) {
+			throw new Error(
+				"[ConfluenceClient.checkLinks] Please pass an Array of valid link types at option {types}!" +
+				" Invalid value: " + objContext.types
+			);
+		}
+
+		if (objContext.httpChecker !== null && typeof objContext.httpChecker !== "function") {
+			throw new Error("[ConfluenceClient.checkLinks] Please pass a Function at option {httpChecker}!");
+		}
+
+		if (!ConfluenceClient.isValidInteger(objContext.timeout)) {
+			throw new Error(
+				"[ConfluenceClient.checkLinks] Please pass a valid number of milliseconds at option {timeout}!" +
+				" Invalid value: " + objContext.timeout
+			);
+		}
+
+		return objContext;
+	},
+
+	_checkLink: function(objPage, objLink, objContext) {
+		var objResult = {link: objLink, status: "skipped", message: "Link type '" + objLink.type + "' is not checked."};
+
+		if (objContext.types.indexOf(objLink.type) == -1 || objLink.type === "user") {
+			return objResult;
+		}
+
+		if (objLink.type === "external") {
+			return this._checkExternalLink(objLink, objContext);
+		}
+
+		//anchor links without further reference point to the page itself
+		var target = objPage;
+
+		if (objLink.type !== "anchor") {
+			var strKey = 
+				objLink.type + "|" + (objLink.spaceKey || objPage.getSpaceKey()) + "|" + objLink.title + "|" + objLink.fileName;
+
+			if (!Object.prototype.hasOwnProperty.call(objContext.targets, strKey)) {
+				objContext.targets[strKey] = this._loadLinkTarget(objPage, objLink);
+			}
+
+			target = objContext.targets[strKey];
+		}
+
+		if (target instanceof Error || target instanceof ConfluenceError) {
+			objResult.status  = "failed";
+			objResult.message = "Target could not be checked: " + target.message;
+		}
+		else if (target == null) {
+			objResult.status  = "broken";
+			objResult.message = "Target " + objLink.type + " '" + (objLink.fileName || objLink.title || objLink.spaceKey) + "' does not exist.";
+		}
+		else if (objLink.anchor && target instanceof ConfluencePage && !this._hasAnchor(target, objLink.anchor)) {
+			objResult.status  = "broken";
+			objResult.message = "Anchor '" + objLink.anchor + "' does not exist on page '" + target.getTitle() + "'.";
+		}
+		else {
+			objResult.status  = "ok";
+			objResult.message = "";
+		}
+
+		return objResult;
+	},
+
+	_loadLinkTarget: function(objPage, objLink) {
+		var target = null;
+
+		//invalid references must not abort checking the remaining links
+		try {
+			if (objLink.type === "page") {
+				target = this.loadPageDataByTitle(objLink.spaceKey || objPage.getSpaceKey(), objLink.title);
+			}
+			else if (objLink.type === "space") {
+				target = this.loadSpace(objLink.spaceKey);
+			}
+			else {
+				target = objPage.resolveReference(objLink.node);
+			}
+		}
+		catch (e) {
+			return e;
+		}
+
+		//a missing target has to be distinguished from a failed request
+		return target == null && this._objLastError !== null ? this._objLastError : target;
+	},
+
+	_hasAnchor: function(objPage, strAnchor) {
+		var objDocument = objPage.getBodyDocument();
+		var strName     = strAnchor.replace(/\s+/g, "");
+
+		var hasAnchorMacro = objDocument.findMacros("anchor").some(function(objMacro) {
+			return objMacro.getParameter("") === strAnchor;
+		});
+
+		return hasAnchorMacro || objDocument.getRoot().findAll(function(objNode) {
+			return /^h[1-6]$/.test(objNode.getName()) && objNode.getText().replace(/\s+/g, "") === strName;
+		}).length > 0;
+	},
+
+	_checkExternalLink: function(objLink, objContext) {
+		var strUrl    = objLink.url;
+		var objResult = {link: objLink, status: "ok", message: ""};
+		var objScheme = /^([a-z][a-z0-9+.-]*):/i.exec(strUrl);
+
+		//only web addresses can be requested, other schemes like mailto: or tel: are left out
+		if (objScheme !== null && !/^https?$/i.test(objScheme[1])) {
+			objResult.status  = "skipped";
+			objResult.message = "URL scheme '" + objScheme[1] + "' is not checked.";
+
+			return objResult;
+		}
+
+		//relative URLs refer to the Confluence instance
+		if (strUrl.substring(0, 2) === "//") {
+			strUrl = this._strConfluenceURL.replace(/\/\/.*$/, "") + strUrl;
+		}
+		else if (objScheme === null) {
+			strUrl = this._strConfluenceURL + (strUrl.charAt(0) === "/" ? "" : "/") + strUrl;
+		}
+
+		if (!Object.prototype.hasOwnProperty.call(objContext.targets, strUrl)) {
+			try {
+				objContext.targets[strUrl] = objContext.httpChecker ? 
+					objContext.httpChecker(strUrl) : 
+					this._requestExternalUrl(strUrl, objContext.timeout);
+			}
+			catch (e) {
+				objContext.targets[strUrl] = e;
+			}
+		}
+
+		var state = objContext.targets[strUrl];
+
+		if (state instanceof Error || state instanceof ConfluenceError) {
+			objResult.status  = "failed";
+			objResult.message = "URL '" + strUrl + "' could not be checked: " + state.message;
+		}
+		else if (typeof state === "number" && !(state >= 200 && state < 400)) {
+			objResult.status  = "broken";
+			objResult.message = "URL '" + strUrl + "' returned status code " + state + ".";
+		}
+		else if (!state) {
+			objResult.status  = "broken";
+			objResult.message = "URL '" + strUrl + "' is not reachable.";
+		}
+
+		return objResult;
+	},
+
+	_requestExternalUrl: function(strUrl, intTimeout) {
+		var objRequest = ConfluenceClient.createRestMessage();
+
+		objRequest.setHttpMethod("get");
+		objRequest.setEndpoint(strUrl);
+		objRequest.setHttpTimeout(intTimeout);
+
+		this._logDebug("[ConfluenceClient.checkLinks] Requesting '" + strUrl + "'");
+
+		return objRequest.execute().getStatusCode();
+	},
+
+	_buildSearchEndpoint: function(strScope, strCQL, objOptions) {
+		if (!(typeof strCQL == "string" && strCQL.trim().length > 5)) {
+			throw new Error(
+				"[" + strScope + "] Please pass a valid CQL string at parameter {strCQL}! Invalid value: " + strCQL
+			);
+		}
+
+		var arrTypes = objOptions.types || ConfluenceClient.CONTENT_TYPES;
+
+		if (!(Array.isArray(arrTypes) && arrTypes.length > 0)) {
+			throw new Error(
+				"[" + strScope + "] Please pass a non-empty Array at option {types}!"
+			);
+		}
+
+		for (var numTypeCounter = 0; numTypeCounter < arrTypes.length; numTypeCounter++) {
+			if (!ConfluenceClient.isValidContentType(arrTypes[numTypeCounter])) {
+				throw new Error(
+					"[" + strScope + "] '" + arrTypes[numTypeCounter] + "' is not a supported content type!"
+				);
+			}
+		}
+
+		//keywords are only searched outside of quoted values
+		var strFinalCQL = strCQL.trim();
+		var strMasked   = this._maskCqlValues(strFinalCQL);
+		var intOrderBy  = strMasked.search(/\border\s+by\b/i);
+		var strQuery    = intOrderBy > -1 ? strFinalCQL.substring(0, intOrderBy).trim() : strFinalCQL;
+		var strOrderBy  = intOrderBy > -1 ? " " + strFinalCQL.substring(intOrderBy) : "";
+		var hasType     = /\btype\s*(=|!=|in\b|not\s+in\b)/i.test(intOrderBy > -1 ? strMasked.substring(0, intOrderBy) : strMasked);
+
+		//restrict search results to the requested content types
+		if (objOptions.forceTypes || !hasType) {
+			var strTypeClause = arrTypes.length == 1 ? "type=" + arrTypes[0] : "type in (" + arrTypes.join(",") + ")";
+
+			strQuery = strQuery.length > 0 ? "(" + strQuery + ") AND " + strTypeClause : strTypeClause;
+		}
+
+		strFinalCQL = strQuery + strOrderBy;
+
+		return "/rest/api/content/search" +
+			"?cql=" + encodeURIComponent(strFinalCQL) +
+			"&expand=" + this._getCommonExpansions(objOptions.includeContent);
+	},
+
+	_maskCqlValues: function(strCQL) {
+		//quoted values are replaced by blanks of the same length, so that found positions are valid for the original query
+		return strCQL.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, function(strValue) {
+			return new Array(strValue.length + 1).join(" ");
+		});
+	},
+
+	_loadPageBatch: function(strScope, strEndpoint, objCursor) {
+		try {
+			//configure request
+			this._setHttpMethod("get");
+			this._setEndpoint(strEndpoint);
+
+			//send request
+			var objResponse = this._executeRequest(strScope);
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				var jsonResponse = JSON.parse(objResponse.getBody());
+				var intSize      = jsonResponse.results.length || 0;
+				var arrPages     = [];
+
+				this._logDebug("[" + strScope + "] " + intSize + " results loaded");
+
+				for (var i = 0; i < intSize; i++) {
+					arrPages.push(new ConfluencePage(this, jsonResponse.results[i]));
+				}
+
+				if (objCursor) {
+					objCursor.next = jsonResponse._links ? jsonResponse._links.next : null;
+				}
+
+				return arrPages;
+			}
+		}
+		catch (e) {
+			this._logCaughtError(strScope, e);
+		}
+
+		return null;
+	},
+
+	_isCloud: function() {
+		return this._strDeployment === "cloud";
+	},
+
+	_getUserKey: function() {
+		return this._isCloud() ? "accountId" : "username";
+	},
+
+	_getMaxResults: function() {
+		return ConfluenceClient.MAX_RESULTS[this._strDeployment];
+	},
+
+	_getExperimentalApiPath: function() {
+		//the experimental endpoints of Confluence Server have been promoted to the regular API in Confluence Cloud
+		return this._isCloud() ? "/rest/api" : "/rest/experimental";
+	},
+
+	_getV2ContentPath: function(objPage) {
+		return objPage.getType() === "blogpost" ? "/api/v2/blogposts" : "/api/v2/pages";
+	},
+
+	_stringifyV2Page: function(objPage, strSpaceId) {
+		var objResult = {
+			status: "current",
+			title:  objPage.getTitle(),
+			body:   {representation: "storage", value: objPage.getBody() || ""},
+		};
+
+		if (objPage.getId()) {
+			objResult.id      = objPage.getId();
+			objResult.version = {number: objPage.getVersionNumber() + 1};
+		}
+
+		if (strSpaceId) {
+			objResult.spaceId = strSpaceId;
+		}
+
+		if (objPage.getParentPageId() && objPage.getType() === "page") {
+			objResult.parentId = objPage.getParentPageId();
+		}
+
+		return JSON.stringify(objResult);
+	},
+
+	_resolveSpaceId: function(strSpaceKey) {
+		if (this._mapSpaceIds[strSpaceKey]) {
+			return this._mapSpaceIds[strSpaceKey];
+		}
+
+		try {
+			//configure request
+			this._setHttpMethod("get");
+			this._setEndpoint("/api/v2/spaces?keys=" + encodeURIComponent(strSpaceKey));
+
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient._resolveSpaceId");
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				var jsonResponse = JSON.parse(objResponse.getBody());
+
+				if (jsonResponse.results.length == 0) {
+					this._logError("[ConfluenceClient._resolveSpaceId] Space '" + strSpaceKey + "' does not exist!");
+
+					return null;
+				}
+
+				this._mapSpaceIds[strSpaceKey] = String(jsonResponse.results[0].id);
+
+				return this._mapSpaceIds[strSpaceKey];
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient._resolveSpaceId", e);
+		}
+
+		return null;
+	},
+
+	_createScaffoldingPredicate: function(criteria) {
+		if (typeof criteria === "function") {
+			return criteria;
+		}
+
+		if (!(criteria && typeof criteria === "object" && !Array.isArray(criteria))) {
+			throw new Error(
+				"[ConfluenceClient.searchByScaffolding] Please pass a function or an object at parameter {criteria}!"
+			);
+		}
+
+		var that = this;
+
+		return function(objForm) {
+			return Object.keys(criteria).every(function(strFieldName) {
+				var arrExpected = [].concat(criteria[strFieldName]);
+				var value       = objForm.getValue(strFieldName);
+
+				return arrExpected.some(function(expected) {
+					return that._matchesScaffoldingValue(value, expected);
+				});
+			});
+		};
+	},
+
+	_matchesScaffoldingValue: function(value, expected) {
+		var isEmpty = Array.isArray(value) ? value.length == 0 : value === undefined || value === null || value === "";
+
+		if (expected === null || expected === undefined || expected === "") {
+			return isEmpty;
+		}
+
+		if (isEmpty) {
+			return false;
+		}
+
+		//selected list options are compared one by one
+		if (Array.isArray(value)) {
+			return value.map(String).indexOf(String(expected)) != -1;
+		}
+
+		if (typeof value.getNumericValue === "function") {
+			var gdtExpected = typeof expected === "object" ? expected : ConfluenceScaffoldingForm.parseDate(String(expected));
+
+			return gdtExpected !== null && value.getNumericValue() == gdtExpected.getNumericValue();
+		}
+
+		if (typeof value === "number") {
+			return value === Number(expected);
+		}
+
+		return String(value) === String(expected);
+	},
+
+	_exportScaffoldingValue: function(value, isNested) {
+		if (value === undefined || value === null) {
+			return null;
+		}
+
+		if (typeof value.getNumericValue === "function") {
+			return value.getValue();
+		}
+
+		//rows and groups are converted recursively, so that nested dates are exported the same way
+		if (value instanceof ConfluenceScaffoldingForm) {
+			var objResult = {};
+
+			value.getFieldNames().forEach(function(strFieldName) {
+				objResult[strFieldName] = this._exportScaffoldingValue(value.getValue(strFieldName), true);
+			}, this);
+
+			return isNested ? objResult : JSON.stringify(objResult);
+		}
+
+		if (Array.isArray(value)) {
+			if (value[0] instanceof ConfluenceScaffoldingForm) {
+				var arrRows = value.map(function(objRow) {
+					return this._exportScaffoldingValue(objRow, true);
+				}, this);
+
+				return isNested ? arrRows : JSON.stringify(arrRows);
+			}
+
+			return isNested ? value.slice() : value.join(", ");
+		}
+
+		return value;
+	},
+
+	_loadTemplateList: function(strPath, strSpaceKey) {
+		var arrTemplates = [];
+		var intStartAt   = 0;
+
+		try {
+			while (true) {
+				//configure request
+				this._setHttpMethod("get");
+				this._setEndpoint(
+					strPath +
+					"?limit=" + this._getMaxResults() +
+					"&start=" + intStartAt +
+					(strSpaceKey ? "&spaceKey=" + encodeURIComponent(strSpaceKey) : "") +
+					"&expand=body"
+				);
+
+				//send request
+				var objResponse = this._executeRequest("ConfluenceClient.loadTemplates");
+
+				//test whether response is successful
+				if (objResponse.getStatusCode() != 200) {
+					return null;
+				}
+
+				var jsonResponse = JSON.parse(objResponse.getBody());
+				var intSize      = jsonResponse.results.length || 0;
+
+				if (intSize == 0) {
+					break;
+				}
+
+				for (var i = 0; i < intSize; i++) {
+					arrTemplates.push(new ConfluenceTemplate(this, jsonResponse.results[i]));
+				}
+
+				intStartAt += intSize;
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.loadTemplates", e);
+			return null;
+		}
+
+		return arrTemplates;
+	},
+
+	_iterate: function(strScope, objIterator, fnCallback) {
+		if (typeof fnCallback !== "function") {
+			throw new Error("[" + strScope + "] Please pass a function at parameter {fnCallback}!");
+		}
+
+		var intCount = 0;
+
+		while (objIterator.hasNext()) {
+			var intOffset = objIterator.getOffset();
+
+			intCount += 1;
+
+			if (fnCallback(objIterator.next(), intOffset) === false) {
+				this._logDebug("[" + strScope + "] Iteration stopped by callback at offset " + intOffset);
+
+				break;
+			}
+		}
+
+		return objIterator.hasFailed() ? null : intCount;
+	},
+
+	_getCommonExpansions: function(includeContent) {
+		var strExpand = "version," + 
+						"space," +
+						"metadata.labels," +
+						"history.lastUpdated," +
+						"restrictions.read.restrictions.group," +
+						"restrictions.update.restrictions.group," +
+						"restrictions.read.restrictions.user," +
+						"restrictions.update.restrictions.user," + 
+						"ancestors," +
+						"ancestors.version," + 
+						"ancestors.space," +
+						"ancestors.metadata.labels," +
+						"ancestors.history.lastUpdated," +
+						"ancestors.restrictions.read.restrictions.group," +
+						"ancestors.restrictions.update.restrictions.group," +
+						"ancestors.restrictions.read.restrictions.user," +
+						"ancestors.restrictions.update.restrictions.user";
+
+		if (typeof includeContent === "boolean" && includeContent == true) {
+			strExpand = strExpand + ",body.storage,body.styled_view";
+		}						
+
+		return strExpand;
+	},
+
+	_getAttachmentExpansions: function() {
+		return "version,container,metadata,history.lastUpdated";
+	},
+
+	_getSpaceExpansions: function() {
+		return "description.plain,homepage,metadata.labels";
+	},
+
+	_getCommentExpansions: function() {
+		return "version,container,ancestors,body.storage,history,extensions.inlineProperties,extensions.resolution";
+	},
+
+	_isValidPageObj: function(objPage) {
+		return typeof objPage === "object" && objPage instanceof ConfluencePage && objPage.isValid();
+	},
+
+	_isValidAttachmentObj: function(objAttachment) {
+		return typeof objAttachment === "object" && objAttachment instanceof ConfluenceAttachment && objAttachment.isValid();
+	},
+
+	_isValidSpaceObj: function(objSpace) {
+		return typeof objSpace === "object" && objSpace instanceof ConfluenceSpace && objSpace.isValid();
+	},
+
+	_isValidCommentObj: function(objComment) {
+		return typeof objComment === "object" && objComment instanceof ConfluenceComment && objComment.isValid();
+	},
+
+	_resolveAttachmentFile: function(strScope, objFile) {
+		if (!(objFile && typeof objFile === "object")) {
+			throw new Error("[" + strScope + "] Please pass a valid file description at parameter {objFile}!");
+		}
+
+		//file is taken from an existing ServiceNow attachment
+		if (objFile.sysAttachmentId) {
+			var grAttachment = new GlideRecord("sys_attachment");
+
+			if (!grAttachment.get(objFile.sysAttachmentId)) {
+				throw new Error(
+					"[" + strScope + "] No ServiceNow attachment found for {objFile.sysAttachmentId}!" +
+					" Invalid value: " + objFile.sysAttachmentId
+				);
+			}
+
+			return {
+				fileName:      grAttachment.getValue("file_name"),
+				contentType:   grAttachment.getValue("content_type"),
+				base64Content: new GlideSysAttachment().getContentBase64(grAttachment),
+				comment:       objFile.comment,
+				stageTable:    grAttachment.getValue("table_name"),
+				stageSysId:    grAttachment.getValue("table_sys_id"),
+			};
+		}
+
+		if (!(typeof objFile.fileName === "string" && objFile.fileName.length > 0)) {
+			throw new Error(
+				"[" + strScope + "] Please pass a valid file name at parameter {objFile.fileName}!" +
+				" Invalid value: " + objFile.fileName
+			);
+		}
+
+		if (!(typeof objFile.contentType === "string" && objFile.contentType.indexOf("/") > 0)) {
+			throw new Error(
+				"[" + strScope + "] Please pass a valid MIME type at parameter {objFile.contentType}!" +
+				" Invalid value: " + objFile.contentType
+			);
+		}
+
+		if (!(typeof objFile.base64Content === "string" && /^[A-Za-z0-9+/=\s]*$/.test(objFile.base64Content))) {
+			throw new Error(
+				"[" + strScope + "] Please pass a Base64 encoded file content at parameter {objFile.base64Content}!"
+			);
+		}
+
+		return {
+			fileName:      objFile.fileName,
+			contentType:   objFile.contentType,
+			base64Content: objFile.base64Content,
+			comment:       objFile.comment,
+			stageTable:    "sys_user",
+			stageSysId:    gs.getUserID(),
+		};
+	},
+
+	_setEndpoint: function(strSuffix) {
+		this._endpoint = this._strConfluenceURL + strSuffix;
+
+		this._objRestMessage.setEndpoint(this._endpoint);
+	},
+	
+	_setHttpMethod: function(strHttpMethod) {
+		this._httpMethod = strHttpMethod;
+
+		this._objRestMessage.setHttpMethod(strHttpMethod);
+	},
+
+	_setRequestBody: function(strRequestBody) {
+		this._objRestMessage.setRequestBody(strRequestBody);
+	},
+
+	_setRequestHeader: function(strName, strValue) {
+		this._objRestMessage.setRequestHeader(strName, strValue);
+	},
+
+	_executeRequest: function(strMethodName, arrAcceptedStatusCodes) {
+		var intAttempt = 1;
+
+		//requests which cannot be simulated must not be sent in dry-run mode
+		if (this._isDryRun && this._httpMethod !== "get") {
+			this._recordDryRun(strMethodName, null);
+
+			throw new Error("[" + strMethodName + "] Request has been recorded but not sent, as it is not supported in dry-run mode!");
+		}
+
+		while (true) {
+			//an error of a previous attempt must not outlast a successful retry
+			this._objLastError = null;
+
+			this._logRequest(strMethodName);
+
+			this._objResponse = this._objRestMessage.execute();
+			
+			this._logResponse(strMethodName);
+
+			var intDelay = this._getRetryDelay(intAttempt);
+
+			if (intDelay < 0) {
+				break;
+			}
+
+			this._logWarning(
+				"[" + strMethodName + "] Requesting '" + this._endpoint + "' returned status code " + 
+				this._objResponse.getStatusCode() + ". Retrying in " + intDelay + " ms " +
+				"(attempt " + (intAttempt + 1) + " of " + this._objRetryPolicy.maxAttempts + ")."
+			);
+
+			gs.sleep(intDelay);
+
+			intAttempt += 1;
+		}
+
+		if (this._throwOnError && this._objLastError !== null && 
+			(arrAcceptedStatusCodes || []).indexOf(this._objLastError.getStatusCode()) == -1) {
+			throw this._objLastError;
+		}
+
+		return this._objResponse;
+	},
+
+	_getRetryDelay: function(intAttempt) {
+		var objPolicy = this._objRetryPolicy;
+
+		if (objPolicy == null || intAttempt >= objPolicy.maxAttempts) {
+			return -1;
+		}
+
+		if (String(this._httpMethod).toLowerCase() === "post" && !objPolicy.retryPost) {
+			return -1;
+		}
+
+		var intStatusCode = parseInt(this._objResponse.getStatusCode(), 10);
+		var isRetryable   = objPolicy.statusCodes.some(function(intCode) {
+			return parseInt(intCode, 10) === intStatusCode;
+		});
+
+		if (!isRetryable) {
+			return -1;
+		}
+
+		var strRetryAfter = objPolicy.honorRetryAfter ? this._objResponse.getHeader("Retry-After") : null;
+
+		//the Retry-After header either contains the number of seconds to wait or a HTTP date
+		if (strRetryAfter) {
+			var intRetryAfter = ConfluenceClient.isValidInteger(strRetryAfter.trim()) ?
+				parseInt(strRetryAfter, 10) * 1000 :
+				Date.parse(strRetryAfter) - new Date().getTime();
+
+			if (!isNaN(intRetryAfter)) {
+				return Math.min(Math.max(intRetryAfter, 0), objPolicy.maxDelay);
+			}
+		}
+
+		var intDelay = objPolicy.baseDelay * Math.pow(2, intAttempt - 1);
+
+		intDelay += Math.round(intDelay * objPolicy.jitter * Math.random());
+
+		return Math.min(intDelay, objPolicy.maxDelay);
+	},
+
+	_recordDryRun: function(strMethodName, objPage) {
+		var hasPage  = objPage instanceof ConfluencePage;
+		var objEntry = {
+			methodName: strMethodName,
+			httpMethod: this._httpMethod,
+			endpoint:   this._endpoint,
+			payload:    this._httpMethod === "delete" ? null : this._objRestMessage.getRequestBody(),
+			pageId:     hasPage ? objPage.getId() || null : null,
+			title:      hasPage ? objPage.getTitle() : null,
+			diff:       null,
+		};
+
+		//body changes are compared with the page content as it was loaded
+		if (hasPage && /\.(updatePageData|createPage)$/.test(strMethodName)) {
+			objEntry.diff = ConfluenceClient.createDiff(objPage._getLoadedBody() || "", objPage.getBody() || "");
+		}
+
+		this._arrDryRunJournal.push(objEntry);
+
+		this._logDebug("[" + strMethodName + "] Dry run: " + this._httpMethod.toUpperCase() + " " + this._endpoint + " has been recorded");
+
+		return true;
+	},
+
+	_isJournaling: function() {
+		return this._objJournal !== null && !this._isDryRun;
+	},
+
+	_loadJournalSnapshot: function(strPageId, includeScaffolding) {
+		var objPage = this.loadPageDataById(strPageId);
+
+		if (objPage === null) {
+			return null;
+		}
+
+		var arrScaffoldingData = includeScaffolding ? this.loadScaffoldingData(strPageId) : null;
+
+		if (includeScaffolding && arrScaffoldingData === null) {
+			return null;
+		}
+
+		return this._createJournalSnapshot(objPage, arrScaffoldingData);
+	},
+
+	_createJournalSnapshot: function(objPage, arrScaffoldingData) {
+		return {
+			version:     objPage.getVersionNumber(),
+			title:       objPage.getTitle(),
+			body:        objPage.getBody() || "",
+			labels:      (objPage.getLabels() || []).slice(),
+			scaffolding: arrScaffoldingData,
+		};
+	},
+
+	_copyJournalSnapshot: function(objSnapshot, objChanges) {
+		var objCopy = {};
+
+		Object.keys(objSnapshot).forEach(function(strKey) {
+			objCopy[strKey] = strKey in objChanges ? objChanges[strKey] : objSnapshot[strKey];
+		});
+
+		return objCopy;
+	},
+
+	_writeJournal: function(strMethodName, objPage, objChange) {
+		var objEntry = {
+			runId:         this._objJournal.runId,
+			timestamp:     new GlideDateTime().getValue(),
+			methodName:    strMethodName,
+			pageId:        objPage.getId(),
+			type:          objPage.getType(),
+			spaceKey:      objPage.getSpaceKey(),
+			versionBefore: objChange.before ? objChange.before.version : null,
+			versionAfter:  objChange.after ? objChange.after.version : null,
+			before:        this._toJournalState(objChange.before),
+			after:         this._toJournalState(objChange.after),
+		};
+
+		if (this._objJournal.keepEntries) {
+			this._arrJournal.push(objEntry);
+		}
+
+		if (typeof this._objJournal.onEntry === "function") {
+			try {
+				this._objJournal.onEntry(objEntry);
+			}
+			catch (e) {
+				this._logError("[" + strMethodName + "] Journal entry could not be passed to function {onEntry}: " + e);
+			}
+		}
+	},
+
+	_toJournalState: function(objSnapshot) {
+		if (!objSnapshot) {
+			return null;
+		}
+
+		//the version is already stored at the entry itself
+		return {
+			title:       objSnapshot.title,
+			body:        objSnapshot.body,
+			labels:      objSnapshot.labels,
+			scaffolding: objSnapshot.scaffolding,
+		};
+	},
+
+	_isValidJournalEntry: function(objEntry) {
+		if (!(objEntry && objEntry.pageId && ConfluenceClient.isValidInteger(objEntry.pageId))) {
+			return false;
+		}
+
+		var isCreated = objEntry.methodName === "ConfluenceClient.createPage";
+		var isRemoved = objEntry.methodName === "ConfluenceClient.removePage";
+
+		return ConfluenceClient.JOURNALED_METHODS.indexOf(objEntry.methodName) != -1 &&
+			(isCreated || Boolean(objEntry.before)) &&
+			(isRemoved || Boolean(objEntry.after));
+	},
+
+	_rollbackJournalEntry: function(objEntry, mapStates) {
+		var strMethod  = objEntry.methodName.replace(/^ConfluenceClient\./, "");
+		var isReverted = false;
+
+		//removed pages are restored from the recycle bin, as they cannot be loaded anymore
+		if (strMethod === "removePage") {
+			if (!this._restoreTrashedPage(objEntry)) {
+				return {status: "failed", message: this.getLastErrorMessage()};
+			}
+
+			mapStates[objEntry.pageId] = {version: objEntry.versionBefore, current: objEntry.versionBefore + 1};
+
+			return {status: "reverted"};
+		}
+
+		var objPage = this.loadPageDataById(objEntry.pageId);
+
+		if (objPage === null) {
+			return {status: "failed", message: "Page could not be loaded: " + this.getLastErrorMessage()};
+		}
+
+		var strConflict = this._findJournalConflict(objPage, objEntry, mapStates);
+
+		if (strConflict !== null) {
+			return {status: "conflicts", message: strConflict};
+		}
+
+		if (strMethod === "createPage") {
+			isReverted = this.removePage(objPage);
+		}
+		else if (strMethod === "updatePageLabels") {
+			objPage._applyLabels(objEntry.before.labels);
+
+			isReverted = this.updatePageLabels(objPage);
+		}
+		else if (strMethod === "updateScaffoldingData") {
+			objPage.setScaffoldingData(objEntry.before.scaffolding);
+			isReverted = this.updateScaffoldingData(objPage);
+		}
+		else {
+			objPage.setTitle(objEntry.before.title);
+			objPage.setBody(objEntry.before.body);
+			isReverted = this.updatePageData(objPage);
+		}
+
+		if (!isReverted) {
+			return {status: "failed", message: this.getLastErrorMessage()};
+		}
+
+		mapStates[objEntry.pageId] = {version: objEntry.versionBefore, current: objPage.getVersionNumber()};
+
+		return {status: "reverted"};
+	},
+
+	_findJournalConflict: function(objPage, objEntry, mapStates) {
+		var objState = mapStates[objEntry.pageId] || {};
+
+		//a preceding rollback of the same page has already created a new version with the expected state
+		var intVersion = objState.version === objEntry.versionAfter ? objState.current : objEntry.versionAfter;
+
+		//labels are not versioned and therefore compared directly
+		if (objEntry.methodName === "ConfluenceClient.updatePageLabels") {
+			var arrLabels         = (objPage.getLabels() || []).slice();
+			var arrExpectedLabels = objEntry.after.labels.slice();
+			var strLabels         = arrLabels.sort().join(",");
+			var strExpectedLabels = arrExpectedLabels.sort().join(",");
+
+			return strLabels === strExpectedLabels ? null : "Labels have been changed since! Current labels: " + strLabels;
+		}
+
+		if (objPage.getVersionNumber() !== intVersion) {
+			return "Page has been edited since! Expected version: " + intVersion + ", current version: " + objPage.getVersionNumber();
+		}
+
+		return null;
+	},
+
+	_restoreTrashedPage: function(objEntry) {
+		try {
+			//configure request (a page in the recycle bin is restored by setting its status and increasing its version)
+			this._setHttpMethod("put");
+			this._setEndpoint("/rest/api/content/" + objEntry.pageId);
+			this._setRequestBody(JSON.stringify({
+				id:      objEntry.pageId,
+				type:    objEntry.type,
+				title:   objEntry.before.title,
+				status:  "current",
+				version: {number: objEntry.versionBefore + 1},
+			}));
+
+			//send request
+			var objResponse = this._executeRequest("ConfluenceClient.rollbackJournal");
+
+			//test whether response is successful
+			if (objResponse.getStatusCode() == 200) {
+				return true;
+			}
+		}
+		catch (e) {
+			this._logCaughtError("ConfluenceClient.rollbackJournal", e);
+		}
+
+		return false;
+	},
+
+	_executeMultipartRequest: function(strMethodName, objFile) {
+		var strBoundary    = this._createMultipartBoundary(objFile);
+		var strStageSysId  = this._stageMultipartBody(objFile, strBoundary);
+		var objAttachments = new GlideSysAttachment();
+
+		try {
+			return this._executeSeparateRequest(strMethodName, function(objRestMessage) {
+				objRestMessage.setRequestHeader("Content-Type", "multipart/form-data; boundary=" + strBoundary);
+				objRestMessage.setRequestHeader("X-Atlassian-Token", "no-check");
+				objRestMessage.setRequestBodyFromAttachment(strStageSysId);
+			});
+		}
+		finally {
+			objAttachments.deleteAttachment(strStageSysId);
+		}
+	},
+
+	_executeSeparateRequest: function(strMethodName, fnConfigure) {
+		var objSharedMessage = this._objRestMessage;
+		var objRequest       = ConfluenceClient.createRestMessage();
+		var objHeaders       = objSharedMessage.getRequestHeaders() || {};
+
+		Object.keys(objHeaders).forEach(function(strName) {
+			objRequest.setRequestHeader(strName, objHeaders[strName]);
+		});
+
+		objRequest.setHttpTimeout(10000);
+		objRequest.setLogLevel("all");
+		objRequest.setEndpoint(this._endpoint);
+		objRequest.setHttpMethod(this._httpMethod);
+
+		if (this._fnConfigureRest !== null) {
+			this._fnConfigureRest(objRequest);
+		}
+
+		fnConfigure(objRequest);
+
+		//the shared object is replaced only for this request, so that logging, retries and dry runs work as usual
+		this._objRestMessage = objRequest;
+
+		try {
+			return this._executeRequest(strMethodName);
+		}
+		finally {
+			this._objRestMessage = objSharedMessage;
+		}
+	},
+
+	_createMultipartBoundary: function(objFile) {
+		var strBoundary = "ConfluenceClient-" + gs.generateGUID();
+
+		//the Base64 representation of the head can only be prepended to the Base64 encoded file content if the head
+		//fills complete quanta of three bytes, therefore the boundary is extended instead of padding the head itself
+		while (this._buildMultipartHead(objFile, strBoundary).length % 3 != 0) {
+			strBoundary += "0";
+		}
+
+		return strBoundary;
+	},
+
+	_buildMultipartHead: function(objFile, strBoundary) {
+		return this._toUtf8Bytes(
+			"--" + strBoundary + "\r\n" +
+			"Content-Disposition: form-data; name=\"file\"; filename=\"" + objFile.fileName.replace(/"/g, "") + "\"\r\n" +
+			"Content-Type: " + objFile.contentType + "\r\n\r\n"
+		);
+	},
+
+	_stageMultipartBody: function(objFile, strBoundary) {
+		var grStage = new GlideRecord(objFile.stageTable);
+
+		if (!grStage.get(objFile.stageSysId)) {
+			throw new Error(
+				"[ConfluenceClient._stageMultipartBody] No record found for staging the request body at table '" +
+				objFile.stageTable + "'!"
+			);
+		}
+
+		var arrHeadBytes = this._buildMultipartHead(objFile, strBoundary);
+		var strTail = "\r\n--" + strBoundary;
+
+		if (typeof objFile.comment === "string" && objFile.comment.length > 0) {
+			strTail += "\r\n" +
+				"Content-Disposition: form-data; name=\"comment\"\r\n\r\n" +
+				objFile.comment + "\r\n" +
+				"--" + strBoundary;
+		}
+
+		strTail += "--\r\n";
+
+		//the last Base64 quantum of the file content is decoded and joined with the tail,
+		//as it may contain padding characters that are only allowed at the very end
+		var strFileContent = objFile.base64Content.replace(/\s/g, "");
+		var intSplitAt     = Math.max(0, strFileContent.length - 4);
+		var arrTailBytes   = this._decodeBase64(strFileContent.substring(intSplitAt)).concat(this._toUtf8Bytes(strTail));
+
+		return new GlideSysAttachment().writeBase64(
+			grStage,
+			objFile.fileName,
+			"multipart/form-data",
+			this._encodeBase64(arrHeadBytes) + strFileContent.substring(0, intSplitAt) + this._encodeBase64(arrTailBytes)
+		);
+	},
+
+	_toUtf8Bytes: function(strValue) {
+		var strBinary = unescape(encodeURIComponent(strValue));
+		var arrBytes  = [];
+
+		for (var i = 0; i < strBinary.length; i++) {
+			arrBytes.push(strBinary.charCodeAt(i));
+		}
+
+		return arrBytes;
+	},
+
+	_encodeBase64: function(arrBytes) {
+		var strAlphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+		var strResult   = "";
+
+		for (var i = 0; i < arrBytes.length; i += 3) {
+			var intRemaining = arrBytes.length - i;
+			var intTriple    = arrBytes[i] * 65536;
+
+			if (intRemaining > 1) {
+				intTriple += arrBytes[i + 1] * 256;
+			}
+
+			if (intRemaining > 2) {
+				intTriple += arrBytes[i + 2];
+			}
+
+			strResult += strAlphabet.charAt(Math.floor(intTriple / 262144) % 64);
+			strResult += strAlphabet.charAt(Math.floor(intTriple / 4096) % 64);
+			strResult += intRemaining > 1 ? strAlphabet.charAt(Math.floor(intTriple / 64) % 64) : "=";
+			strResult += intRemaining > 2 ? strAlphabet.charAt(intTriple % 64) : "=";
+		}
+
+		return strResult;
+	},
+
+	_decodeBase64: function(strBase64) {
+		var strAlphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+		var strInput    = strBase64.replace(/[^A-Za-z0-9+/]/g, "");
+		var arrBytes    = [];
+
+		for (var i = 0; i < strInput.length; i += 4) {
+			var intChars  = Math.min(4, strInput.length - i);
+			var intTriple = 0;
+
+			for (var j = 0; j < 4; j++) {
+				intTriple *= 64;
+
+				if (j < intChars) {
+					intTriple += strAlphabet.indexOf(strInput.charAt(i + j));
+				}
+			}
+
+			arrBytes.push(Math.floor(intTriple / 65536) % 256);
+
+			if (intChars > 2) {
+				arrBytes.push(Math.floor(intTriple / 256) % 256);
+			}
+
+			if (intChars > 3) {
+				arrBytes.push(intTriple % 256);
+			}
+		}
+
+		return arrBytes;
+	},
+
+	_logRequest: function(strMethodName) {
+		if (this._logDebugMessages) {
+			this._logDebug(
+				"[" + strMethodName + "] Send HTTP request with\n" +
+				"> Method = '" + this._httpMethod + "'\n" +
+				"> Endpoint = '" + this._objRestMessage.getEndpoint() + "'\n" +
+				"> Request headers = " + JSON.stringify(this._objRestMessage.getRequestHeaders()) + "\n" +
+				"> Request body = " + this._objRestMessage.getRequestBody()
+			);
+		}
+	},
+
+	_logResponse: function(strMethodName) {
+		if (this._objResponse.haveError()) {
+			this._logError(
+				"[" + strMethodName + "] Requesting '" + this._endpoint + "' returned an error response with\n" +
+				"> Status code = '" + this._objResponse.getStatusCode() + "'\n" +
+				"> Error code = '" + this._objResponse.getErrorCode() + "'\n" +
+				"> Error message = '" + this._objResponse.getErrorMessage() + "'\n"  +
+				"> Response headers = " + JSON.stringify(this._objResponse.getHeaders()) + "\n" +
+				"> Response body = '" + this._objResponse.getBody() + "'"
+			);
+
+			this._objLastError = this._buildResponseError(strMethodName);
+		}
+		else {
+			this._logDebug(
+				"[" + strMethodName + "] Requesting '" + this._endpoint + "' with HTTP-Method '" + this._httpMethod + "' returned a response with\n" +
+				"> Status code = '" + this._objResponse.getStatusCode() + "'\n" +
+				"> Response headers = " + JSON.stringify(this._objResponse.getHeaders()) + "\n" +
+				"> Response body = " + this._objResponse.getBody()
+			);
+		}
+	},
+
+	_logDebug: function(strMessage) {
+		if (this._logDebugMessages == true) {
+			gs.info(strMessage);
+		}
+	},
+
+	_logWarning: function(strMessage) {
+		gs.warn(strMessage);
+	},
+
+	_logError: function(strMessage) {
+		this._strErrorMsg  = strMessage;
+		this._objLastError = new ConfluenceError({message: strMessage});
+		
+		gs.error(strMessage);
+	},
+	
+	_logCaughtError: function(strScope, e) {
+		//errors of failed requests have already been logged when receiving the response
+		if (e instanceof ConfluenceError) {
+			if (this._throwOnError) {
+				throw e;
+			}
+
+			return;
+		}
+
+		this._strErrorMsg = '[' + strScope + '] ' + e.name + (e.lineNumber ? ' at line ' + e.lineNumber : '') + ':\n' + e.message;
+		
+		gs.error(this._strErrorMsg);
+
+		this._objLastError = new ConfluenceError({
+			message:    this._strErrorMsg,
+			methodName: strScope,
+			cause:      e,
+		});
+
+		if (this._throwOnError) {
+			throw this._objLastError;
+		}
+	},
+
+	_buildResponseError: function(strMethodName) {
+		var intStatusCode   = parseInt(this._objResponse.getStatusCode(), 10) || 0;
+		var strResponseBody = this._objResponse.getBody() || "";
+		var strErrorCode    = String(this._objResponse.getErrorCode());
+		var strMessage      = this._objResponse.getErrorMessage();
+
+		//Confluence describes errors with a JSON object like {"statusCode": 404, "message": "...", "reason": "Not Found"}
+		try {
+			var jsonBody = JSON.parse(strResponseBody);
+
+			strErrorCode = jsonBody.code || jsonBody.reason || strErrorCode;
+			strMessage   = jsonBody.message || strMessage;
+		}
+		catch (e) {
+			//response body is not a JSON object, e.g. in case of a timeout or a proxy error page
+		}
+
+		var arrRetryableCodes = this._objRetryPolicy ? this._objRetryPolicy.statusCodes : ConfluenceClient.RETRYABLE_STATUS_CODES;
+
+		return new ConfluenceError({
+			message:      "[" + strMethodName + "] " + (strMessage || "Request failed with status code " + intStatusCode),
+			methodName:   strMethodName,
+			httpMethod:   this._httpMethod,
+			endpoint:     this._endpoint,
+			statusCode:   intStatusCode,
+			errorCode:    strErrorCode,
+			responseBody: strResponseBody,
+			retryable:    intStatusCode === 0 || arrRetryableCodes.indexOf(intStatusCode) != -1,
+		});
+	},
+		
+    type: 'ConfluenceClient',
+};
+
+/**
+ * List of all content types that can be represented by a {@link ConfluencePage} object.
+ * 
+ * @type {Array<String>}
+ */
+ConfluenceClient.CONTENT_TYPES = [
+	"page",
+	"blogpost",
+];
+
+/**
+ * HTTP status codes which are retried by default if a retry policy is configured, see {@link ConfluenceClient#setRetryPolicy}.
+ * 
+ * @type {Array<Integer>}
+ */
+ConfluenceClient.RETRYABLE_STATUS_CODES = [
+	429,
+	502,
+	503,
+	504,
+];
+
+/**
+ * Maximum number of results per request for each deployment type. Confluence Cloud silently caps larger limits.
+ * 
+ * @type {Object}
+ */
+ConfluenceClient.MAX_RESULTS = {
+	server: 1000,
+	cloud:  250,
+};
+
+/**
+ * Link types which are checked by default, see {@link ConfluenceClient#checkLinks}.
+ * 
+ * @type {Array<String>}
+ */
+ConfluenceClient.CHECKABLE_LINK_TYPES = [
+	"external",
+	"page",
+	"blogpost",
+	"attachment",
+	"space",
+	"anchor",
+];
+
+/**
+ * Methods which write entries to the mutation journal, see {@link ConfluenceClient#enableJournal}.
+ * 
+ * @type {Array<String>}
+ */
+ConfluenceClient.JOURNALED_METHODS = [
+	"ConfluenceClient.updatePageData",
+	"ConfluenceClient.updatePageLabels",
+	"ConfluenceClient.updateScaffoldingData",
+	"ConfluenceClient.createPage",
+	"ConfluenceClient.removePage",
+];
+
+/**
+ * Converts a value into a field of a CSV line. Fields containing commas, quotes or line breaks are enclosed in quotes.
+ * 
+ * @param {*} value Value to be converted. `NULL` and `undefined` result in an empty field.
+ * @returns {String} CSV field.
+ */
+ConfluenceClient.escapeCsvValue = function(value) {
+	var strValue = value === null || value === undefined ? "" : String(value);
+
+	return /[",\r\n]/.test(strValue) ? "\"" + strValue.replace(/"/g, "\"\"") + "\"" : strValue;
+};
+
+/**
+ * Creates the [sn_ws.RESTMessageV2]{@link https://developer.servicenow.com/dev.do#!/reference/api/orlando/server/sn_ws-namespace/c_RESTMessageV2API} 
+ * objects all requests are sent with. The function can be replaced for redirecting the requests of all clients, 
+ * e.g. to stubbed responses in tests.
+ * 
+ * @returns {Object} New [sn_ws.RESTMessageV2]{@link https://developer.servicenow.com/dev.do#!/reference/api/orlando/server/sn_ws-namespace/c_RESTMessageV2API} object.
+ */
+ConfluenceClient.createRestMessage = function() {
+	return new sn_ws.RESTMessageV2();
+};
+
+/**
+ * Tests whether a given value represents a valid URL.
+ * 
+ * @param {*} param URL to be tested, **NOTE:** method `toString()` is invoked on `param`.
+ * @returns {Boolean} `true` if passed value represents a valid URL, otherwise `false`.
+ */
+ConfluenceClient.isValidURL = function(param) { 
+	//eslint-disable-next-line no-useless-escape
+	return /^(http|https):\/\/(([a-zA-Z0-9$\-_.+!*'(),;:&=]|%[0-9a-fA-F]{2})+@)?(((25[0-5]|2[0-4][0-9]|[0-1][0-9][0-9]|[1-9][0-9]|[0-9])(\.(25[0-5]|2[0-4][0-9]|[0-1][0-9][0-9]|[1-9][0-9]|[0-9])){3})|localhost|([a-zA-Z0-9\-\u00C0-\u017F]+\.)+([a-zA-Z]{2,}))(:[0-9]+)?(\/(([a-zA-Z0-9$\-_.+!*'(),;:@&=]|%[0-9a-fA-F]{2})*(\/([a-zA-Z0-9$\-_.+!*'(),;:@&=]|%[0-9a-fA-F]{2})*)*)?(\?([a-zA-Z0-9$\-_.+!*'(),;:@&=\/?]|%[0-9a-fA-F]{2})*)?(\#([a-zA-Z0-9$\-_.+!*'(),;:@&=\/?]|%[0-9a-fA-F]{2})*)?)?$/.test(param.toString());
+};
+
+/**
+ * Tests whether given value represents a valid and positive Integer value.
+ * 
+ * @param {*} param Integer value to be tested, **NOTE:** method `toString()` is invoked on `param`.
+ * @returns {Boolean} `true` if passed value represents a valid Integer, otherwise `false`.
+ */
+ConfluenceClient.isValidInteger = function(param) {
+	return /^[0-9]{1,}$/.test(param.toString());
+};
+
+/**
+ * Tests whether given value at parameter `param` represents a valid Confluence label name.
+ * 
+ * @param {*} param - Label name to be tested, **NOTE:** method `toString()` is invoked on `param`.
+ * @returns {Boolean} `true` if passed value represents a valid Label name, otherwise `false`.
+ */
+ConfluenceClient.isValidLabelName = function(param) {
+	return /^[0-9a-zA-Z_\-~{}%+]{1,}$/.test(param.toString());
+};
+
+/**
+ * Tests whether given value at parameter `param` represents a valid Confluence space key.
+ * 
+ * @param {*} param - Space key to be tested, **NOTE:** method `toString()` is invoked on `param`.
+ * @returns {Boolean} `true` if passed value represents a valid Confluence space key, otherwise `false`.
+ */
+ConfluenceClient.isValidSpaceKey = function(param) {
+	return /^(~)?[0-9a-z-]{3,255}$/.test(param.toString());
+};
+
+
+/**
+ * Tests whether given value at parameter `param` represents a content type supported by {@link ConfluencePage}.
+ * 
+ * @param {*} param - Content type to be tested, **NOTE:** method `toString()` is invoked on `param`.
+ * @returns {Boolean} `true` if passed value is one of {@link ConfluenceClient.CONTENT_TYPES}, otherwise `false`.
+ */
+ConfluenceClient.isValidContentType = function(param) {
+	return ConfluenceClient.CONTENT_TYPES.indexOf(param.toString()) != -1;
+};
+
+/**
+ * Creates a line based diff of two texts in the style of a unified diff, e.g. for reviewing changes of page bodies. 
+ * As storage format often consists of very long lines, each tag is placed on a separate line beforehand.
+ * 
+ * @param {String} strBefore Original text.
+ * @param {String} strAfter Changed text.
+ * @returns {String} Hunks starting with a header like `@@ -12 +12 @@`, followed by removed lines (prefixed with `-`), 
+ * added lines (prefixed with `+`) and up to two unchanged lines (prefixed with a space) around them. An empty 
+ * String is returned if both texts are identical.
+ */
+ConfluenceClient.createDiff = function(strBefore, strAfter) {
+	var splitLines = function(text) {
+		var strText = String(text || "");
+
+		return strText.length > 0 ? strText.replace(/>[ \t\r\n]*</g, ">\n<").split(/\r?\n/) : [];
+	};
+
+	var arrBefore = splitLines(strBefore);
+	var arrAfter  = splitLines(strAfter);
+	var intStart  = 0;
+	var intBefore = arrBefore.length;
+	var intAfter  = arrAfter.length;
+	var arrOps    = [];
+	var arrLCS    = [];
+	var i         = 0;
+	var j         = 0;
+
+	//common lines at the beginning and at the end do not have to be compared
+	while (intStart < intBefore && intStart < intAfter && arrBefore[intStart] === arrAfter[intStart]) {
+		arrOps.push({prefix: " ", text: arrBefore[intStart], before: intStart, after: intStart});
+
+		intStart += 1;
+	}
+
+	while (intBefore > intStart && intAfter > intStart && arrBefore[intBefore - 1] === arrAfter[intAfter - 1]) {
+		intBefore -= 1;
+		intAfter  -= 1;
+	}
+
+	//longest common subsequence, huge changes are treated as a complete replacement to limit the memory consumption
+	if ((intBefore - intStart) * (intAfter - intStart) <= ConfluenceClient.MAX_DIFF_CELLS) {
+		for (i = intBefore; i >= intStart; i--) {
+			arrLCS[i] = [];
+
+			for (j = intAfter; j >= intStart; j--) {
+				if (i === intBefore || j === intAfter) {
+					arrLCS[i][j] = 0;
+				}
+				else if (arrBefore[i] === arrAfter[j]) {
+					arrLCS[i][j] = arrLCS[i + 1][j + 1] + 1;
+				}
+				else {
+					arrLCS[i][j] = Math.max(arrLCS[i + 1][j], arrLCS[i][j + 1]);
+				}
+			}
+		}
+	}
+
+	i = intStart;
+	j = intStart;
+
+	while (i < intBefore || j < intAfter) {
+		var canKeep   = i < intBefore && j < intAfter && arrBefore[i] === arrAfter[j];
+		var canRemove = i < intBefore && (j === intAfter || arrLCS.length === 0 || arrLCS[i + 1][j] >= arrLCS[i][j + 1]);
+
+		if (canKeep) {
+			arrOps.push({prefix: " ", text: arrBefore[i], before: i, after: j});
+			i += 1;
+			j += 1;
+		}
+		else if (canRemove) {
+			arrOps.push({prefix: "-", text: arrBefore[i], before: i, after: j});
+			i += 1;
+		}
+		else {
+			arrOps.push({prefix: "+", text: arrAfter[j], before: i, after: j});
+			j += 1;
+		}
+	}
+
+	for (i = intBefore; i < arrBefore.length; i++) {
+		arrOps.push({prefix: " ", text: arrBefore[i], before: i, after: i - intBefore + intAfter});
+	}
+
+	//only changed lines and up to two unchanged lines around them are part of the diff
+	var arrVisible = arrOps.map(function(objOp, intIndex) {
+		return arrOps.slice(Math.max(intIndex - 2, 0), intIndex + 3).some(function(objNeighbour) {
+			return objNeighbour.prefix !== " ";
+		});
+	});
+
+	var arrLines = [];
+
+	arrOps.forEach(function(objOp, intIndex) {
+		if (!arrVisible[intIndex]) {
+			return;
+		}
+
+		if (intIndex === 0 || !arrVisible[intIndex - 1]) {
+			arrLines.push("@@ -" + (objOp.before + 1) + " +" + (objOp.after + 1) + " @@");
+		}
+
+		arrLines.push(objOp.prefix + objOp.text);
+	});
+
+	return arrLines.join("\n");
+};
+
+/**
+ * Maximum number of compared line pairs for {@link ConfluenceClient.createDiff}. Larger changes are shown as complete replacement.
+ * 
+ * @type {Integer}
+ */
+ConfluenceClient.MAX_DIFF_CELLS = 250000;
+
+/**
+ * This object represents a single Confluence Page and encapsulates all data and methods for dealing with it.
+ * Besides regular pages it can also represent blog posts (see {@link ConfluencePage#getType}).
+ * 
+ * @class ConfluencePage
+ * @param {ConfluenceClient} refConfluenceClient Reference to an {@link ConfluenceClient} object.
+ * @param {Object} [jsonPage] Response of a REST API call.
+ * @throws {Error} If passed parameter `refConfluenceClient` does not points to a valid object of type {@link ConfluenceClient}
+ * @throws {Error} If passed parameter `jsonPage` does not represent a valid JSON object.
+ */
+ConfluencePage.prototype = {
+	initialize: function(refConfluenceClient, jsonPage) {
+		if (!(refConfluenceClient && refConfluenceClient instanceof ConfluenceClient)) {
+			throw new Error(
+				"[ConfluencePage.initialize] Please pass a reference to a valid {ConfluenceClient} object at parameter {refConfluenceClient}!"
+			);
+		}
+
+		this._refConfluenceClient = refConfluenceClient;
+		this._strInternalId       = refConfluenceClient._strInternalId.toString();
+		this._strType             = "page";
+
+		this._strAppliedConflictStrategy = null;
+
+		if (jsonPage) {
+			if (!(typeof jsonPage === "object")) {		
+				throw new Error(
+					"[ConfluencePage.initialize] Please pass a valid JSON object at parameter {jsonPage}!"
+				);
+			}
+
+			this._strId                     = jsonPage.id;
+			this._strType                   = jsonPage.type || "page";
+			this._strStatus                 = jsonPage.status;
+			this._strTitle                  = jsonPage.title;
+			this._strSpaceKey               = jsonPage.space.key;
+			this._intVersionNumber          = jsonPage.version.number;
+			this._strBody                   = jsonPage.body.storage.value;
+			this._strLoadedBody             = jsonPage.body.storage.value;
+			this._renderedHTML              = jsonPage.body.styled_view.value;
+			this._userReadingRestrictions   = jsonPage.restrictions.read.restrictions.user.results;
+			this._groupReadingRestrictions  = jsonPage.restrictions.read.restrictions.group.results;
+			this._userUpdatingRestrictions  = jsonPage.restrictions.update.restrictions.user.results;
+			this._groupUpdatingRestrictions = jsonPage.restrictions.update.restrictions.group.results;
+
+			if (jsonPage.history.lastUpdated.by) {
+				this._strModifierUserName    = jsonPage.history.lastUpdated.by[refConfluenceClient._getUserKey()];
+				this._strModifierDisplayName = jsonPage.history.lastUpdated.by.displayName;
+			}
+
+			if (jsonPage.history.lastUpdated.when) {
+				var gdtModification = new GlideDateTime();
+
+				gdtModification.setDisplayValue(jsonPage.history.lastUpdated.when, "yyyy-MM-dd'T'HH:mm:ss");
+				
+				this._gdtModification = gdtModification;
+			}
+
+			if (jsonPage.history.createdDate) {
+				var gdtCreation = new GlideDateTime();
+
+				gdtCreation.setDisplayValue(jsonPage.history.createdDate, "yyyy-MM-dd'T'HH:mm:ss");
+
+				this._gdtCreation = gdtCreation;
+			}
+
+			if (Array.isArray(jsonPage.metadata.labels.results) && jsonPage.metadata.labels.results.length > 0) {
+				this._arrLabels = [];
+
+				for (var numLabelCounter = 0; numLabelCounter < jsonPage.metadata.labels.results.length; numLabelCounter++) {
+					this._arrLabels.push(jsonPage.metadata.labels.results[numLabelCounter].name);
+				}
+			}
+
+			if (Array.isArray(jsonPage.ancestors) && jsonPage.ancestors.length > 0) {
+				this.setParentPageId(jsonPage.ancestors[jsonPage.ancestors.length - 1].id);
+
+				this._arrAncestors = [];
+
+				for (var numAncestorCounter = 0; numAncestorCounter < jsonPage.ancestors.length; numAncestorCounter++) {
+					this._arrAncestors.push(
+						new ConfluencePage(refConfluenceClient, jsonPage.ancestors[numAncestorCounter])
+					);
+				}
+			}
+
+			this._hasTitleChanged           = false;
+			this._hasSpaceKeyChanged        = false;
+			this._hasBodyChanged            = false;
+			this._hasScaffoldingDataChanged = false;
+			this._hasParentPageIdChanged    = false;
+			this._haveLabelsChanged         = false;
+			this._haveRestrictionsChanged   = false;
+		}
+	},
+
+	getConfluenceClient: function() {
+		return this._refConfluenceClient;
+	},
+
+	/**
+	 * Getter for the Confluence page status.
+	 * 
+	 * @returns {String} Status of the Confluence page if available or `undefined` if not.
+	 */
+	getStatus: function() {
+		return this._strStatus;
+	},
+
+	/**
+	 * Setter for the Confluence page status.
+	 * 
+	 * @param {String} strStatus Status of the Confluence page. Only allowed values are `current` and `trashed`.
+	 * @throws {Error} If passed parameter `strStatus` is not a String or different from the allowed values.
+	 */
+	setStatus: function(strStatus) {
+		if (!(typeof strStatus === "string" && (strStatus === 'current' || strStatus === 'trashed'))) {
+			throw new Error(
+				"[ConfluencePage.setStatus] Please pass a valid page status at parameter {strStatus}!" +
+				" Invalid value: " + strStatus
+			);					
+		}
+
+		this._strStatus = strStatus;
+	},
+
+	/**
+	 * Getter for the content type.
+	 * 
+	 * @returns {String} Either `page` or `blogpost`.
+	 */
+	getType: function() {
+		return this._strType;
+	},
+
+	/**
+	 * Setter for the content type. The type can only be changed as long as the content has not been created at Confluence.
+	 * 
+	 * @param {String} strType Content type, only allowed values are `page` and `blogpost`.
+	 * @throws {Error} If passed parameter `strType` is not a supported content type.
+	 * @throws {Error} If the content type of an already existing Confluence content should be changed.
+	 * @throws {Error} If a parent page ID has been set and the type should be changed to `blogpost`.
+	 */
+	setType: function(strType) {
+		if (!(typeof strType === "string" && ConfluenceClient.isValidContentType(strType))) {
+			throw new Error(
+				"[ConfluencePage.setType] Please pass a valid content type at parameter {strType}!" +
+				" Invalid value: " + strType
+			);
+		}
+
+		if (this._strId && this._strType !== strType) {
+			throw new Error("[ConfluencePage.setType] It is not allowed to change the type of an existing content!");
+		}
+
+		if (strType === "blogpost" && this._strParentPageId) {
+			throw new Error("[ConfluencePage.setType] Blog posts cannot have a parent page!");
+		}
+
+		this._strType = strType;
+	},
+
+	/**
+	 * Getter for the Confluence page ID.
+	 * 
+	 * @returns {String} ID of the Confluence page if available or `undefined` if not.
+	 */
+	getId: function() {
+		return this._strId;
+	},
+	
+	/**
+	 * Setter for the Confluence page ID.
+	 * 
+	 * @param {Integer} strPageId A valid Confluence page ID.
+	 * @throws {Error} If passed parameter `strPageId` is not a valid Confluence page ID.
+ 	 * @throws {Error} If once set page ID should be changed.
+	 */
+	setId: function(strPageId) {
+		if (!ConfluenceClient.isValidInteger(strPageId)) {
+			throw new Error(
+				"[ConfluencePage.setId] Please pass a valid Confluence page ID at parameter {strPageId}!" +
+				" Invalid value: " + strPageId
+			);					
+		}
+
+		if (this._strId && this._strId != strPageId) {
+			throw new Error("[ConfluencePage.setId] It is not allowed to change the page ID!");
+		}
+
+		this._strId = strPageId;
+	},
+
+	/**
+	 * Getter for the Confluence page title.
+	 * 
+	 * @returns {String} Title of the Confluence page if available or `undefined` if not.
+	 */
+	getTitle: function() {
+		return this._strTitle; 
+	},
+
+	/**
+	 * Setter for the Confluence page title.
+	 * 
+	 * @param {String} strPageTitle  The new title of the Confluence page.
+	 * @throws {Error} If passed parameter `strPageTitle` is empty or not of type `String`.
+	 */
+	setTitle: function(strPageTitle) {				
+		if (!(typeof strPageTitle === "string" && strPageTitle.length > 0)) {
+			throw new Error(
+				"[ConfluencePage.setTitle] Please pass a valid page title at parameter {strTitle}!" +
+				" Invalid value: " + strPageTitle
+			);					
+		}
+		
+		this._hasTitleChanged = this._strTitle !== strPageTitle;
+		this._strTitle        = strPageTitle;
+	},
+	
+	/**
+	 * Getter for the space key the Confluence page is located in.
+	 * 
+	 * @returns {String} Space key or `undefined` if no space key is stored.
+	 */
+	getSpaceKey: function() {
+		return this._strSpaceKey;
+	},
+	
+	/**
+	 * Setter for the (new) space key the Confluence page should be located in.
+	 * 
+	 * @param {String} strSpaceKey Key of the (new) space.
+	 * @throws {Error} If passed parameter `strSpaceKey` is not a valid Confluence space key.
+	 */
+	setSpaceKey: function(strSpaceKey) {
+		if (!ConfluenceClient.isValidSpaceKey(strSpaceKey)) {
+			throw new Error(
+				"[ConfluencePage.setSpaceKey] Please pass a valid space key at parameter {strSpaceKey}!" +
+				" Invalid value: " + strSpaceKey
+			);					
+		}
+
+		this._hasSpaceKeyChanged = this._strSpaceKey !== strSpaceKey;
+		this._strSpaceKey        = strSpaceKey;
+	},
+	
+	/**
+	 * Getter for the version number of the Confluence page.
+	 * 
+	 * @returns {Integer} Version number if defined or `undefined` if not
+	 */
+	getVersionNumber: function() {
+		return this._intVersionNumber;
+	},
+
+	/**
+	 * Setter for the version number of a Confluence page.
+	 * 
+	 * @param {Integer} intVersionNumber Version number of the current page version.
+	 * @throws {Error} If passed parameter `intVersionNumber` is not a valid `Integer` value.
+	 */
+	setVersionNumber: function(intVersionNumber) {
+		if (!ConfluenceClient.isValidInteger(intVersionNumber)) {
+			throw new Error(
+				"[ConfluencePage.setVersionNumber] Please pass a valid integer value at parameter {intVersionNumber}!" +
+				" Invalid value: " + intVersionNumber
+			);					
+		}
+
+		if (this._intVersionNumber !== intVersionNumber) {
+			this._hasTitleChanged        = false;
+			this._hasSpaceKeyChanged     = false;
+			this._hasParentPageIdChanged = false;
+			this._hasBodyChanged         = false;
+			this._haveLabelsChanged      = false;
+		}
+
+		this._intVersionNumber = intVersionNumber;
+	},
+
+	/**
+	 * Increases the page version by adding +1.
+	 */
+	increaseVersionNumber: function() {
+		if (!this._intVersionNumber) {
+			throw new Error(
+				"[ConfluencePage.increaseVersionNumber] Page object has not been initialized!"
+			);					
+		}
+
+		this._intVersionNumber += 1;
+	},
+
+	/**
+	 * Setter for the content of a Confluence page.
+	 * 
+	 * @param {String} strPageBody Page content as storage format.
+	 * @throws {Error} If passed parameter `strPageBody` is not of type `String`.
+	 */
+	setBody: function(strPageBody) {
+		if (!(typeof strPageBody === "string")) {
+			throw new Error(
+				"[ConfluencePage.setBody] Please pass a valid body content at parameter {strPageBody}!"
+			);					
+		}
+
+		this._hasBodyChanged = this._strBody !== strPageBody;
+		this._strBody        = strPageBody;
+	},
+	
+	/**
+	 * Getter for the content of a Confluence page.
+	 * 
+	 * @returns {String} Page content as storage format if defined or `undefined` if not.
+	 */
+	getBody: function() {
+		return this._strBody;
+	},
+
+	/**
+	 * Parses the content of the Confluence page into a {@link ConfluenceStorageDocument}. Each invocation returns a new 
+	 * document, so changes have to be written back with {@link ConfluencePage#setBodyDocument}.
+	 * 
+	 * @returns {ConfluenceStorageDocument} Parsed page content.
+	 */
+	getBodyDocument: function() {
+		return new ConfluenceStorageDocument(this._strBody || "");
+	},
+
+	/**
+	 * Setter for the content of a Confluence page in the form of a {@link ConfluenceStorageDocument}.
+	 * 
+	 * @param {ConfluenceStorageDocument} objDocument Document to be serialized as page content.
+	 * @throws {Error} If passed parameter `objDocument` is not of type {@link ConfluenceStorageDocument}.
+	 */
+	setBodyDocument: function(objDocument) {
+		if (!(objDocument instanceof ConfluenceStorageDocument)) {
+			throw new Error(
+				"[ConfluencePage.setBodyDocument] Please pass a {ConfluenceStorageDocument} object at parameter {objDocument}!"
+			);
+		}
+
+		this.setBody(objDocument.serialize());
+	},
+
+	/**
+	 * Setter for the content of a Confluence page in Markdown syntax, which is converted into storage format with 
+	 * the help of {@link ConfluenceMarkdownConverter}.
+	 * 
+	 * @param {String} strMarkdown Page content in Markdown syntax.
+	 * @throws {Error} If passed parameter `strMarkdown` is not of type `String`.
+	 * @returns {Array<String>} Warnings about Markdown constructs which could not be converted.
+	 */
+	setBodyFromMarkdown: function(strMarkdown) {
+		var objConverter = new ConfluenceMarkdownConverter({
+			deploymentType: this._refConfluenceClient.getDeploymentType(),
+		});
+
+		this.setBody(objConverter.convert(strMarkdown));
+
+		return objConverter.getWarnings();
+	},
+
+	/**
+	 * Exports the content of the Confluence page as Markdown with the help of {@link ConfluenceStorageExporter}.
+	 * 
+	 * @param {Object} [objOptions] Exporter options, see {@link ConfluenceStorageExporter}.
+	 * @returns {String} Page content in Markdown syntax.
+	 */
+	toMarkdown: function(objOptions) {
+		return new ConfluenceStorageExporter(objOptions).toMarkdown(this.getBodyDocument());
+	},
+
+	/**
+	 * Exports the content of the Confluence page as plain text with the help of {@link ConfluenceStorageExporter}, 
+	 * e.g. for search indexes or journal fields.
+	 * 
+	 * @param {Object} [objOptions] Exporter options, see {@link ConfluenceStorageExporter}.
+	 * @returns {String} Page content as plain text.
+	 */
+	toPlainText: function(objOptions) {
+		return new ConfluenceStorageExporter(objOptions).toPlainText(this.getBodyDocument());
+	},
+
+	/**
+	 * Loads the page, blog post or attachment a resource identifier of the page content refers to. References without 
+	 * space key are resolved within the space of this page, attachments without container belong to this page.
+	 * 
+	 * @param {ConfluenceStorageNode} objNode Resource identifier (e.g. `ri:page`) or an element containing it (e.g. `ac:link`).
+	 * @throws {Error} If passed parameter `objNode` does not refer to a page, blog post or attachment.
+	 * @returns {null|ConfluencePage|ConfluenceAttachment} The referenced object or `NULL` if it could not be loaded.
+	 */
+	resolveReference: function(objNode) {
+		var objReference = objNode instanceof ConfluenceStorageNode ? objNode.getReference() : null;
+
+		if (!(objReference && /^(page|blogpost|attachment)$/.test(objReference.type))) {
+			throw new Error(
+				"[ConfluencePage.resolveReference] Please pass a node referring to a page, blog post or attachment at parameter {objNode}!"
+			);
+		}
+
+		if (objReference.type !== "attachment") {
+			return this._resolveContentReference(objReference);
+		}
+
+		var objContainer = objReference.container ? this._resolveContentReference(objReference.container) : this;
+		var arrFiles     = objContainer ? objContainer.loadAttachments() : null;
+
+		return (arrFiles || []).filter(function(objAttachment) {
+			return objAttachment.getTitle() === objReference.fileName;
+		})[0] || null;
+	},
+
+	/**
+	 * Extracts all links from the content of the Confluence page. Besides HTML links (`<a href="...">`) all `ac:link` 
+	 * elements are recognized, regardless of whether they refer to pages, blog posts, attachments, users, spaces or anchors.
+	 * The links can be checked with {@link ConfluenceClient#checkLinks}.
+	 * 
+	 * @returns {Array<Object>} Links in document order. Each link is an object with the properties `type` (`external`, 
+	 * `page`, `blogpost`, `attachment`, `user`, `space` or `anchor`), `text` (the link text), `node` (the 
+	 * {@link ConfluenceStorageNode} of the link) and depending on the type `url`, `title`, `spaceKey`, `postingDay`, 
+	 * `fileName`, `container`, `userKey`, `accountId` and `anchor`.
+	 */
+	getLinks: function() {
+		var objRoot  = this.getBodyDocument().getRoot();
+		var arrNodes = objRoot.findAll(function(objNode) {
+			return objNode.getName() === "a" || objNode.getName() === "ac:link";
+		});
+
+		return arrNodes.map(this._buildLink, this).filter(function(objLink) {
+			return objLink !== null;
+		});
+	},
+
+	/**
+	 * Getter for HTML of the rendered Confluence Page.
+	 * 
+	 * @returns {String} Rendered HTML of that Confluence page if defined or `undefined`if not. 
+	 */
+	getRenderedHTML: function() {
+		return this._renderedHTML;
+	},
+
+	/**
+	 * Loads the Scaffolding data by invoking {@link ConfluenceClient#loadScaffoldingData}.
+	 * 
+	 * @param {Array<String>} [strAllowedFields] Optional list of field names that should remain at result array.
+	 * @returns {Boolean} `true` if loading of Scaffolding data was successful otherwise `false`.
+	 * @throws {Error} If underlying page object has no page ID stored.
+	 */
+	loadScaffoldingData: function(strAllowedFields) {
+		if (!this.getId()) {
+			throw new Error(
+				"[ConfluencePage.loadScaffoldingData] Please set a valid page ID with method 'setId()'!"
+			);					
+		}
+
+		var arrScaffoldingData = this._refConfluenceClient.loadScaffoldingData(this.getId(), strAllowedFields);
+
+		if (arrScaffoldingData != null) {
+			this.setScaffoldingData(arrScaffoldingData);
+
+			return true;
+		}
+
+		return false;
+	},
 	
-	_setHttpMethod: function(strHttpMethod) {
-		this._httpMethod = strHttpMethod;
+	/**
+	 * Getter for the Scaffolding data.
+	 * 
+	 * @returns {Array<Object>} Array with all Scaffolding data if defined or `undefined`if not.
+	 */
+	getScaffoldingData: function() {
+		return this._arrScaffoldingData;
+	},
+	
+	/**
+	 * Setter for the Scaffolding data.
+	 * 
+	 * @param {Array<Object>} arrScaffoldingData Array with the scaffolding data
+	 * @throws {Error} If passed parameter `arrScaffoldingData` is not of type `Array`.
+	 */
+	setScaffoldingData: function(arrScaffoldingData) {
+		if (!Array.isArray(arrScaffoldingData)) {
+			throw new Error(
+				"[ConfluencePage.setScaffoldingData] Please pass a valid array at parameter {arrScaffoldingData}!"
+			);					
+		}
+
+		this._arrScaffoldingData        = arrScaffoldingData;
+		this._hasScaffoldingDataChanged = true;
+	},
+	
+	/**
+	 * Getter for a typed model of the Scaffolding data, which supports dates, numbers, lists as well as the rows of 
+	 * table and repeating data. All changes made with the model are applied to the Scaffolding data of this page and 
+	 * can be written back with {@link ConfluencePage#updateScaffoldingData}.
+	 * 
+	 * @returns {null|ConfluenceScaffoldingForm} Model of the Scaffolding data or `NULL` if no Scaffolding data has been loaded.
+	 */
+	getScaffoldingForm: function() {
+		if (!this._arrScaffoldingData) {
+			return null;
+		}
+
+		var objPage = this;
+
+		return new ConfluenceScaffoldingForm(this._arrScaffoldingData, function() {
+			objPage._hasScaffoldingDataChanged = true;
+		}, this._arrScaffoldingSchema);
+	},
+
+	/**
+	 * Loads the field definitions of the Scaffolding form by invoking {@link ConfluenceClient#loadScaffoldingSchema}.
+	 * 
+	 * @returns {Boolean} `true` if loading of the field definitions was successful otherwise `false`.
+	 */
+	loadScaffoldingSchema: function() {
+		return this._refConfluenceClient.loadScaffoldingSchema(this) !== null;
+	},
+
+	/**
+	 * Getter for the field definitions of the Scaffolding form, see {@link ConfluenceClient#loadScaffoldingSchema}.
+	 * 
+	 * @returns {null|Array<Object>} Field definitions or `NULL` if they have not been loaded.
+	 */
+	getScaffoldingSchema: function() {
+		return this._arrScaffoldingSchema || null;
+	},
+
+	/**
+	 * Getter for a single scaffolding field value. For typed values use {@link ConfluencePage#getScaffoldingForm}.
+	 * 
+	 * @param {String} strFieldName Name of the scaffolding field whoose value should be returned.
+	 * @returns {Object} Value of requested scaffolding field as stored by Scaffolding if defined or `undefined` if not.
+	 * @throws {Error} If passed parameter `strFieldName` is not a valid `String` value.
+	 */
+	getScaffoldingValue: function(strFieldName) {
+		if (!(typeof strFieldName === "string" && strFieldName.length > 0)) {
+			throw new Error(
+				"[ConfluencePage.getScaffoldingValue] Please pass a valid field name at parameter {strFieldName}!" +
+				" Invalid value: " + strFieldName
+			);					
+		}
+		
+		if (this._arrScaffoldingData) {
+			for (var i = 0; i < this._arrScaffoldingData.length; i++) { 
+				if (this._arrScaffoldingData[i].name === strFieldName) {
+					return this._arrScaffoldingData[i].value;
+				}					
+			}
+		}
+
+		return undefined;
+	},
+	
+	/**
+	 * Setter for a single scaffolding field value.
+	 * 
+	 * @param {String} strFieldName Name of the scaffolding field whoose value should be set. If no such field exists, 
+	 * a new one is added, unless field definitions have been loaded which do not contain it.
+	 * @param {*} objFieldValue New value for the specified scaffolding field, see {@link ConfluenceScaffoldingForm#setValue}.
+	 * @throws {Error} If passed parameter `strFieldName` is not a valid `String` value.
+	 * @throws {Error} If the field or the value do not fit the loaded field definitions, see {@link ConfluencePage#loadScaffoldingSchema}.
+	 */
+	setScaffoldingValue: function(strFieldName, objFieldValue) {		
+		if (!(typeof strFieldName === "string" && strFieldName.length > 0)) {
+			throw new Error(
+				"[ConfluencePage.setScaffoldingValue] Please pass a valid field name at parameter {strFieldName}!" + 
+				" Invalid value: " + strFieldName
+			);					
+		}
+	
+		if (!this._arrScaffoldingData) {
+			this._arrScaffoldingData = [];
+		}
+
+		this.getScaffoldingForm().setValue(strFieldName, objFieldValue);
+	},
+	
+	/**
+	 * Getter for the list of ancestors.
+	 * 
+	 * @returns {Array<ConfluencePage>} List of ancestors - wrapped by {@link ConfluencePage} objects - if defined or `undefined` if not.
+	 */
+	getAncestors: function() {
+		return this._arrAncestors;
+	},
+
+	/**
+	 * Setter for the parent page ID.
+	 * 
+	 * @param {Integer} strParentPageId Id of the new parent page.
+	 * @throws {Error} If passed parameter `strParentPageId` is not a valid `Integer` value.
+	 */
+	setParentPageId: function(strParentPageId) {
+		if (!ConfluenceClient.isValidInteger(strParentPageId)) {
+			throw new Error(
+				"[ConfluencePage.setParentPageId] Please pass a valid page ID at parameter {strParentPageId}!" +
+				" Invalid value: " + strParentPageId
+			);					
+		}
+
+		if (this._strType === "blogpost") {
+			throw new Error("[ConfluencePage.setParentPageId] Blog posts cannot have a parent page!");
+		}
+
+		this._hasParentPageIdChanged = this._strParentPageId !== strParentPageId;
+		this._strParentPageId        = strParentPageId;
+	},
+	
+	/**
+	 * Getter for the parent page ID.
+	 * 
+	 * @returns {Integer} Id of the parent page if defined or `undefined` if not.
+	 */
+	getParentPageId: function() {
+		return this._strParentPageId;
+	},
+
+	/**
+	 * Getter for the modification date and time of a Confluence page.
+	 * 
+	 * @returns {GlideDateTime} An instance of a [GlideDateTime]{@link https://developer.servicenow.com/dev.do#!/reference/api/orlando/server/c_APIRef} object if defined or `undefined`if not.
+	 */
+	getModificationDateTime: function() {
+		return this._gdtModification;
+	},
+	
+	/**
+	 * Getter for the creation date and time of a Confluence page. For blog posts this is the posting date.
+	 * 
+	 * @returns {GlideDateTime} An instance of a [GlideDateTime]{@link https://developer.servicenow.com/dev.do#!/reference/api/orlando/server/c_APIRef} object if defined or `undefined`if not.
+	 */
+	getCreationDateTime: function() {
+		return this._gdtCreation;
+	},
+
+	/**
+	 * Getter for the posting date and time of a blog post.
+	 * 
+	 * @returns {GlideDateTime} An instance of a [GlideDateTime]{@link https://developer.servicenow.com/dev.do#!/reference/api/orlando/server/c_APIRef} object for blog posts or `undefined` for pages.
+	 */
+	getPostingDateTime: function() {
+		return this._strType === "blogpost" ? this._gdtCreation : undefined;
+	},
+	
+	/**
+	 * Getter for the user name of the last modifier of a Confluence page.
+	 * 
+	 * @returns {String} User name of the last modifier if available or `undefined`if not.
+	 */
+	getModifierUserName: function() {
+		return this._strModifierUserName;
+	},
+	
+	/**
+	 * Getter for the display name of the last modifier of a Confluence page.
+	 * 
+	 * @returns {String} Full name of the last modifier if available or `undefined`if not.
+	 */
+	getModifierDisplayName: function() {
+		return this._strModifierDisplayName;
+	},
+	
+	/**
+	 * Getter for the list of page labels.
+	 * 
+	 * @returns {Array<Object>} List of page labels if defined or `undefined` if not.
+	 */
+	getLabels: function() {
+		return this._arrLabels;
+	},
+
+	/**
+	 * Tests whether this {@link ConfluencePage} object has a label named by given `strLabelName`.
+	 * 
+	 * @param {String} strLabelName Label name to test.
+	 * @returns {Boolean} `True` if label with given name exists or `false`if not.
+	 * @throws {Error} If passed parameter `strLabelName` does not represent a valid label name.
+	 */
+	hasLabel: function(strLabelName) {
+		if (!ConfluenceClient.isValidLabelName(strLabelName)) {
+			throw new Error(
+				"[ConfluencePage.hasLabel] Please pass a valid label name at parameter {strLabelName}!" +
+				" Invalid value: " + strLabelName
+			);					
+		}
+		
+		if (this._arrLabels) {
+			var _strLabelName = strLabelName.toLowerCase().trim();
+
+			//tests whether label name exists
+			for (var i = 0; i < this._arrLabels.length; i++) {
+				if (this._arrLabels[i] === _strLabelName) {
+					return true;
+				}
+			}
+		}
+
+		return false;
+	},
+
+	/**
+	 * Adds a single label to the internal list of page labels.
+	 * 
+	 * @param {String} strLabelName Name of label to add.
+	 * @throws {Error} If passed parameter `strLabelName` does not represent a valid label name.
+	 */
+	addLabel: function(strLabelName) {
+		if (!ConfluenceClient.isValidLabelName(strLabelName)) {
+			throw new Error(
+				"[ConfluencePage.addLabel] Please pass a valid label name at parameter {strLabelName}!" +
+				" Invalid value: " + strLabelName
+			);					
+		}
+		
+		var _strLabelName = strLabelName.toLowerCase().trim();
+
+		if (this._arrLabels) {
+			//tests whether label name already exists
+			for (var i = 0; i < this._arrLabels.length; i++) {
+				if (this._arrLabels[i] === _strLabelName) {
+					return;
+				}
+			}
+		}
+		else {
+			this._arrLabels = [];
+		}
+
+		this._haveLabelsChanged = true;
+
+		this._arrLabels.push(_strLabelName);
+	},
+
+	/**
+	 * Removes a label with given name from the internal list of page labels.
+	 * 
+	 * @param {String} strLabelName Name of the label to be removed.
+	 * @throws {Error} If passed parameter `strLabelName` does not represent a valid label name.
+	 */
+	removeLabel: function(strLabelName) {
+		if (!ConfluenceClient.isValidLabelName(strLabelName)) {
+			throw new Error(
+				"[ConfluencePage.addLabel] Please pass a valid label name at parameter {strLabelName}!" +
+				" Invalid value: " + strLabelName
+			);					
+		}
+
+		if (this._arrLabels) {
+			var _strLabelName = strLabelName.toLowerCase().trim();
+			var _arrResult    = [];
+
+			for (var i = 0; i < this._arrLabels.length; i++) {
+				if (this._arrLabels[i] === _strLabelName) {
+					this._haveLabelsChanged = true;
+				}
+				else {
+					_arrResult.push(this._arrLabels[i]);
+				}
+			}
+
+			this._arrLabels = _arrResult;
+		}
+	},
+
+	/**
+	 * Getter for the list of all user based reading restrictions.
+	 * 
+	 * @returns {Array<Object>} List of objects for all users that are allowed to read this Confluence page.
+	 */
+	getUserReadingRestrictions: function() {
+		return this._userReadingRestrictions;
+	},
+		
+	/**
+	 * Getter for the list of all user based updating restrictions.
+	 * 
+	 * @returns {Array<Object>} List of objects for all users that are allowed to update this Confluence page.
+	 */
+	getUserUpdatingRestrictions: function() {
+		return this._userUpdatingRestrictions;
+	},
+
+	/**
+	 * Getter for the list of all group based reading restrictions.
+	 * 
+	 * @returns {Array<Object>} List of objects for all groups that are allowed to read this Confluence page.
+	 */
+	getGroupReadingRestrictions: function() {
+		return this._groupReadingRestrictions;
+	},
+		
+	/**
+	 * Getter for the list of all group based updating restrictions.
+	 * 
+	 * @returns {Array<Object>} List of objects for all groups that are allowed to update this Confluence page.
+	 */
+	getGroupUpdatingRestrictions: function() {
+		return this._groupUpdatingRestrictions;
+	},
+
+	/**
+	 * Replaces the list of users that are allowed to read this Confluence page.
+	 * 
+	 * @param {Array<String>} arrUserNames List of user names. An empty Array removes all user based reading restrictions.
+	 * @throws {Error} If passed parameter `arrUserNames` is not an Array of valid user names.
+	 */
+	setUserReadingRestrictions: function(arrUserNames) {
+		this._userReadingRestrictions = this._buildRestrictions("ConfluencePage.setUserReadingRestrictions", arrUserNames, this._refConfluenceClient._getUserKey());
+		this._haveRestrictionsChanged = true;
+	},
+
+	/**
+	 * Replaces the list of users that are allowed to update this Confluence page.
+	 * 
+	 * @param {Array<String>} arrUserNames List of user names. An empty Array removes all user based updating restrictions.
+	 * @throws {Error} If passed parameter `arrUserNames` is not an Array of valid user names.
+	 */
+	setUserUpdatingRestrictions: function(arrUserNames) {
+		this._userUpdatingRestrictions = this._buildRestrictions("ConfluencePage.setUserUpdatingRestrictions", arrUserNames, this._refConfluenceClient._getUserKey());
+		this._haveRestrictionsChanged  = true;
+	},
+
+	/**
+	 * Replaces the list of groups that are allowed to read this Confluence page.
+	 * 
+	 * @param {Array<String>} arrGroupNames List of group names. An empty Array removes all group based reading restrictions.
+	 * @throws {Error} If passed parameter `arrGroupNames` is not an Array of valid group names.
+	 */
+	setGroupReadingRestrictions: function(arrGroupNames) {
+		this._groupReadingRestrictions = this._buildRestrictions("ConfluencePage.setGroupReadingRestrictions", arrGroupNames, "name");
+		this._haveRestrictionsChanged  = true;
+	},
+
+	/**
+	 * Replaces the list of groups that are allowed to update this Confluence page.
+	 * 
+	 * @param {Array<String>} arrGroupNames List of group names. An empty Array removes all group based updating restrictions.
+	 * @throws {Error} If passed parameter `arrGroupNames` is not an Array of valid group names.
+	 */
+	setGroupUpdatingRestrictions: function(arrGroupNames) {
+		this._groupUpdatingRestrictions = this._buildRestrictions("ConfluencePage.setGroupUpdatingRestrictions", arrGroupNames, "name");
+		this._haveRestrictionsChanged   = true;
+	},
+
+	/**
+	 * Adds a single user to the list of users that are allowed to read this Confluence page.
+	 * 
+	 * @param {String} strUserName Name of the user.
+	 * @throws {Error} If passed parameter `strUserName` is empty or not of type `String`.
+	 */
+	addUserReadingRestriction: function(strUserName) {
+		this._addRestriction(
+			"ConfluencePage.addUserReadingRestriction",
+			"_userReadingRestrictions",
+			this._buildRestrictions("ConfluencePage.addUserReadingRestriction", [strUserName], this._refConfluenceClient._getUserKey())[0]
+		);
+	},
+
+	/**
+	 * Adds a single user to the list of users that are allowed to update this Confluence page.
+	 * 
+	 * @param {String} strUserName Name of the user.
+	 * @throws {Error} If passed parameter `strUserName` is empty or not of type `String`.
+	 */
+	addUserUpdatingRestriction: function(strUserName) {
+		this._addRestriction(
+			"ConfluencePage.addUserUpdatingRestriction",
+			"_userUpdatingRestrictions",
+			this._buildRestrictions("ConfluencePage.addUserUpdatingRestriction", [strUserName], this._refConfluenceClient._getUserKey())[0]
+		);
+	},
+
+	/**
+	 * Adds a single group to the list of groups that are allowed to read this Confluence page.
+	 * 
+	 * @param {String} strGroupName Name of the group.
+	 * @throws {Error} If passed parameter `strGroupName` is empty or not of type `String`.
+	 */
+	addGroupReadingRestriction: function(strGroupName) {
+		this._addRestriction("ConfluencePage.addGroupReadingRestriction", "_groupReadingRestrictions", {type: "group", name: strGroupName});
+	},
+
+	/**
+	 * Adds a single group to the list of groups that are allowed to update this Confluence page.
+	 * 
+	 * @param {String} strGroupName Name of the group.
+	 * @throws {Error} If passed parameter `strGroupName` is empty or not of type `String`.
+	 */
+	addGroupUpdatingRestriction: function(strGroupName) {
+		this._addRestriction("ConfluencePage.addGroupUpdatingRestriction", "_groupUpdatingRestrictions", {type: "group", name: strGroupName});
+	},
+
+	/**
+	 * Removes a user from the reading and/or updating restrictions of this Confluence page.
+	 * 
+	 * @param {String} strUserName Name of the user.
+	 * @param {String} [strOperation] Either `read` or `update`. If not specified the user is removed from both lists.
+	 * @throws {Error} If passed parameter `strUserName` is empty or not of type `String`.
+	 * @throws {Error} If passed parameter `strOperation` is neither `read` nor `update`.
+	 */
+	removeUserRestriction: function(strUserName, strOperation) {
+		this._validateRestrictionOperation("ConfluencePage.removeUserRestriction", strOperation);
+
+		if (strOperation !== "update") {
+			this._removeRestriction("ConfluencePage.removeUserRestriction", "_userReadingRestrictions", strUserName);
+		}
+
+		if (strOperation !== "read") {
+			this._removeRestriction("ConfluencePage.removeUserRestriction", "_userUpdatingRestrictions", strUserName);
+		}
+	},
+
+	/**
+	 * Removes a group from the reading and/or updating restrictions of this Confluence page.
+	 * 
+	 * @param {String} strGroupName Name of the group.
+	 * @param {String} [strOperation] Either `read` or `update`. If not specified the group is removed from both lists.
+	 * @throws {Error} If passed parameter `strGroupName` is empty or not of type `String`.
+	 * @throws {Error} If passed parameter `strOperation` is neither `read` nor `update`.
+	 */
+	removeGroupRestriction: function(strGroupName, strOperation) {
+		this._validateRestrictionOperation("ConfluencePage.removeGroupRestriction", strOperation);
+
+		if (strOperation !== "update") {
+			this._removeRestriction("ConfluencePage.removeGroupRestriction", "_groupReadingRestrictions", strGroupName);
+		}
+
+		if (strOperation !== "read") {
+			this._removeRestriction("ConfluencePage.removeGroupRestriction", "_groupUpdatingRestrictions", strGroupName);
+		}
+	},
+
+	/**
+	 * Updates page restrictions on the Confluence server by invoking method {@link ConfluenceClient#updatePageRestrictions}.
+	 * 
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	updatePageRestrictions: function() {
+		return this._haveRestrictionsChanged ? this._refConfluenceClient.updatePageRestrictions(this) : true;
+	},
+
+	/**
+	 * Tests whether this page has local changes, which would be written back by {@link ConfluencePage#update}.
+	 * 
+	 * @returns {Boolean} `true` if page data, labels, restrictions or Scaffolding data have been changed, otherwise `false`.
+	 */
+	hasChanges: function() {
+		return Boolean(
+			this._hasBodyChanged || this._hasParentPageIdChanged || this._hasSpaceKeyChanged || this._hasTitleChanged ||
+			this._haveLabelsChanged || this._haveRestrictionsChanged || this._hasScaffoldingDataChanged
+		);
+	},
+
+	/**
+	 * Updates page data on the Confluence server by invoking method {@link ConfluenceClient#updatePageData}.
+	 * 
+	 * @param {Boolean} [suppressNotifications] If `true` no email notifications will be sent to watchers.
+	 * @param {Object} [objConflictOptions] Options for handling version conflicts, see {@link ConfluenceClient#updatePageData}.
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	updatePageData: function(suppressNotifications, objConflictOptions) {
+		return this._hasBodyChanged || this._hasParentPageIdChanged || this._hasSpaceKeyChanged || this._hasTitleChanged ?
+				this._refConfluenceClient.updatePageData(this, suppressNotifications, objConflictOptions) :
+				true;
+	},
+
+	/**
+	 * Getter for the strategy which was applied to a version conflict during the last update of the page data.
+	 * 
+	 * @returns {null|String} `fail`, `overwrite` or `rebase` if a version conflict has occurred or `NULL` if not.
+	 */
+	getAppliedConflictStrategy: function() {
+		return this._strAppliedConflictStrategy;
+	},
+
+	/**
+	 * Updates page labels on the Confluence server by invoking method {@link ConfluenceClient#updatePageLabels}.
+	 * 
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	updatePageLabels: function() {
+		return this._haveLabelsChanged ? this._refConfluenceClient.updatePageLabels(this) : true;
+	},
+
+	/**
+	 * Updates scaffolding data on the Confluence server by invoking method {@link ConfluenceClient#updateScaffoldingData}.
+	 * 
+	 * @returns `true` if operation was successful otherwise `false`.
+	 */
+	updateScaffoldingData: function() {
+		return this._hasScaffoldingDataChanged ? this._refConfluenceClient.updateScaffoldingData(this) : true;
+	},
+
+	/**
+	 * Creates a new Confluence page by invoking method {@link ConfluenceClient#createPage}.
+	 * 
+	 * @returns `true` if operation was successful otherwise `false`.
+	 */
+	create: function() {
+		return this._refConfluenceClient.createPage(this);
+	},
+
+	/**
+	 * Updates complete page data on the Confluence server by invoking appropriate update methods. Whether a version 
+	 * conflict has occurred and how it was resolved can be retrieved afterwards with {@link ConfluencePage#getAppliedConflictStrategy}.
+	 * 
+	 * @param {Boolean} [suppressNotifications] If `true` no email notifications will be sent to watchers.
+	 * @param {Object} [objConflictOptions] Options for handling version conflicts, see {@link ConfluenceClient#updatePageData}.
+	 * @throws {Error} If this page is not in status `current`, e.g. a version loaded with {@link ConfluencePage#loadVersion}.
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.	 */
+	update: function(suppressNotifications, objConflictOptions) {
+		//labels, restrictions and Scaffolding data are not versioned and must not be written back from other versions
+		if (this.getStatus() && this.getStatus() !== "current") {
+			throw new Error("[ConfluencePage.update] Page is in status '" + this.getStatus() + "' and cannot be updated!");
+		}
+
+		this._strAppliedConflictStrategy = null;
+
+		return this.updatePageData(suppressNotifications, objConflictOptions) &&
+				this.updatePageLabels() &&
+				this.updatePageRestrictions() &&
+				this.updateScaffoldingData();
+	},
+
+	/**
+	 * Deletes a Confluence page by invoking method {@link ConfluenceClient#removePage}.
+	 * 
+	 * @returns `true` if operation was successful otherwise `false`.
+	 */
+	remove: function() {
+		return this._refConfluenceClient.removePage(this);
+	},
+
+	/**
+	 * Copies this Confluence page by invoking method {@link ConfluenceClient#copyPage}.
+	 * 
+	 * @param {Object} [objOptions] Copy options, see {@link ConfluenceClient#copyPage}.
+	 * @returns {null|Array<ConfluencePage>} `NULL` if the copy has failed or an Array with objects of type {@link ConfluencePage} representing the created pages.
+	 */
+	copy: function(objOptions) {
+		return this._refConfluenceClient.copyPage(this, objOptions);
+	},
+
+	/**
+	 * Moves this Confluence page relative to a target page by invoking method {@link ConfluenceClient#movePage}.
+	 * 
+	 * @param {String} strTargetPageId ID of the page this page is positioned relative to.
+	 * @param {String} [strPosition] `append` (default), `before` or `after`.
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	move: function(strTargetPageId, strPosition) {
+		return this._refConfluenceClient.movePage(this, strTargetPageId, strPosition);
+	},
+
+	/**
+	 * Moves this Confluence page inclusive all descendants to another space by invoking method {@link ConfluenceClient#movePageToSpace}.
+	 * 
+	 * @param {String} strSpaceKey Key of the target space.
+	 * @param {String} [strTargetParentId] ID of the new parent page in the target space.
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	moveToSpace: function(strSpaceKey, strTargetParentId) {
+		return this._refConfluenceClient.movePageToSpace(this, strSpaceKey, strTargetParentId);
+	},
+
+	/**
+	 * Loads the version history of this Confluence page by invoking method {@link ConfluenceClient#loadPageVersions}.
+	 * 
+	 * @returns {null|Array<Object>} `NULL` if Confluence request has failed or an Array of objects describing the page versions.
+	 */
+	loadVersions: function() {
+		return this._refConfluenceClient.loadPageVersions(this);
+	},
+
+	/**
+	 * Loads this Confluence page as it was at the given version by invoking method {@link ConfluenceClient#loadPageVersion}.
+	 * 
+	 * @param {Integer} intVersionNumber Number of the version to be loaded.
+	 * @returns {null|ConfluencePage} `NULL` if Confluence request has failed or a {@link ConfluencePage} object representing the requested version.
+	 */
+	loadVersion: function(intVersionNumber) {
+		return this._refConfluenceClient.loadPageVersion(this, intVersionNumber);
+	},
+
+	/**
+	 * Restores a historical version of this Confluence page by invoking method {@link ConfluenceClient#restorePageVersion}.
+	 * 
+	 * @param {Integer} intVersionNumber Number of the version to be restored.
+	 * @param {String} [strMessage] Version message of the new version.
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	restoreVersion: function(intVersionNumber, strMessage) {
+		return this._refConfluenceClient.restorePageVersion(this, intVersionNumber, strMessage);
+	},
+
+	/**
+	 * Loads all attachments of this Confluence page by invoking method {@link ConfluenceClient#loadAttachments}.
+	 * 
+	 * @returns {null|Array<ConfluenceAttachment>} `NULL` if Confluence request has failed or an Array with objects of type {@link ConfluenceAttachment}.
+	 */
+	loadAttachments: function() {
+		return this._refConfluenceClient.loadAttachments(this);
+	},
+
+	/**
+	 * Uploads a new attachment to this Confluence page by invoking method {@link ConfluenceClient#uploadAttachment}.
+	 * 
+	 * @param {Object} objFile Description of the file to be uploaded.
+	 * @returns {null|ConfluenceAttachment} `NULL` if Confluence request has failed or a {@link ConfluenceAttachment} object representing the uploaded attachment.
+	 */
+	uploadAttachment: function(objFile) {
+		return this._refConfluenceClient.uploadAttachment(this, objFile);
+	},
+
+	/**
+	 * Loads the comments of this Confluence page by invoking method {@link ConfluenceClient#loadPageComments}.
+	 * 
+	 * @param {String} [strLocation] Restricts the result to comments at the given location: `footer`, `inline` or `resolved`.
+	 * @returns {null|Array<ConfluenceComment>} `NULL` if Confluence request has failed or an Array with objects of type {@link ConfluenceComment}.
+	 */
+	loadComments: function(strLocation) {
+		return this._refConfluenceClient.loadPageComments(this, strLocation);
+	},
+
+	/**
+	 * Adds a new footer comment to this Confluence page by invoking method {@link ConfluenceClient#addComment}.
+	 * 
+	 * @param {String} strBody Content of the comment in storage format.
+	 * @returns {null|ConfluenceComment} `NULL` if Confluence request has failed or a {@link ConfluenceComment} object representing the created comment.
+	 */
+	addComment: function(strBody) {
+		return this._refConfluenceClient.addComment(this, strBody);
+	},
+
+	/**
+	 * Returns a JSON based representation of this page object that can be used as payload for REST api requests.
+	 * 
+	 * @param {Boolean} createNewPage If `true` only fields will be returned that are necessary for creating new pages.
+	 * @param {Boolean} [suppressNotifications] If `true` no email notifications will be sent to watchers.
+	 * @returns {String} String in JSON format
+	 */
+	stringify: function(createNewPage, suppressNotifications) {
+		var objResult = {};
+
+		if (!(typeof createNewPage === "boolean" && createNewPage == true)) {
+			objResult.id      = this.getId();
+			objResult.version = {number: this.getVersionNumber() + 1};
+		}
+
+		if (typeof suppressNotifications === "boolean" && suppressNotifications == true) {
+			objResult.version.minorEdit = true;
+		}
+
+		objResult.type  = this.getType();
+		objResult.title = this.getTitle();		
+		objResult.space = {key: this.getSpaceKey()};
+		
+		if (this.getBody()) {
+			objResult.body = {storage: {value: this.getBody(), representation: "storage"}};
+		}
+
+		if (this.getParentPageId() && this.getType() === "page") {
+			objResult.ancestors = [{id: this.getParentPageId()}];
+		}
+
+		return JSON.stringify(objResult);
+	},
+
+
+	_buildLink: function(objNode) {
+		var objLink = null;
+
+		if (objNode.getName() === "a") {
+			var strHref = objNode.getAttribute("href");
+
+			//anchor targets like <a name="..."> are no links
+			if (!strHref) {
+				return null;
+			}
+
+			objLink = strHref.charAt(0) === "#" ? {type: "anchor", anchor: strHref.slice(1)} : {type: "external", url: strHref};
+		}
+		else {
+			objLink = objNode.getReference() || {type: "anchor"};
+
+			if (objLink.type === "url") {
+				objLink.type = "external";
+			}
+
+			if (objNode.getAttribute("ac:anchor")) {
+				objLink.anchor = objNode.getAttribute("ac:anchor");
+			}
+
+			if (objLink.type === "anchor" && !objLink.anchor) {
+				return null;
+			}
+		}
+
+		objLink.text = objNode.getText();
+		objLink.node = objNode;
+
+		return objLink;
+	},
+
+	_resolveContentReference: function(objReference) {
+		var escapeCQL = function(strValue) {
+			return "\"" + String(strValue).replace(/(["\\])/g, "\\$1") + "\"";
+		};
+
+		var arrPages = this._refConfluenceClient.searchContent(
+			"space = " + escapeCQL(objReference.spaceKey || this.getSpaceKey()) + " AND title = " + escapeCQL(objReference.title),
+			{types: [objReference.type], includeContent: true}
+		);
+
+		return arrPages && arrPages.length > 0 ? arrPages[0] : null;
+	},
+
+	_applyMovedPage: function(objOtherPage) {
+		//moving creates a new page version, which is required for the next update
+		this._intVersionNumber       = objOtherPage.getVersionNumber();
+		this._strSpaceKey            = objOtherPage.getSpaceKey();
+		this._strParentPageId        = objOtherPage.getParentPageId();
+		this._arrAncestors           = objOtherPage.getAncestors();
+		this._hasSpaceKeyChanged     = false;
+		this._hasParentPageIdChanged = false;
+	},
+
+	_applySavedRestrictions: function() {
+		this._haveRestrictionsChanged = false;
+	},
+
+	_applyConflictStrategy: function(strStrategy) {
+		this._strAppliedConflictStrategy = strStrategy;
+	},
+
+	_applyRemoteVersion: function(objRemotePage, strRebasedBody) {
+		//version number is set directly as the setter would reset all change flags
+		this._intVersionNumber = objRemotePage.getVersionNumber();
+
+		if (typeof strRebasedBody === "string") {
+			this._strBody       = strRebasedBody;
+			this._strLoadedBody = objRemotePage.getBody();
+		}
+	},
+
+	_applyLoadedBody: function() {
+		this._strLoadedBody = this.getBody();
+	},
+
+	_getLoadedBody: function() {
+		return this._strLoadedBody;
+	},
+
+	_applyLabels: function(arrLabels) {
+		this._arrLabels = arrLabels.slice();
+	},
+
+	_applyScaffoldingSchema: function(arrSchema) {
+		this._arrScaffoldingSchema = arrSchema;
+	},
+
+	_applyScaffoldingData: function(arrScaffoldingData) {
+		//in contrast to the setter the data is not marked as changed
+		this._arrScaffoldingData = arrScaffoldingData;
+	},
+
+	_buildRestrictions: function(strScope, arrNames, strKey) {
+		if (!Array.isArray(arrNames)) {
+			throw new Error("[" + strScope + "] Please pass an Array of names!");
+		}
+
+		var arrRestrictions = [];
+
+		for (var i = 0; i < arrNames.length; i++) {
+			if (!(typeof arrNames[i] === "string" && arrNames[i].length > 0)) {
+				throw new Error("[" + strScope + "] '" + arrNames[i] + "' is not a valid name!");
+			}
+
+			var objRestriction = strKey === "name" ? {type: "group"} : {type: "known"};
+
+			objRestriction[strKey] = arrNames[i];
+
+			arrRestrictions.push(objRestriction);
+		}
+
+		return arrRestrictions;
+	},
+
+	_addRestriction: function(strScope, strProperty, objRestriction) {
+		var strName = objRestriction.username || objRestriction.accountId || objRestriction.name;
+
+		if (!(typeof strName === "string" && strName.length > 0)) {
+			throw new Error("[" + strScope + "] Please pass a valid name! Invalid value: " + strName);
+		}
+
+		var arrRestrictions = this[strProperty] || [];
+
+		for (var i = 0; i < arrRestrictions.length; i++) {
+			if ((arrRestrictions[i].username || arrRestrictions[i].accountId || arrRestrictions[i].name) === strName) {
+				return;
+			}
+		}
+
+		arrRestrictions.push(objRestriction);
+
+		this[strProperty]             = arrRestrictions;
+		this._haveRestrictionsChanged = true;
+	},
+
+	_removeRestriction: function(strScope, strProperty, strName) {
+		if (!(typeof strName === "string" && strName.length > 0)) {
+			throw new Error("[" + strScope + "] Please pass a valid name! Invalid value: " + strName);
+		}
+
+		if (this[strProperty]) {
+			var arrResult = [];
+
+			for (var i = 0; i < this[strProperty].length; i++) {
+				if ((this[strProperty][i].username || this[strProperty][i].accountId || this[strProperty][i].name) === strName) {
+					this._haveRestrictionsChanged = true;
+				}
+				else {
+					arrResult.push(this[strProperty][i]);
+				}
+			}
+
+			this[strProperty] = arrResult;
+		}
+	},
+
+	_validateRestrictionOperation: function(strScope, strOperation) {
+		if (strOperation && !/^(read|update)$/.test(strOperation)) {
+			throw new Error(
+				"[" + strScope + "] Please pass a valid operation at parameter {strOperation}!" +
+				" Invalid value: " + strOperation
+			);
+		}
+	},
+
+	/**
+	 * Tests whether this object is a valid initialized {@link ConfluencePage} object.
+	 * 
+	 * @returns {Boolean} `True` in case this object is a valid {@link ConfluencePage} object.
+	 */
+	isValid: function() {
+		return this._refConfluenceClient ? this._strInternalId == this._refConfluenceClient._strInternalId : false;
+	},
+};
+
+
+/**
+ * This object represents a single attachment of a Confluence page and encapsulates all data and methods for dealing with it.
+ * 
+ * @class ConfluenceAttachment
+ * @param {ConfluenceClient} refConfluenceClient Reference to an {@link ConfluenceClient} object.
+ * @param {Object} jsonAttachment Response of a REST API call.
+ * @throws {Error} If passed parameter `refConfluenceClient` does not points to a valid object of type {@link ConfluenceClient}
+ * @throws {Error} If passed parameter `jsonAttachment` does not represent a valid JSON object.
+ */
+ConfluenceAttachment.prototype = {
+	initialize: function(refConfluenceClient, jsonAttachment) {
+		if (!(refConfluenceClient && refConfluenceClient instanceof ConfluenceClient)) {
+			throw new Error(
+				"[ConfluenceAttachment.initialize] Please pass a reference to a valid {ConfluenceClient} object at parameter {refConfluenceClient}!"
+			);
+		}
+
+		if (!(jsonAttachment && typeof jsonAttachment === "object")) {
+			throw new Error(
+				"[ConfluenceAttachment.initialize] Please pass a valid JSON object at parameter {jsonAttachment}!"
+			);
+		}
+
+		var objMetadata   = jsonAttachment.metadata || {};
+		var objExtensions = jsonAttachment.extensions || {};
+
+		this._refConfluenceClient = refConfluenceClient;
+		this._strInternalId       = refConfluenceClient._strInternalId.toString();
+		this._strId               = jsonAttachment.id;
+		this._strStatus           = jsonAttachment.status;
+		this._strTitle            = jsonAttachment.title;
+		this._strMediaType        = objMetadata.mediaType || objExtensions.mediaType;
+		this._strComment          = objMetadata.comment || objExtensions.comment;
+		this._intFileSize         = objExtensions.fileSize;
+
+		if (jsonAttachment.version) {
+			this._intVersionNumber = jsonAttachment.version.number;
+		}
+
+		if (jsonAttachment.container) {
+			this._strPageId = jsonAttachment.container.id;
+		}
+
+		if (jsonAttachment._links) {
+			this._strDownloadLink = jsonAttachment._links.download;
+		}
+
+		if (jsonAttachment.history && jsonAttachment.history.lastUpdated && jsonAttachment.history.lastUpdated.when) {
+			var gdtModification = new GlideDateTime();
+
+			gdtModification.setDisplayValue(jsonAttachment.history.lastUpdated.when, "yyyy-MM-dd'T'HH:mm:ss");
+
+			this._gdtModification = gdtModification;
+		}
+	},
+
+	getConfluenceClient: function() {
+		return this._refConfluenceClient;
+	},
+
+	/**
+	 * Getter for the Confluence attachment ID.
+	 * 
+	 * @returns {String} ID of the attachment, e.g. `att123456`.
+	 */
+	getId: function() {
+		return this._strId;
+	},
+
+	/**
+	 * Getter for the attachment status.
+	 * 
+	 * @returns {String} Status of the attachment if available or `undefined` if not.
+	 */
+	getStatus: function() {
+		return this._strStatus;
+	},
+
+	/**
+	 * Setter for the attachment status.
+	 * 
+	 * @param {String} strStatus Status of the attachment. Only allowed values are `current` and `trashed`.
+	 * @throws {Error} If passed parameter `strStatus` is not a String or different from the allowed values.
+	 */
+	setStatus: function(strStatus) {
+		if (!(typeof strStatus === "string" && (strStatus === 'current' || strStatus === 'trashed'))) {
+			throw new Error(
+				"[ConfluenceAttachment.setStatus] Please pass a valid attachment status at parameter {strStatus}!" +
+				" Invalid value: " + strStatus
+			);
+		}
+
+		this._strStatus = strStatus;
+	},
+
+	/**
+	 * Getter for the file name of the attachment.
+	 * 
+	 * @returns {String} File name of the attachment.
+	 */
+	getTitle: function() {
+		return this._strTitle;
+	},
+
+	/**
+	 * Getter for the MIME type of the attachment.
+	 * 
+	 * @returns {String} MIME type like `application/pdf` if available or `undefined` if not.
+	 */
+	getMediaType: function() {
+		return this._strMediaType;
+	},
+
+	/**
+	 * Getter for the file size of the attachment.
+	 * 
+	 * @returns {Integer} File size in bytes if available or `undefined` if not.
+	 */
+	getFileSize: function() {
+		return this._intFileSize;
+	},
+
+	/**
+	 * Getter for the comment of the attachment.
+	 * 
+	 * @returns {String} Comment of the attachment if available or `undefined` if not.
+	 */
+	getComment: function() {
+		return this._strComment;
+	},
+
+	/**
+	 * Getter for the version number of the attachment.
+	 * 
+	 * @returns {Integer} Version number if available or `undefined` if not.
+	 */
+	getVersionNumber: function() {
+		return this._intVersionNumber;
+	},
+
+	/**
+	 * Getter for the ID of the Confluence page the attachment belongs to.
+	 * 
+	 * @returns {String} Page ID if available or `undefined` if not.
+	 */
+	getPageId: function() {
+		return this._strPageId;
+	},
+
+	/**
+	 * Getter for the download link of the attachment, relative to the Confluence base URL.
+	 * 
+	 * @returns {String} Download link if available or `undefined` if not.
+	 */
+	getDownloadLink: function() {
+		return this._strDownloadLink;
+	},
+
+	/**
+	 * Getter for the modification date and time of the attachment.
+	 * 
+	 * @returns {GlideDateTime} An instance of a [GlideDateTime]{@link https://developer.servicenow.com/dev.do#!/reference/api/orlando/server/c_APIRef} object if defined or `undefined`if not.
+	 */
+	getModificationDateTime: function() {
+		return this._gdtModification;
+	},
+
+	/**
+	 * Downloads the attachment to a ServiceNow record by invoking method {@link ConfluenceClient#downloadAttachment}.
+	 * 
+	 * @param {GlideRecord} grTarget ServiceNow record the downloaded file is attached to.
+	 * @returns {null|String} `NULL` if Confluence request has failed or the sys_id of the created ServiceNow attachment.
+	 */
+	download: function(grTarget) {
+		return this._refConfluenceClient.downloadAttachment(this, grTarget);
+	},
+
+	/**
+	 * Uploads a new version of the attachment by invoking method {@link ConfluenceClient#updateAttachment}.
+	 * 
+	 * @param {Object} objFile Description of the file to be uploaded.
+	 * @returns {null|ConfluenceAttachment} `NULL` if Confluence request has failed or a {@link ConfluenceAttachment} object representing the new attachment version.
+	 */
+	update: function(objFile) {
+		return this._refConfluenceClient.updateAttachment(this, objFile);
+	},
+
+	/**
+	 * Deletes the attachment by invoking method {@link ConfluenceClient#removeAttachment}.
+	 * 
+	 * @returns `true` if operation was successful otherwise `false`.
+	 */
+	remove: function() {
+		return this._refConfluenceClient.removeAttachment(this);
+	},
+
+	/**
+	 * Tests whether this object is a valid initialized {@link ConfluenceAttachment} object.
+	 * 
+	 * @returns {Boolean} `True` in case this object is a valid {@link ConfluenceAttachment} object.
+	 */
+	isValid: function() {
+		return this._refConfluenceClient ? this._strInternalId == this._refConfluenceClient._strInternalId : false;
+	},
+};
+
+
+/**
+ * This object represents a single comment of a Confluence page and encapsulates all data and methods for dealing with it.
+ * 
+ * @class ConfluenceComment
+ * @param {ConfluenceClient} refConfluenceClient Reference to an {@link ConfluenceClient} object.
+ * @param {Object} jsonComment Response of a REST API call.
+ * @throws {Error} If passed parameter `refConfluenceClient` does not points to a valid object of type {@link ConfluenceClient}
+ * @throws {Error} If passed parameter `jsonComment` does not represent a valid JSON object.
+ */
+ConfluenceComment.prototype = {
+	initialize: function(refConfluenceClient, jsonComment) {
+		if (!(refConfluenceClient && refConfluenceClient instanceof ConfluenceClient)) {
+			throw new Error(
+				"[ConfluenceComment.initialize] Please pass a reference to a valid {ConfluenceClient} object at parameter {refConfluenceClient}!"
+			);
+		}
+
+		if (!(jsonComment && typeof jsonComment === "object")) {
+			throw new Error(
+				"[ConfluenceComment.initialize] Please pass a valid JSON object at parameter {jsonComment}!"
+			);
+		}
+
+		var objExtensions = jsonComment.extensions || {};
+
+		this._refConfluenceClient = refConfluenceClient;
+		this._strInternalId       = refConfluenceClient._strInternalId.toString();
+		this._strId               = jsonComment.id;
+		this._strStatus           = jsonComment.status;
+		this._strLocation         = objExtensions.location;
+
+		if (jsonComment.version) {
+			this._intVersionNumber = jsonComment.version.number;
+		}
+
+		if (jsonComment.body && jsonComment.body.storage) {
+			this._strBody = jsonComment.body.storage.value;
+		}
+
+		if (jsonComment.container) {
+			this._strPageId = jsonComment.container.id;
+		}
+
+		//the last ancestor of a comment is the comment it replies to
+		if (Array.isArray(jsonComment.ancestors) && jsonComment.ancestors.length > 0) {
+			this._strParentCommentId = jsonComment.ancestors[jsonComment.ancestors.length - 1].id;
+		}
+
+		if (objExtensions.inlineProperties) {
+			this._strInlineMarkerRef         = objExtensions.inlineProperties.markerRef;
+			this._strInlineOriginalSelection = objExtensions.inlineProperties.originalSelection;
+		}
+
+		if (objExtensions.resolution) {
+			this._strResolutionStatus = objExtensions.resolution.status;
+		}
+
+		if (jsonComment.history) {
+			if (jsonComment.history.createdBy) {
+				this._strAuthorUserName    = jsonComment.history.createdBy[refConfluenceClient._getUserKey()];
+				this._strAuthorDisplayName = jsonComment.history.createdBy.displayName;
+			}
+
+			if (jsonComment.history.createdDate) {
+				var gdtCreation = new GlideDateTime();
+
+				gdtCreation.setDisplayValue(jsonComment.history.createdDate, "yyyy-MM-dd'T'HH:mm:ss");
+
+				this._gdtCreation = gdtCreation;
+			}
+		}
+	},
+
+	getConfluenceClient: function() {
+		return this._refConfluenceClient;
+	},
+
+	/**
+	 * Getter for the comment ID.
+	 * 
+	 * @returns {String} ID of the comment.
+	 */
+	getId: function() {
+		return this._strId;
+	},
+
+	/**
+	 * Getter for the comment status.
+	 * 
+	 * @returns {String} Status of the comment if available or `undefined` if not.
+	 */
+	getStatus: function() {
+		return this._strStatus;
+	},
+
+	/**
+	 * Setter for the comment status.
+	 * 
+	 * @param {String} strStatus Status of the comment. Only allowed values are `current` and `trashed`.
+	 * @throws {Error} If passed parameter `strStatus` is not a String or different from the allowed values.
+	 */
+	setStatus: function(strStatus) {
+		if (!(typeof strStatus === "string" && (strStatus === 'current' || strStatus === 'trashed'))) {
+			throw new Error(
+				"[ConfluenceComment.setStatus] Please pass a valid comment status at parameter {strStatus}!" +
+				" Invalid value: " + strStatus
+			);
+		}
+
+		this._strStatus = strStatus;
+	},
+
+	/**
+	 * Getter for the ID of the Confluence page the comment belongs to.
+	 * 
+	 * @returns {String} Page ID if available or `undefined` if not.
+	 */
+	getPageId: function() {
+		return this._strPageId;
+	},
+
+	/**
+	 * Getter for the ID of the comment this comment replies to.
+	 * 
+	 * @returns {String} ID of the parent comment or `undefined` if this is a top-level comment.
+	 */
+	getParentCommentId: function() {
+		return this._strParentCommentId;
+	},
+
+	/**
+	 * Getter for the version number of the comment.
+	 * 
+	 * @returns {Integer} Version number if available or `undefined` if not.
+	 */
+	getVersionNumber: function() {
+		return this._intVersionNumber;
+	},
+
+	/**
+	 * Setter for the version number of the comment.
+	 * 
+	 * @param {Integer} intVersionNumber Version number of the current comment version.
+	 * @throws {Error} If passed parameter `intVersionNumber` is not a valid `Integer` value.
+	 */
+	setVersionNumber: function(intVersionNumber) {
+		if (!ConfluenceClient.isValidInteger(intVersionNumber)) {
+			throw new Error(
+				"[ConfluenceComment.setVersionNumber] Please pass a valid integer value at parameter {intVersionNumber}!" +
+				" Invalid value: " + intVersionNumber
+			);
+		}
+
+		this._intVersionNumber = intVersionNumber;
+	},
+
+	/**
+	 * Getter for the content of the comment.
+	 * 
+	 * @returns {String} Comment content as storage format if defined or `undefined` if not.
+	 */
+	getBody: function() {
+		return this._strBody;
+	},
+
+	/**
+	 * Setter for the content of the comment.
+	 * 
+	 * @param {String} strBody Comment content as storage format.
+	 * @throws {Error} If passed parameter `strBody` is empty or not of type `String`.
+	 */
+	setBody: function(strBody) {
+		if (!(typeof strBody === "string" && strBody.length > 0)) {
+			throw new Error(
+				"[ConfluenceComment.setBody] Please pass a valid comment content at parameter {strBody}!"
+			);
+		}
+
+		this._strBody = strBody;
+	},
+
+	/**
+	 * Getter for the location of the comment.
+	 * 
+	 * @returns {String} `footer` or `inline` if available or `undefined` if not.
+	 */
+	getLocation: function() {
+		return this._strLocation;
+	},
+
+	/**
+	 * Tests whether this comment is an inline comment.
+	 * 
+	 * @returns {Boolean} `true` if this comment is bound to a text selection at the page body, otherwise `false`.
+	 */
+	isInline: function() {
+		return this._strLocation === "inline";
+	},
+
+	/**
+	 * Getter for the reference of the inline marker at the page body.
+	 * 
+	 * @returns {String} Value of the `ac:ref` attribute of the corresponding `ac:inline-comment-marker` or `undefined` for footer comments.
+	 */
+	getInlineMarkerRef: function() {
+		return this._strInlineMarkerRef;
+	},
+
+	/**
+	 * Getter for the page text an inline comment has originally been attached to.
+	 * 
+	 * @returns {String} Originally selected text or `undefined` for footer comments.
+	 */
+	getInlineOriginalSelection: function() {
+		return this._strInlineOriginalSelection;
+	},
+
+	/**
+	 * Getter for the resolution status of an inline comment.
+	 * 
+	 * @returns {String} Resolution status like `open` or `resolved` if available or `undefined` if not.
+	 */
+	getResolutionStatus: function() {
+		return this._strResolutionStatus;
+	},
+
+	/**
+	 * Getter for the user name of the comment author.
+	 * 
+	 * @returns {String} User name of the author if available or `undefined` if not.
+	 */
+	getAuthorUserName: function() {
+		return this._strAuthorUserName;
+	},
+
+	/**
+	 * Getter for the display name of the comment author.
+	 * 
+	 * @returns {String} Full name of the author if available or `undefined` if not.
+	 */
+	getAuthorDisplayName: function() {
+		return this._strAuthorDisplayName;
+	},
+
+	/**
+	 * Getter for the creation date and time of the comment.
+	 * 
+	 * @returns {GlideDateTime} An instance of a [GlideDateTime]{@link https://developer.servicenow.com/dev.do#!/reference/api/orlando/server/c_APIRef} object if defined or `undefined`if not.
+	 */
+	getCreationDateTime: function() {
+		return this._gdtCreation;
+	},
+
+	/**
+	 * Replies to this comment by invoking method {@link ConfluenceClient#addComment}.
+	 * 
+	 * @param {String} strBody Content of the reply in storage format.
+	 * @returns {null|ConfluenceComment} `NULL` if Confluence request has failed or a {@link ConfluenceComment} object representing the created reply.
+	 */
+	reply: function(strBody) {
+		var objPage = new ConfluencePage(this._refConfluenceClient);
+
+		objPage.setId(this._strPageId);
+
+		return this._refConfluenceClient.addComment(objPage, strBody, this._strId);
+	},
+
+	/**
+	 * Writes back the comment content by invoking method {@link ConfluenceClient#updateComment}.
+	 * 
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	update: function() {
+		return this._refConfluenceClient.updateComment(this);
+	},
+
+	/**
+	 * Deletes the comment by invoking method {@link ConfluenceClient#removeComment}.
+	 * 
+	 * @returns `true` if operation was successful otherwise `false`.
+	 */
+	remove: function() {
+		return this._refConfluenceClient.removeComment(this);
+	},
+
+	/**
+	 * Tests whether this object is a valid initialized {@link ConfluenceComment} object.
+	 * 
+	 * @returns {Boolean} `True` in case this object is a valid {@link ConfluenceComment} object.
+	 */
+	isValid: function() {
+		return this._refConfluenceClient ? this._strInternalId == this._refConfluenceClient._strInternalId : false;
+	},
+};
+
+
+/**
+ * This object represents a single Confluence space and encapsulates all data and methods for dealing with it.
+ * 
+ * @class ConfluenceSpace
+ * @param {ConfluenceClient} refConfluenceClient Reference to an {@link ConfluenceClient} object.
+ * @param {Object} jsonSpace Response of a REST API call.
+ * @throws {Error} If passed parameter `refConfluenceClient` does not points to a valid object of type {@link ConfluenceClient}
+ * @throws {Error} If passed parameter `jsonSpace` does not represent a valid JSON object.
+ */
+ConfluenceSpace.prototype = {
+	initialize: function(refConfluenceClient, jsonSpace) {
+		if (!(refConfluenceClient && refConfluenceClient instanceof ConfluenceClient)) {
+			throw new Error(
+				"[ConfluenceSpace.initialize] Please pass a reference to a valid {ConfluenceClient} object at parameter {refConfluenceClient}!"
+			);
+		}
+
+		if (!(jsonSpace && typeof jsonSpace === "object")) {
+			throw new Error(
+				"[ConfluenceSpace.initialize] Please pass a valid JSON object at parameter {jsonSpace}!"
+			);
+		}
+
+		this._refConfluenceClient = refConfluenceClient;
+		this._strInternalId       = refConfluenceClient._strInternalId.toString();
+		this._strId               = jsonSpace.id;
+		this._strKey              = jsonSpace.key;
+		this._strName             = jsonSpace.name;
+		this._strType             = jsonSpace.type;
+		this._strStatus           = jsonSpace.status;
+
+		if (jsonSpace.description && jsonSpace.description.plain) {
+			this._strDescription = jsonSpace.description.plain.value;
+		}
+
+		if (jsonSpace.homepage) {
+			this._strHomepageId = jsonSpace.homepage.id;
+		}
+
+		if (jsonSpace.metadata && jsonSpace.metadata.labels && Array.isArray(jsonSpace.metadata.labels.results)) {
+			this._arrLabels = [];
+
+			for (var numLabelCounter = 0; numLabelCounter < jsonSpace.metadata.labels.results.length; numLabelCounter++) {
+				this._arrLabels.push(jsonSpace.metadata.labels.results[numLabelCounter].name);
+			}
+		}
+	},
+
+	getConfluenceClient: function() {
+		return this._refConfluenceClient;
+	},
+
+	/**
+	 * Getter for the space ID.
+	 * 
+	 * @returns {String} Internal ID of the space.
+	 */
+	getId: function() {
+		return this._strId;
+	},
+
+	/**
+	 * Getter for the space key.
+	 * 
+	 * @returns {String} Key of the space.
+	 */
+	getKey: function() {
+		return this._strKey;
+	},
+
+	/**
+	 * Getter for the space name.
+	 * 
+	 * @returns {String} Name of the space.
+	 */
+	getName: function() {
+		return this._strName;
+	},
+
+	/**
+	 * Getter for the plain text description of the space.
+	 * 
+	 * @returns {String} Description of the space if available or `undefined` if not.
+	 */
+	getDescription: function() {
+		return this._strDescription;
+	},
+
+	/**
+	 * Getter for the space type.
+	 * 
+	 * @returns {String} Either `global` or `personal`.
+	 */
+	getType: function() {
+		return this._strType;
+	},
+
+	/**
+	 * Getter for the space status.
+	 * 
+	 * @returns {String} Either `current` or `archived`.
+	 */
+	getStatus: function() {
+		return this._strStatus;
+	},
+
+	/**
+	 * Setter for the space status.
+	 * 
+	 * @param {String} strStatus Status of the space. Only allowed values are `current` and `archived`.
+	 * @throws {Error} If passed parameter `strStatus` is not a String or different from the allowed values.
+	 */
+	setStatus: function(strStatus) {
+		if (!(typeof strStatus === "string" && (strStatus === 'current' || strStatus === 'archived'))) {
+			throw new Error(
+				"[ConfluenceSpace.setStatus] Please pass a valid space status at parameter {strStatus}!" +
+				" Invalid value: " + strStatus
+			);
+		}
+
+		this._strStatus = strStatus;
+	},
+
+	/**
+	 * Getter for the list of space labels.
+	 * 
+	 * @returns {Array<String>} List of space labels if defined or `undefined` if not.
+	 */
+	getLabels: function() {
+		return this._arrLabels;
+	},
+
+	/**
+	 * Getter for the ID of the space homepage.
+	 * 
+	 * @returns {String} Page ID of the homepage if available or `undefined` if not.
+	 */
+	getHomepageId: function() {
+		return this._strHomepageId;
+	},
+
+	/**
+	 * Loads the homepage of the space by invoking method {@link ConfluenceClient#loadPageDataById}.
+	 * Once loaded, the page object is cached.
+	 * 
+	 * @returns {null|ConfluencePage} `NULL` if the space has no homepage or the Confluence request has failed, otherwise a {@link ConfluencePage} object representing the homepage.
+	 */
+	getHomepage: function() {
+		if (!this._strHomepageId) {
+			return null;
+		}
+
+		if (!this._objHomepage) {
+			this._objHomepage = this._refConfluenceClient.loadPageDataById(this._strHomepageId);
+		}
+
+		return this._objHomepage;
+	},
+
+	/**
+	 * Loads all pages at the top level of the space by invoking method {@link ConfluenceClient#loadSpaceRootPages}.
+	 * 
+	 * @param {Boolean} [includeContent] If set to `true` also the page content will be loaded.
+	 * @returns {null|Array<ConfluencePage>} `NULL` if Confluence request has failed or an Array with objects of type {@link ConfluencePage}.
+	 */
+	loadRootPages: function(includeContent) {
+		return this._refConfluenceClient.loadSpaceRootPages(this, includeContent);
+	},
+
+	/**
+	 * Archives the space by invoking method {@link ConfluenceClient#archiveSpace}.
+	 * 
+	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 */
+	archive: function() {
+		return this._refConfluenceClient.archiveSpace(this);
+	},
+
+	/**
+	 * Tests whether this object is a valid initialized {@link ConfluenceSpace} object.
+	 * 
+	 * @returns {Boolean} `True` in case this object is a valid {@link ConfluenceSpace} object.
+	 */
+	isValid: function() {
+		return this._refConfluenceClient ? this._strInternalId == this._refConfluenceClient._strInternalId : false;
+	},
+};
+
+
+/**
+ * This object iterates over a set of Confluence pages, which are loaded batch by batch. Instances should not be 
+ * created directly, but with the help of the iterator methods of {@link ConfluenceClient}, e.g. {@link ConfluenceClient#getContentIterator}.
+ * 
+ * @class ConfluencePageIterator
+ * @param {ConfluenceClient} refConfluenceClient Reference to an {@link ConfluenceClient} object.
+ * @param {Object} objSource Description of the pages to be loaded.
+ * @param {String} objSource.scope Name of the method used for logging.
+ * @param {String} objSource.endpoint REST endpoint including query parameters, but without paging parameters.
+ * @param {Integer} [objSource.batchSize] Number of pages to be loaded per request. Default is 100.
+ * @param {Integer} [objSource.startAt] Offset of the first page. Default is 0.
+ * @throws {Error} If passed parameter `refConfluenceClient` does not points to a valid object of type {@link ConfluenceClient}
+ * @throws {Error} If passed parameter `objSource` contains invalid values.
+ */
+ConfluencePageIterator.prototype = {
+	initialize: function(refConfluenceClient, objSource) {
+		if (!(refConfluenceClient && refConfluenceClient instanceof ConfluenceClient)) {
+			throw new Error(
+				"[ConfluencePageIterator.initialize] Please pass a reference to a valid {ConfluenceClient} object at parameter {refConfluenceClient}!"
+			);
+		}
+
+		if (!(objSource && typeof objSource.endpoint === "string" && objSource.endpoint.indexOf("?") != -1)) {
+			throw new Error(
+				"[ConfluencePageIterator.initialize] Please pass a valid endpoint at parameter {objSource}!"
+			);
+		}
+
+		var intBatchSize = objSource.batchSize || 100;
+		var intStartAt   = objSource.startAt || 0;
+
+		if (!(ConfluenceClient.isValidInteger(intBatchSize) && intBatchSize > 0)) {
+			throw new Error(
+				"[ConfluencePageIterator.initialize] Please pass a valid batch size! Invalid value: " + intBatchSize
+			);
+		}
+
+		if (!ConfluenceClient.isValidInteger(intStartAt)) {
+			throw new Error(
+				"[ConfluencePageIterator.initialize] Please pass a valid start offset! Invalid value: " + intStartAt
+			);
+		}
+
+		this._refConfluenceClient = refConfluenceClient;
+		this._strScope            = objSource.scope || "ConfluencePageIterator";
+		this._strEndpoint         = objSource.endpoint;
+		this._intBatchSize        = Math.min(parseInt(intBatchSize, 10), refConfluenceClient._getMaxResults());
+		this._intOffset           = parseInt(intStartAt, 10);
+		this._intFetchAt          = this._intOffset;
+		this._arrBuffer           = [];
+		this._strNextLink         = null;
+		this._isExhausted         = false;
+		this._hasFailed           = false;
+	},
+
+	/**
+	 * Tests whether there is another page available. If the current batch is used up, the next batch is loaded.
+	 * 
+	 * @returns {Boolean} `true` if method {@link ConfluencePageIterator#next} can be invoked, otherwise `false`.
+	 */
+	hasNext: function() {
+		if (this._arrBuffer.length == 0 && !this._isExhausted) {
+			this._loadNextBatch();
+		}
+
+		return this._arrBuffer.length > 0;
+	},
+
+	/**
+	 * Returns the next page.
+	 * 
+	 * @returns {ConfluencePage} The next page of the iteration.
+	 * @throws {Error} If there is no further page available.
+	 */
+	next: function() {
+		if (!this.hasNext()) {
+			throw new Error("[ConfluencePageIterator.next] There are no more pages available!");
+		}
+
+		this._intOffset += 1;
+
+		return this._arrBuffer.shift();
+	},
+
+	/**
+	 * Getter for the offset of the page that will be returned by the next call of {@link ConfluencePageIterator#next}. 
+	 * This value can be stored and passed as option `startAt` later on to resume the iteration.
+	 * 
+	 * @returns {Integer} Current offset within the complete result set.
+	 */
+	getOffset: function() {
+		return this._intOffset;
+	},
+
+	/**
+	 * Tests whether loading a batch has failed. In that case the iteration ends and the reason is available 
+	 * via {@link ConfluenceClient#getLastErrorMessage}.
+	 * 
+	 * @returns {Boolean} `true` if a Confluence request has failed, otherwise `false`.
+	 */
+	hasFailed: function() {
+		return this._hasFailed;
+	},
+
+	_loadNextBatch: function() {
+		var objCursor = {};
+		var arrPages  = this._refConfluenceClient._loadPageBatch(
+			this._strScope,
+			this._strNextLink || this._strEndpoint + "&limit=" + this._intBatchSize + "&start=" + this._intFetchAt,
+			objCursor
+		);
+
+		if (arrPages == null) {
+			this._hasFailed   = true;
+			this._isExhausted = true;
+
+			return;
+		}
+
+		if (arrPages.length == 0) {
+			this._isExhausted = true;
+
+			return;
+		}
+
+		this._arrBuffer   = arrPages;
+		this._intFetchAt += arrPages.length;
+
+		//Confluence Cloud does not support offsets for searches and provides a cursor link to the next batch instead
+		if (this._refConfluenceClient._isCloud()) {
+			this._strNextLink = objCursor.next || null;
+			this._isExhausted = this._strNextLink === null;
+		}
+	},
+};
+
+
+/**
+ * This object describes a failed operation of {@link ConfluenceClient}. Instances are created by the client and can be 
+ * retrieved via {@link ConfluenceClient#getLastError} or are thrown if {@link ConfluenceClient#setThrowOnError} is enabled.
+ * 
+ * @class ConfluenceError
+ * @param {Object} objDetails Details of the failure.
+ * @param {String} objDetails.message Error message.
+ * @param {String} [objDetails.methodName] Name of the failed method.
+ * @param {String} [objDetails.httpMethod] HTTP method of the failed request.
+ * @param {String} [objDetails.endpoint] Endpoint of the failed request.
+ * @param {Integer} [objDetails.statusCode] HTTP status code of the response, 0 in case no response was received, e.g. after a timeout.
+ * @param {String} [objDetails.errorCode] Error code reported by Confluence.
+ * @param {String} [objDetails.responseBody] Body of the response.
+ * @param {Boolean} [objDetails.retryable] Whether repeating the request later might be successful.
+ * @param {Error} [objDetails.cause] Original exception in case the failure was not caused by a failed request.
+ */
+ConfluenceError.prototype = {
+	initialize: function(objDetails) {
+		this.name          = "ConfluenceError";
+		this.message       = objDetails.message;
+		this._strMethod    = objDetails.methodName || null;
+		this._strHttp      = objDetails.httpMethod || null;
+		this._strEndpoint  = objDetails.endpoint || null;
+		this._intStatus    = typeof objDetails.statusCode === "number" ? objDetails.statusCode : null;
+		this._strErrorCode = objDetails.errorCode || null;
+		this._strBody      = objDetails.responseBody || null;
+		this._isRetryable  = objDetails.retryable === true;
+		this._objCause     = objDetails.cause || null;
+	},
+
+	/**
+	 * Getter for the error message.
+	 * 
+	 * @returns {String} Error message.
+	 */
+	getMessage: function() {
+		return this.message;
+	},
+
+	/**
+	 * Getter for the name of the failed method, e.g. `ConfluenceClient.loadPageDataById`.
+	 * 
+	 * @returns {null|String} Method name if available or `NULL` if not.
+	 */
+	getMethodName: function() {
+		return this._strMethod;
+	},
+
+	/**
+	 * Getter for the HTTP method of the failed request.
+	 * 
+	 * @returns {null|String} HTTP method or `NULL` if the failure was not caused by a request.
+	 */
+	getHttpMethod: function() {
+		return this._strHttp;
+	},
+
+	/**
+	 * Getter for the endpoint of the failed request.
+	 * 
+	 * @returns {null|String} Endpoint or `NULL` if the failure was not caused by a request.
+	 */
+	getEndpoint: function() {
+		return this._strEndpoint;
+	},
+
+	/**
+	 * Getter for the HTTP status code of the failed request.
+	 * 
+	 * @returns {null|Integer} Status code, 0 if no response was received or `NULL` if the failure was not caused by a request.
+	 */
+	getStatusCode: function() {
+		return this._intStatus;
+	},
+
+	/**
+	 * Getter for the error code reported by Confluence, e.g. `Not Found`.
+	 * 
+	 * @returns {null|String} Error code or `NULL` if not available.
+	 */
+	getErrorCode: function() {
+		return this._strErrorCode;
+	},
+
+	/**
+	 * Getter for the body of the failed response.
+	 * 
+	 * @returns {null|String} Response body or `NULL` if not available.
+	 */
+	getResponseBody: function() {
+		return this._strBody;
+	},
+
+	/**
+	 * Getter for the original exception in case the failure was not caused by a failed request.
+	 * 
+	 * @returns {null|Error} Original exception or `NULL` if not available.
+	 */
+	getCause: function() {
+		return this._objCause;
+	},
+
+	/**
+	 * Tests whether repeating the failed request later might be successful, e.g. after throttling or a timeout.
+	 * 
+	 * @returns {Boolean} `true` if the failure is temporary, otherwise `false`.
+	 */
+	isRetryable: function() {
+		return this._isRetryable;
+	},
+
+	/**
+	 * Tests whether the requested Confluence object does not exist.
+	 * 
+	 * @returns {Boolean} `true` if Confluence responded with status code 404, otherwise `false`.
+	 */
+	isNotFound: function() {
+		return this._intStatus === 404;
+	},
+
+	/**
+	 * Tests whether the failure was caused by missing or invalid credentials or insufficient permissions.
+	 * 
+	 * @returns {Boolean} `true` if Confluence responded with status code 401 or 403, otherwise `false`.
+	 */
+	isAuthenticationError: function() {
+		return this._intStatus === 401 || this._intStatus === 403;
+	},
+
+	toString: function() {
+		return this.name + ": " + this.message;
+	},
+
+	type: 'ConfluenceError',
+};
+
+/**
+ * This object represents content in Confluence storage format as a tree of {@link ConfluenceStorageNode} objects. 
+ * Parsing is tolerant, as storage format is not always well-formed XML (e.g. undeclared namespaces or HTML entities).
+ * All parts of the tree which have not been modified are serialized exactly as they were parsed.
+ * 
+ * @class ConfluenceStorageDocument
+ * @param {String} [strStorage] Content in storage format. Default is an empty document.
+ * @throws {Error} If passed parameter `strStorage` is not of type `String`.
+ */
+ConfluenceStorageDocument.prototype = {
+	initialize: function(strStorage) {
+		var strSource = typeof strStorage === "undefined" ? "" : strStorage;
+
+		if (typeof strSource !== "string") {
+			throw new Error(
+				"[ConfluenceStorageDocument.initialize] Please pass a String at parameter {strStorage}!"
+			);
+		}
+
+		this._objRoot = new ConfluenceStorageNode("element", "#document");
+
+		this._parse(strSource);
+	},
+
+	/**
+	 * Getter for the root node of the document. Its children represent the top-level content.
+	 * 
+	 * @returns {ConfluenceStorageNode} Root node of the document.
+	 */
+	getRoot: function() {
+		return this._objRoot;
+	},
+
+	/**
+	 * Searches for all macros with the given name at any nesting level.
+	 * 
+	 * @param {String} [strMacroName] Name of the macro, e.g. `info` or `code`. If omitted all macros are returned.
+	 * @returns {Array<ConfluenceStorageNode>} All matching macro nodes in document order.
+	 */
+	findMacros: function(strMacroName) {
+		return this._objRoot.findAll(function(objNode) {
+			return objNode.isMacro() && (!strMacroName || objNode.getMacroName() === strMacroName);
+		});
+	},
+
+	/**
+	 * Searches for all elements with the given tag name at any nesting level.
+	 * 
+	 * @param {String} strName Tag name inclusive namespace prefix, e.g. `ac:link` or `table`.
+	 * @returns {Array<ConfluenceStorageNode>} All matching element nodes in document order.
+	 */
+	findElements: function(strName) {
+		return this._objRoot.findElements(strName);
+	},
+
+	/**
+	 * Searches for all resource identifiers (`ri:page`, `ri:attachment`, `ri:url`, ...). Resource identifiers which 
+	 * only describe the container of an attachment are not returned separately.
+	 * 
+	 * @param {String} [strType] Type of the references to be returned, e.g. `page` or `attachment`, see {@link ConfluenceStorageNode#getReference}.
+	 * @returns {Array<ConfluenceStorageNode>} All matching resource identifier nodes in document order.
+	 */
+	findReferences: function(strType) {
+		return this._objRoot.findAll(function(objNode) {
+			if (!(objNode.isElement() && /^ri:/.test(objNode.getName()))) {
+				return false;
+			}
+
+			if (objNode.getParent() && objNode.getParent().getName() === "ri:attachment") {
+				return false;
+			}
+
+			return !strType || (objNode.getReference() || {}).type === strType;
+		});
+	},
+
+	/**
+	 * Serializes the document back to storage format.
+	 * 
+	 * @returns {String} Content in storage format.
+	 */
+	serialize: function() {
+		return this._objRoot.serialize();
+	},
+
+	toString: function() {
+		return this.serialize();
+	},
+
+	_parse: function(strSource) {
+		var arrStack = [this._objRoot];
+		var intPos   = 0;
+
+		while (intPos < strSource.length) {
+			var objToken = this._readToken(strSource, intPos);
+
+			intPos = objToken.end;
+
+			if (objToken.kind === "start") {
+				var objElement = new ConfluenceStorageNode("element", objToken.name);
+
+				objElement._applyStartTag(objToken);
+
+				arrStack[arrStack.length - 1]._attach(objElement);
+
+				if (!objToken.selfClosing) {
+					arrStack.push(objElement);
+				}
+			}
+			else if (objToken.kind === "end") {
+				this._closeElement(arrStack, objToken);
+			}
+			else {
+				arrStack[arrStack.length - 1]._attach(new ConfluenceStorageNode(objToken.kind, null, objToken.raw));
+			}
+		}
+	},
+
+	_closeElement: function(arrStack, objToken) {
+		for (var i = arrStack.length - 1; i > 0; i--) {
+			if (arrStack[i].getName() === objToken.name) {
+				//elements which have not been closed explicitly keep an empty end tag
+				arrStack[i]._applyEndTag(objToken.raw);
+
+				arrStack.length = i;
+
+				return;
+			}
+		}
+
+		//end tags without corresponding start tag are kept as they are
+		arrStack[arrStack.length - 1]._attach(new ConfluenceStorageNode("raw", null, objToken.raw));
+	},
+
+	_readToken: function(strSource, intPos) {
+		var objMarkup = this._readMarkup(strSource, intPos);
+
+		if (objMarkup !== null) {
+			return objMarkup;
+		}
+
+		//everything else up to the next possible tag is text
+		var intNext = strSource.indexOf("<", intPos + 1);
+		var intEnd  = intNext == -1 ? strSource.length : intNext;
+
+		return {kind: "text", raw: strSource.substring(intPos, intEnd), end: intEnd};
+	},
+
+	_readMarkup: function(strSource, intPos) {
+		if (strSource.charAt(intPos) !== "<") {
+			return null;
+		}
+
+		var arrDelimiters = [
+			{kind: "comment", start: "<!--", end: "-->"},
+			{kind: "cdata", start: "<![CDATA[", end: "]]>"},
+			{kind: "raw", start: "<!", end: ">"},
+			{kind: "raw", start: "<?", end: ">"},
+		];
+
+		for (var i = 0; i < arrDelimiters.length; i++) {
+			if (strSource.substr(intPos, arrDelimiters[i].start.length) === arrDelimiters[i].start) {
+				var intEnd = strSource.indexOf(arrDelimiters[i].end, intPos + arrDelimiters[i].start.length);
+
+				intEnd = intEnd == -1 ? strSource.length : intEnd + arrDelimiters[i].end.length;
+
+				return {kind: arrDelimiters[i].kind, raw: strSource.substring(intPos, intEnd), end: intEnd};
+			}
+		}
+
+		return this._readTag(strSource, intPos);
+	},
+
+	_readTag: function(strSource, intPos) {
+		var isEndTag = strSource.charAt(intPos + 1) === "/";
+		var objName  = /^[A-Za-z_][\w:.-]*/.exec(strSource.substr(intPos + (isEndTag ? 2 : 1), 255));
+
+		if (objName === null) {
+			return null;
+		}
+
+		//search the end of the tag while skipping quoted attribute values
+		var strQuote = null;
+		var intEnd   = -1;
+
+		for (var i = intPos + 1; i < strSource.length && intEnd == -1; i++) {
+			var strChar = strSource.charAt(i);
+
+			if (strQuote === null && strChar === ">") {
+				intEnd = i + 1;
+			}
+			else if (strQuote === null && (strChar === "\"" || strChar === "'")) {
+				strQuote = strChar;
+			}
+			else if (strQuote === strChar) {
+				strQuote = null;
+			}
+		}
+
+		if (intEnd == -1) {
+			return null;
+		}
+
+		var strRaw = strSource.substring(intPos, intEnd);
+
+		if (isEndTag) {
+			return {kind: "end", name: objName[0], raw: strRaw, end: intEnd};
+		}
+
+		return {
+			kind:        "start",
+			name:        objName[0],
+			raw:         strRaw,
+			end:         intEnd,
+			attributes:  this._readAttributes(strRaw.substring(objName[0].length + 1)),
+			selfClosing: /\/\s*>$/.test(strRaw),
+		};
+	},
+
+	_readAttributes: function(strAttributes) {
+		var regexAttribute = /\s+([^\s=/>"']+)(\s*=\s*("[^"]*"|'[^']*'|[^\s"'>/]+))?/g;
+		var arrAttributes  = [];
+		var arrMatch       = regexAttribute.exec(strAttributes);
+
+		while (arrMatch !== null) {
+			var strValue = arrMatch[3] || "";
+
+			if (/^["']/.test(strValue)) {
+				strValue = strValue.substring(1, strValue.length - 1);
+			}
+
+			arrAttributes.push({
+				name:  arrMatch[1],
+				value: ConfluenceStorageDocument.decode(strValue),
+				raw:   arrMatch[0],
+			});
+
+			arrMatch = regexAttribute.exec(strAttributes);
+		}
+
+		return arrAttributes;
+	},
+};
+
+/**
+ * Named character references of XHTML 1.0 (Latin-1, symbols and special characters), which are replaced by 
+ * {@link ConfluenceStorageDocument.decode}.
+ * 
+ * @type {Object}
+ */
+ConfluenceStorageDocument.ENTITIES = {
+	amp:      "&",
+	lt:       "<",
+	gt:       ">",
+	quot:     "\"",
+	apos:     "'",
+	nbsp:     "\u00A0",
+	iexcl:    "\u00A1",
+	cent:     "\u00A2",
+	pound:    "\u00A3",
+	curren:   "\u00A4",
+	yen:      "\u00A5",
+	brvbar:   "\u00A6",
+	sect:     "\u00A7",
+	uml:      "\u00A8",
+	copy:     "\u00A9",
+	ordf:     "\u00AA",
+	laquo:    "\u00AB",
+	not:      "\u00AC",
+	shy:      "\u00AD",
+	reg:      "\u00AE",
+	macr:     "\u00AF",
+	deg:      "\u00B0",
+	plusmn:   "\u00B1",
+	sup2:     "\u00B2",
+	sup3:     "\u00B3",
+	acute:    "\u00B4",
+	micro:    "\u00B5",
+	para:     "\u00B6",
+	middot:   "\u00B7",
+	cedil:    "\u00B8",
+	sup1:     "\u00B9",
+	ordm:     "\u00BA",
+	raquo:    "\u00BB",
+	frac14:   "\u00BC",
+	frac12:   "\u00BD",
+	frac34:   "\u00BE",
+	iquest:   "\u00BF",
+	Agrave:   "\u00C0",
+	Aacute:   "\u00C1",
+	Acirc:    "\u00C2",
+	Atilde:   "\u00C3",
+	Auml:     "\u00C4",
+	Aring:    "\u00C5",
+	AElig:    "\u00C6",
+	Ccedil:   "\u00C7",
+	Egrave:   "\u00C8",
+	Eacute:   "\u00C9",
+	Ecirc:    "\u00CA",
+	Euml:     "\u00CB",
+	Igrave:   "\u00CC",
+	Iacute:   "\u00CD",
+	Icirc:    "\u00CE",
+	Iuml:     "\u00CF",
+	ETH:      "\u00D0",
+	Ntilde:   "\u00D1",
+	Ograve:   "\u00D2",
+	Oacute:   "\u00D3",
+	Ocirc:    "\u00D4",
+	Otilde:   "\u00D5",
+	Ouml:     "\u00D6",
+	times:    "\u00D7",
+	Oslash:   "\u00D8",
+	Ugrave:   "\u00D9",
+	Uacute:   "\u00DA",
+	Ucirc:    "\u00DB",
+	Uuml:     "\u00DC",
+	Yacute:   "\u00DD",
+	THORN:    "\u00DE",
+	szlig:    "\u00DF",
+	agrave:   "\u00E0",
+	aacute:   "\u00E1",
+	acirc:    "\u00E2",
+	atilde:   "\u00E3",
+	auml:     "\u00E4",
+	aring:    "\u00E5",
+	aelig:    "\u00E6",
+	ccedil:   "\u00E7",
+	egrave:   "\u00E8",
+	eacute:   "\u00E9",
+	ecirc:    "\u00EA",
+	euml:     "\u00EB",
+	igrave:   "\u00EC",
+	iacute:   "\u00ED",
+	icirc:    "\u00EE",
+	iuml:     "\u00EF",
+	eth:      "\u00F0",
+	ntilde:   "\u00F1",
+	ograve:   "\u00F2",
+	oacute:   "\u00F3",
+	ocirc:    "\u00F4",
+	otilde:   "\u00F5",
+	ouml:     "\u00F6",
+	divide:   "\u00F7",
+	oslash:   "\u00F8",
+	ugrave:   "\u00F9",
+	uacute:   "\u00FA",
+	ucirc:    "\u00FB",
+	uuml:     "\u00FC",
+	yacute:   "\u00FD",
+	thorn:    "\u00FE",
+	yuml:     "\u00FF",
+	OElig:    "\u0152",
+	oelig:    "\u0153",
+	Scaron:   "\u0160",
+	scaron:   "\u0161",
+	Yuml:     "\u0178",
+	fnof:     "\u0192",
+	circ:     "\u02C6",
+	tilde:    "\u02DC",
+	Alpha:    "\u0391",
+	Beta:     "\u0392",
+	Gamma:    "\u0393",
+	Delta:    "\u0394",
+	Epsilon:  "\u0395",
+	Zeta:     "\u0396",
+	Eta:      "\u0397",
+	Theta:    "\u0398",
+	Iota:     "\u0399",
+	Kappa:    "\u039A",
+	Lambda:   "\u039B",
+	Mu:       "\u039C",
+	Nu:       "\u039D",
+	Xi:       "\u039E",
+	Omicron:  "\u039F",
+	Pi:       "\u03A0",
+	Rho:      "\u03A1",
+	Sigma:    "\u03A3",
+	Tau:      "\u03A4",
+	Upsilon:  "\u03A5",
+	Phi:      "\u03A6",
+	Chi:      "\u03A7",
+	Psi:      "\u03A8",
+	Omega:    "\u03A9",
+	alpha:    "\u03B1",
+	beta:     "\u03B2",
+	gamma:    "\u03B3",
+	delta:    "\u03B4",
+	epsilon:  "\u03B5",
+	zeta:     "\u03B6",
+	eta:      "\u03B7",
+	theta:    "\u03B8",
+	iota:     "\u03B9",
+	kappa:    "\u03BA",
+	lambda:   "\u03BB",
+	mu:       "\u03BC",
+	nu:       "\u03BD",
+	xi:       "\u03BE",
+	omicron:  "\u03BF",
+	pi:       "\u03C0",
+	rho:      "\u03C1",
+	sigmaf:   "\u03C2",
+	sigma:    "\u03C3",
+	tau:      "\u03C4",
+	upsilon:  "\u03C5",
+	phi:      "\u03C6",
+	chi:      "\u03C7",
+	psi:      "\u03C8",
+	omega:    "\u03C9",
+	thetasym: "\u03D1",
+	upsih:    "\u03D2",
+	piv:      "\u03D6",
+	ensp:     "\u2002",
+	emsp:     "\u2003",
+	thinsp:   "\u2009",
+	zwnj:     "\u200C",
+	zwj:      "\u200D",
+	lrm:      "\u200E",
+	rlm:      "\u200F",
+	ndash:    "\u2013",
+	mdash:    "\u2014",
+	lsquo:    "\u2018",
+	rsquo:    "\u2019",
+	sbquo:    "\u201A",
+	ldquo:    "\u201C",
+	rdquo:    "\u201D",
+	bdquo:    "\u201E",
+	dagger:   "\u2020",
+	Dagger:   "\u2021",
+	bull:     "\u2022",
+	hellip:   "\u2026",
+	permil:   "\u2030",
+	prime:    "\u2032",
+	Prime:    "\u2033",
+	lsaquo:   "\u2039",
+	rsaquo:   "\u203A",
+	oline:    "\u203E",
+	frasl:    "\u2044",
+	euro:     "\u20AC",
+	image:    "\u2111",
+	weierp:   "\u2118",
+	real:     "\u211C",
+	trade:    "\u2122",
+	alefsym:  "\u2135",
+	larr:     "\u2190",
+	uarr:     "\u2191",
+	rarr:     "\u2192",
+	darr:     "\u2193",
+	harr:     "\u2194",
+	crarr:    "\u21B5",
+	lArr:     "\u21D0",
+	uArr:     "\u21D1",
+	rArr:     "\u21D2",
+	dArr:     "\u21D3",
+	hArr:     "\u21D4",
+	forall:   "\u2200",
+	part:     "\u2202",
+	exist:    "\u2203",
+	empty:    "\u2205",
+	nabla:    "\u2207",
+	isin:     "\u2208",
+	notin:    "\u2209",
+	ni:       "\u220B",
+	prod:     "\u220F",
+	sum:      "\u2211",
+	minus:    "\u2212",
+	lowast:   "\u2217",
+	radic:    "\u221A",
+	prop:     "\u221D",
+	infin:    "\u221E",
+	ang:      "\u2220",
+	and:      "\u2227",
+	or:       "\u2228",
+	cap:      "\u2229",
+	cup:      "\u222A",
+	"int":    "\u222B",
+	there4:   "\u2234",
+	sim:      "\u223C",
+	cong:     "\u2245",
+	asymp:    "\u2248",
+	ne:       "\u2260",
+	equiv:    "\u2261",
+	le:       "\u2264",
+	ge:       "\u2265",
+	sub:      "\u2282",
+	sup:      "\u2283",
+	nsub:     "\u2284",
+	sube:     "\u2286",
+	supe:     "\u2287",
+	oplus:    "\u2295",
+	otimes:   "\u2297",
+	perp:     "\u22A5",
+	sdot:     "\u22C5",
+	lceil:    "\u2308",
+	rceil:    "\u2309",
+	lfloor:   "\u230A",
+	rfloor:   "\u230B",
+	lang:     "\u2329",
+	rang:     "\u232A",
+	loz:      "\u25CA",
+	spades:   "\u2660",
+	clubs:    "\u2663",
+	hearts:   "\u2665",
+	diams:    "\u2666",
+};
+
+/**
+ * Escapes a text for being used as text content or attribute value in storage format.
+ * 
+ * @param {*} param Text to be escaped, **NOTE:** method `toString()` is invoked on `param`.
+ * @returns {String} Escaped text.
+ */
+ConfluenceStorageDocument.escape = function(param) {
+	var objReplacements = {
+		"&":  "&amp;",
+		"<":  "&lt;",
+		">":  "&gt;",
+		"\"": "&quot;",
+	};
+
+	return param.toString().replace(/[&<>"]/g, function(strChar) {
+		return objReplacements[strChar];
+	});
+};
+
+/**
+ * Wraps a text into a CDATA section.
+ * 
+ * @param {*} text Text to be wrapped, **NOTE:** method `toString()` is invoked on `text`.
+ * @returns {String} CDATA section.
+ */
+ConfluenceStorageDocument.wrapCDATA = function(text) {
+	//the sequence ']]>' would terminate the CDATA section and therefore has to be split up
+	var arrParts = text.toString().split("]]>");
+
+	return "<![CDATA[" + arrParts.join("]]]]><![CDATA[>") + "]]>";
+};
+
+/**
+ * Replaces numeric and the most common named character references by the characters they represent. 
+ * Unknown references and numeric references to invalid code points are kept as they are.
+ * 
+ * @param {String} strText Text in storage format.
+ * @returns {String} Decoded text.
+ */
+ConfluenceStorageDocument.decode = function(strText) {
+	return strText.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z][A-Za-z0-9]*);/g, function(strMatch, strEntity) {
+		if (strEntity.charAt(0) === "#") {
+			var intCode = strEntity.charAt(1).toLowerCase() === "x" ? 
+				parseInt(strEntity.substring(2), 16) : 
+				parseInt(strEntity.substring(1), 10);
+
+			//code points outside the Unicode range or the null character do not represent a valid character
+			if (intCode === 0 || intCode > 0x10FFFF) {
+				return strMatch;
+			}
+
+			//characters beyond the Basic Multilingual Plane are represented as surrogate pair in JavaScript
+			if (intCode > 0xFFFF) {
+				var intOffset = intCode - 0x10000;
+				var intLow    = intOffset % 0x400;
+
+				return String.fromCharCode(0xD800 + Math.floor(intOffset / 0x400), 0xDC00 + intLow);
+			}
+
+			return String.fromCharCode(intCode);
+		}
+
+		return Object.prototype.hasOwnProperty.call(ConfluenceStorageDocument.ENTITIES, strEntity) ? 
+			ConfluenceStorageDocument.ENTITIES[strEntity] : 
+			strMatch;
+	});
+};
+
+
+/**
+ * This object represents a single node of a {@link ConfluenceStorageDocument}: an element, a text, a CDATA section, 
+ * a comment or any other markup which is kept as it is. New nodes can be created with the static methods 
+ * {@link ConfluenceStorageNode.createElement} and {@link ConfluenceStorageNode.createText}.
+ * 
+ * @class ConfluenceStorageNode
+ * @param {String} strType One of the values `element`, `text`, `cdata`, `comment` or `raw`.
+ * @param {String} [strName] Tag name in case of type `element`.
+ * @param {String} [strRaw] Markup of the node in storage format in case it is not an element.
+ * @throws {Error} If passed parameters do not describe a valid node.
+ */
+ConfluenceStorageNode.prototype = {
+	initialize: function(strType, strName, strRaw) {
+		if (!/^(element|text|cdata|comment|raw)$/.test(strType)) {
+			throw new Error(
+				"[ConfluenceStorageNode.initialize] Please pass a valid node type at parameter {strType}!" +
+				" Invalid value: " + strType
+			);
+		}
+
+		if (strType === "element" && !(typeof strName === "string" && strName.length > 0)) {
+			throw new Error(
+				"[ConfluenceStorageNode.initialize] Please pass a tag name at parameter {strName}!"
+			);
+		}
+
+		this._strType         = strType;
+		this._strName         = strType === "element" ? strName : null;
+		this._strRaw          = strRaw || "";
+		this._objParent       = null;
+		this._arrChildren     = [];
+		this._arrAttributes   = [];
+		this._strRawStart     = null;
+		this._strRawEnd       = null;
+		this._isSelfClosing   = false;
+		this._hasChangedStart = false;
+	},
+
+	/**
+	 * Getter for the node type.
+	 * 
+	 * @returns {String} One of the values `element`, `text`, `cdata`, `comment` or `raw`.
+	 */
+	getType: function() {
+		return this._strType;
+	},
+
+	/**
+	 * Getter for the tag name inclusive namespace prefix, e.g. `ac:structured-macro`.
+	 * 
+	 * @returns {null|String} Tag name or `NULL` if this node is not an element.
+	 */
+	getName: function() {
+		return this._strName;
+	},
+
+	/**
+	 * Tests whether this node is an element.
+	 * 
+	 * @returns {Boolean} `true` if this node represents an element, otherwise `false`.
+	 */
+	isElement: function() {
+		return this._strType === "element";
+	},
+
+	/**
+	 * Tests whether this node represents a Confluence macro.
+	 * 
+	 * @returns {Boolean} `true` if this node is an element `ac:structured-macro`, otherwise `false`.
+	 */
+	isMacro: function() {
+		return this._strName === "ac:structured-macro";
+	},
+
+	/**
+	 * Getter for the parent node.
+	 * 
+	 * @returns {null|ConfluenceStorageNode} Parent node or `NULL` if this node is not part of a tree.
+	 */
+	getParent: function() {
+		return this._objParent;
+	},
+
+	/**
+	 * Getter for the child nodes.
+	 * 
+	 * @returns {Array<ConfluenceStorageNode>} Copy of the list of child nodes.
+	 */
+	getChildren: function() {
+		return this._arrChildren.slice();
+	},
+
+	/**
+	 * Searches for all descendant nodes for which the passed function returns `true`.
+	 * 
+	 * @param {Function} fnPredicate Function which is invoked with each descendant node.
+	 * @returns {Array<ConfluenceStorageNode>} All matching nodes in document order.
+	 */
+	findAll: function(fnPredicate) {
+		var arrResult = [];
+
+		for (var i = 0; i < this._arrChildren.length; i++) {
+			if (fnPredicate(this._arrChildren[i])) {
+				arrResult.push(this._arrChildren[i]);
+			}
+
+			arrResult = arrResult.concat(this._arrChildren[i].findAll(fnPredicate));
+		}
+
+		return arrResult;
+	},
+
+	/**
+	 * Searches for all descendant elements with the given tag name.
+	 * 
+	 * @param {String} strName Tag name inclusive namespace prefix.
+	 * @returns {Array<ConfluenceStorageNode>} All matching elements in document order.
+	 */
+	findElements: function(strName) {
+		return this.findAll(function(objNode) {
+			return objNode.getName() === strName;
+		});
+	},
+
+	/**
+	 * Getter for the value of an attribute.
+	 * 
+	 * @param {String} strName Attribute name inclusive namespace prefix, e.g. `ac:name`.
+	 * @returns {null|String} Decoded attribute value or `NULL` if the attribute does not exist.
+	 */
+	getAttribute: function(strName) {
+		for (var i = 0; i < this._arrAttributes.length; i++) {
+			if (this._arrAttributes[i].name === strName) {
+				return this._arrAttributes[i].value;
+			}
+		}
+
+		return null;
+	},
+
+	/**
+	 * Getter for all attributes.
+	 * 
+	 * @returns {Object} Attribute names as keys and decoded attribute values as values.
+	 */
+	getAttributes: function() {
+		var objResult = {};
+
+		for (var i = 0; i < this._arrAttributes.length; i++) {
+			objResult[this._arrAttributes[i].name] = this._arrAttributes[i].value;
+		}
+
+		return objResult;
+	},
+
+	/**
+	 * Setter for the value of an attribute. Existing attributes keep their position.
+	 * 
+	 * @param {String} strName Attribute name inclusive namespace prefix.
+	 * @param {*} value Attribute value, **NOTE:** method `toString()` is invoked on `value`.
+	 * @throws {Error} If this node is not an element.
+	 */
+	setAttribute: function(strName, value) {
+		this._assertElement("ConfluenceStorageNode.setAttribute");
+
+		for (var i = 0; i < this._arrAttributes.length; i++) {
+			if (this._arrAttributes[i].name === strName) {
+				this._arrAttributes[i].value = value.toString();
+				this._arrAttributes[i].raw   = null;
+				this._hasChangedStart        = true;
+
+				return;
+			}
+		}
+
+		this._arrAttributes.push({name: strName, value: value.toString(), raw: null});
+
+		this._hasChangedStart = true;
+	},
+
+	/**
+	 * Removes an attribute.
+	 * 
+	 * @param {String} strName Attribute name inclusive namespace prefix.
+	 */
+	removeAttribute: function(strName) {
+		var intCount = this._arrAttributes.length;
+
+		this._arrAttributes = this._arrAttributes.filter(function(objAttribute) {
+			return objAttribute.name !== strName;
+		});
+
+		this._hasChangedStart = this._hasChangedStart || intCount !== this._arrAttributes.length;
+	},
+
+	/**
+	 * Getter for the decoded text of this node inclusive all descendant text and CDATA nodes.
+	 * 
+	 * @returns {String} Text content.
+	 */
+	getText: function() {
+		if (this._strType === "text") {
+			return ConfluenceStorageDocument.decode(this._strRaw);
+		}
+
+		if (this._strType === "cdata") {
+			return this._strRaw.replace(/^<!\[CDATA\[/, "").replace(/\]\]>$/, "");
+		}
+
+		return this._arrChildren.map(function(objChild) {
+			return objChild.getText();
+		}).join("");
+	},
+
+	/**
+	 * Replaces all child nodes with a single text node.
+	 * 
+	 * @param {*} text New text content, **NOTE:** method `toString()` is invoked on `text`.
+	 * @throws {Error} If this node is not an element.
+	 */
+	setText: function(text) {
+		this._assertElement("ConfluenceStorageNode.setText");
+		this.setChildren([ConfluenceStorageNode.createText(text)]);
+	},
+
+	/**
+	 * Replaces all child nodes.
+	 * 
+	 * @param {Array<ConfluenceStorageNode>} arrNodes New child nodes. They are removed from their current parents.
+	 * @throws {Error} If this node is not an element.
+	 */
+	setChildren: function(arrNodes) {
+		this._assertElement("ConfluenceStorageNode.setChildren");
+
+		for (var i = 0; i < this._arrChildren.length; i++) {
+			this._arrChildren[i]._objParent = null;
+		}
+
+		this._arrChildren = [];
+
+		for (var j = 0; j < arrNodes.length; j++) {
+			this.appendChild(arrNodes[j]);
+		}
+	},
+
+	/**
+	 * Appends a node as last child. The node is removed from its current parent.
+	 * 
+	 * @param {ConfluenceStorageNode} objNode Node to be appended.
+	 * @throws {Error} If this node is not an element or `objNode` is not a valid node.
+	 */
+	appendChild: function(objNode) {
+		this.insertChild(objNode, this._arrChildren.length);
+	},
+
+	/**
+	 * Inserts a node as child at the given position. The node is removed from its current parent.
+	 * 
+	 * @param {ConfluenceStorageNode} objNode Node to be inserted.
+	 * @param {Integer} intIndex Position within the child nodes.
+	 * @throws {Error} If this node is not an element or `objNode` is not a valid node.
+	 */
+	insertChild: function(objNode, intIndex) {
+		this._assertElement("ConfluenceStorageNode.insertChild");
+
+		if (!(objNode instanceof ConfluenceStorageNode)) {
+			throw new Error(
+				"[ConfluenceStorageNode.insertChild] Please pass a {ConfluenceStorageNode} object at parameter {objNode}!"
+			);
+		}
+
+		if (objNode._objParent !== null) {
+			objNode.remove();
+		}
+
+		//a self-closing element needs an explicit end tag as soon as it gets children
+		if (this._isSelfClosing) {
+			this._isSelfClosing   = false;
+			this._hasChangedStart = true;
+			this._strRawEnd       = null;
+		}
+
+		this._arrChildren.splice(Math.min(intIndex, this._arrChildren.length), 0, objNode);
+
+		objNode._objParent = this;
+	},
+
+	/**
+	 * Removes this node from its parent.
+	 */
+	remove: function() {
+		if (this._objParent !== null) {
+			var intIndex = this._objParent._arrChildren.indexOf(this);
+
+			this._objParent._arrChildren.splice(intIndex, 1);
+
+			this._objParent = null;
+		}
+	},
+
+	/**
+	 * Replaces this node with other nodes at the same position.
+	 * 
+	 * @param {Array<ConfluenceStorageNode>} arrNodes Nodes to be inserted instead of this node.
+	 * @throws {Error} If this node has no parent.
+	 */
+	replaceWith: function(arrNodes) {
+		if (this._objParent === null) {
+			throw new Error("[ConfluenceStorageNode.replaceWith] Node without parent cannot be replaced!");
+		}
+
+		var objParent = this._objParent;
+		var intIndex  = objParent._arrChildren.indexOf(this);
+
+		this.remove();
+
+		for (var i = 0; i < arrNodes.length; i++) {
+			objParent.insertChild(arrNodes[i], intIndex + i);
+		}
+	},
+
+	/**
+	 * Getter for the name of the macro.
+	 * 
+	 * @returns {null|String} Macro name, e.g. `info`, or `NULL` if this node is not a macro.
+	 */
+	getMacroName: function() {
+		return this.isMacro() ? this.getAttribute("ac:name") : null;
+	},
+
+	/**
+	 * Getter for the text value of a macro parameter.
+	 * 
+	 * @param {String} strName Name of the parameter.
+	 * @returns {null|String} Decoded parameter value or `NULL` if the parameter does not exist.
+	 * @throws {Error} If this node is not a macro.
+	 */
+	getParameter: function(strName) {
+		var objParameter = this._getParameterNode("ConfluenceStorageNode.getParameter", strName);
+
+		return objParameter ? objParameter.getText() : null;
+	},
+
+	/**
+	 * Getter for the text values of all macro parameters.
+	 * 
+	 * @returns {Object} Parameter names as keys and decoded parameter values as values.
+	 * @throws {Error} If this node is not a macro.
+	 */
+	getParameters: function() {
+		this._assertMacro("ConfluenceStorageNode.getParameters");
+
+		var objResult = {};
+
+		for (var i = 0; i < this._arrChildren.length; i++) {
+			if (this._arrChildren[i].getName() === "ac:parameter") {
+				objResult[this._arrChildren[i].getAttribute("ac:name") || ""] = this._arrChildren[i].getText();
+			}
+		}
+
+		return objResult;
+	},
+
+	/**
+	 * Setter for a macro parameter. Missing parameters are added behind the existing ones.
+	 * 
+	 * @param {String} strName Name of the parameter.
+	 * @param {*} value Parameter value, **NOTE:** method `toString()` is invoked on `value`.
+	 * @throws {Error} If this node is not a macro.
+	 */
+	setParameter: function(strName, value) {
+		var objParameter = this._getParameterNode("ConfluenceStorageNode.setParameter", strName);
+
+		if (objParameter) {
+			objParameter.setText(value);
+
+			return;
+		}
+
+		var intIndex = 0;
+
+		for (var i = 0; i < this._arrChildren.length; i++) {
+			if (this._arrChildren[i].getName() === "ac:parameter") {
+				intIndex = i + 1;
+			}
+		}
+
+		objParameter = ConfluenceStorageNode.createElement("ac:parameter", {"ac:name": strName});
+		objParameter.setText(value);
+
+		this.insertChild(objParameter, intIndex);
+	},
+
+	/**
+	 * Removes a macro parameter.
+	 * 
+	 * @param {String} strName Name of the parameter.
+	 * @throws {Error} If this node is not a macro.
+	 */
+	removeParameter: function(strName) {
+		var objParameter = this._getParameterNode("ConfluenceStorageNode.removeParameter", strName);
+
+		if (objParameter) {
+			objParameter.remove();
+		}
+	},
+
+	/**
+	 * Getter for the rich text body of a macro, e.g. the content of an `info` macro.
+	 * 
+	 * @returns {null|String} Body in storage format or `NULL` if the macro has no rich text body.
+	 * @throws {Error} If this node is not a macro.
+	 */
+	getRichTextBody: function() {
+		var objBody = this._getBodyNode("ConfluenceStorageNode.getRichTextBody", "ac:rich-text-body");
+
+		return objBody ? objBody.serializeChildren() : null;
+	},
+
+	/**
+	 * Replaces the rich text body of a macro. A missing body is added.
+	 * 
+	 * @param {String} strStorage New body in storage format.
+	 * @throws {Error} If this node is not a macro or `strStorage` is not of type `String`.
+	 */
+	setRichTextBody: function(strStorage) {
+		var objBody = this._getBodyNode("ConfluenceStorageNode.setRichTextBody", "ac:rich-text-body", true);
+
+		var objDocument = new ConfluenceStorageDocument(strStorage);
+
+		objBody.setChildren(objDocument.getRoot().getChildren());
+	},
+
+	/**
+	 * Getter for the plain text body of a macro, e.g. the source code of a `code` macro.
+	 * 
+	 * @returns {null|String} Body text or `NULL` if the macro has no plain text body.
+	 * @throws {Error} If this node is not a macro.
+	 */
+	getPlainTextBody: function() {
+		var objBody = this._getBodyNode("ConfluenceStorageNode.getPlainTextBody", "ac:plain-text-body");
+
+		return objBody ? objBody.getText() : null;
+	},
+
+	/**
+	 * Replaces the plain text body of a macro. A missing body is added.
+	 * 
+	 * @param {*} text New body text, **NOTE:** method `toString()` is invoked on `text`.
+	 * @throws {Error} If this node is not a macro.
+	 */
+	setPlainTextBody: function(text) {
+		var objBody = this._getBodyNode("ConfluenceStorageNode.setPlainTextBody", "ac:plain-text-body", true);
+
+		objBody.setChildren([new ConfluenceStorageNode("cdata", null, ConfluenceStorageDocument.wrapCDATA(text))]);
+	},
+
+	/**
+	 * Describes the resource this node refers to. Works on resource identifiers like `ri:page` as well as on elements 
+	 * containing them like `ac:link` or `ac:image`.
+	 * 
+	 * @returns {null|Object} `NULL` if no resource identifier was found, otherwise an object with the property `type` 
+	 * (`page`, `blogpost`, `attachment`, `url`, `user` or `space`) and the properties `title`, `spaceKey`, `postingDay`, 
+	 * `fileName`, `container` (reference of the page an attachment belongs to), `url`, `userKey` or `accountId` depending on the type.
+	 */
+	getReference: function() {
+		var objNode = /^ri:/.test(this._strName) ? 
+			this : 
+			this.findAll(function(objChild) {
+				return /^ri:/.test(objChild.getName());
+			})[0];
+
+		if (!objNode) {
+			return null;
+		}
+
+		switch (objNode.getName()) {
+			case "ri:page":
+				return {type: "page", title: objNode.getAttribute("ri:content-title"), spaceKey: objNode.getAttribute("ri:space-key")};
+			case "ri:blog-post":
+				return {
+					type:       "blogpost",
+					title:      objNode.getAttribute("ri:content-title"),
+					spaceKey:   objNode.getAttribute("ri:space-key"),
+					postingDay: objNode.getAttribute("ri:posting-day"),
+				};
+			case "ri:attachment":
+				return {
+					type:      "attachment",
+					fileName:  objNode.getAttribute("ri:filename"),
+					container: objNode._arrChildren.length > 0 ? objNode.getChildren()[0].getReference() : null,
+				};
+			case "ri:url":
+				return {type: "url", url: objNode.getAttribute("ri:value")};
+			case "ri:user":
+				return {type: "user", userKey: objNode.getAttribute("ri:userkey"), accountId: objNode.getAttribute("ri:account-id")};
+			case "ri:space":
+				return {type: "space", spaceKey: objNode.getAttribute("ri:space-key")};
+			default:
+				return null;
+		}
+	},
+
+	/**
+	 * Serializes this node inclusive all descendants to storage format. Unmodified parts are returned exactly as parsed.
+	 * 
+	 * @returns {String} Node in storage format.
+	 */
+	serialize: function() {
+		if (this._strType !== "element") {
+			return this._strRaw;
+		}
+
+		return this._getStartTag() + this.serializeChildren() + this._getEndTag();
+	},
+
+	/**
+	 * Serializes all child nodes to storage format.
+	 * 
+	 * @returns {String} Child nodes in storage format.
+	 */
+	serializeChildren: function() {
+		return this._arrChildren.map(function(objChild) {
+			return objChild.serialize();
+		}).join("");
+	},
+
+	toString: function() {
+		return this.serialize();
+	},
+
+	_attach: function(objNode) {
+		this._arrChildren.push(objNode);
+
+		objNode._objParent = this;
+	},
+
+	_applyStartTag: function(objToken) {
+		this._strRawStart   = objToken.raw;
+		this._strRawEnd     = "";
+		this._arrAttributes = objToken.attributes;
+		this._isSelfClosing = objToken.selfClosing;
+	},
+
+	_applyEndTag: function(strRaw) {
+		this._strRawEnd = strRaw;
+	},
+
+	_assertElement: function(strScope) {
+		if (this._strType !== "element") {
+			throw new Error("[" + strScope + "] Node of type '" + this._strType + "' cannot have attributes or children!");
+		}
+	},
+
+	_assertMacro: function(strScope) {
+		if (!this.isMacro()) {
+			throw new Error("[" + strScope + "] Node '" + (this._strName || this._strType) + "' is not a macro!");
+		}
+	},
+
+	_getParameterNode: function(strScope, strName) {
+		this._assertMacro(strScope);
+
+		for (var i = 0; i < this._arrChildren.length; i++) {
+			if (this._arrChildren[i].getName() === "ac:parameter" && this._arrChildren[i].getAttribute("ac:name") === strName) {
+				return this._arrChildren[i];
+			}
+		}
+
+		return null;
+	},
+
+	_getBodyNode: function(strScope, strName, createIfMissing) {
+		this._assertMacro(strScope);
+
+		for (var i = 0; i < this._arrChildren.length; i++) {
+			if (this._arrChildren[i].getName() === strName) {
+				return this._arrChildren[i];
+			}
+		}
+
+		if (createIfMissing) {
+			var objBody = ConfluenceStorageNode.createElement(strName);
+
+			this.appendChild(objBody);
+
+			return objBody;
+		}
+
+		return null;
+	},
+
+	_getStartTag: function() {
+		if (this._strName === "#document") {
+			return "";
+		}
+
+		if (this._strRawStart !== null && !this._hasChangedStart) {
+			return this._strRawStart;
+		}
+
+		var strAttributes = this._arrAttributes.map(function(objAttribute) {
+			return objAttribute.raw === null ? 
+				" " + objAttribute.name + "=\"" + ConfluenceStorageDocument.escape(objAttribute.value) + "\"" : 
+				objAttribute.raw;
+		}).join("");
+
+		return "<" + this._strName + strAttributes + (this._isSelfClosing ? " />" : ">");
+	},
+
+	_getEndTag: function() {
+		if (this._strName === "#document" || this._isSelfClosing) {
+			return "";
+		}
+
+		return this._strRawEnd === null ? "</" + this._strName + ">" : this._strRawEnd;
+	},
+};
+
+/**
+ * Creates a new element node.
+ * 
+ * @param {String} strName Tag name inclusive namespace prefix, e.g. `ac:structured-macro`.
+ * @param {Object} [objAttributes] Attribute names as keys and attribute values as values.
+ * @returns {ConfluenceStorageNode} New element node without children.
+ */
+ConfluenceStorageNode.createElement = function(strName, objAttributes) {
+	var objElement = new ConfluenceStorageNode("element", strName);
+
+	for (var strAttribute in objAttributes || {}) {
+		if (Object.prototype.hasOwnProperty.call(objAttributes, strAttribute)) {
+			objElement.setAttribute(strAttribute, objAttributes[strAttribute]);
+		}
+	}
+
+	return objElement;
+};
+
+/**
+ * Creates a new text node.
+ * 
+ * @param {*} text Unescaped text, **NOTE:** method `toString()` is invoked on `text`.
+ * @returns {ConfluenceStorageNode} New text node.
+ */
+ConfluenceStorageNode.createText = function(text) {
+	return new ConfluenceStorageNode("text", null, ConfluenceStorageDocument.escape(text));
+};
+
+/**
+ * This object creates content in storage format step by step. Each method appends a block (e.g. a heading or a panel) 
+ * or an inline element (e.g. a status lozenge or a user mention) and returns the builder itself for chaining. 
+ * 
+ * All parameters describing content accept
+ * - a String, which is escaped and inserted as plain text,
+ * - a function, which is invoked with a new nested builder for creating the content,
+ * - a {@link ConfluenceStorageBuilder}, {@link ConfluenceStorageDocument} or {@link ConfluenceStorageNode} object, 
+ *   which is inserted as storage format or
+ * - an Array of the above values, which are concatenated.
+ * 
+ * @example
+ * var objBuilder = new ConfluenceStorageBuilder();
+ * 
+ * objBuilder
+ *   .heading(1, "Incident report")
+ *   .panel("info", "Generated by ServiceNow", {title: "Note"})
+ *   .table(["Number", "State"], [["INC0010001", function(b) { b.status("Closed", {colour: "Green"}); }]]);
+ * 
+ * objPage.setBody(objBuilder.toString());
+ * 
+ * @class ConfluenceStorageBuilder
+ * @param {Object} [objOptions] Builder options.
+ * @param {String} [objOptions.deploymentType] `server` (default) or `cloud`, see {@link ConfluenceClient}. 
+ * Determines how users are referenced.
+ * @throws {Error} If option `deploymentType` has an unsupported value.
+ */
+ConfluenceStorageBuilder.prototype = {
+	initialize: function(objOptions) {
+		this._objOptions = {
+			deploymentType: (objOptions || {}).deploymentType || "server",
+		};
+
+		if (!/^(server|cloud)$/.test(this._objOptions.deploymentType)) {
+			throw new Error(
+				"[ConfluenceStorageBuilder.initialize] Please pass 'server' or 'cloud' at option {deploymentType}!" +
+				" Invalid value: " + this._objOptions.deploymentType
+			);
+		}
+
+		this._arrParts = [];
+	},
+
+	/**
+	 * Appends a heading.
+	 * 
+	 * @param {Integer} intLevel Heading level between 1 and 6.
+	 * @param {*} content Content of the heading.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 * @throws {Error} If passed parameter `intLevel` is not between 1 and 6.
+	 */
+	heading: function(intLevel, content) {
+		if (!/^[1-6]$/.test(String(intLevel))) {
+			throw new Error(
+				"[ConfluenceStorageBuilder.heading] Please pass a level between 1 and 6 at parameter {intLevel}!" +
+				" Invalid value: " + intLevel
+			);
+		}
+
+		return this._append("<h" + intLevel + ">" + this._render(content) + "</h" + intLevel + ">");
+	},
+
+	/**
+	 * Appends a paragraph.
+	 * 
+	 * @param {*} content Content of the paragraph.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 */
+	paragraph: function(content) {
+		return this._append("<p>" + this._render(content) + "</p>");
+	},
+
+	/**
+	 * Appends a bulleted or numbered list.
+	 * 
+	 * @param {Array} arrItems Content of the list items.
+	 * @param {Boolean} [isOrdered] If `true` a numbered list is created.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 * @throws {Error} If passed parameter `arrItems` is not an Array.
+	 */
+	list: function(arrItems, isOrdered) {
+		if (!Array.isArray(arrItems)) {
+			throw new Error("[ConfluenceStorageBuilder.list] Please pass an Array at parameter {arrItems}!");
+		}
+
+		var strTag = isOrdered === true ? "ol" : "ul";
+
+		return this._append(
+			"<" + strTag + ">" + 
+			arrItems.map(function(item) {
+				return "<li>" + this._render(item) + "</li>";
+			}, this).join("") + 
+			"</" + strTag + ">"
+		);
+	},
+
+	/**
+	 * Appends a table.
+	 * 
+	 * @param {null|Array} arrHeaders Content of the header cells or `NULL` for a table without header row.
+	 * @param {Array<Array>} arrRows Content of the data cells row by row.
+	 * @param {Object} [objOptions] Table options.
+	 * @param {Boolean} [objOptions.fullWidth] If `true` the table uses the full page width.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 * @throws {Error} If passed parameter `arrRows` is not an Array of Arrays.
+	 */
+	table: function(arrHeaders, arrRows, objOptions) {
+		if (!(Array.isArray(arrRows) && arrRows.every(Array.isArray))) {
+			throw new Error("[ConfluenceStorageBuilder.table] Please pass an Array of Arrays at parameter {arrRows}!");
+		}
+
+		var that     = this;
+		var buildRow = function(arrCells, strTag) {
+			return "<tr>" + arrCells.map(function(cell) {
+				return "<" + strTag + ">" + that._render(cell) + "</" + strTag + ">";
+			}).join("") + "</tr>";
+		};
+
+		var strRows = arrRows.map(function(arrCells) {
+			return buildRow(arrCells, "td");
+		}).join("");
+
+		return this._append(
+			((objOptions || {}).fullWidth === true ? "<table data-layout=\"full-width\">" : "<table>") + 
+			"<tbody>" + (Array.isArray(arrHeaders) ? buildRow(arrHeaders, "th") : "") + strRows + "</tbody></table>"
+		);
+	},
+
+	/**
+	 * Appends an info, note, warning or tip panel.
+	 * 
+	 * @param {String} strType One of the values `info`, `note`, `warning` or `tip`.
+	 * @param {*} content Content of the panel. Plain text is wrapped into a paragraph.
+	 * @param {Object} [objOptions] Panel options.
+	 * @param {String} [objOptions.title] Title of the panel.
+	 * @param {Boolean} [objOptions.icon] If `false` no icon is displayed.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 * @throws {Error} If passed parameter `strType` is not supported.
+	 */
+	panel: function(strType, content, objOptions) {
+		if (!/^(info|note|warning|tip)$/.test(strType)) {
+			throw new Error(
+				"[ConfluenceStorageBuilder.panel] Please pass 'info', 'note', 'warning' or 'tip' at parameter {strType}!" +
+				" Invalid value: " + strType
+			);
+		}
+
+		var _objOptions = objOptions || {};
+
+		return this._append(this._buildMacro(
+			strType,
+			{title: _objOptions.title, icon: _objOptions.icon},
+			{richText: this._renderBlock(content)}
+		));
+	},
+
+	/**
+	 * Appends a code block.
+	 * 
+	 * @param {String} strCode Source code.
+	 * @param {Object} [objOptions] Options of the code macro.
+	 * @param {String} [objOptions.language] Language for syntax highlighting, e.g. `javascript` or `sql`.
+	 * @param {String} [objOptions.title] Title of the code block.
+	 * @param {Boolean} [objOptions.linenumbers] If `true` line numbers are displayed.
+	 * @param {Boolean} [objOptions.collapse] If `true` the code block is collapsed initially.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 */
+	code: function(strCode, objOptions) {
+		var _objOptions = objOptions || {};
+
+		return this._append(this._buildMacro(
+			"code",
+			{
+				language:    _objOptions.language,
+				title:       _objOptions.title,
+				linenumbers: _objOptions.linenumbers,
+				collapse:    _objOptions.collapse,
+			},
+			{plainText: String(strCode)}
+		));
+	},
+
+	/**
+	 * Appends an expandable section.
+	 * 
+	 * @param {String} strTitle Text of the expand link.
+	 * @param {*} content Content of the section. Plain text is wrapped into a paragraph.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 */
+	expand: function(strTitle, content) {
+		return this._append(this._buildMacro("expand", {title: strTitle}, {richText: this._renderBlock(content)}));
+	},
+
+	/**
+	 * Appends a table of contents.
+	 * 
+	 * @param {Object} [objOptions] Parameters of the toc macro, e.g. `minLevel`, `maxLevel`, `type` or `exclude`.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 */
+	toc: function(objOptions) {
+		return this._append(this._buildMacro("toc", objOptions || {}));
+	},
+
+	/**
+	 * Appends any other macro.
+	 * 
+	 * @param {String} strName Name of the macro.
+	 * @param {Object} [objParameters] Macro parameters.
+	 * @param {*} [content] Rich text body of the macro.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 * @throws {Error} If passed parameter `strName` is not a valid macro name.
+	 */
+	macro: function(strName, objParameters, content) {
+		if (!/^[\w-]+$/.test(String(strName))) {
+			throw new Error(
+				"[ConfluenceStorageBuilder.macro] Please pass a valid macro name at parameter {strName}!" +
+				" Invalid value: " + strName
+			);
+		}
+
+		var objBody = typeof content === "undefined" ? {} : {richText: this._render(content)};
+
+		return this._append(this._buildMacro(strName, objParameters || {}, objBody));
+	},
+
+	/**
+	 * Appends page sections with columns. Confluence renders content outside of layouts below them, so if layouts
+	 * are used, the complete page content should be placed within them.
+	 * 
+	 * @param {Array<Object>} arrSections Sections of the layout.
+	 * @param {String} arrSections.type One of the values `single`, `two_equal`, `two_left_sidebar`, `two_right_sidebar`, 
+	 * `three_equal` or `three_with_sidebars`.
+	 * @param {Array} arrSections.cells Content of the columns. The number of cells has to fit the type.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 * @throws {Error} If passed parameter `arrSections` contains invalid sections.
+	 */
+	layout: function(arrSections) {
+		var objColumns = {
+			single:              1,
+			two_equal:           2,
+			two_left_sidebar:    2,
+			two_right_sidebar:   2,
+			three_equal:         3,
+			three_with_sidebars: 3,
+		};
+
+		if (!(Array.isArray(arrSections) && arrSections.length > 0)) {
+			throw new Error("[ConfluenceStorageBuilder.layout] Please pass a non-empty Array at parameter {arrSections}!");
+		}
+
+		var strSections = arrSections.map(function(objSection) {
+			var intColumns = objColumns[(objSection || {}).type];
+
+			if (!(intColumns && Array.isArray(objSection.cells) && objSection.cells.length === intColumns)) {
+				throw new Error(
+					"[ConfluenceStorageBuilder.layout] Section of type '" + (objSection || {}).type + "' is unknown " +
+					"or has not the required number of cells!"
+				);
+			}
+
+			return "<ac:layout-section ac:type=\"" + objSection.type + "\">" + 
+				objSection.cells.map(function(cell) {
+					return "<ac:layout-cell>" + this._renderBlock(cell) + "</ac:layout-cell>";
+				}, this).join("") + 
+				"</ac:layout-section>";
+		}, this).join("");
+
+		return this._append("<ac:layout>" + strSections + "</ac:layout>");
+	},
+
+	/**
+	 * Appends escaped plain text.
+	 * 
+	 * @param {*} text Text to be appended, **NOTE:** method `toString()` is invoked on `text`.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 */
+	text: function(text) {
+		return this._append(ConfluenceStorageDocument.escape(text));
+	},
+
+	/**
+	 * Appends content which is already in storage format without any escaping.
+	 * 
+	 * @param {String} strStorage Content in storage format.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 */
+	raw: function(strStorage) {
+		return this._append(String(strStorage));
+	},
+
+	/**
+	 * Appends bold content.
+	 * 
+	 * @param {*} content Content to be displayed in bold.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 */
+	strong: function(content) {
+		return this._append("<strong>" + this._render(content) + "</strong>");
+	},
+
+	/**
+	 * Appends a link to an external URL.
+	 * 
+	 * @param {String} strUrl Target of the link.
+	 * @param {*} [content] Link text. Default is the URL.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 */
+	link: function(strUrl, content) {
+		return this._append(
+			"<a href=\"" + ConfluenceStorageDocument.escape(strUrl) + "\">" + 
+			this._render(typeof content === "undefined" ? strUrl : content) + 
+			"</a>"
+		);
+	},
+
+	/**
+	 * Appends a status lozenge.
+	 * 
+	 * @param {String} strTitle Text of the lozenge.
+	 * @param {Object} [objOptions] Options of the status macro.
+	 * @param {String} [objOptions.colour] One of the values `Grey` (default), `Red`, `Yellow`, `Green`, `Blue` or `Purple`.
+	 * @param {Boolean} [objOptions.subtle] If `true` the lozenge is displayed with an outline only.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 * @throws {Error} If option `colour` is not supported.
+	 */
+	status: function(strTitle, objOptions) {
+		var _objOptions = objOptions || {};
+
+		if (_objOptions.colour && !/^(Grey|Red|Yellow|Green|Blue|Purple)$/.test(_objOptions.colour)) {
+			throw new Error(
+				"[ConfluenceStorageBuilder.status] Please pass a supported colour at option {colour}!" +
+				" Invalid value: " + _objOptions.colour
+			);
+		}
+
+		return this._append(this._buildMacro(
+			"status",
+			{title: strTitle, colour: _objOptions.colour, subtle: _objOptions.subtle}
+		));
+	},
+
+	/**
+	 * Appends a mention of a user.
+	 * 
+	 * @param {String} strUserId User key or account ID of the user, depending on option `deploymentType`.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 * @throws {Error} If passed parameter `strUserId` is empty.
+	 */
+	mention: function(strUserId) {
+		if (!(typeof strUserId === "string" && strUserId.length > 0)) {
+			throw new Error("[ConfluenceStorageBuilder.mention] Please pass a user ID at parameter {strUserId}!");
+		}
+
+		var strAttribute = this._objOptions.deploymentType === "cloud" ? "ri:account-id" : "ri:userkey";
 
-		this._objRestMessage.setHttpMethod(strHttpMethod);
+		return this._append(
+			"<ac:link><ri:user " + strAttribute + "=\"" + ConfluenceStorageDocument.escape(strUserId) + "\" /></ac:link>"
+		);
+	},
+
+	/**
+	 * Appends a link to another Confluence page.
+	 * 
+	 * @param {String} strTitle Title of the target page.
+	 * @param {Object} [objOptions] Link options.
+	 * @param {String} [objOptions.spaceKey] Space of the target page. Default is the space of the page containing the link.
+	 * @param {String} [objOptions.anchor] Anchor within the target page.
+	 * @param {String} [objOptions.text] Link text. Default is the page title.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 * @throws {Error} If passed parameter `strTitle` is empty.
+	 */
+	pageLink: function(strTitle, objOptions) {
+		if (!(typeof strTitle === "string" && strTitle.length > 0)) {
+			throw new Error("[ConfluenceStorageBuilder.pageLink] Please pass a page title at parameter {strTitle}!");
+		}
+
+		var _objOptions = objOptions || {};
+
+		return this._append(
+			"<ac:link" + this._buildAttributes({"ac:anchor": _objOptions.anchor}) + ">" + 
+			"<ri:page" + this._buildAttributes({"ri:space-key": _objOptions.spaceKey, "ri:content-title": strTitle}) + " />" + 
+			(_objOptions.text ? "<ac:plain-text-link-body>" + ConfluenceStorageDocument.wrapCDATA(_objOptions.text) + "</ac:plain-text-link-body>" : "") + 
+			"</ac:link>"
+		);
+	},
+
+	/**
+	 * Appends an image which is attached to a Confluence page.
+	 * 
+	 * @param {String} strFileName File name of the attachment.
+	 * @param {Object} [objOptions] Image options.
+	 * @param {String} [objOptions.pageTitle] Title of the page the image is attached to. Default is the page containing the image.
+	 * @param {String} [objOptions.spaceKey] Space of the page the image is attached to.
+	 * @param {Integer} [objOptions.width] Width in pixels.
+	 * @param {Integer} [objOptions.height] Height in pixels.
+	 * @param {String} [objOptions.alt] Alternative text.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 * @throws {Error} If passed parameter `strFileName` is empty.
+	 */
+	image: function(strFileName, objOptions) {
+		if (!(typeof strFileName === "string" && strFileName.length > 0)) {
+			throw new Error("[ConfluenceStorageBuilder.image] Please pass a file name at parameter {strFileName}!");
+		}
+
+		var _objOptions  = objOptions || {};
+		var strContainer = _objOptions.pageTitle ? 
+			"<ri:page" + this._buildAttributes({"ri:space-key": _objOptions.spaceKey, "ri:content-title": _objOptions.pageTitle}) + " />" : 
+			"";
+
+		return this._append(
+			"<ac:image" + this._buildAttributes({"ac:width": _objOptions.width, "ac:height": _objOptions.height, "ac:alt": _objOptions.alt}) + ">" + 
+			"<ri:attachment" + this._buildAttributes({"ri:filename": strFileName}) + 
+			(strContainer ? ">" + strContainer + "</ri:attachment>" : " />") + 
+			"</ac:image>"
+		);
+	},
+
+	/**
+	 * Appends a single Jira issue.
+	 * 
+	 * @param {String} strIssueKey Key of the Jira issue, e.g. `PRJ-123`.
+	 * @param {Object} [objOptions] Options of the Jira macro.
+	 * @param {String} [objOptions.server] Name of the Jira application link.
+	 * @param {String} [objOptions.serverId] ID of the Jira application link.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 * @throws {Error} If passed parameter `strIssueKey` is not a valid issue key.
+	 */
+	jiraIssue: function(strIssueKey, objOptions) {
+		if (!/^[A-Z][A-Z0-9_]+-[0-9]+$/.test(String(strIssueKey))) {
+			throw new Error(
+				"[ConfluenceStorageBuilder.jiraIssue] Please pass a valid issue key at parameter {strIssueKey}!" +
+				" Invalid value: " + strIssueKey
+			);
+		}
+
+		var _objOptions = objOptions || {};
+
+		return this._append(this._buildMacro(
+			"jira",
+			{key: strIssueKey, server: _objOptions.server, serverId: _objOptions.serverId}
+		));
+	},
+
+	/**
+	 * Appends a list of Jira issues.
+	 * 
+	 * @param {String} strJQL JQL query for the issues to be displayed.
+	 * @param {Object} [objOptions] Options of the Jira macro.
+	 * @param {String} [objOptions.server] Name of the Jira application link.
+	 * @param {String} [objOptions.serverId] ID of the Jira application link.
+	 * @param {String} [objOptions.columns] Comma-separated list of the columns to be displayed.
+	 * @param {Integer} [objOptions.maximumIssues] Maximum number of displayed issues.
+	 * @returns {ConfluenceStorageBuilder} This builder.
+	 */
+	jiraIssues: function(strJQL, objOptions) {
+		var _objOptions = objOptions || {};
+
+		return this._append(this._buildMacro(
+			"jira",
+			{
+				jqlQuery:      strJQL,
+				server:        _objOptions.server,
+				serverId:      _objOptions.serverId,
+				columns:       _objOptions.columns,
+				maximumIssues: _objOptions.maximumIssues,
+			}
+		));
+	},
+
+	/**
+	 * Returns the created content as {@link ConfluenceStorageDocument} for further processing.
+	 * 
+	 * @returns {ConfluenceStorageDocument} Parsed content.
+	 */
+	toDocument: function() {
+		return new ConfluenceStorageDocument(this.toString());
+	},
+
+	/**
+	 * Returns the created content in storage format.
+	 * 
+	 * @returns {String} Content in storage format.
+	 */
+	toString: function() {
+		return this._arrParts.join("");
+	},
+
+	_append: function(strStorage) {
+		this._arrParts.push(strStorage);
+
+		return this;
+	},
+
+	_render: function(content) {
+		if (content === null || typeof content === "undefined") {
+			return "";
+		}
+
+		if (typeof content === "function") {
+			var objBuilder = new ConfluenceStorageBuilder(this._objOptions);
+
+			content(objBuilder);
+
+			return objBuilder.toString();
+		}
+
+		if (Array.isArray(content)) {
+			return content.map(this._render, this).join("");
+		}
+
+		if (content instanceof ConfluenceStorageDocument || content instanceof ConfluenceStorageNode) {
+			return content.serialize();
+		}
+
+		if (content instanceof ConfluenceStorageBuilder) {
+			return content.toString();
+		}
+
+		return ConfluenceStorageDocument.escape(content);
+	},
+
+	_renderBlock: function(content) {
+		//macros with rich text bodies expect block elements
+		return typeof content === "string" ? "<p>" + this._render(content) + "</p>" : this._render(content);
+	},
+
+	_buildAttributes: function(objAttributes) {
+		var strResult = "";
+
+		for (var strName in objAttributes) {
+			if (Object.prototype.hasOwnProperty.call(objAttributes, strName) && 
+				objAttributes[strName] !== null && typeof objAttributes[strName] !== "undefined") {
+				strResult += " " + strName + "=\"" + ConfluenceStorageDocument.escape(objAttributes[strName]) + "\"";
+			}
+		}
+
+		return strResult;
+	},
+
+	_buildMacro: function(strName, objParameters, objBody) {
+		var strParameters = "";
+
+		for (var strParameter in objParameters) {
+			if (Object.prototype.hasOwnProperty.call(objParameters, strParameter) && 
+				objParameters[strParameter] !== null && typeof objParameters[strParameter] !== "undefined") {
+				strParameters += 
+					"<ac:parameter ac:name=\"" + ConfluenceStorageDocument.escape(strParameter) + "\">" + 
+					ConfluenceStorageDocument.escape(objParameters[strParameter]) + 
+					"</ac:parameter>";
+			}
+		}
+
+		var _objBody = objBody || {};
+		var strBody  = "";
+
+		if (typeof _objBody.richText === "string") {
+			strBody = "<ac:rich-text-body>" + _objBody.richText + "</ac:rich-text-body>";
+		}
+		else if (typeof _objBody.plainText === "string") {
+			strBody = "<ac:plain-text-body>" + ConfluenceStorageDocument.wrapCDATA(_objBody.plainText) + "</ac:plain-text-body>";
+		}
+
+		return "<ac:structured-macro ac:name=\"" + strName + "\" ac:schema-version=\"1\">" + strParameters + strBody + "</ac:structured-macro>";
+	},
+};
+
+/**
+ * This object converts Markdown into Confluence storage format. Supported are headings, paragraphs, emphasis, 
+ * strikethrough, inline code, lists, tables, fenced and indented code blocks (converted to the code macro), links, 
+ * images, blockquotes and horizontal rules. Constructs without equivalent in storage format like inline HTML or 
+ * footnotes are escaped and reported as warnings, see {@link ConfluenceMarkdownConverter#getWarnings}.
+ * 
+ * @example
+ * var objConverter = new ConfluenceMarkdownConverter();
+ * var strStorage   = objConverter.convert("# Title\n\nSome *important* text.");
+ * 
+ * objConverter.getWarnings().forEach(function(strWarning) {
+ *   gs.warn(strWarning);
+ * });
+ * 
+ * @class ConfluenceMarkdownConverter
+ * @param {Object} [objOptions] Converter options.
+ * @param {String} [objOptions.deploymentType] `server` (default) or `cloud`, see {@link ConfluenceStorageBuilder}.
+ */
+ConfluenceMarkdownConverter.prototype = {
+	initialize: function(objOptions) {
+		this._objOptions  = objOptions || {};
+		this._arrWarnings = [];
+		this._objLinks    = {};
+	},
+
+	/**
+	 * Converts Markdown into storage format.
+	 * 
+	 * @param {String} strMarkdown Text in Markdown syntax.
+	 * @returns {String} Content in storage format.
+	 * @throws {Error} If passed parameter `strMarkdown` is not of type `String`.
+	 */
+	convert: function(strMarkdown) {
+		if (typeof strMarkdown !== "string") {
+			throw new Error(
+				"[ConfluenceMarkdownConverter.convert] Please pass a String at parameter {strMarkdown}!"
+			);
+		}
+
+		//the private use character U+E000 is reserved for internal placeholders
+		var arrLines = strMarkdown.replace(/\uE000/g, "").split(/\r\n?|\n/);
+
+		this._arrWarnings = [];
+		this._objLinks    = this._extractLinkDefinitions(arrLines);
+
+		return this._convertBlocks(arrLines, 1);
+	},
+
+	/**
+	 * Getter for the warnings of the last conversion.
+	 * 
+	 * @returns {Array<String>} Descriptions of all constructs which could not be converted, inclusive line numbers.
+	 */
+	getWarnings: function() {
+		return this._arrWarnings.slice();
+	},
+
+	_warn: function(intLine, strMessage) {
+		this._arrWarnings.push("Line " + intLine + ": " + strMessage);
+	},
+
+	_newBuilder: function() {
+		return new ConfluenceStorageBuilder({deploymentType: this._objOptions.deploymentType});
+	},
+
+	_markup: function(strStorage) {
+		return this._newBuilder().raw(strStorage);
+	},
+
+	_extractLinkDefinitions: function(arrLines) {
+		var objLinks = {};
+
+		for (var i = 0; i < arrLines.length; i++) {
+			var arrMatch = /^ {0,3}\[([^\]^][^\]]*)\]:\s*<?([^\s>]+)>?(\s+["'(].*["')])?\s*$/.exec(arrLines[i]);
+
+			if (arrMatch !== null) {
+				objLinks[arrMatch[1].toLowerCase()] = arrMatch[2].trim();
+
+				//definitions are not part of the output
+				arrLines[i] = "";
+			}
+		}
+
+		return objLinks;
+	},
+
+	_convertBlocks: function(arrLines, intFirstLine) {
+		var arrResult = [];
+		var intIndex  = 0;
+
+		while (intIndex < arrLines.length) {
+			var objBlock = this._readBlock({lines: arrLines, index: intIndex, firstLine: intFirstLine});
+
+			arrResult.push(objBlock.storage);
+
+			intIndex = objBlock.next;
+		}
+
+		return arrResult.join("");
+	},
+
+	_readBlock: function(objContext) {
+		var strLine = objContext.lines[objContext.index];
+
+		if (/^\s*$/.test(strLine)) {
+			return {storage: "", next: objContext.index + 1};
+		}
+
+		if (/^ {0,3}(`{3,}|~{3,})/.test(strLine)) {
+			return this._readFencedCode(objContext);
+		}
+
+		if (/^ {0,3}#{1,6}(\s|$)/.test(strLine)) {
+			return this._readHeading(objContext);
+		}
+
+		if (ConfluenceMarkdownConverter.REGEX_RULE.test(strLine)) {
+			return {storage: "<hr />", next: objContext.index + 1};
+		}
+
+		if (/^ {0,3}>/.test(strLine)) {
+			return this._readBlockquote(objContext);
+		}
+
+		if (ConfluenceMarkdownConverter.REGEX_LIST_ITEM.test(strLine)) {
+			return this._readList(objContext);
+		}
+
+		if (this._isTableStart(objContext.lines, objContext.index)) {
+			return this._readTable(objContext);
+		}
+
+		if (/^( {4}|\t)/.test(strLine)) {
+			return this._readIndentedCode(objContext);
+		}
+
+		if (/^ {0,3}<[A-Za-z/!]/.test(strLine)) {
+			this._warn(objContext.firstLine + objContext.index, "HTML blocks are not supported and have been escaped.");
+		}
+
+		return this._readParagraph(objContext);
+	},
+
+	_readFencedCode: function(objContext) {
+		var arrMatch = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/.exec(objContext.lines[objContext.index]);
+		var arrCode  = [];
+		var intIndex = objContext.index + 1;
+		var isClosed = false;
+
+		while (intIndex < objContext.lines.length && !isClosed) {
+			var strLine = objContext.lines[intIndex];
+
+			if (strLine.trim().indexOf(arrMatch[1]) === 0 && /^[`~]+$/.test(strLine.trim())) {
+				isClosed = true;
+			}
+			else {
+				arrCode.push(strLine);
+			}
+
+			intIndex += 1;
+		}
+
+		var objBuilder = this._newBuilder().code(arrCode.join("\n"), {language: this._mapLanguage(arrMatch[2])});
+
+		return {storage: objBuilder.toString(), next: intIndex};
+	},
+
+	_readIndentedCode: function(objContext) {
+		var arrCode  = [];
+		var intIndex = objContext.index;
+
+		while (intIndex < objContext.lines.length && /^( {4}|\t|\s*$)/.test(objContext.lines[intIndex])) {
+			arrCode.push(objContext.lines[intIndex].replace(/^( {4}|\t)/, ""));
+
+			intIndex += 1;
+		}
+
+		//trailing blank lines separate the code block from the following block
+		while (arrCode.length > 0 && /^\s*$/.test(arrCode[arrCode.length - 1])) {
+			arrCode.pop();
+		}
+
+		var objBuilder = this._newBuilder().code(arrCode.join("\n"));
+
+		return {storage: objBuilder.toString(), next: intIndex};
+	},
+
+	_mapLanguage: function(strLanguage) {
+		var objAliases = {
+			js:    "javascript",
+			sh:    "bash",
+			shell: "bash",
+			py:    "python",
+			html:  "xml",
+			yml:   "yaml",
+		};
+
+		var strKey = (strLanguage || "").toLowerCase();
+
+		return objAliases[strKey] || strKey || null;
+	},
+
+	_readHeading: function(objContext) {
+		var intLine  = objContext.firstLine + objContext.index;
+		var arrMatch = /^ {0,3}(#{1,6})\s*(.*?)(\s+#+)?\s*$/.exec(objContext.lines[objContext.index]);
+		var objHead  = this._newBuilder().heading(arrMatch[1].length, this._markup(this._convertInline(arrMatch[2], intLine)));
+
+		return {storage: objHead.toString(), next: objContext.index + 1};
+	},
+
+	_readBlockquote: function(objContext) {
+		var arrQuote = [];
+		var intIndex = objContext.index;
+
+		//lines without '>' continue the quote until the next blank line
+		while (intIndex < objContext.lines.length && !/^\s*$/.test(objContext.lines[intIndex])) {
+			arrQuote.push(objContext.lines[intIndex].replace(/^ {0,3}> ?/, ""));
+
+			intIndex += 1;
+		}
+
+		return {
+			storage: "<blockquote>" + this._convertBlocks(arrQuote, objContext.firstLine + objContext.index) + "</blockquote>",
+			next:    intIndex,
+		};
+	},
+
+	_readList: function(objContext) {
+		var arrFirst  = ConfluenceMarkdownConverter.REGEX_LIST_ITEM.exec(objContext.lines[objContext.index]);
+		var isOrdered = /\d/.test(arrFirst[2]);
+		var intIndent = arrFirst[1].length;
+		var arrItems  = [];
+		var intIndex  = objContext.index;
+		var isLoose   = false;
+
+		while (intIndex < objContext.lines.length) {
+			var arrMatch = ConfluenceMarkdownConverter.REGEX_LIST_ITEM.exec(objContext.lines[intIndex]);
+
+			//the list ends with an item of another list type or on the same level as the list
+			if (!(arrMatch && arrMatch[1].length === intIndent && /\d/.test(arrMatch[2]) === isOrdered)) {
+				break;
+			}
+
+			var objItem = this._readListItem(objContext, intIndex, arrMatch);
+			var arrNext = ConfluenceMarkdownConverter.REGEX_LIST_ITEM.exec(objContext.lines[objItem.next] || "");
+
+			//blank lines between the items make the whole list loose
+			var isSeparated = objItem.hasTrailingBlank && arrNext !== null &&
+				arrNext[1].length === intIndent && /\d/.test(arrNext[2]) === isOrdered;
+
+			objItem.line = objContext.firstLine + intIndex;
+			isLoose      = isLoose || objItem.isLoose || isSeparated;
+			intIndex     = objItem.next;
+
+			arrItems.push(objItem);
+		}
+
+		var arrStorage = arrItems.map(function(objListItem) {
+			var strItem = this._convertBlocks(objListItem.lines, objListItem.line);
+
+			//items of tight lists do not wrap their text into paragraphs
+			return this._markup(isLoose ? strItem : strItem.replace(/^<p>([\s\S]*?)<\/p>/, "$1"));
+		}, this);
+
+		var objBuilder = this._newBuilder().list(arrStorage, isOrdered);
+
+		return {storage: objBuilder.toString(), next: intIndex};
+	},
+
+	_readListItem: function(objContext, intStart, arrMatch) {
+		var arrLines         = objContext.lines;
+		var intContentIndent = arrMatch[1].length + arrMatch[2].length + Math.min(arrMatch[3].length, 4);
+		var arrItemLines     = [arrMatch[4]];
+		var intIndex         = intStart + 1;
+		var isLoose          = false;
+		var getIndent        = function(strLine) {
+			return /^\s*/.exec(strLine)[0].length;
+		};
+
+		if (/^\[[ xX]\]\s/.test(arrMatch[4])) {
+			this._warn(objContext.firstLine + intStart, "Task list items are not supported and have been converted to regular list items.");
+		}
+
+		while (intIndex < arrLines.length) {
+			var strLine = arrLines[intIndex];
+
+			if (/^\s*$/.test(strLine)) {
+				var intNext = intIndex;
+
+				while (intNext < arrLines.length && /^\s*$/.test(arrLines[intNext])) {
+					arrItemLines.push("");
+
+					intNext += 1;
+				}
+
+				//blank lines only belong to the item if further indented content follows
+				if (!(intNext < arrLines.length && getIndent(arrLines[intNext]) >= intContentIndent)) {
+					arrItemLines.length -= intNext - intIndex;
+
+					return {lines: arrItemLines, next: intNext, isLoose: isLoose, hasTrailingBlank: true};
+				}
+
+				isLoose  = true;
+				intIndex = intNext;
+			}
+			else if (getIndent(strLine) >= intContentIndent) {
+				arrItemLines.push(strLine.substring(intContentIndent));
+
+				intIndex += 1;
+			}
+			else if (this._isBlockStart(strLine)) {
+				break;
+			}
+			else {
+				//lazy continuation of the item's paragraph
+				arrItemLines.push(strLine.trim());
+
+				intIndex += 1;
+			}
+		}
+
+		return {lines: arrItemLines, next: intIndex, isLoose: isLoose, hasTrailingBlank: false};
+	},
+
+	_isBlockStart: function(strLine) {
+		return /^ {0,3}(#{1,6}(\s|$)|>|`{3,}|~{3,})/.test(strLine) || 
+			ConfluenceMarkdownConverter.REGEX_RULE.test(strLine) || 
+			ConfluenceMarkdownConverter.REGEX_LIST_ITEM.test(strLine);
+	},
+
+	_isTableStart: function(arrLines, intIndex) {
+		return intIndex + 1 < arrLines.length &&
+			arrLines[intIndex].indexOf("|") != -1 &&
+			/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(arrLines[intIndex + 1]) &&
+			arrLines[intIndex + 1].indexOf("|") != -1;
+	},
+
+	_readTable: function(objContext) {
+		var intLine    = objContext.firstLine + objContext.index;
+		var arrHeaders = this._splitTableRow(objContext.lines[objContext.index]);
+		var arrRows    = [];
+		var intIndex   = objContext.index + 2;
+
+		if (/:/.test(objContext.lines[objContext.index + 1])) {
+			this._warn(intLine, "Column alignments in tables are not supported and have been ignored.");
+		}
+
+		while (intIndex < objContext.lines.length &&
+			!/^\s*$/.test(objContext.lines[intIndex]) && objContext.lines[intIndex].indexOf("|") != -1) {
+			arrRows.push(this._splitTableRow(objContext.lines[intIndex]));
+
+			intIndex += 1;
+		}
+
+		var toCells = function(arrCells, intRow) {
+			return arrCells.map(function(strCell) {
+				return this._markup(this._convertInline(strCell, intRow));
+			}, this);
+		};
+
+		var objTable = this._newBuilder().table(
+			toCells.call(this, arrHeaders, intLine),
+			arrRows.map(function(arrCells, intOffset) {
+				return toCells.call(this, arrCells, intLine + 2 + intOffset);
+			}, this)
+		);
+
+		return {storage: objTable.toString(), next: intIndex};
+	},
+
+	_splitTableRow: function(strLine) {
+		var strRow = strLine.trim().replace(/^\|/, "");
+
+		//a trailing pipe closes the last cell unless it is escaped
+		return this._splitCells(/[^\\]\|$/.test(strRow) ? strRow.substring(0, strRow.length - 1) : strRow);
+	},
+
+	_splitCells: function(strRow) {
+		var arrCells   = [];
+		var strCurrent = "";
+
+		for (var i = 0; i < strRow.length; i++) {
+			var strChar = strRow.charAt(i);
+
+			if (strChar === "\\" && strRow.charAt(i + 1) === "|") {
+				strCurrent += "|";
+				i          += 1;
+			}
+			else if (strChar === "|") {
+				arrCells.push(strCurrent.trim());
+				strCurrent = "";
+			}
+			else {
+				strCurrent += strChar;
+			}
+		}
+
+		arrCells.push(strCurrent.trim());
+
+		return arrCells;
+	},
+
+	_readParagraph: function(objContext) {
+		var arrText  = [objContext.lines[objContext.index]];
+		var intIndex = objContext.index + 1;
+		var intLine  = objContext.firstLine + objContext.index;
+
+		while (intIndex < objContext.lines.length) {
+			var strLine = objContext.lines[intIndex];
+
+			//setext headings underline their text with '=' or '-'
+			if (/^ {0,3}(=+|-+)\s*$/.test(strLine)) {
+				var objHeading = this._newBuilder().heading(
+					strLine.trim().charAt(0) === "=" ? 1 : 2,
+					this._markup(this._convertInline(arrText.join(" ").trim(), intLine))
+				);
+
+				return {storage: objHeading.toString(), next: intIndex + 1};
+			}
+
+			if (/^\s*$/.test(strLine) || this._isBlockStart(strLine)) {
+				break;
+			}
+
+			arrText.push(strLine);
+
+			intIndex += 1;
+		}
+
+		var arrStorage = arrText.map(function(strText, intOffset) {
+			var strStorage = this._convertInline(strText.trim(), intLine + intOffset);
+
+			//two trailing spaces or a backslash mark a hard line break
+			return intOffset < arrText.length - 1 && /( {2,}|\\)$/.test(strText) ? 
+				strStorage.replace(/\\$/, "") + "<br />" : 
+				strStorage;
+		}, this);
+
+		return {storage: "<p>" + arrStorage.join(" ").replace(/<br \/> /g, "<br />") + "</p>", next: intIndex};
 	},
 
-	_setRequestBody: function(strRequestBody) {
-		this._objRestMessage.setRequestBody(strRequestBody);
-	},
+	_convertInline: function(strText, intLine) {
+		var arrTokens  = [];
+		var that       = this;
+		var addToken   = function(strStorage) {
+			arrTokens.push(strStorage);
+
+			return "\uE000" + (arrTokens.length - 1) + "\uE000";
+		};
+
+		//code spans are not processed any further
+		var strResult = strText.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, function(strMatch, strTicks, strCode) {
+			return addToken("<code>" + ConfluenceStorageDocument.escape(strCode.trim()) + "</code>");
+		});
+
+		strResult = strResult.replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, function(strMatch, strChar) {
+			return addToken(ConfluenceStorageDocument.escape(strChar));
+		});
+
+		strResult = strResult.replace(/!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+["'][^)]*["'])?\s*\)/g, function(strMatch, strAlt, strSource) {
+			return addToken(that._buildImage(strAlt, strSource, intLine));
+		});
+
+		strResult = strResult.replace(/\[([^\]]+)\]\(\s*<?([^\s)>]*)>?(?:\s+["'][^)]*["'])?\s*\)/g, function(strMatch, strLabel, strHref) {
+			return addToken(that._buildLink(strHref, that._convertInline(strLabel, intLine)));
+		});
 
-	_executeRequest: function(strMethodName) {
-		this._logRequest(strMethodName);
+		strResult = strResult.replace(/\[([^\]]+)\](?:\[([^\]]*)\])?/g, function(strMatch, strLabel, strReference) {
+			var strHref = that._objLinks[(strReference || strLabel).toLowerCase()];
 
-		this._objResponse = this._objRestMessage.execute();
-		
-		this._logResponse(strMethodName);
+			if (strLabel.charAt(0) === "^") {
+				that._warn(intLine, "Footnotes are not supported and have been kept as text.");
+			}
 
-		return this._objResponse;
-	},
+			return strHref ? addToken(that._buildLink(strHref, that._convertInline(strLabel, intLine))) : strMatch;
+		});
 
-	_logRequest: function(strMethodName) {
-		if (this._logDebugMessages) {
-			this._logDebug(
-				"[" + strMethodName + "] Send HTTP request with\n" +
-				"> Method = '" + this._httpMethod + "'\n" +
-				"> Endpoint = '" + this._objRestMessage.getEndpoint() + "'\n" +
-				"> Request headers = " + JSON.stringify(this._objRestMessage.getRequestHeaders()) + "\n" +
-				"> Request body = " + this._objRestMessage.getRequestBody()
-			);
-		}
-	},
+		strResult = strResult.replace(/<((?:https?|mailto):[^\s>]+)>/g, function(strMatch, strHref) {
+			return addToken(that._buildLink(strHref, ConfluenceStorageDocument.escape(strHref)));
+		});
 
-	_logResponse: function(strMethodName) {
-		if (this._objResponse.haveError()) {
-			this._logError(
-				"[" + strMethodName + "] Requesting '" + this._endpoint + "' returned an error response with\n" +
-				"> Status code = '" + this._objResponse.getStatusCode() + "'\n" +
-				"> Error code = '" + this._objResponse.getErrorCode() + "'\n" +
-				"> Error message = '" + this._objResponse.getErrorMessage() + "'\n"  +
-				"> Response headers = " + JSON.stringify(this._objResponse.getHeaders()) + "\n" +
-				"> Response body = '" + this._objResponse.getBody() + "'"
-			);
-		}
-		else {
-			this._logDebug(
-				"[" + strMethodName + "] Requesting '" + this._endpoint + "' with HTTP-Method '" + this._httpMethod + "' returned a response with\n" +
-				"> Status code = '" + this._objResponse.getStatusCode() + "'\n" +
-				"> Response headers = " + JSON.stringify(this._objResponse.getHeaders()) + "\n" +
-				"> Response body = " + this._objResponse.getBody()
-			);
+		if (/<\/?[A-Za-z][^>]*>/.test(strResult)) {
+			this._warn(intLine, "Inline HTML is not supported and has been escaped.");
 		}
-	},
 
-	_logDebug: function(strMessage) {
-		if (this._logDebugMessages == true) {
-			gs.info(strMessage);
+		strResult = ConfluenceStorageDocument.escape(strResult);
+		strResult = strResult.replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "<strong>$2</strong>");
+		strResult = strResult.replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<span style=\"text-decoration: line-through;\">$1</span>");
+		strResult = strResult.replace(/\*(?=\S)([\s\S]*?\S)\*/g, "<em>$1</em>");
+		strResult = strResult.replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, "$1<em>$2</em>");
+
+		//replace placeholders until nested placeholders have been resolved too
+		while (/\uE000\d+\uE000/.test(strResult)) {
+			strResult = strResult.replace(/\uE000(\d+)\uE000/g, function(strMatch, strIndex) {
+				return arrTokens[parseInt(strIndex, 10)];
+			});
 		}
-	},
 
-	_logWarning: function(strMessage) {
-		gs.warn(strMessage);
+		return strResult;
 	},
 
-	_logError: function(strMessage) {
-		this._strErrorMsg = strMessage;
-		
-		gs.error(strMessage);
+	_buildLink: function(strHref, strLabel) {
+		return "<a href=\"" + ConfluenceStorageDocument.escape(strHref) + "\">" + strLabel + "</a>";
 	},
-	
-	_logCaughtError: function(strScope, e) {
-		this._strErrorMsg = '[' + strScope + '] ' + e.name + (e.lineNumber ? ' at line ' + e.lineNumber : '') + ':\n' + e.message;
-		
-		gs.error(this._strErrorMsg);
+
+	_buildImage: function(strAlt, strSource, intLine) {
+		//images without URL scheme are considered as attachments of the page
+		if (!/^[a-z][a-z0-9+.-]*:/i.test(strSource)) {
+			var strFileName = strSource;
+
+			//file names with a literal '%' are no valid URI components
+			try {
+				strFileName = decodeURIComponent(strSource);
+			}
+			catch (e) {
+				this._warn(intLine, "Image source '" + strSource + "' could not be decoded and has been used as file name.");
+			}
+
+			var objBuilder = this._newBuilder().image(strFileName, {alt: strAlt || null});
+
+			return objBuilder.toString();
+		}
+
+		return "<ac:image" + (strAlt ? " ac:alt=\"" + ConfluenceStorageDocument.escape(strAlt) + "\"" : "") + ">" + 
+			"<ri:url ri:value=\"" + ConfluenceStorageDocument.escape(strSource) + "\" /></ac:image>";
 	},
-		
-    type: 'ConfluenceClient',
 };
 
 /**
- * Tests whether a given value represents a valid URL.
+ * Matches a horizontal rule in Markdown.
  * 
- * @param {*} param URL to be tested, **NOTE:** method `toString()` is invoked on `param`.
- * @returns {Boolean} `true` if passed value represents a valid URL, otherwise `false`.
+ * @type {RegExp}
  */
-ConfluenceClient.isValidURL = function(param) { 
-	//eslint-disable-next-line no-useless-escape
-	return /^(http|https):\/\/(([a-zA-Z0-9$\-_.+!*'(),;:&=]|%[0-9a-fA-F]{2})+@)?(((25[0-5]|2[0-4][0-9]|[0-1][0-9][0-9]|[1-9][0-9]|[0-9])(\.(25[0-5]|2[0-4][0-9]|[0-1][0-9][0-9]|[1-9][0-9]|[0-9])){3})|localhost|([a-zA-Z0-9\-\u00C0-\u017F]+\.)+([a-zA-Z]{2,}))(:[0-9]+)?(\/(([a-zA-Z0-9$\-_.+!*'(),;:@&=]|%[0-9a-fA-F]{2})*(\/([a-zA-Z0-9$\-_.+!*'(),;:@&=]|%[0-9a-fA-F]{2})*)*)?(\?([a-zA-Z0-9$\-_.+!*'(),;:@&=\/?]|%[0-9a-fA-F]{2})*)?(\#([a-zA-Z0-9$\-_.+!*'(),;:@&=\/?]|%[0-9a-fA-F]{2})*)?)?$/.test(param.toString());
-};
+ConfluenceMarkdownConverter.REGEX_RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
 
 /**
- * Tests whether given value represents a valid and positive Integer value.
+ * Matches a list item in Markdown with the groups indentation, marker, spacing and content.
  * 
- * @param {*} param Integer value to be tested, **NOTE:** method `toString()` is invoked on `param`.
- * @returns {Boolean} `true` if passed value represents a valid Integer, otherwise `false`.
+ * @type {RegExp}
  */
-ConfluenceClient.isValidInteger = function(param) {
-	return /^[0-9]{1,}$/.test(param.toString());
-};
+ConfluenceMarkdownConverter.REGEX_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(\s+|$)(.*)$/;
 
 /**
- * Tests whether given value at parameter `param` represents a valid Confluence label name.
+ * This object exports Confluence storage format as Markdown or as plain text, e.g. for search indexing or for 
+ * transferring page content into other systems. Headings, lists, tables, links, code blocks and panels are kept, 
+ * Jira macros are replaced by their issue key and all other macros without textual representation are replaced by 
+ * a configurable placeholder.
  * 
- * @param {*} param - Label name to be tested, **NOTE:** method `toString()` is invoked on `param`.
- * @returns {Boolean} `true` if passed value represents a valid Label name, otherwise `false`.
- */
-ConfluenceClient.isValidLabelName = function(param) {
-	return /^[0-9a-zA-Z_\-~{}%+]{1,}$/.test(param.toString());
-};
-
-/**
- * Tests whether given value at parameter `param` represents a valid Confluence space key.
+ * @example
+ * var objExporter = new ConfluenceStorageExporter({macroPlaceholder: "(macro {name} omitted)"});
+ * var strMarkdown = objExporter.toMarkdown(objPage.getBodyDocument());
  * 
- * @param {*} param - Space key to be tested, **NOTE:** method `toString()` is invoked on `param`.
- * @returns {Boolean} `true` if passed value represents a valid Confluence space key, otherwise `false`.
+ * @class ConfluenceStorageExporter
+ * @param {Object} [objOptions] Exporter options.
+ * @param {String|Function} [objOptions.macroPlaceholder] Replacement for macros which cannot be exported. Within a 
+ * String the token `{name}` is replaced by the macro name. A Function is invoked with the macro as 
+ * {@link ConfluenceStorageNode} and has to return a String. Default value is `[{name}]`, an empty String removes 
+ * such macros completely.
+ * @throws {Error} If option `macroPlaceholder` is neither a String nor a Function.
  */
-ConfluenceClient.isValidSpaceKey = function(param) {
-	return /^(~)?[0-9a-z-]{3,255}$/.test(param.toString());
-};
+ConfluenceStorageExporter.prototype = {
+	initialize: function(objOptions) {
+		var _objOptions = objOptions || {};
 
+		if (typeof _objOptions.macroPlaceholder === "undefined") {
+			_objOptions.macroPlaceholder = "[{name}]";
+		}
 
-/**
- * This object represents a single Confluence Page and encapsulates all data and methods for dealing with it.
- * 
- * @class ConfluencePage
- * @param {ConfluenceClient} refConfluenceClient Reference to an {@link ConfluenceClient} object.
- * @param {Object} [jsonPage] Response of a REST API call.
- * @throws {Error} If passed parameter `refConfluenceClient` does not points to a valid object of type {@link ConfluenceClient}
- * @throws {Error} If passed parameter `jsonPage` does not represent a valid JSON object.
- */
-ConfluencePage.prototype = {
-	initialize: function(refConfluenceClient, jsonPage) {
-		if (!(refConfluenceClient && refConfluenceClient instanceof ConfluenceClient)) {
+		if (!/^(string|function)$/.test(typeof _objOptions.macroPlaceholder)) {
 			throw new Error(
-				"[ConfluencePage.initialize] Please pass a reference to a valid {ConfluenceClient} object at parameter {refConfluenceClient}!"
+				"[ConfluenceStorageExporter.initialize] Please pass a String or a Function at option {macroPlaceholder}!" +
+				" Invalid value: " + _objOptions.macroPlaceholder
 			);
 		}
 
-		this._refConfluenceClient = refConfluenceClient;
-		this._strInternalId       = refConfluenceClient._strInternalId.toString();
+		this._macroPlaceholder = _objOptions.macroPlaceholder;
+		this._isMarkdown       = false;
+	},
 
-		if (jsonPage) {
-			if (!(typeof jsonPage === "object")) {		
-				throw new Error(
-					"[ConfluencePage.initialize] Please pass a valid JSON object at parameter {jsonPage}!"
-				);
-			}
+	/**
+	 * Exports storage format as Markdown.
+	 * 
+	 * @param {String|ConfluenceStorageDocument} content Content in storage format or as parsed document.
+	 * @returns {String} Content in Markdown syntax.
+	 * @throws {Error} If passed parameter `content` is neither a String nor a {@link ConfluenceStorageDocument}.
+	 */
+	toMarkdown: function(content) {
+		return this._export("ConfluenceStorageExporter.toMarkdown", content, true);
+	},
 
-			this._strId                     = jsonPage.id;
-			this._strStatus                 = jsonPage.status;
-			this._strTitle                  = jsonPage.title;
-			this._strSpaceKey               = jsonPage.space.key;
-			this._intVersionNumber          = jsonPage.version.number;
-			this._strBody                   = jsonPage.body.storage.value;
-			this._renderedHTML              = jsonPage.body.styled_view.value;
-			this._userReadingRestrictions   = jsonPage.restrictions.read.restrictions.user.results;
-			this._groupReadingRestrictions  = jsonPage.restrictions.read.restrictions.group.results;
-			this._userUpdatingRestrictions  = jsonPage.restrictions.update.restrictions.user.results;
-			this._groupUpdatingRestrictions = jsonPage.restrictions.update.restrictions.group.results;
+	/**
+	 * Exports storage format as plain text. Blocks are separated by blank lines, list items and table rows are 
+	 * written on separate lines.
+	 * 
+	 * @param {String|ConfluenceStorageDocument} content Content in storage format or as parsed document.
+	 * @returns {String} Content as plain text.
+	 * @throws {Error} If passed parameter `content` is neither a String nor a {@link ConfluenceStorageDocument}.
+	 */
+	toPlainText: function(content) {
+		return this._export("ConfluenceStorageExporter.toPlainText", content, false);
+	},
 
-			if (jsonPage.history.lastUpdated.by) {
-				this._strModifierUserName    = jsonPage.history.lastUpdated.by.username;
-				this._strModifierDisplayName = jsonPage.history.lastUpdated.by.displayName;
+	_export: function(strScope, content, isMarkdown) {
+		var objDocument = typeof content === "string" ? new ConfluenceStorageDocument(content) : content;
+
+		if (!(objDocument instanceof ConfluenceStorageDocument)) {
+			throw new Error(
+				"[" + strScope + "] Please pass a String or a {ConfluenceStorageDocument} object at parameter {content}!"
+			);
+		}
+
+		this._isMarkdown = isMarkdown;
+
+		return this._renderBlocks(objDocument.getRoot().getChildren(), {tight: false, singleLine: false});
+	},
+
+	_renderBlocks: function(arrNodes, objContext) {
+		var arrBlocks = [];
+		var arrInline = [];
+
+		var flushInline = function() {
+			arrBlocks.push(this._finishInline(arrInline.join(""), objContext));
+
+			arrInline = [];
+		};
+
+		arrNodes.forEach(function(objNode) {
+			if (this._isBlock(objNode)) {
+				flushInline.call(this);
+				arrBlocks.push(this._renderBlock(objNode, objContext));
 			}
+			else {
+				arrInline.push(this._renderInline(objNode, objContext));
+			}
+		}, this);
 
-			if (jsonPage.history.lastUpdated.when) {
-				var gdtModification = new GlideDateTime();
+		flushInline.call(this);
 
-				gdtModification.setDisplayValue(jsonPage.history.lastUpdated.when, "yyyy-MM-dd'T'HH:mm:ss");
-				
-				this._gdtModification = gdtModification;
+		return this._joinBlocks(arrBlocks, objContext);
+	},
+
+	_joinBlocks: function(arrBlocks, objContext) {
+		return arrBlocks.filter(function(strBlock) {
+			return strBlock.length > 0;
+		}).join(objContext.tight ? "\n" : "\n\n");
+	},
+
+	_finishInline: function(strText, objContext) {
+		var strLineBreak = this._isMarkdown ? "\\\n" : "\n";
+		var strResult    = strText.trim().replace(/ *\n */g, objContext.singleLine ? " " : strLineBreak);
+
+		if (this._isMarkdown) {
+			//prevent the text from being interpreted as heading, blockquote, list or horizontal rule
+			strResult = strResult.replace(/^([#>]|[-+](?=[\s-]|$))/, "\\$1");
+			strResult = strResult.replace(/^(\d+)([.)])(?=\s|$)/, "$1\\$2");
+		}
+
+		return strResult;
+	},
+
+	_isBlock: function(objNode) {
+		if (objNode.isMacro()) {
+			return ConfluenceStorageExporter.REGEX_BLOCK_MACROS.test(objNode.getMacroName());
+		}
+
+		return objNode.isElement() && ConfluenceStorageExporter.REGEX_BLOCK_ELEMENTS.test(objNode.getName());
+	},
+
+	_renderBlock: function(objNode, objContext) {
+		if (objNode.isMacro()) {
+			return this._renderMacro(objNode, objContext);
+		}
+
+		var arrHeading = /^h([1-6])$/.exec(objNode.getName());
+
+		if (arrHeading !== null) {
+			var strHeading = this._renderBlocks(objNode.getChildren(), {tight: true, singleLine: true});
+
+			if (!this._isMarkdown || objContext.singleLine || strHeading.length === 0) {
+				return strHeading;
 			}
 
-			if (Array.isArray(jsonPage.metadata.labels.results) && jsonPage.metadata.labels.results.length > 0) {
-				this._arrLabels = [];
+			return new Array(parseInt(arrHeading[1], 10) + 1).join("#") + " " + strHeading;
+		}
 
-				for (var numLabelCounter = 0; numLabelCounter < jsonPage.metadata.labels.results.length; numLabelCounter++) {
-					this._arrLabels.push(jsonPage.metadata.labels.results[numLabelCounter].name);
+		switch (objNode.getName()) {
+			case "ul":
+			case "ol":
+			case "ac:task-list":
+				return this._renderList(objNode, objContext);
+			case "table":
+				return this._renderTable(objNode, objContext);
+			case "pre":
+				return this._renderCode(objNode.getText(), null, objContext);
+			case "blockquote":
+				return this._quote(this._renderBlocks(objNode.getChildren(), objContext), objContext);
+			case "hr":
+				return objContext.singleLine ? "" : "---";
+			default:
+				return this._renderBlocks(objNode.getChildren(), objContext);
+		}
+	},
+
+	_renderInline: function(objNode, objContext) {
+		if (/^(text|cdata)$/.test(objNode.getType())) {
+			return this._escape(objNode.getText().replace(/\s+/g, " "));
+		}
+
+		if (!objNode.isElement()) {
+			return "";
+		}
+
+		if (objNode.isMacro()) {
+			return this._renderMacro(objNode, objContext);
+		}
+
+		switch (objNode.getName()) {
+			case "strong":
+			case "b":
+				return this._emphasize(this._renderChildren(objNode, objContext), "**");
+			case "em":
+			case "i":
+				return this._emphasize(this._renderChildren(objNode, objContext), "*");
+			case "s":
+			case "del":
+			case "strike":
+				return this._emphasize(this._renderChildren(objNode, objContext), "~~");
+			case "code":
+				return this._renderCodeSpan(objNode.getText());
+			case "br":
+				return "\n";
+			case "a":
+				return this._renderLink(objNode.getAttribute("href"), this._renderChildren(objNode, objContext));
+			case "ac:link":
+				return this._renderConfluenceLink(objNode, objContext);
+			case "ac:image":
+			case "img":
+				return this._renderImage(objNode);
+			case "ac:emoticon":
+				return objNode.getAttribute("ac:emoji-fallback") || ":" + objNode.getAttribute("ac:name") + ":";
+			case "time":
+				return objNode.getAttribute("datetime") || "";
+			case "ac:placeholder":
+			case "ac:parameter":
+				return "";
+			default:
+				return this._renderChildren(objNode, objContext);
+		}
+	},
+
+	_renderChildren: function(objNode, objContext) {
+		var arrParts = objNode.getChildren().map(function(objChild) {
+			return this._renderInline(objChild, objContext);
+		}, this);
+
+		return arrParts.join("");
+	},
+
+	_renderMacro: function(objMacro, objContext) {
+		var objBody = this._getChild(objMacro, "ac:rich-text-body");
+		var arrBody = objBody ? objBody.getChildren() : [];
+
+		switch (objMacro.getMacroName()) {
+			case "code":
+			case "noformat":
+				return this._renderCode(objMacro.getPlainTextBody() || "", objMacro.getParameter("language"), objContext);
+			case "info":
+			case "note":
+			case "warning":
+			case "tip":
+			case "panel":
+				return this._renderPanel(objMacro, arrBody, objContext);
+			case "expand":
+				return this._joinBlocks([
+					this._emphasize(this._escape(objMacro.getParameter("title") || ""), "**"),
+					this._renderBlocks(arrBody, objContext),
+				], objContext);
+			case "section":
+			case "column":
+			case "details":
+			case "excerpt":
+				return this._renderBlocks(arrBody, objContext);
+			case "status":
+				return this._escape("[" + (objMacro.getParameter("title") || "") + "]");
+			case "anchor":
+				return "";
+			case "jira":
+				//only macros referring to a single issue can be replaced by its key
+				if (objMacro.getParameter("key")) {
+					return this._escape(objMacro.getParameter("key"));
 				}
+
+				break;
+			default:
+				break;
+		}
+
+		if (typeof this._macroPlaceholder === "function") {
+			return String(this._macroPlaceholder(objMacro));
+		}
+
+		return this._macroPlaceholder.replace(/\{name\}/g, objMacro.getMacroName());
+	},
+
+	_renderPanel: function(objMacro, arrBody, objContext) {
+		var arrLabel = [];
+		var strName  = objMacro.getMacroName();
+
+		if (strName !== "panel") {
+			arrLabel.push(strName.charAt(0).toUpperCase() + strName.slice(1));
+		}
+
+		if (objMacro.getParameter("title")) {
+			arrLabel.push(objMacro.getParameter("title"));
+		}
+
+		var strPanel = this._joinBlocks([
+			this._emphasize(this._escape(arrLabel.join(": ")), "**"),
+			this._renderBlocks(arrBody, objContext),
+		], objContext);
+
+		return this._quote(strPanel, objContext);
+	},
+
+	_renderList: function(objList, objContext) {
+		var isOrdered = objList.getName() === "ol";
+		var intNumber = parseInt(objList.getAttribute("start"), 10) || 1;
+		var arrItems  = [];
+
+		objList.getChildren().forEach(function(objItem) {
+			if (objItem.getName() === "li") {
+				arrItems.push(this._renderListItem(isOrdered ? intNumber + ". " : "- ", objItem.getChildren(), objContext));
+
+				intNumber += 1;
 			}
 
-			if (Array.isArray(jsonPage.ancestors) && jsonPage.ancestors.length > 0) {
-				this.setParentPageId(jsonPage.ancestors[jsonPage.ancestors.length - 1].id);
+			if (objItem.getName() === "ac:task") {
+				var objStatus = this._getChild(objItem, "ac:task-status");
+				var objBody   = this._getChild(objItem, "ac:task-body");
+				var isDone    = objStatus !== null && objStatus.getText().trim() === "complete";
+				var strMarker = (this._isMarkdown ? "- " : "") + (isDone ? "[x] " : "[ ] ");
 
-				this._arrAncestors = [];
+				arrItems.push(this._renderListItem(strMarker, objBody ? objBody.getChildren() : [], objContext));
+			}
+		}, this);
 
-				for (var numAncestorCounter = 0; numAncestorCounter < jsonPage.ancestors.length; numAncestorCounter++) {
-					this._arrAncestors.push(
-						new ConfluencePage(refConfluenceClient, jsonPage.ancestors[numAncestorCounter])
-					);
+		return arrItems.join("\n");
+	},
+
+	_renderListItem: function(strMarker, arrNodes, objContext) {
+		var strContent = this._renderBlocks(arrNodes, {tight: true, singleLine: objContext.singleLine});
+		var strIndent  = new Array(strMarker.length + 1).join(" ");
+
+		//continuation lines are indented to the content of the list item
+		return strMarker + strContent.replace(/\n(?=[^\n])/g, "\n" + strIndent);
+	},
+
+	_renderTable: function(objTable, objContext) {
+		var arrRows    = [];
+		var intColumns = 0;
+
+		var collectRows = function(objParent) {
+			objParent.getChildren().forEach(function(objChild) {
+				if (objChild.getName() === "tr") {
+					var arrCells = this._renderTableRow(objChild);
+
+					intColumns = Math.max(intColumns, arrCells.length);
+
+					arrRows.push(arrCells);
 				}
-			}
+				else if (/^(thead|tbody|tfoot)$/.test(objChild.getName())) {
+					collectRows.call(this, objChild);
+				}
+			}, this);
+		};
 
-			this._hasTitleChanged           = false;
-			this._hasSpaceKeyChanged        = false;
-			this._hasBodyChanged            = false;
-			this._hasScaffoldingDataChanged = false;
-			this._hasParentPageIdChanged    = false;
-			this._haveLabelsChanged         = false;
+		collectRows.call(this, objTable);
+
+		if (!this._isMarkdown || objContext.singleLine || arrRows.length === 0) {
+			return arrRows.map(function(arrCells) {
+				return arrCells.join(" | ");
+			}).join("\n");
 		}
+
+		var toLine = function(arrCells) {
+			var arrLine = arrCells.slice();
+
+			while (arrLine.length < intColumns) {
+				arrLine.push("");
+			}
+
+			return "| " + arrLine.join(" | ") + " |";
+		};
+
+		//Markdown tables always start with a header row, so the first row is used as such
+		var arrLines = arrRows.map(toLine);
+
+		arrLines.splice(1, 0, toLine([]).replace(/ {2}/g, " --- "));
+
+		return arrLines.join("\n");
 	},
 
-	getConfluenceClient: function() {
-		return this._refConfluenceClient;
+	_renderTableRow: function(objRow) {
+		var arrCells = objRow.getChildren().filter(function(objChild) {
+			return /^(th|td)$/.test(objChild.getName());
+		});
+
+		return arrCells.map(function(objCell) {
+			var strCell = this._renderBlocks(objCell.getChildren(), {tight: true, singleLine: true});
+
+			strCell = strCell.replace(/\s*\n\s*/g, " ");
+
+			return this._isMarkdown ? strCell.replace(/\|/g, "\\|") : strCell;
+		}, this);
 	},
 
-	/**
-	 * Getter for the Confluence page status.
-	 * 
-	 * @returns {String} Status of the Confluence page if available or `undefined` if not.
-	 */
-	getStatus: function() {
-		return this._strStatus;
+	_renderCode: function(strCode, strLanguage, objContext) {
+		var strSource = strCode.replace(/^\n+|\s+$/g, "");
+
+		if (!this._isMarkdown) {
+			return strSource;
+		}
+
+		if (objContext.singleLine) {
+			return this._renderCodeSpan(strSource);
+		}
+
+		//the fence has to be longer than any backtick sequence within the code
+		var strFence = "```";
+
+		(strSource.match(/`{3,}/g) || []).forEach(function(strBackticks) {
+			if (strBackticks.length >= strFence.length) {
+				strFence = strBackticks + "`";
+			}
+		});
+
+		return strFence + (strLanguage || "") + "\n" + strSource + "\n" + strFence;
 	},
 
-	/**
-	 * Setter for the Confluence page status.
-	 * 
-	 * @param {String} strStatus Status of the Confluence page. Only allowed values are `current` and `trashed`.
-	 * @throws {Error} If passed parameter `strStatus` is not a String or different from the allowed values.
-	 */
-	setStatus: function(strStatus) {
-		if (!(typeof strStatus === "string" && (strStatus === 'current' || strStatus === 'trashed'))) {
-			throw new Error(
-				"[ConfluencePage.setStatus] Please pass a valid page status at parameter {strStatus}!" +
-				" Invalid value: " + strStatus
-			);					
+	_renderCodeSpan: function(strCode) {
+		var strSource = strCode.replace(/\s*\n\s*/g, " ");
+
+		if (!this._isMarkdown || strSource.length === 0) {
+			return strSource;
 		}
 
-		this._strStatus = strStatus;
+		var strDelimiter = "`";
+
+		(strSource.match(/`+/g) || []).forEach(function(strBackticks) {
+			if (strBackticks.length >= strDelimiter.length) {
+				strDelimiter = strBackticks + "`";
+			}
+		});
+
+		//code starting or ending with a backtick has to be separated from the delimiter
+		var strPadding = /^`|`$/.test(strSource) ? " " : "";
+
+		return strDelimiter + strPadding + strSource + strPadding + strDelimiter;
 	},
 
-	/**
-	 * Getter for the Confluence page ID.
-	 * 
-	 * @returns {String} ID of the Confluence page if available or `undefined` if not.
-	 */
-	getId: function() {
-		return this._strId;
+	_renderLink: function(strHref, strText) {
+		if (!strHref) {
+			return strText;
+		}
+
+		if (!this._isMarkdown) {
+			return strText.length === 0 || strText === strHref ? strHref : strText + " (" + strHref + ")";
+		}
+
+		if (strText.length === 0 || strText === this._escape(strHref)) {
+			return "<" + this._encodeUrl(strHref) + ">";
+		}
+
+		return "[" + strText + "](" + this._encodeUrl(strHref) + ")";
 	},
-	
-	/**
-	 * Setter for the Confluence page ID.
-	 * 
-	 * @param {Integer} strPageId A valid Confluence page ID.
-	 * @throws {Error} If passed parameter `strPageId` is not a valid Confluence page ID.
- 	 * @throws {Error} If once set page ID should be changed.
-	 */
-	setId: function(strPageId) {
-		if (!ConfluenceClient.isValidInteger(strPageId)) {
-			throw new Error(
-				"[ConfluencePage.setId] Please pass a valid Confluence page ID at parameter {strPageId}!" +
-				" Invalid value: " + strPageId
-			);					
+
+	_renderConfluenceLink: function(objLink, objContext) {
+		var objLinkBody      = this._getChild(objLink, "ac:link-body");
+		var objPlainLinkBody = this._getChild(objLink, "ac:plain-text-link-body");
+
+		if (objLinkBody !== null) {
+			return this._renderChildren(objLinkBody, objContext);
 		}
 
-		if (this._strId && this._strId != strPageId) {
-			throw new Error("[ConfluencePage.setId] It is not allowed to change the page ID!");
+		if (objPlainLinkBody !== null) {
+			return this._escape(objPlainLinkBody.getText());
 		}
 
-		this._strId = strPageId;
+		//without link body Confluence displays the name of the referenced resource
+		var objReference = objLink.getReference() || {};
+		var strText      = 
+			objReference.title || 
+			objReference.fileName || 
+			objReference.spaceKey || 
+			objLink.getAttribute("ac:anchor") || 
+			"";
+
+		if (objReference.type === "user") {
+			strText = "@" + (objReference.userKey || objReference.accountId);
+		}
+
+		return this._escape(strText);
 	},
 
-	/**
-	 * Getter for the Confluence page title.
-	 * 
-	 * @returns {String} Title of the Confluence page if available or `undefined` if not.
-	 */
-	getTitle: function() {
-		return this._strTitle; 
+	_renderImage: function(objImage) {
+		var objReference = objImage.getReference() || {};
+		var strAlt       = objImage.getAttribute("ac:alt") || objImage.getAttribute("alt") || "";
+		var strSource    = objReference.url || objReference.fileName || objImage.getAttribute("src") || "";
+
+		if (!this._isMarkdown) {
+			return strAlt;
+		}
+
+		return strSource.length > 0 ? "![" + this._escape(strAlt) + "](" + this._encodeUrl(strSource) + ")" : "";
 	},
 
-	/**
-	 * Setter for the Confluence page title.
-	 * 
-	 * @param {String} strPageTitle  The new title of the Confluence page.
-	 * @throws {Error} If passed parameter `strPageTitle` is empty or not of type `String`.
-	 */
-	setTitle: function(strPageTitle) {				
-		if (!(typeof strPageTitle === "string" && strPageTitle.length > 0)) {
-			throw new Error(
-				"[ConfluencePage.setTitle] Please pass a valid page title at parameter {strTitle}!" +
-				" Invalid value: " + strPageTitle
-			);					
+	_emphasize: function(strText, strMarker) {
+		var arrMatch = /^(\s*)([\s\S]*?)(\s*)$/.exec(strText);
+
+		if (!this._isMarkdown || arrMatch[2].length === 0) {
+			return strText;
 		}
-		
-		this._hasTitleChanged = this._strTitle !== strPageTitle;
-		this._strTitle        = strPageTitle;
+
+		//surrounding whitespace has to stay outside the markers
+		return arrMatch[1] + strMarker + arrMatch[2] + strMarker + arrMatch[3];
 	},
-	
-	/**
-	 * Getter for the space key the Confluence page is located in.
-	 * 
-	 * @returns {String} Space key or `undefined` if no space key is stored.
-	 */
-	getSpaceKey: function() {
-		return this._strSpaceKey;
+
+	_quote: function(strText, objContext) {
+		if (!this._isMarkdown || objContext.singleLine || strText.length === 0) {
+			return strText;
+		}
+
+		return ("> " + strText.replace(/\n/g, "\n> ")).replace(/^> $/gm, ">");
 	},
-	
-	/**
-	 * Setter for the (new) space key the Confluence page should be located in.
-	 * 
-	 * @param {String} strSpaceKey Key of the (new) space.
-	 * @throws {Error} If passed parameter `strSpaceKey` is not a valid Confluence space key.
-	 */
-	setSpaceKey: function(strSpaceKey) {
-		if (!ConfluenceClient.isValidSpaceKey(strSpaceKey)) {
-			throw new Error(
-				"[ConfluencePage.setSpaceKey] Please pass a valid space key at parameter {strSpaceKey}!" +
-				" Invalid value: " + strSpaceKey
-			);					
+
+	_escape: function(strText) {
+		if (!this._isMarkdown) {
+			return strText;
 		}
 
-		this._hasSpaceKeyChanged = this._strSpaceKey !== strSpaceKey;
-		this._strSpaceKey        = strSpaceKey;
+		return strText.replace(/[\\`*_[\]]/g, "\\$&").replace(/<(?=[A-Za-z/!?])/g, "\\<");
 	},
-	
-	/**
-	 * Getter for the version number of the Confluence page.
-	 * 
-	 * @returns {Integer} Version number if defined or `undefined` if not
-	 */
-	getVersionNumber: function() {
-		return this._intVersionNumber;
+
+	_encodeUrl: function(strUrl) {
+		return strUrl.replace(/[ \t\r\n()<>]/g, function(strChar) {
+			var strHex = (strChar.charCodeAt(0) + 256).toString(16);
+
+			return "%" + strHex.slice(1).toUpperCase();
+		});
 	},
 
-	/**
-	 * Setter for the version number of a Confluence page.
-	 * 
-	 * @param {Integer} intVersionNumber Version number of the current page version.
-	 * @throws {Error} If passed parameter `intVersionNumber` is not a valid `Integer` value.
-	 */
-	setVersionNumber: function(intVersionNumber) {
-		if (!ConfluenceClient.isValidInteger(intVersionNumber)) {
+	_getChild: function(objNode, strName) {
+		var arrChildren = objNode.getChildren().filter(function(objChild) {
+			return objChild.getName() === strName;
+		});
+
+		return arrChildren.length > 0 ? arrChildren[0] : null;
+	},
+};
+
+/**
+ * Matches the names of elements which are exported as separate blocks.
+ * 
+ * @type {RegExp}
+ */
+ConfluenceStorageExporter.REGEX_BLOCK_ELEMENTS = 
+	/^(p|h[1-6]|ul|ol|ac:task-list|table|pre|blockquote|hr|div|ac:layout|ac:layout-section|ac:layout-cell)$/;
+
+/**
+ * Matches the names of macros which are exported as separate blocks.
+ * 
+ * @type {RegExp}
+ */
+ConfluenceStorageExporter.REGEX_BLOCK_MACROS = /^(code|noformat|info|note|warning|tip|panel|expand|section|column|details|excerpt)$/;
+
+/**
+ * This object runs a transformation over a set of Confluence pages, which are loaded batch by batch either by a CQL 
+ * query or as descendants of a parent page. For each page the transform function is invoked and all changes are 
+ * written back with {@link ConfluencePage#update}. Failures do not abort the run but are collected together with 
+ * their error details.
+ * 
+ * The progress of a run is kept in a checkpoint, which is handed over to option `onCheckpoint` after each batch. 
+ * Passing the last stored checkpoint at option `checkpoint` resumes an interrupted run at the page it stopped. 
+ * Pages are processed in the order of their IDs and the checkpoint stores the ID of the last processed page, so that 
+ * pages processed before are skipped when resuming. As the offset stored additionally is only used as starting point 
+ * for Confluence Server and ignored by Confluence Cloud, the query should not depend on the values changed by the 
+ * transform function, and the transform function should tolerate pages of the last batch being processed twice.
+ * 
+ * @example
+ * var objJob = new ConfluenceBulkJob(confluenceClient, {
+ *   cql:        "space = tst AND label = meeting-notes",
+ *   checkpoint: gs.getProperty("x_confluence.bulk_checkpoint", null),
+ *   transform:  function(objPage) {
+ *     objPage.setTitle("[Archived] " + objPage.getTitle());
+ *   },
+ *   onCheckpoint: function(objCheckpoint) {
+ *     gs.setProperty("x_confluence.bulk_checkpoint", JSON.stringify(objCheckpoint));
+ *   },
+ * });
+ * 
+ * var objSummary = objJob.run();
+ * 
+ * objSummary.failures.forEach(function(objResult) {
+ *   gs.error(objResult.title + ": " + objResult.message);
+ * });
+ * 
+ * @class ConfluenceBulkJob
+ * @param {ConfluenceClient} refConfluenceClient Reference to an {@link ConfluenceClient} object.
+ * @param {Object} objOptions Job options.
+ * @param {String} [objOptions.cql] CQL based query for the pages to be processed. It must not contain an `order by` clause.
+ * @param {String} [objOptions.parentId] ID of the page whose descendants are to be processed, instead of option `cql`.
+ * @param {Function} objOptions.transform Function which is invoked with the {@link ConfluencePage} object (inclusive body) and 
+ * this job. Returning `false` leaves the page unchanged.
+ * @param {Array<String>} [objOptions.types] Content types to be processed: `page` and/or `blogpost`. Default is `page` only.
+ * @param {Integer} [objOptions.batchSize] Number of pages to be loaded per request. Default is 100.
+ * @param {Boolean} [objOptions.dryRun] If `true` the transform function is invoked, but no changes are written back.
+ * @param {Boolean} [objOptions.suppressNotifications] If `true` no email notifications will be sent to watchers.
+ * @param {Object} [objOptions.conflictOptions] Options for handling version conflicts, see {@link ConfluenceClient#updatePageData}.
+ * @param {Integer} [objOptions.maxPages] Maximum number of pages to be processed per run, e.g. to stay within transaction limits.
+ * @param {Integer} [objOptions.maxFailures] Number of failed pages after which a run is stopped. Default is unlimited.
+ * @param {Function} [objOptions.onProgress] Function which is invoked after each page with an object containing the 
+ * properties `result` (see {@link ConfluenceBulkJob#getResults}), `offset` and the counters of {@link ConfluenceBulkJob#getSummary}.
+ * @param {Function} [objOptions.onCheckpoint] Function which is invoked with the current checkpoint after each batch and at the end of a run.
+ * @param {Object|String} [objOptions.checkpoint] Checkpoint of a previous run (as object or JSON String) to be resumed.
+ * @throws {Error} If passed parameter `refConfluenceClient` does not points to a valid object of type {@link ConfluenceClient}
+ * @throws {Error} If passed parameter `objOptions` contains invalid values.
+ */
+ConfluenceBulkJob.prototype = {
+	initialize: function(refConfluenceClient, objOptions) {
+		if (!(refConfluenceClient && refConfluenceClient instanceof ConfluenceClient)) {
 			throw new Error(
-				"[ConfluencePage.setVersionNumber] Please pass a valid integer value at parameter {intVersionNumber}!" +
-				" Invalid value: " + intVersionNumber
-			);					
+				"[ConfluenceBulkJob.initialize] Please pass a reference to a valid {ConfluenceClient} object at parameter {refConfluenceClient}!"
+			);
 		}
 
-		if (this._intVersionNumber !== intVersionNumber) {
-			this._hasTitleChanged        = false;
-			this._hasSpaceKeyChanged     = false;
-			this._hasParentPageIdChanged = false;
-			this._hasBodyChanged         = false;
-			this._haveLabelsChanged      = false;
-		}
+		var _objOptions = objOptions || {};
 
-		this._intVersionNumber = intVersionNumber;
-	},
+		if (typeof _objOptions.transform !== "function") {
+			throw new Error("[ConfluenceBulkJob.initialize] Please pass a Function at option {transform}!");
+		}
 
-	/**
-	 * Increases the page version by adding +1.
-	 */
-	increaseVersionNumber: function() {
-		if (!this._intVersionNumber) {
+		if (_objOptions.parentId && !ConfluenceClient.isValidInteger(_objOptions.parentId)) {
 			throw new Error(
-				"[ConfluencePage.increaseVersionNumber] Page object has not been initialized!"
-			);					
+				"[ConfluenceBulkJob.initialize] Please pass a valid Confluence page ID at option {parentId}!" +
+				" Invalid value: " + _objOptions.parentId
+			);
 		}
 
-		this._intVersionNumber += 1;
-	},
+		var hasCQL = typeof _objOptions.cql === "string" && _objOptions.cql.length > 0;
 
-	/**
-	 * Setter for the content of a Confluence page.
-	 * 
-	 * @param {String} strPageBody Page content as storage format.
-	 * @throws {Error} If passed parameter `strPageBody` is not of type `String`.
-	 */
-	setBody: function(strPageBody) {
-		if (!(typeof strPageBody === "string")) {
+		if (!(hasCQL || _objOptions.parentId)) {
+			throw new Error("[ConfluenceBulkJob.initialize] Please pass either option {cql} or option {parentId}!");
+		}
+
+		//resuming requires the pages to be ordered by their IDs
+		if (hasCQL && /\border\s+by\b/i.test(refConfluenceClient._maskCqlValues(_objOptions.cql))) {
 			throw new Error(
-				"[ConfluencePage.setBody] Please pass a valid body content at parameter {strPageBody}!"
-			);					
+				"[ConfluenceBulkJob.initialize] Please pass a CQL query without 'order by' clause at option {cql}!" +
+				" Invalid value: " + _objOptions.cql
+			);
 		}
 
-		this._hasBodyChanged = this._strBody !== strPageBody;
-		this._strBody        = strPageBody;
-	},
-	
-	/**
-	 * Getter for the content of a Confluence page.
-	 * 
-	 * @returns {String} Page content as storage format if defined or `undefined` if not.
-	 */
-	getBody: function() {
-		return this._strBody;
-	},
+		var assertPositiveInteger = function(strOption) {
+			if (_objOptions[strOption] && !(ConfluenceClient.isValidInteger(_objOptions[strOption]) && _objOptions[strOption] > 0)) {
+				throw new Error(
+					"[ConfluenceBulkJob.initialize] Please pass a positive Integer at option {" + strOption + "}!" +
+					" Invalid value: " + _objOptions[strOption]
+				);
+			}
+		};
 
-	/**
-	 * Getter for HTML of the rendered Confluence Page.
-	 * 
-	 * @returns {String} Rendered HTML of that Confluence page if defined or `undefined`if not. 
-	 */
-	getRenderedHTML: function() {
-		return this._renderedHTML;
+		var assertFunction = function(strOption) {
+			if (_objOptions[strOption] && typeof _objOptions[strOption] !== "function") {
+				throw new Error("[ConfluenceBulkJob.initialize] Please pass a Function at option {" + strOption + "}!");
+			}
+		};
+
+		assertPositiveInteger("maxPages");
+		assertPositiveInteger("maxFailures");
+		assertFunction("onProgress");
+		assertFunction("onCheckpoint");
+
+		this._refConfluenceClient = refConfluenceClient;
+		this._objOptions          = _objOptions;
+		this._strCQL              = _objOptions.parentId ? "ancestor = " + _objOptions.parentId : _objOptions.cql;
+		this._isDryRun            = _objOptions.dryRun == true;
+		this._arrResults          = [];
+		this._strStopReason       = null;
+		this._objError            = null;
+		this._objCheckpoint       = this._restoreCheckpoint(_objOptions.checkpoint);
 	},
 
 	/**
-	 * Loads the Scaffolding data by invoking {@link ConfluenceClient#loadScaffoldingData}.
+	 * Processes all pages, starting at the offset of the checkpoint. A run ends when all pages have been processed, 
+	 * when option `maxPages` or `maxFailures` has been reached or when loading a batch of pages has failed.
 	 * 
-	 * @param {Array<String>} [strAllowedFields] Optional list of field names that should remain at result array.
-	 * @returns {Boolean} `true` if loading of Scaffolding data was successful otherwise `false`.
-	 * @throws {Error} If underlying page object has no page ID stored.
+	 * @returns {Object} Summary of the run, see {@link ConfluenceBulkJob#getSummary}.
 	 */
-	loadScaffoldingData: function(strAllowedFields) {
-		if (!this.getId()) {
-			throw new Error(
-				"[ConfluencePage.loadScaffoldingData] Please set a valid page ID with method 'setId()'!"
-			);					
-		}
+	run: function() {
+		var objCheckpoint = this._objCheckpoint;
+		var intBatchSize  = this._objOptions.batchSize || 100;
+		var intProcessed  = 0;
+		var intFailed     = 0;
+		var isCloud       = this._refConfluenceClient._isCloud();
+		var objIterator   = this._refConfluenceClient.getContentIterator(this._strCQL + " order by id", {
+			types:          this._objOptions.types || ["page"],
+			includeContent: true,
+			batchSize:      intBatchSize,
+			startAt:        isCloud ? 0 : objCheckpoint.offset,
+		});
+
+		this._arrResults    = [];
+		this._strStopReason = null;
+		this._objError      = null;
+
+		while (this._strStopReason === null) {
+			if (this._objOptions.maxPages && intProcessed >= this._objOptions.maxPages) {
+				this._strStopReason = "maxPages";
+			}
+			else if (this._objOptions.maxFailures && intFailed >= this._objOptions.maxFailures) {
+				this._strStopReason = "maxFailures";
+			}
+			else if (objIterator.hasNext()) {
+				var objPage = objIterator.next();
 
-		var arrScaffoldingData = this._refConfluenceClient.loadScaffoldingData(this.getId(), strAllowedFields);
+				//pages up to the last processed one have been handled by a previous run already
+				if (this._isProcessed(objPage)) {
+					this._refConfluenceClient._logDebug(
+						"[ConfluenceBulkJob.run] Page with ID " + objPage.getId() + " has already been processed and is skipped"
+					);
+				}
+				else {
+					var objResult = this._processPage(objPage);
 
-		if (arrScaffoldingData != null) {
-			this.setScaffoldingData(arrScaffoldingData);
+					intProcessed += 1;
+					intFailed    += objResult.status === "failed" ? 1 : 0;
 
-			return true;
+					this._arrResults.push(objResult);
+					this._countResult(objResult, objIterator.getOffset());
+
+					if (intProcessed % intBatchSize == 0) {
+						this._refConfluenceClient._logDebug(
+							"[ConfluenceBulkJob.run] " + objCheckpoint.processed + " pages processed, " + 
+							"continuing after page ID " + objCheckpoint.lastId
+						);
+
+						this._saveCheckpoint();
+					}
+				}
+			}
+			else {
+				break;
+			}
 		}
 
-		return false;
+		if (objIterator.hasFailed()) {
+			this._strStopReason = "loadFailed";
+			this._objError      = this._refConfluenceClient.getLastError();
+		}
+
+		objCheckpoint.completed = this._strStopReason === null;
+
+		this._saveCheckpoint();
+
+		return this.getSummary();
 	},
-	
+
 	/**
-	 * Getter for the Scaffolding data.
+	 * Getter for the results of the last run.
 	 * 
-	 * @returns {Array<Object>} Array with all Scaffolding data if defined or `undefined`if not.
+	 * @returns {Array<Object>} One object per processed page with the properties `pageId`, `title`, `status` 
+	 * (`updated`, `unchanged`, `simulated` for pages which would have been updated in a dry run or `failed`), 
+	 * `message` and `error` (the {@link ConfluenceError} or `Error` object of failed pages).
 	 */
-	getScaffoldingData: function() {
-		return this._arrScaffoldingData;
+	getResults: function() {
+		return this._arrResults.slice();
 	},
-	
+
 	/**
-	 * Setter for the Scaffolding data.
+	 * Getter for the current checkpoint, which can be stored and passed as option `checkpoint` later on to resume the job.
 	 * 
-	 * @param {Array<Object>} arrScaffoldingData Array with the scaffolding data
-	 * @throws {Error} If passed parameter `arrScaffoldingData` is not of type `Array`.
+	 * @returns {Object} Checkpoint with the query, the offset of the next page, the ID of the last processed page, 
+	 * whether the job is completed and the counters of all runs so far.
 	 */
-	setScaffoldingData: function(arrScaffoldingData) {
-		if (!Array.isArray(arrScaffoldingData)) {
-			throw new Error(
-				"[ConfluencePage.setScaffoldingData] Please pass a valid array at parameter {arrScaffoldingData}!"
-			);					
-		}
+	getCheckpoint: function() {
+		return JSON.parse(JSON.stringify(this._objCheckpoint));
+	},
 
-		this._arrScaffoldingData        = arrScaffoldingData;
-		this._hasScaffoldingDataChanged = true;
+	/**
+	 * Getter for the summary of the job.
+	 * 
+	 * @returns {Object} Object with the properties `cql`, `dryRun`, `completed` (`true` if all pages have been processed), 
+	 * `stopReason` (`NULL`, `maxPages`, `maxFailures` or `loadFailed`), `error` (the {@link ConfluenceError} of a failed 
+	 * batch), `offset`, the counters `processed`, `updated`, `unchanged`, `simulated` and `failed` of all runs so far 
+	 * and `failures` (the failed results of the last run).
+	 */
+	getSummary: function() {
+		var objCheckpoint = this._objCheckpoint;
+
+		return {
+			cql:        objCheckpoint.cql,
+			dryRun:     objCheckpoint.dryRun,
+			completed:  objCheckpoint.completed,
+			stopReason: this._strStopReason,
+			error:      this._objError,
+			offset:     objCheckpoint.offset,
+			processed:  objCheckpoint.processed,
+			updated:    objCheckpoint.updated,
+			unchanged:  objCheckpoint.unchanged,
+			simulated:  objCheckpoint.simulated,
+			failed:     objCheckpoint.failed,
+			failures:   this._arrResults.filter(function(objResult) {
+				return objResult.status === "failed";
+			}),
+		};
 	},
-	
+
 	/**
-	 * Getter for a single scaffolding field value.
+	 * Tests whether this job is running in dry-run mode.
 	 * 
-	 * @param {String} strFieldName Name of the scaffolding field whoose value should be returned.
-	 * @returns {Object} Value of requested scaffolding field if defined or `undefined` if not.
-	 * @throws {Error} If passed parameter `strFieldName` is not a valid `String` value.
+	 * @returns {Boolean} `true` if changes are not written back, otherwise `false`.
 	 */
-	getScaffoldingValue: function(strFieldName) {
-		if (!(typeof strFieldName === "string" && strFieldName.length > 0)) {
+	isDryRun: function() {
+		return this._isDryRun;
+	},
+
+	_restoreCheckpoint: function(checkpoint) {
+		var objCheckpoint = typeof checkpoint === "string" ? JSON.parse(checkpoint) : checkpoint;
+
+		if (!objCheckpoint) {
+			return {
+				cql:       this._strCQL,
+				dryRun:    this._isDryRun,
+				offset:    0,
+				lastId:    null,
+				completed: false,
+				processed: 0,
+				updated:   0,
+				unchanged: 0,
+				simulated: 0,
+				failed:    0,
+			};
+		}
+
+		if (!(typeof objCheckpoint === "object" && ConfluenceClient.isValidInteger(objCheckpoint.offset))) {
+			throw new Error("[ConfluenceBulkJob.initialize] Please pass a valid checkpoint at option {checkpoint}!");
+		}
+
+		//resuming with another query or mode would skip pages of the current one
+		if (objCheckpoint.cql !== this._strCQL || objCheckpoint.dryRun !== this._isDryRun) {
 			throw new Error(
-				"[ConfluencePage.getScaffoldingValue] Please pass a valid field name at parameter {strFieldName}!" +
-				" Invalid value: " + strFieldName
-			);					
+				"[ConfluenceBulkJob.initialize] The passed checkpoint belongs to another job!" +
+				" Query: " + objCheckpoint.cql + ", dry run: " + objCheckpoint.dryRun
+			);
 		}
-		
-		if (this._arrScaffoldingData) {
-			for (var i = 0; i < this._arrScaffoldingData.length; i++) { 
-				if (this._arrScaffoldingData[i].name === strFieldName) {
-					return this._arrScaffoldingData[i].value;
-				}					
+
+		//checkpoints without page ID are resumed at their offset only
+		objCheckpoint.lastId = objCheckpoint.lastId || null;
+
+		return objCheckpoint;
+	},
+
+	_saveCheckpoint: function() {
+		if (this._objOptions.onCheckpoint) {
+			this._objOptions.onCheckpoint(this.getCheckpoint());
+		}
+	},
+
+	_processPage: function(objPage) {
+		var objResult = {pageId: objPage.getId(), title: objPage.getTitle(), status: "unchanged", message: "", error: null};
+
+		try {
+			if (this._objOptions.transform(objPage, this) === false || !objPage.hasChanges()) {
+				return objResult;
+			}
+
+			if (this._isDryRun) {
+				objResult.status = "simulated";
+
+				return objResult;
 			}
+
+			if (objPage.update(this._objOptions.suppressNotifications, this._objOptions.conflictOptions)) {
+				objResult.status = "updated";
+
+				return objResult;
+			}
+
+			objResult.error = this._refConfluenceClient.getLastError();
+		}
+		catch (e) {
+			objResult.error = e;
 		}
 
-		return undefined;
+		objResult.status  = "failed";
+		objResult.message = objResult.error ? objResult.error.message : this._refConfluenceClient.getLastErrorMessage();
+
+		this._refConfluenceClient._logWarning(
+			"[ConfluenceBulkJob.run] Page '" + objResult.title + "' (ID " + objResult.pageId + ") could not be processed: " + 
+			objResult.message
+		);
+
+		return objResult;
 	},
-	
-	/**
-	 * Setter for a single scaffolding field value.
-	 * 
-	 * @param {String} strFieldName Name of the scaffolding field whoose value should be set.
-	 * @param {*} objFieldValue New value for the specified scaffolding field.
-	 * @throws {Error} If passed parameter `strFieldName` is not a valid `String` value.
-	 */
-	setScaffoldingValue: function(strFieldName, objFieldValue) {		
-		if (!(typeof strFieldName === "string" && strFieldName.length > 0)) {
+
+	_isProcessed: function(objPage) {
+		var strLastId = this._objCheckpoint.lastId;
+
+		return strLastId !== null && parseInt(objPage.getId(), 10) <= parseInt(strLastId, 10);
+	},
+
+	_countResult: function(objResult, intOffset) {
+		var objCheckpoint = this._objCheckpoint;
+
+		objCheckpoint.offset            = intOffset;
+		objCheckpoint.lastId            = objResult.pageId;
+		objCheckpoint.processed        += 1;
+		objCheckpoint[objResult.status] += 1;
+
+		if (this._objOptions.onProgress) {
+			var objProgress = this.getSummary();
+
+			objProgress.result = objResult;
+
+			this._objOptions.onProgress(objProgress);
+		}
+	},
+};
+
+/**
+ * This object represents a Confluence content template or blueprint template. The variables of a template are 
+ * declared in storage format with `at:declarations` and referenced with `<at:var at:name="..."/>` placeholders, which 
+ * are filled by {@link ConfluenceTemplate#render}.
+ * 
+ * @class ConfluenceTemplate
+ * @param {ConfluenceClient} refConfluenceClient Reference to an {@link ConfluenceClient} object.
+ * @param {Object} jsonTemplate Response of a REST API call.
+ * @throws {Error} If passed parameter `refConfluenceClient` does not points to a valid object of type {@link ConfluenceClient}
+ * @throws {Error} If passed parameter `jsonTemplate` does not represent a valid JSON object.
+ */
+ConfluenceTemplate.prototype = {
+	initialize: function(refConfluenceClient, jsonTemplate) {
+		if (!(refConfluenceClient && refConfluenceClient instanceof ConfluenceClient)) {
 			throw new Error(
-				"[ConfluencePage.setScaffoldingValue] Please pass a valid field name at parameter {strFieldName}!" + 
-				" Invalid value: " + strFieldName
-			);					
+				"[ConfluenceTemplate.initialize] Please pass a reference to a valid {ConfluenceClient} object at parameter {refConfluenceClient}!"
+			);
 		}
-	
-		if (this._arrScaffoldingData) {
-			//try to find the field by its name
-			for (var i = 0; i < this._arrScaffoldingData.length; i++) {
-				if (this._arrScaffoldingData[i].name == strFieldName) {
-					this._arrScaffoldingData[i].value  = objFieldValue || "";
-					this._hasScaffoldingDataChanged = true;
 
-					return;
-				}
-			}
+		if (!(jsonTemplate && typeof jsonTemplate === "object")) {
+			throw new Error(
+				"[ConfluenceTemplate.initialize] Please pass a valid JSON object at parameter {jsonTemplate}!"
+			);
 		}
-		else {
-			this._arrScaffoldingData = [];
+
+		var isBlueprint = Boolean(jsonTemplate.originalTemplate || jsonTemplate.referencingBlueprint);
+
+		this._refConfluenceClient = refConfluenceClient;
+		this._strId               = jsonTemplate.templateId;
+		this._strName             = jsonTemplate.name;
+		this._strDescription      = jsonTemplate.description || "";
+		this._strType             = isBlueprint ? "blueprint" : "page";
+		this._strSpaceKey         = jsonTemplate.space ? jsonTemplate.space.key : null;
+		this._arrLabels           = [];
+
+		if (jsonTemplate.body && jsonTemplate.body.storage) {
+			this._strBody = jsonTemplate.body.storage.value;
 		}
 
-		//no proper field found, add a new one 
-		this._arrScaffoldingData.push({name: strFieldName, value: objFieldValue || ""});
+		if (Array.isArray(jsonTemplate.labels)) {
+			for (var i = 0; i < jsonTemplate.labels.length; i++) {
+				this._arrLabels.push(jsonTemplate.labels[i].name);
+			}
+		}
+	},
 
-		this._hasScaffoldingDataChanged = true;
+	getConfluenceClient: function() {
+		return this._refConfluenceClient;
 	},
-	
+
 	/**
-	 * Getter for the list of ancestors.
+	 * Getter for the template ID.
 	 * 
-	 * @returns {Array<ConfluencePage>} List of ancestors - wrapped by {@link ConfluencePage} objects - if defined or `undefined` if not.
+	 * @returns {String} ID of the template.
 	 */
-	getAncestors: function() {
-		return this._arrAncestors;
+	getId: function() {
+		return this._strId;
 	},
 
 	/**
-	 * Setter for the parent page ID.
+	 * Getter for the template name.
 	 * 
-	 * @param {Integer} strParentPageId Id of the new parent page.
-	 * @throws {Error} If passed parameter `strParentPageId` is not a valid `Integer` value.
+	 * @returns {String} Name of the template.
 	 */
-	setParentPageId: function(strParentPageId) {
-		if (!ConfluenceClient.isValidInteger(strParentPageId)) {
-			throw new Error(
-				"[ConfluencePage.setParentPageId] Please pass a valid page ID at parameter {strParentPageId}!" +
-				" Invalid value: " + strParentPageId
-			);					
-		}
+	getName: function() {
+		return this._strName;
+	},
 
-		this._hasParentPageIdChanged = this._strParentPageId !== strParentPageId;
-		this._strParentPageId        = strParentPageId;
+	/**
+	 * Getter for the template description.
+	 * 
+	 * @returns {String} Description of the template or an empty String.
+	 */
+	getDescription: function() {
+		return this._strDescription;
 	},
-	
+
 	/**
-	 * Getter for the parent page ID.
+	 * Getter for the template type.
 	 * 
-	 * @returns {Integer} Id of the parent page if defined or `undefined` if not.
+	 * @returns {String} Either `page` for a content template or `blueprint` for a blueprint template.
 	 */
-	getParentPageId: function() {
-		return this._strParentPageId;
+	getType: function() {
+		return this._strType;
 	},
 
 	/**
-	 * Getter for the modification date and time of a Confluence page.
+	 * Getter for the key of the space the template belongs to.
 	 * 
-	 * @returns {GlideDateTime} An instance of a [GlideDateTime]{@link https://developer.servicenow.com/dev.do#!/reference/api/orlando/server/c_APIRef} object if defined or `undefined`if not.
+	 * @returns {null|String} Space key or `NULL` for a global template.
 	 */
-	getModificationDateTime: function() {
-		return this._gdtModification;
+	getSpaceKey: function() {
+		return this._strSpaceKey;
 	},
-	
+
 	/**
-	 * Getter for the user name of the last modifier of a Confluence page.
+	 * Getter for the labels which are added to pages created from this template.
 	 * 
-	 * @returns {String} User name of the last modifier if available or `undefined`if not.
+	 * @returns {Array<String>} List of label names.
 	 */
-	getModifierUserName: function() {
-		return this._strModifierUserName;
+	getLabels: function() {
+		return this._arrLabels;
 	},
-	
+
 	/**
-	 * Getter for the display name of the last modifier of a Confluence page.
+	 * Getter for the template body in storage format.
 	 * 
-	 * @returns {String} Full name of the last modifier if available or `undefined`if not.
+	 * @returns {String} Body of the template if loaded or `undefined` if not.
 	 */
-	getModifierDisplayName: function() {
-		return this._strModifierDisplayName;
+	getBody: function() {
+		return this._strBody;
 	},
-	
+
 	/**
-	 * Getter for the list of page labels.
+	 * Getter for all variables of the template, either declared with `at:declarations` or referenced by an `at:var` 
+	 * placeholder.
 	 * 
-	 * @returns {Array<Object>} List of page labels if defined or `undefined` if not.
+	 * @returns {Array<Object>} Variables in order of their first occurrence. Each variable is an object with the 
+	 * properties `name`, `type` (`string`, `textarea` or `list`) and `options` (allowed values of a `list`, otherwise 
+	 * an empty Array).
 	 */
-	getLabels: function() {
-		return this._arrLabels;
+	getVariables: function() {
+		return this._getVariables(new ConfluenceStorageDocument(this._strBody || ""));
 	},
 
 	/**
-	 * Tests whether this {@link ConfluencePage} object has a label named by given `strLabelName`.
+	 * Fills all variables of the template and returns the resulting page body. Variable declarations are removed.
 	 * 
-	 * @param {String} strLabelName Label name to test.
-	 * @returns {Boolean} `True` if label with given name exists or `false`if not.
-	 * @throws {Error} If passed parameter `strLabelName` does not represent a valid label name.
+	 * @param {Object|GlideRecord} [variables] Values of the variables, either as plain object or as GlideRecord, 
+	 * whose display values of the equally named fields are used. Values of placeholders with attribute 
+	 * `at:rawxhtml="true"` are inserted as storage format, all others as text.
+	 * @param {Object} [objOptions] Render options.
+	 * @param {Boolean} [objOptions.allowEmpty] If `true` empty Strings are inserted as values. By default they are 
+	 * treated as missing, as GlideRecord returns them for empty fields.
+	 * @throws {Error} If the template body has not been loaded.
+	 * @throws {Error} If a value is missing for at least one variable or does not match the options of a `list` variable.
+	 * @returns {String} Page body in storage format.
 	 */
-	hasLabel: function(strLabelName) {
-		if (!ConfluenceClient.isValidLabelName(strLabelName)) {
-			throw new Error(
-				"[ConfluencePage.hasLabel] Please pass a valid label name at parameter {strLabelName}!" +
-				" Invalid value: " + strLabelName
-			);					
+	render: function(variables, objOptions) {
+		if (typeof this._strBody !== "string") {
+			throw new Error("[ConfluenceTemplate.render] Body of template '" + this._strName + "' has not been loaded!");
 		}
-		
-		if (this._arrLabels) {
-			var _strLabelName = strLabelName.toLowerCase().trim();
 
-			//tests whether label name exists
-			for (var i = 0; i < this._arrLabels.length; i++) {
-				if (this._arrLabels[i] === _strLabelName) {
-					return true;
-				}
+		var objDocument   = new ConfluenceStorageDocument(this._strBody);
+		var mapValues     = {};
+		var arrMissing    = [];
+		var arrInvalid    = [];
+		var isGlideRecord = Boolean(variables && typeof variables.getUniqueValue === "function");
+		var allowEmpty    = Boolean(objOptions && objOptions.allowEmpty === true);
+
+		this._getVariables(objDocument).forEach(function(objVariable) {
+			var value = isGlideRecord ? 
+				this._getRecordValue(variables, objVariable.name) : 
+				(variables || {})[objVariable.name];
+
+			var isMissing = value === undefined || value === null;
+			var isEmpty   = !isMissing && !allowEmpty && String(value).length == 0;
+
+			if (isMissing || isEmpty) {
+				arrMissing.push(objVariable.name);
 			}
-		}
+			else if (objVariable.options.length > 0 && objVariable.options.indexOf(String(value)) == -1) {
+				arrInvalid.push(objVariable.name + " (" + value + ")");
+			}
+			else {
+				mapValues[objVariable.name] = String(value);
+			}
+		}, this);
 
-		return false;
-	},
+		//half-filled pages must not be created
+		if (arrMissing.length > 0) {
+			throw new Error(
+				"[ConfluenceTemplate.render] Please pass values for all variables of template '" + this._strName + "'!" +
+				" Missing variables: " + arrMissing.join(", ")
+			);
+		}
 
-	/**
-	 * Adds a single label to the internal list of page labels.
-	 * 
-	 * @param {String} strLabelName Name of label to add.
-	 * @throws {Error} If passed parameter `strLabelName` does not represent a valid label name.
-	 */
-	addLabel: function(strLabelName) {
-		if (!ConfluenceClient.isValidLabelName(strLabelName)) {
+		if (arrInvalid.length > 0) {
 			throw new Error(
-				"[ConfluencePage.addLabel] Please pass a valid label name at parameter {strLabelName}!" +
-				" Invalid value: " + strLabelName
-			);					
+				"[ConfluenceTemplate.render] Please pass one of the allowed options for all list variables of template '" + 
+				this._strName + "'! Invalid values: " + arrInvalid.join(", ")
+			);
 		}
-		
-		var _strLabelName = strLabelName.toLowerCase().trim();
 
-		if (this._arrLabels) {
-			//tests whether label name already exists
-			for (var i = 0; i < this._arrLabels.length; i++) {
-				if (this._arrLabels[i] === _strLabelName) {
+		objDocument.findElements("at:declarations").forEach(function(objNode) {
+			objNode.remove();
+		});
+
+		objDocument.findElements("at:var").forEach(function(objNode) {
+			var strValue = mapValues[objNode.getAttribute("at:name")];
+
+			if (objNode.getAttribute("at:rawxhtml") === "true") {
+				var objValue = new ConfluenceStorageDocument(strValue);
+
+				objNode.replaceWith(objValue.getRoot().getChildren());
+			}
+			else {
+				objNode.replaceWith([ConfluenceStorageNode.createText(strValue)]);
+			}
+		});
+
+		return objDocument.serialize();
+	},
+
+
+	_getVariables: function(objDocument) {
+		var arrVariables = [];
+		var mapVariables = {};
+
+		var addVariable = function(strName, strType, arrOptions) {
+			if (strName && !mapVariables[strName]) {
+				mapVariables[strName] = {name: strName, type: strType, options: arrOptions};
+
+				arrVariables.push(mapVariables[strName]);
+			}
+		};
+
+		objDocument.findElements("at:declarations").forEach(function(objDeclarations) {
+			objDeclarations.getChildren().forEach(function(objNode) {
+				if (!objNode.isElement()) {
 					return;
 				}
-			}
-		}
-		else {
-			this._arrLabels = [];
-		}
 
-		this._haveLabelsChanged = true;
+				var arrOptions = objNode.findElements("at:option").map(function(objOption) {
+					return objOption.getAttribute("at:value");
+				});
 
-		this._arrLabels.push(_strLabelName);
+				addVariable(objNode.getAttribute("at:name"), objNode.getName().replace(/^at:/, ""), arrOptions);
+			});
+		});
+
+		objDocument.findElements("at:var").forEach(function(objNode) {
+			addVariable(objNode.getAttribute("at:name"), "string", []);
+		});
+
+		return arrVariables;
 	},
 
-	/**
-	 * Removes a label with given name from the internal list of page labels.
-	 * 
-	 * @param {String} strLabelName Name of the label to be removed.
-	 * @throws {Error} If passed parameter `strLabelName` does not represent a valid label name.
-	 */
-	removeLabel: function(strLabelName) {
-		if (!ConfluenceClient.isValidLabelName(strLabelName)) {
-			throw new Error(
-				"[ConfluencePage.addLabel] Please pass a valid label name at parameter {strLabelName}!" +
-				" Invalid value: " + strLabelName
-			);					
+	_getRecordValue: function(grRecord, strFieldName) {
+		if (!grRecord.isValidField(strFieldName)) {
+			return null;
 		}
 
-		if (this._arrLabels) {
-			var _strLabelName = strLabelName.toLowerCase().trim();
-			var _arrResult    = [];
+		return grRecord.getDisplayValue(strFieldName);
+	},
+};
 
-			for (var i = 0; i < this._arrLabels.length; i++) {
-				if (this._arrLabels[i] === _strLabelName) {
-					this._haveLabelsChanged = true;
-				}
-				else {
-					_arrResult.push(this._arrLabels[i]);
-				}
-			}
+/**
+ * This object provides typed access to Scaffolding data as returned by {@link ConfluenceClient#loadScaffoldingData}. 
+ * The type of a field is derived from its stored value:
+ * - `text`: text data, returned as String.
+ * - `number`: number data, returned as Number.
+ * - `boolean`: checkbox data, returned as Boolean.
+ * - `date`: date data, returned as GlideDateTime.
+ * - `list`: list data, returned as Array of the selected options.
+ * - `table`: table data and repeating data, returned as Array of rows. Each row is a {@link ConfluenceScaffoldingForm} 
+ *   again, so that nested repeating groups can be processed the same way.
+ * - `group`: grouped fields, returned as {@link ConfluenceScaffoldingForm}.
+ * 
+ * All changes are applied directly to the passed Scaffolding data, so that its structure is kept when writing it back 
+ * with {@link ConfluenceClient#updateScaffoldingData}. If a schema is passed (see {@link ConfluenceClient#loadScaffoldingSchema}), 
+ * the types are taken from the field definitions and all new values are validated against them.
+ * 
+ * @example
+ * var objForm = objPage.getScaffoldingForm();
+ * 
+ * objForm.getRows("Tasks").forEach(function(objRow) {
+ *   if (objRow.getValue("Due").before(new GlideDateTime())) {
+ *     objRow.setValue("Status", ["Overdue"]);
+ *   }
+ * });
+ * 
+ * objForm.addRow("Tasks", {Name: "Review", Due: new GlideDateTime(), Status: ["Open"]});
+ * objPage.updateScaffoldingData();
+ * 
+ * @class ConfluenceScaffoldingForm
+ * @param {Array<Object>} arrFields Scaffolding fields as objects with the properties `name` and `value`.
+ * @param {Function} [fnOnChange] Function which is invoked after each change.
+ * @param {Array<Object>} [arrSchema] Field definitions as returned by {@link ConfluenceClient#loadScaffoldingSchema}.
+ * @throws {Error} If passed parameter `arrFields` is not an Array.
+ * @throws {Error} If passed parameter `arrSchema` is neither an Array nor `NULL`.
+ */
+ConfluenceScaffoldingForm.prototype = {
+	initialize: function(arrFields, fnOnChange, arrSchema) {
+		if (!Array.isArray(arrFields)) {
+			throw new Error(
+				"[ConfluenceScaffoldingForm.initialize] Please pass a valid array at parameter {arrFields}!"
+			);
+		}
 
-			this._arrLabels = _arrResult;
+		if (!(arrSchema === undefined || arrSchema === null || Array.isArray(arrSchema))) {
+			throw new Error(
+				"[ConfluenceScaffoldingForm.initialize] Please pass an Array of field definitions at parameter {arrSchema}!"
+			);
 		}
+
+		this._arrFields  = arrFields;
+		this._fnOnChange = typeof fnOnChange === "function" ? fnOnChange : null;
+		this._arrSchema  = arrSchema || null;
 	},
 
 	/**
-	 * Getter for the list of all user based reading restrictions.
+	 * Getter for the field definitions the values are validated against.
 	 * 
-	 * @returns {Array<Object>} List of objects for all users that are allowed to read this Confluence page.
+	 * @returns {null|Array<Object>} Field definitions or `NULL` if no schema has been passed.
 	 */
-	getUserReadingRestrictions: function() {
-		return this._userReadingRestrictions;
+	getSchema: function() {
+		return this._arrSchema;
 	},
-		
+
 	/**
-	 * Getter for the list of all user based updating restrictions.
+	 * Getter for the underlying Scaffolding data.
 	 * 
-	 * @returns {Array<Object>} List of objects for all users that are allowed to update this Confluence page.
+	 * @returns {Array<Object>} Scaffolding fields as objects with the properties `name` and `value`.
 	 */
-	getUserUpdatingRestrictions: function() {
-		return this._userUpdatingRestrictions;
+	getData: function() {
+		return this._arrFields;
 	},
 
 	/**
-	 * Getter for the list of all group based reading restrictions.
+	 * Getter for the names of all fields.
 	 * 
-	 * @returns {Array<Object>} List of objects for all groups that are allowed to read this Confluence page.
+	 * @returns {Array<String>} Field names in stored order.
 	 */
-	getGroupReadingRestrictions: function() {
-		return this._groupReadingRestrictions;
+	getFieldNames: function() {
+		return this._arrFields.map(function(objField) {
+			return objField.name;
+		});
 	},
-		
+
 	/**
-	 * Getter for the list of all group based updating restrictions.
+	 * Tests whether a field with the given name exists.
 	 * 
-	 * @returns {Array<Object>} List of objects for all groups that are allowed to update this Confluence page.
+	 * @param {String} strFieldName Name of the field.
+	 * @returns {Boolean} `true` if the field exists, otherwise `false`.
 	 */
-	getGroupUpdatingRestrictions: function() {
-		return this._groupUpdatingRestrictions;
+	hasField: function(strFieldName) {
+		return this._getField(strFieldName) !== null;
 	},
 
 	/**
-	 * Updates page data on the Confluence server by invoking method {@link ConfluenceClient#updatePageData}.
+	 * Getter for the type of a field, see {@link ConfluenceScaffoldingForm}. If a schema is available, the type of 
+	 * the field definition is returned.
 	 * 
-	 * @param {Boolean} [suppressNotifications] If `true` no email notifications will be sent to watchers.
-	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 * @param {String} strFieldName Name of the field.
+	 * @returns {String} One of the values `text`, `number`, `boolean`, `date`, `list`, `table` or `group` or `undefined` 
+	 * if the field does not exist.
 	 */
-	updatePageData: function(suppressNotifications) {
-		return this._hasBodyChanged || this._hasParentPageIdChanged || this._hasSpaceKeyChanged || this._hasTitleChanged ?
-				this._refConfluenceClient.updatePageData(this, suppressNotifications) :
-				true;
+	getFieldType: function(strFieldName) {
+		var objField      = this._getField(strFieldName);
+		var objDefinition = this._getDefinition(strFieldName);
+
+		if (objDefinition !== null && objDefinition.type !== "other") {
+			return objDefinition.type;
+		}
+
+		return objField === null ? undefined : ConfluenceScaffoldingForm.getValueType(objField.value);
 	},
 
 	/**
-	 * Updates page labels on the Confluence server by invoking method {@link ConfluenceClient#updatePageLabels}.
+	 * Getter for the typed value of a field, see {@link ConfluenceScaffoldingForm}.
 	 * 
-	 * @returns {Boolean} `true` if operation was successful otherwise `false`.
+	 * @param {String} strFieldName Name of the field.
+	 * @returns {*} Typed value of the field or `undefined` if the field does not exist.
 	 */
-	updatePageLabels: function() {
-		return this._haveLabelsChanged ? this._refConfluenceClient.updatePageLabels(this) : true;
+	getValue: function(strFieldName) {
+		var objField = this._getField(strFieldName);
+
+		if (objField === null) {
+			return undefined;
+		}
+
+		var strType = this.getFieldType(strFieldName);
+
+		//empty values of typed fields are stored as empty Strings
+		if (objField.value === "" && /^(number|date|list|table|group)$/.test(strType)) {
+			return strType === "list" || strType === "table" ? [] : null;
+		}
+
+		if (strType === "number") {
+			return Number(objField.value);
+		}
+
+		if (strType === "date") {
+			return ConfluenceScaffoldingForm.parseDate(objField.value);
+		}
+
+		if (strType === "list") {
+			return [].concat(objField.value);
+		}
+
+		if (strType === "table") {
+			return this.getRows(strFieldName);
+		}
+
+		if (strType === "group") {
+			return new ConfluenceScaffoldingForm(objField.value, this._fnOnChange, this._getNestedSchema(strFieldName));
+		}
+
+		return objField.value;
 	},
 
 	/**
-	 * Updates scaffolding data on the Confluence server by invoking method {@link ConfluenceClient#updateScaffoldingData}.
+	 * Setter for the value of a field. If no field with the given name exists, a new one is added. Values are stored 
+	 * as follows:
+	 * - GlideDateTime objects as date in the format of Scaffolding.
+	 * - Arrays of {@link ConfluenceScaffoldingForm} objects as table rows.
+	 * - Other Arrays as list of selected options.
+	 * - Numbers and Booleans as they are, inclusive `0` and `false`.
+	 * - `NULL` and `undefined` as empty String.
+	 * - All other values as String.
 	 * 
-	 * @returns `true` if operation was successful otherwise `false`.
+	 * If a schema is available, the value has to fit the field definition: Numbers have to be numeric, dates have to 
+	 * be GlideDateTime objects or Strings in the format of Scaffolding, lists may only contain the defined options 
+	 * (a single option if the list does not allow multiple selections) and required fields must not be emptied. 
+	 * Fields which are not defined by the schema are rejected instead of being added.
+	 * 
+	 * @param {String} strFieldName Name of the field.
+	 * @param {*} value New value of the field.
+	 * @throws {Error} If passed parameter `strFieldName` is not a valid `String` value.
+	 * @throws {Error} If the field or the value do not fit the schema.
 	 */
-	updateScaffoldingData: function() {
-		return this._hasScaffoldingDataChanged ? this._refConfluenceClient.updateScaffoldingData(this) : true;
+	setValue: function(strFieldName, value) {
+		if (!(typeof strFieldName === "string" && strFieldName.length > 0)) {
+			throw new Error(
+				"[ConfluenceScaffoldingForm.setValue] Please pass a valid field name at parameter {strFieldName}!" +
+				" Invalid value: " + strFieldName
+			);
+		}
+
+		var objField = this._getField(strFieldName);
+		var rawValue = this._validateValue(strFieldName, value);
+
+		if (objField === null) {
+			this._arrFields.push({name: strFieldName, value: rawValue});
+		}
+		else {
+			objField.value = rawValue;
+		}
+
+		this._notifyChange();
 	},
 
 	/**
-	 * Creates a new Confluence page by invoking method {@link ConfluenceClient#createPage}.
+	 * Getter for the rows of a table data or repeating data field.
 	 * 
-	 * @returns `true` if operation was successful otherwise `false`.
+	 * @param {String} strFieldName Name of the field.
+	 * @throws {Error} If the field does not exist or is not of type `table`.
+	 * @returns {Array<ConfluenceScaffoldingForm>} One object per row, which changes the row directly.
 	 */
-	create: function() {
-		return this._refConfluenceClient.createPage(this);
+	getRows: function(strFieldName) {
+		var objField = this._getTableField("ConfluenceScaffoldingForm.getRows", strFieldName);
+
+		var arrSchema = this._getNestedSchema(strFieldName);
+
+		return objField.value.map(function(arrRow) {
+			return new ConfluenceScaffoldingForm(arrRow, this._fnOnChange, arrSchema);
+		}, this);
 	},
 
 	/**
-	 * Updates complete page data on the Confluence server by invoking appropriate update methods.
+	 * Appends a new row to a table data or repeating data field. The new row gets the same fields as the existing rows 
+	 * or as defined by the schema with empty values. If the field does not exist yet, it is added.
 	 * 
-	 * @param {Boolean} [suppressNotifications] If `true` no email notifications will be sent to watchers.
-	 * @returns {Boolean} `true` if operation was successful otherwise `false`.	 */
-	update: function(suppressNotifications) {
-		return this.updatePageData(suppressNotifications) && this.updatePageLabels() && this.updateScaffoldingData();
+	 * @param {String} strFieldName Name of the field.
+	 * @param {Object} [objValues] Values of the new row as object with the field names as keys, see {@link ConfluenceScaffoldingForm#setValue}.
+	 * @throws {Error} If the field exists but is not of type `table`.
+	 * @returns {ConfluenceScaffoldingForm} The new row.
+	 */
+	addRow: function(strFieldName, objValues) {
+		var objField      = this._getField(strFieldName);
+		var objDefinition = this._getDefinition(strFieldName);
+
+		if (objField === null && this._arrSchema !== null && objDefinition === null) {
+			throw new Error(
+				"[ConfluenceScaffoldingForm.addRow] Field '" + strFieldName + "' is not defined by the Scaffolding form!"
+			);
+		}
+
+		//Scaffolding stores an empty String for table fields which never had a row
+		var isEmptyTable = objField !== null && objField.value === "" && objDefinition !== null && objDefinition.type === "table";
+		var arrRows      = objField === null || isEmptyTable ? [] : this._getTableField("ConfluenceScaffoldingForm.addRow", strFieldName).value;
+		var arrSchema    = this._getNestedSchema(strFieldName);
+		var arrRow       = [];
+
+		if (arrRows.length > 0) {
+			arrRow = ConfluenceScaffoldingForm.createEmptyRow(arrRows[0]);
+		}
+		else if (arrSchema !== null) {
+			arrRow = ConfluenceScaffoldingForm.createEmptyRow(arrSchema);
+		}
+
+		//values are validated before the row or the field are added, so that an invalid value does not change anything
+		var objRow = new ConfluenceScaffoldingForm(arrRow, null, arrSchema);
+
+		Object.keys(objValues || {}).forEach(function(strKey) {
+			objRow.setValue(strKey, objValues[strKey]);
+		});
+
+		arrRows.push(arrRow);
+
+		if (objField === null) {
+			this._arrFields.push({name: strFieldName, value: arrRows});
+		}
+		else {
+			objField.value = arrRows;
+		}
+
+		this._notifyChange();
+
+		return new ConfluenceScaffoldingForm(arrRow, this._fnOnChange, arrSchema);
 	},
 
 	/**
-	 * Deletes a Confluence page by invoking method {@link ConfluenceClient#removePage}.
+	 * Removes a row from a table data or repeating data field.
 	 * 
-	 * @returns `true` if operation was successful otherwise `false`.
+	 * @param {String} strFieldName Name of the field.
+	 * @param {Integer} intIndex Position of the row, starting with 0.
+	 * @throws {Error} If the field does not exist or is not of type `table`.
+	 * @returns {Boolean} `true` if the row has been removed or `false` if there is no row at the given position.
 	 */
-	remove: function() {
-		return this._refConfluenceClient.removePage(this);
+	removeRow: function(strFieldName, intIndex) {
+		var objField = this._getTableField("ConfluenceScaffoldingForm.removeRow", strFieldName);
+
+		if (!(ConfluenceClient.isValidInteger(String(intIndex)) && intIndex < objField.value.length)) {
+			return false;
+		}
+
+		objField.value.splice(intIndex, 1);
+
+		this._notifyChange();
+
+		return true;
 	},
 
 	/**
-	 * Returns a JSON based representation of this page object that can be used as payload for REST api requests.
+	 * Converts all fields into a plain object with the field names as keys and the typed values as values. Rows and 
+	 * groups are converted recursively.
 	 * 
-	 * @param {Boolean} createNewPage If `true` only fields will be returned that are necessary for creating new pages.
-	 * @param {Boolean} [suppressNotifications] If `true` no email notifications will be sent to watchers.
-	 * @returns {String} String in JSON format
+	 * @returns {Object} Typed values of all fields.
 	 */
-	stringify: function(createNewPage, suppressNotifications) {
+	toObject: function() {
 		var objResult = {};
 
-		if (!(typeof createNewPage === "boolean" && createNewPage == true)) {
-			objResult.id      = this.getId();
-			objResult.version = {number: this.getVersionNumber() + 1};
+		this._arrFields.forEach(function(objField) {
+			var value = this.getValue(objField.name);
+
+			if (Array.isArray(value) && value[0] instanceof ConfluenceScaffoldingForm) {
+				value = value.map(function(objRow) {
+					return objRow.toObject();
+				});
+			}
+			else if (value instanceof ConfluenceScaffoldingForm) {
+				value = value.toObject();
+			}
+
+			objResult[objField.name] = value;
+		}, this);
+
+		return objResult;
+	},
+
+
+	_notifyChange: function() {
+		if (this._fnOnChange !== null) {
+			this._fnOnChange();
 		}
+	},
 
-		if (typeof suppressNotifications === "boolean" && suppressNotifications == true) {
-			objResult.version.minorEdit = true;
+	_getField: function(strFieldName) {
+		for (var i = 0; i < this._arrFields.length; i++) {
+			if (this._arrFields[i].name === strFieldName) {
+				return this._arrFields[i];
+			}
 		}
 
-		objResult.type  = "page";
-		objResult.title = this.getTitle();		
-		objResult.space = {key: this.getSpaceKey()};
-		
-		if (this.getBody()) {
-			objResult.body = {storage: {value: this.getBody(), representation: "storage"}};
+		return null;
+	},
+
+	_getDefinition: function(strFieldName) {
+		for (var i = 0; this._arrSchema !== null && i < this._arrSchema.length; i++) {
+			if (this._arrSchema[i].name === strFieldName) {
+				return this._arrSchema[i];
+			}
 		}
 
-		if (this.getParentPageId()) {
-			objResult.ancestors = [{id: this.getParentPageId()}];
+		return null;
+	},
+
+	_getNestedSchema: function(strFieldName) {
+		var objDefinition = this._getDefinition(strFieldName);
+
+		return objDefinition === null ? null : objDefinition.fields;
+	},
+
+	_validateValue: function(strFieldName, value) {
+		var strScope = "[ConfluenceScaffoldingForm.setValue] ";
+		var rawValue = ConfluenceScaffoldingForm.toRawValue(value);
+
+		if (this._arrSchema === null) {
+			return rawValue;
 		}
 
-		return JSON.stringify(objResult);
+		var objDefinition = this._getDefinition(strFieldName);
+
+		//without this check a typo in the field name would silently add a new field
+		if (objDefinition === null) {
+			throw new Error(strScope + "Field '" + strFieldName + "' is not defined by the Scaffolding form!");
+		}
+
+		var isEmpty = Array.isArray(rawValue) ? rawValue.length == 0 : rawValue === "";
+
+		if (isEmpty) {
+			if (objDefinition.required) {
+				throw new Error(strScope + "Field '" + strFieldName + "' is required and cannot be emptied!");
+			}
+
+			return rawValue;
+		}
+
+		if (objDefinition.type === "number") {
+			if (typeof rawValue === "boolean" || isNaN(Number(rawValue))) {
+				throw new Error(strScope + "Field '" + strFieldName + "' expects a number! Invalid value: " + value);
+			}
+
+			return Number(rawValue);
+		}
+
+		if (objDefinition.type === "date" && ConfluenceScaffoldingForm.parseDate(rawValue) === null) {
+			throw new Error(strScope + "Field '" + strFieldName + "' expects a date! Invalid value: " + value);
+		}
+
+		if (objDefinition.type === "list") {
+			return this._validateListValue(objDefinition, [].concat(rawValue));
+		}
+
+		return rawValue;
 	},
 
+	_validateListValue: function(objDefinition, arrValues) {
+		var strScope = "[ConfluenceScaffoldingForm.setValue] ";
 
-	/**
-	 * Tests whether this object is a valid initialized {@link ConfluencePage} object.
-	 * 
-	 * @returns {Boolean} `True` in case this object is a valid {@link ConfluencePage} object.
-	 */
-	isValid: function() {
-		return this._refConfluenceClient ? this._strInternalId == this._refConfluenceClient._strInternalId : false;
+		if (!objDefinition.multiple && arrValues.length > 1) {
+			throw new Error(strScope + "Field '" + objDefinition.name + "' allows only one option! Invalid value: " + arrValues);
+		}
+
+		//lists with options of dynamic sources like users or pages do not define them in the form
+		var arrUnknown = arrValues.filter(function(strValue) {
+			return objDefinition.options.length > 0 && objDefinition.options.indexOf(strValue) == -1;
+		});
+
+		if (arrUnknown.length > 0) {
+			throw new Error(
+				strScope + "Field '" + objDefinition.name + "' has no option '" + arrUnknown.join("', '") + "'!" +
+				" Allowed options: " + objDefinition.options.join(", ")
+			);
+		}
+
+		return arrValues;
+	},
+
+	_getTableField: function(strScope, strFieldName) {
+		var objField = this._getField(strFieldName);
+
+		if (objField === null) {
+			throw new Error("[" + strScope + "] Field '" + strFieldName + "' does not exist!");
+		}
+
+		//a table without rows cannot be distinguished from an empty list
+		if (!(Array.isArray(objField.value) && objField.value.every(Array.isArray))) {
+			throw new Error("[" + strScope + "] Field '" + strFieldName + "' is not a table data or repeating data field!");
+		}
+
+		return objField;
 	},
+
+	type: 'ConfluenceScaffoldingForm',
+};
+
+/**
+ * Matches date values as stored by Scaffolding, e.g. `2020-05-12T00:00:00.000+0200`.
+ * 
+ * @type {RegExp}
+ */
+ConfluenceScaffoldingForm.REGEX_DATE = 
+	/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?(Z|([+-])(\d{2}):?(\d{2}))$/;
+
+/**
+ * Determines the type of a stored Scaffolding value, see {@link ConfluenceScaffoldingForm}.
+ * 
+ * @param {*} value Stored value.
+ * @returns {String} One of the values `text`, `number`, `boolean`, `date`, `list`, `table` or `group`.
+ */
+ConfluenceScaffoldingForm.getValueType = function(value) {
+	if (typeof value === "number" || typeof value === "boolean") {
+		return typeof value;
+	}
+
+	if (Array.isArray(value)) {
+		if (value.length > 0 && value.every(Array.isArray)) {
+			return "table";
+		}
+
+		var isGroup = value.length > 0 && value.every(function(item) {
+			return Boolean(item && typeof item === "object" && "name" in item);
+		});
+
+		return isGroup ? "group" : "list";
+	}
+
+	return typeof value === "string" && ConfluenceScaffoldingForm.REGEX_DATE.test(value) ? "date" : "text";
+};
+
+/**
+ * Converts a date value as stored by Scaffolding into a GlideDateTime object.
+ * 
+ * @param {String} strValue Stored date value.
+ * @returns {null|GlideDateTime} Date or `NULL` if the passed value is not a valid date.
+ */
+ConfluenceScaffoldingForm.parseDate = function(strValue) {
+	var arrMatch = ConfluenceScaffoldingForm.REGEX_DATE.exec(strValue);
+
+	if (arrMatch === null) {
+		return null;
+	}
+
+	var intNumbers = arrMatch.slice(1, 8).map(function(strPart) {
+		return parseInt(strPart || "0", 10);
+	});
+	var intOffset  = 0;
+
+	//the offset is converted into minutes east of UTC
+	if (arrMatch[8] !== "Z") {
+		var intMinutes = parseInt(arrMatch[10], 10) * 60;
+
+		intMinutes += parseInt(arrMatch[11], 10);
+		intOffset   = arrMatch[9] === "-" ? -intMinutes : intMinutes;
+	}
+
+	var intMillis = Date.UTC(
+		intNumbers[0],
+		intNumbers[1] - 1,
+		intNumbers[2],
+		intNumbers[3],
+		intNumbers[4],
+		intNumbers[5],
+		intNumbers[6]
+	);
+	var gdtResult = new GlideDateTime();
+
+	intMillis -= intOffset * 60000;
+
+	gdtResult.setNumericValue(intMillis);
+
+	return gdtResult;
+};
+
+/**
+ * Converts a GlideDateTime object into a date value as stored by Scaffolding.
+ * 
+ * @param {GlideDateTime} gdtValue Date to be converted.
+ * @returns {String} Date value in UTC, e.g. `2020-05-11T22:00:00.000+0000`.
+ */
+ConfluenceScaffoldingForm.formatDate = function(gdtValue) {
+	var objDate = new Date(gdtValue.getNumericValue());
+
+	return objDate.toISOString().replace(/Z$/, "+0000");
+};
+
+/**
+ * Converts a value into the representation stored by Scaffolding, see {@link ConfluenceScaffoldingForm#setValue}.
+ * 
+ * @param {*} value Value to be converted.
+ * @returns {*} Value to be stored.
+ */
+ConfluenceScaffoldingForm.toRawValue = function(value) {
+	if (value === null || value === undefined) {
+		return "";
+	}
+
+	if (typeof value === "number" || typeof value === "boolean") {
+		return value;
+	}
+
+	if (typeof value === "object" && typeof value.getNumericValue === "function") {
+		return ConfluenceScaffoldingForm.formatDate(value);
+	}
+
+	if (Array.isArray(value)) {
+		return value.map(function(item) {
+			return item instanceof ConfluenceScaffoldingForm ? item.getData() : String(item);
+		});
+	}
+
+	return String(value);
+};
+
+/**
+ * Creates a row with the same fields as the passed row but empty values. Nested tables and lists become empty Arrays.
+ * 
+ * @param {Array<Object>} arrRow Row or field definitions (see {@link ConfluenceClient#loadScaffoldingSchema}) to be used as pattern.
+ * @returns {Array<Object>} New row.
+ */
+ConfluenceScaffoldingForm.createEmptyRow = function(arrRow) {
+	return arrRow.map(function(objField) {
+		var strType = objField.type || ConfluenceScaffoldingForm.getValueType(objField.value);
+		var value   = "";
+
+		if (strType === "table" || strType === "list") {
+			value = [];
+		}
+		else if (strType === "group") {
+			value = ConfluenceScaffoldingForm.createEmptyRow(objField.fields || objField.value);
+		}
+		else if (strType === "boolean") {
+			value = false;
+		}
+
+		return {name: objField.name, value: value};
+	});
+};
+
+/**
+ * Types of the fields which are defined by the Scaffolding macros, see {@link ConfluenceScaffoldingForm.parseSchema}.
+ * 
+ * @type {Object}
+ */
+ConfluenceScaffoldingForm.FIELD_MACROS = {
+	"text-data":       "text",
+	"excerpt-data":    "text",
+	"hidden-data":     "text",
+	"number-data":     "number",
+	"date-data":       "date",
+	"list-data":       "list",
+	"table-data":      "table",
+	"repeating-data":  "table",
+	"group-data":      "group",
+	"attachment-data": "other",
+};
+
+/**
+ * Parses the Scaffolding macros of a page body into field definitions. Each definition is an object with the 
+ * properties `name`, `type` (`text`, `number`, `date`, `list`, `table`, `group` or `other`), `macroName`, 
+ * `required`, `multiple` (whether a list allows multiple selections), `options` (options of a list, which are 
+ * defined with `list-option` macros) and `fields` (definitions of the nested fields of a table or group, otherwise `NULL`).
+ * 
+ * @param {String} strStorage Page body in storage format.
+ * @returns {Array<Object>} Field definitions in document order.
+ */
+ConfluenceScaffoldingForm.parseSchema = function(strStorage) {
+	var objDocument = new ConfluenceStorageDocument(strStorage);
+
+	var collectFields = function(objParent, arrDefinitions) {
+		objParent.getChildren().forEach(function(objNode) {
+			var strType = objNode.isMacro() ? ConfluenceScaffoldingForm.FIELD_MACROS[objNode.getMacroName()] : undefined;
+
+			//nodes which are no Scaffolding fields may contain fields at any level
+			if (!(strType && objNode.getParameter("name"))) {
+				if (objNode.isElement()) {
+					collectFields(objNode, arrDefinitions);
+				}
+
+				return;
+			}
+
+			var objDefinition = {
+				name:      objNode.getParameter("name"),
+				type:      strType,
+				macroName: objNode.getMacroName(),
+				required:  objNode.getParameter("required") === "true",
+				multiple:  objNode.getParameter("multiple") === "true",
+				options:   [],
+				fields:    null,
+			};
+
+			if (strType === "list") {
+				objDefinition.options = objNode.findAll(function(objChild) {
+					return objChild.isMacro() && objChild.getMacroName() === "list-option";
+				}).map(function(objOption) {
+					var objBody = new ConfluenceStorageDocument(objOption.getRichTextBody() || "");
+					var strText = objBody.getRoot().getText();
+
+					return objOption.getParameter("value") || strText.trim();
+				});
+			}
+			else if (strType === "table" || strType === "group") {
+				objDefinition.fields = [];
+
+				collectFields(objNode, objDefinition.fields);
+			}
+
+			arrDefinitions.push(objDefinition);
+		});
+	};
+
+	var arrSchema = [];
+
+	collectFields(objDocument.getRoot(), arrSchema);
+
+	return arrSchema;
 };
\ No newline at end of file
@@ -0,0 +1,299 @@
+/*eslint-disable multiline-comment-style*/
+/*global Class, gs, ConfluenceClient */
+
+/**************************************************************************
+ * Copyright 2020 Maik Skoddow
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *****************************************************************************/
+
+var ConfluenceTestRunner = Class.create();
+
+/**
+ * Runs the tests of the folder `background scripts/tests`, which are executed as background scripts. Requests to
+ * Confluence can be answered by a function instead of a Confluence instance (see {@link ConfluenceTestRunner#stubRequests}),
+ * so that no Confluence instance is required. Failed tests are logged as errors, the summary is logged as information.
+ *
+ * @example
+ * var objRunner = new ConfluenceTestRunner("ConfluenceClient.example.test");
+ *
+ * objRunner.test("Pages are loaded by their ID", function() {
+ *   objRunner.stubRequests(function(objRequest) {
+ *     return {status: 200, body: ConfluenceTestRunner.createPageJson({id: "1", title: "Home"})};
+ *   });
+ *
+ *   var objPage = new ConfluenceClient(ConfluenceTestRunner.URL).loadPageDataById("1");
+ *
+ *   objRunner.assertEqual(objPage.getTitle(), "Home", "Wrong title");
+ * });
+ *
+ * objRunner.finish();
+ *
+ * @class ConfluenceTestRunner
+ * @param {String} strName Name of the tests, which prefixes all log messages.
+ * @throws {Error} If passed parameter `strName` is not a valid `String` value.
+ */
+ConfluenceTestRunner.prototype = {
+	initialize: function(strName) {
+		if (!(typeof strName === "string" && strName.length > 0)) {
+			throw new Error(
+				"[ConfluenceTestRunner.initialize] Please pass a valid name at parameter {strName}!" +
+				" Invalid value: " + strName
+			);
+		}
+
+		this._strName     = strName;
+		this._arrResults  = [];
+		this._arrRequests = [];
+		this._fnRespond   = null;
+	},
+
+	/**
+	 * Runs a single test. Replaced request handling (see {@link ConfluenceTestRunner#stubRequests}) is reset afterwards.
+	 *
+	 * @param {String} strName Description of the tested behavior.
+	 * @param {Function} fnTest Function which throws an error if the test fails.
+	 */
+	test: function(strName, fnTest) {
+		var fnCreateRestMessage = ConfluenceClient.createRestMessage;
+
+		try {
+			fnTest();
+			this._arrResults.push({name: strName, error: null});
+		}
+		catch (e) {
+			this._arrResults.push({name: strName, error: e});
+		}
+		finally {
+			ConfluenceClient.createRestMessage = fnCreateRestMessage;
+		}
+	},
+
+	/**
+	 * Answers all requests of clients created within the current test with the passed function instead of sending
+	 * them. Invoking this method again replaces the function for these clients as well.
+	 *
+	 * @param {Function} fnRespond Function which is invoked with each request as object with the properties `method`
+	 * (lower case HTTP method), `endpoint` (URL with decoded query parameters), `body` (request body or `undefined`),
+	 * `headers` and `attachmentSysId` (attachment the request body is taken from). It returns an object with the
+	 * properties `status` (HTTP status code), `body` (String or object to be serialized as JSON) and `headers` or
+	 * nothing for responding with status code 404.
+	 * @returns {Array<Object>} All sent requests, which is filled with each further request.
+	 */
+	stubRequests: function(fnRespond) {
+		var that = this;
+
+		this._arrRequests = [];
+		this._fnRespond   = fnRespond;
+
+		ConfluenceClient.createRestMessage = function() {
+			return that._createRestMessage();
+		};
+
+		return this._arrRequests;
+	},
+
+	/**
+	 * Fails the test if the passed values are not identical.
+	 *
+	 * @param {*} actual Value to be tested.
+	 * @param {*} expected Expected value.
+	 * @param {String} strMessage Description of the failure.
+	 */
+	assertEqual: function(actual, expected, strMessage) {
+		if (actual !== expected) {
+			throw new Error(strMessage + "\nExpected: " + expected + "\nActual:   " + actual);
+		}
+	},
+
+	/**
+	 * Fails the test if the passed value is not `true`.
+	 *
+	 * @param {*} value Value to be tested.
+	 * @param {String} strMessage Description of the failure.
+	 */
+	assertTrue: function(value, strMessage) {
+		this.assertEqual(value, true, strMessage);
+	},
+
+	/**
+	 * Fails the test if the passed function does not throw an error.
+	 *
+	 * @param {Function} fnTest Function to be invoked.
+	 * @param {String} strMessage Description of the failure.
+	 * @returns {*} The thrown error for further checks.
+	 */
+	assertThrows: function(fnTest, strMessage) {
+		try {
+			fnTest();
+		}
+		catch (e) {
+			return e;
+		}
+
+		throw new Error(strMessage);
+	},
+
+	/**
+	 * Logs all failed tests as errors and a summary like `[ConfluenceStorageDocument.test] 9 of 9 tests passed`.
+	 *
+	 * @returns {Boolean} `true` if all tests have passed, otherwise `false`.
+	 */
+	finish: function() {
+		var strScope  = "[" + this._strName + "] ";
+		var arrFailed = this._arrResults.filter(function(objResult) {
+			return objResult.error !== null;
+		});
+
+		arrFailed.forEach(function(objResult) {
+			gs.error(strScope + objResult.name + " failed: " + (objResult.error.message || objResult.error));
+		});
+
+		gs.info(strScope + (this._arrResults.length - arrFailed.length) + " of " + this._arrResults.length + " tests passed");
+
+		return arrFailed.length === 0;
+	},
+
+	_createRestMessage: function() {
+		var that       = this;
+		var objRequest = {method: "get", endpoint: "", body: undefined, headers: {}, attachmentSysId: null};
+
+		var createResponse = function(objResult) {
+			var objResponse = objResult || {status: 404, body: ""};
+			var strBody     = typeof objResponse.body === "string" ? objResponse.body : JSON.stringify(objResponse.body);
+			var objHeaders  = objResponse.headers || {};
+
+			return {
+				getStatusCode:              function() {
+					return objResponse.status;
+				},
+				getBody:                    function() {
+					return strBody;
+				},
+				haveError:                  function() {
+					return objResponse.status >= 400;
+				},
+				getErrorCode:               function() {
+					return 0;
+				},
+				getErrorMessage:            function() {
+					return "";
+				},
+				getHeaders:                 function() {
+					return objHeaders;
+				},
+				getHeader:                  function(strName) {
+					return objHeaders[strName] || null;
+				},
+				getResponseAttachmentSysid: function() {
+					return objResponse.attachmentSysId || null;
+				},
+			};
+		};
+
+		return {
+			setRequestHeader:             function(strName, strValue) {
+				objRequest.headers[strName] = strValue;
+			},
+			getRequestHeaders:            function() {
+				return objRequest.headers;
+			},
+			setEndpoint:                  function(strEndpoint) {
+				objRequest.endpoint = strEndpoint;
+			},
+			getEndpoint:                  function() {
+				return objRequest.endpoint;
+			},
+			setHttpMethod:                function(strMethod) {
+				objRequest.method = String(strMethod).toLowerCase();
+			},
+			setRequestBody:               function(strBody) {
+				objRequest.body = strBody;
+			},
+			getRequestBody:               function() {
+				return objRequest.body;
+			},
+			setRequestBodyFromAttachment: function(strSysId) {
+				objRequest.attachmentSysId = strSysId;
+			},
+			saveResponseBodyAsAttachment: function(strTable, strSysId, strFileName) {
+				objRequest.responseAttachment = {table: strTable, sysId: strSysId, fileName: strFileName};
+			},
+			setHttpTimeout:               function() {
+				//timeouts cannot occur
+			},
+			setLogLevel:                  function() {
+				//nothing is logged
+			},
+			execute:                      function() {
+				var objSent = JSON.parse(JSON.stringify(objRequest));
+
+				objSent.endpoint = decodeURIComponent(objSent.endpoint);
+
+				that._arrRequests.push(objSent);
+
+				return createResponse(that._fnRespond(objSent));
+			},
+		};
+	},
+
+	type: 'ConfluenceTestRunner',
+};
+
+/**
+ * URL of the Confluence instance used by all tests.
+ *
+ * @type {String}
+ */
+ConfluenceTestRunner.URL = "https://confluence.example.com";
+
+/**
+ * Creates a page as returned by the Confluence REST API, see {@link ConfluencePage}.
+ *
+ * @param {Object} [objValues] Values of the page.
+ * @param {String} [objValues.id] Page ID. Default is `1`.
+ * @param {String} [objValues.type] Content type. Default is `page`.
+ * @param {String} [objValues.status] Status. Default is `current`.
+ * @param {String} [objValues.title] Title. Default is `Page`.
+ * @param {String} [objValues.spaceKey] Space key. Default is `tst`.
+ * @param {Integer} [objValues.version] Version number. Default is 1.
+ * @param {String} [objValues.body] Body in storage format. Default is an empty String.
+ * @param {Array<String>} [objValues.labels] Label names.
+ * @param {Array<String>} [objValues.ancestors] IDs of the ancestors, starting with the root page.
+ * @returns {Object} Page as returned by the Confluence REST API.
+ */
+ConfluenceTestRunner.createPageJson = function(objValues) {
+	var _objValues = objValues || {};
+
+	var createRestrictions = function() {
+		return {restrictions: {user: {results: []}, group: {results: []}}};
+	};
+
+	return {
+		id:           _objValues.id || "1",
+		type:         _objValues.type || "page",
+		status:       _objValues.status || "current",
+		title:        _objValues.title || "Page",
+		space:        {key: _objValues.spaceKey || "tst"},
+		version:      {number: _objValues.version || 1},
+		body:         {storage: {value: _objValues.body || ""}, styled_view: {value: ""}},
+		restrictions: {read: createRestrictions(), update: createRestrictions()},
+		history:      {lastUpdated: {}},
+		metadata:     {labels: {results: (_objValues.labels || []).map(function(strLabel) {
+			return {prefix: "global", name: strLabel};
+		})}},
+		ancestors:    (_objValues.ancestors || []).map(function(strId) {
+			return ConfluenceTestRunner.createPageJson({id: strId, title: "Ancestor " + strId, spaceKey: _objValues.spaceKey});
+		}),
+	};
+};
\ No newline at end of file